@@ -3,12 +3,17 @@ const AssignmentSubmission = require("../models/AssignmentSubmission");
 const User = require("../models/User");
 const Role = require("../models/Roles");
 const { uploadBase64ToS3 } = require("../utils/s3Uploader");
-const { BadRequestError, NotFoundError, ForbiddenError, InternalServerError } = require("../utils/customErrors");
+const { BadRequestError, ConflictError, NotFoundError, ForbiddenError, InternalServerError } = require("../utils/customErrors");
 const mongoose = require("mongoose");
 const Course = require("../models/Course");
 const calculateBase64FileSize = require("../helper/calculateBase64FileSize");
 const Student = require("../models/Student");
-const { deleteFileFromS3 } = require("../utils/deleteFileFromS3");
+const { moveToTrash } = require("../helper/trash");
+const { rubricMaxPoints } = require("../utils/rubricScoring");
+
+// what a rubric grades by, ignoring ids and wording of descriptions
+const rubricSignature = (rubric = []) =>
+  JSON.stringify(rubric.map((c) => [c.title, (c.levels || []).map((l) => [l.title, l.points])]));
 
 // === Util: Upload all files and format
 // const processAssignmentFiles = async (files = []) => {
@@ -69,13 +74,14 @@ const createAssignment = async (req, res, next) => {
       files = [],
       assignedTo = [],
       status = 'Active',
+      totalMarks,
+      rubric = [],
+      maxAttempts,
+      gracePeriodMinutes,
+      latePolicy,
     } = req.body;
 
     const createdBy = req.user?.id || req.body.createdBy;
-    const user = await User.findById(req.user.id)?.populate('roleId');
-    if (user?.roleId?.role_name?.toLowerCase() == "student") {
-      throw new ForbiddenError("Only Admin and tutor can create the Assignment")
-    }
     if (!title || !createdBy) throw new BadRequestError("Title and createdBy are required.");
 
     // Get student list if assignedTo is empty or contains 'all'
@@ -113,7 +119,13 @@ const createAssignment = async (req, res, next) => {
         files: processedFiles,
         assignedTo: studentIds,
         status,
+        closedReason: status === 'Closed' ? 'manual' : null,
         createdBy,
+        totalMarks,
+        rubric,
+        maxAttempts,
+        gracePeriodMinutes,
+        latePolicy,
       }],
       { session }
     );
@@ -322,6 +334,7 @@ const getAssignmentById = async (req, res, next) => {
       lessonTitle: sub.lessonId?.title || "",
       status: sub.status,
       marks: sub.marks,
+      rubricScores: sub.rubricScores,
       comment: sub.comment,
       createdAt: sub.createdAt,
       updatedAt: sub.updatedAt,
@@ -415,6 +428,11 @@ const updateAssignment = async (req, res, next) => {
       files = [],
       assignedTo = [],
       status,
+      totalMarks,
+      rubric,
+      maxAttempts,
+      gracePeriodMinutes,
+      latePolicy,
     } = req.body;
 
     const updatedBy = req.user?.id || req.body.updatedBy;
@@ -425,6 +443,21 @@ const updateAssignment = async (req, res, next) => {
       throw new NotFoundError("Assignment not found.");
     }
 
+    // a new rubric without totalMarks already got its total from validation
+    const nextRubric = rubric ?? assignment.rubric;
+    const nextTotalMarks = totalMarks ?? assignment.totalMarks;
+    const gradingChanged =
+      nextTotalMarks !== assignment.totalMarks || rubricSignature(nextRubric) !== rubricSignature(assignment.rubric);
+    if (gradingChanged) {
+      if (nextRubric.length && rubricMaxPoints(nextRubric) !== nextTotalMarks) {
+        throw new BadRequestError(`The rubric is worth ${rubricMaxPoints(nextRubric)} points but totalMarks is ${nextTotalMarks}`);
+      }
+      const reviewed = await AssignmentSubmission.exists({ assignmentId, marks: { $ne: null } }).session(session);
+      if (reviewed) {
+        throw new ConflictError("Submissions have already been reviewed, so the rubric and total marks can no longer change.");
+      }
+    }
+
     //  Handle assigned students
     let newStudentIds = assignedTo;
     if (assignedTo.length === 0 || assignedTo.includes("all")) {
@@ -453,6 +486,13 @@ const updateAssignment = async (req, res, next) => {
     //  Process files safely
     const processedFiles = await processAssignmentFiles(files, assignment.files);
 
+    // closing by hand also shuts out students with a later deadline of their own
+    const nextStatus = status ?? assignment.status;
+    let closedReason = null;
+    if (nextStatus === "Closed") {
+      closedReason = assignment.status === "Closed" ? assignment.closedReason : "manual";
+    }
+
     //  Update directly using updateOne (safer inside transaction)
     const updatedAssignment = await Assignment.findByIdAndUpdate(
       assignmentId,
@@ -465,7 +505,13 @@ const updateAssignment = async (req, res, next) => {
           deadline: deadline ?? assignment.deadline,
           files: processedFiles.length > 0 ? processedFiles : assignment.files,
           assignedTo: newStudentIds,
-          status: status ?? assignment.status,
+          status: nextStatus,
+          closedReason,
+          totalMarks: nextTotalMarks,
+          rubric: nextRubric,
+          maxAttempts: maxAttempts ?? assignment.maxAttempts,
+          gracePeriodMinutes: gracePeriodMinutes ?? assignment.gracePeriodMinutes,
+          latePolicy: { ...assignment.latePolicy?.toObject(), ...latePolicy },
           updatedBy,
         },
       },
@@ -530,50 +576,16 @@ const deleteAssignment = async (req, res, next) => {
       throw new BadRequestError("Assignment ID is required.");
     }
 
-    const user = await User.findById(req.user.id).populate('roleId');
-
-    if (user?.roleId?.role_name?.toLowerCase() == "student") {
-      throw new InternalServerError("Only Admin and tutor can delete the assignment")
-    }
-
-    // 1. Find the assignment
-    const assignment = await Assignment.findById(assignmentId).session(session);
-    if (!assignment) {
-      throw new NotFoundError("Assignment not found.");
-    }
-
-    // 2. Delete assignment files from S3
-    for (const file of assignment.files || []) {
-      if (file.fileUrl) {
-        await deleteFileFromS3(file.fileUrl); // Delete from S3
-      }
-    }
-
-    // 3. Get all related submissions
-    const submissions = await AssignmentSubmission.find({ assignmentId }).session(session);
-
-    // 4. Delete submission files from S3
-    for (const submission of submissions) {
-      for (const file of submission.submissionFiles || []) {
-        if (file.fileUrl) {
-          await deleteFileFromS3(file.fileUrl); // Delete from S3
-        }
-      }
-    }
-
-    // 5. Delete submissions from DB
-    await AssignmentSubmission.deleteMany({ assignmentId }).session(session);
-
-    // 6. Delete assignment from DB
-    await Assignment.deleteOne({ _id: assignmentId }).session(session);
+    // 1. Move to trash; files and submissions are removed when the trash is purged
+    await moveToTrash("assignment", assignmentId, req.user.id, session);
 
-    // 7. Commit transaction
+    // 2. Commit transaction
     await session.commitTransaction();
     session.endSession();
 
     res.status(200).json({
       status: "success",
-      message: "Assignment  deleted successfully.",
+      message: "Assignment moved to trash.",
     });
 
   } catch (err) {
@@ -4,6 +4,29 @@ const User = require("../models/User");
 const { NotFoundError, BadRequestError } = require("../utils/customErrors");
 const { uploadBase64ToS3 } = require("../utils/s3Uploader");
 const calculateBase64FileSize = require("../helper/calculateBase64FileSize");
+const { getAccessScope, lessonIdsForCourses } = require("../helper/resourceScope");
+const { scoreRubric } = require("../utils/rubricScoring");
+const { assertCanSubmit, applyLatePenalty, withDeadlines } = require("../helper/submissionPolicy");
+const { accommodationsFor } = require("../helper/accommodations");
+
+// submissions made before versions were kept get their attempt recorded as version 1
+const keepLegacyVersion = (submission) => {
+  if (submission.versions.length || !submission.submittedAt) return;
+  submission.versions.push({
+    version: 1,
+    answer: submission.answer,
+    submissionLink: submission.submissionLink,
+    submissionFiles: submission.submissionFiles,
+    submittedAt: submission.submittedAt,
+    outcome: submission.status === "reviewed" ? "graded" : null,
+    rawMarks: submission.marks,
+    marks: submission.marks,
+    rubricScores: submission.rubricScores,
+    comment: submission.comment,
+    reviewedAt: submission.reviewedAt,
+  });
+  if (submission.status === "reviewed") submission.gradedVersion = 1;
+};
 
 const submitAssignment = async (req, res, next) => {
     try {
@@ -25,10 +48,15 @@ const submitAssignment = async (req, res, next) => {
         throw new NotFoundError("Assignment submission not found for this student.");
       }
   
-      // Prevent resubmission if already submitted
-      if (submission.status === 'submitted' || submission.status === 'reviewed') {
-        throw new BadRequestError("You have already submitted this assignment.");
+      const assignment = await Assignment.findById(submission.assignmentId).lean();
+      if (!assignment) {
+        throw new NotFoundError("Assignment not found.");
       }
+
+      // attempts left, the student's own deadline (extension, accommodations, grace and late window) and late penalty
+      const now = new Date();
+      const accommodations = await accommodationsFor(studentId);
+      const { late, lateByMinutes, penaltyPercent } = assertCanSubmit(assignment, submission, now, accommodations);
   
       // Upload files and calculate size
       const uploadedFiles = [];
@@ -44,17 +72,35 @@ const submitAssignment = async (req, res, next) => {
         uploadedFiles.push({ name, fileUrl, size });
       }
   
+      // earlier attempts stay as versions; the submission itself shows the latest
+      keepLegacyVersion(submission);
+      submission.versions.push({
+        version: submission.versions.length + 1,
+        answer: answer || '',
+        submissionLink: submissionLink || '',
+        submissionFiles: uploadedFiles,
+        submittedAt: now,
+        late,
+        lateByMinutes,
+        latePenaltyPercent: penaltyPercent,
+      });
+
       // Update submission record
       submission.answer = answer || '';
       submission.submissionLink = submissionLink || '';
       submission.submissionFiles = uploadedFiles;
       submission.status = 'submitted';
-      submission.submittedAt = Date.now()
+      submission.submittedAt = now;
+      submission.late = late;
+      submission.latePenaltyPercent = penaltyPercent;
+      // marks, rubric scores and comment stay those of the last review until this version is reviewed
   
       await submission.save();
   
       res.status(200).json({
-        message: "Assignment submitted successfully.",
+        message: late
+          ? `Assignment submitted ${lateByMinutes} minute(s) late.${penaltyPercent ? ` A ${penaltyPercent}% late penalty will be applied to the mark.` : ''}`
+          : "Assignment submitted successfully.",
         submission,
       });
   
@@ -66,7 +112,7 @@ const submitAssignment = async (req, res, next) => {
 const reviewAssignment = async (req, res, next) => {
     try {
       const { assignmentId } = req.params;
-      const { mark, comment } = req.body;
+      const { outcome, mark, criteria, comment, resubmitBy } = req.body;
   
       if (!assignmentId) {
         throw new BadRequestError("Assignment ID is required.");
@@ -82,11 +128,92 @@ const reviewAssignment = async (req, res, next) => {
         throw new BadRequestError("Only submitted assignments can be reviewed.");
       }
   
-      // Update the submission with mark and comment
-      submission.marks = mark;
+      const assignment = await Assignment.findById(submission.assignmentId)
+        .select("deadline status closedReason totalMarks rubric gracePeriodMinutes latePolicy")
+        .lean();
+      if (!assignment) {
+        throw new NotFoundError("Assignment not found.");
+      }
+
+      keepLegacyVersion(submission);
+      const latest = submission.versions[submission.versions.length - 1];
+
+      // sent back: no mark, and the student can submit again
+      if (outcome === "changes_requested") {
+        if (resubmitBy) {
+          if (new Date(resubmitBy) <= new Date(assignment.deadline)) {
+            throw new BadRequestError("resubmitBy must be after the assignment's deadline.");
+          }
+          // an extension already running longer stays as it is
+          if (!submission.extension?.deadline || new Date(resubmitBy) > new Date(submission.extension.deadline)) {
+            submission.extension = { deadline: resubmitBy, reason: "Changes requested", grantedBy: req.user.id, grantedAt: new Date() };
+          }
+        }
+        submission.status = "changes_requested";
+
+        // the student has to be able to act on the request
+        try {
+          assertCanSubmit(assignment, submission, new Date(), await accommodationsFor(submission.studentId));
+        } catch (err) {
+          if (!(err instanceof BadRequestError)) throw err;
+          throw new BadRequestError(
+            resubmitBy
+              ? `The student couldn't submit again: ${err.message}`
+              : `The student couldn't submit again: ${err.message} Give a resubmitBy date.`
+          );
+        }
+        submission.comment = comment;
+        submission.reviewedAt = Date.now();
+        Object.assign(latest, { outcome, comment, reviewedAt: submission.reviewedAt, reviewedBy: req.user.id });
+
+        await submission.save();
+        return res.status(200).json({
+          message: "Changes requested; the student can submit again.",
+          submission,
+        });
+      }
+
+      // with a rubric the mark is the total of the criteria scores
+      let marks = mark;
+      if (assignment.rubric?.length) {
+        if (!criteria?.length) {
+          throw new BadRequestError("This assignment is graded by rubric; score each of its criteria.");
+        }
+        const { rubricScores, total, errors } = scoreRubric(assignment.rubric, criteria);
+        if (errors.length) {
+          throw new BadRequestError(errors.join("; "));
+        }
+        if (mark !== undefined && mark !== total) {
+          throw new BadRequestError(`Mark (${mark}) does not match the rubric total (${total}).`);
+        }
+        marks = total;
+        submission.rubricScores = rubricScores;
+      } else if (criteria?.length) {
+        throw new BadRequestError("This assignment has no rubric; give a single mark.");
+      } else if (mark === undefined) {
+        throw new BadRequestError("Mark is required.");
+      }
+
+      if (marks > assignment.totalMarks) {
+        throw new BadRequestError(`Mark cannot be more than the assignment's total marks (${assignment.totalMarks}).`);
+      }
+
+      // Update the submission with mark and comment; late submissions lose their penalty
+      submission.gradedVersion = latest.version;
+      submission.rawMarks = marks;
+      submission.marks = applyLatePenalty(marks, submission.latePenaltyPercent);
       submission.comment = comment || "";
       submission.status = "reviewed";
       submission.reviewedAt = Date.now();
+      Object.assign(latest, {
+        outcome,
+        rawMarks: submission.rawMarks,
+        marks: submission.marks,
+        rubricScores: submission.rubricScores,
+        comment: submission.comment,
+        reviewedAt: submission.reviewedAt,
+        reviewedBy: req.user.id,
+      });
   
       await submission.save();
   
@@ -99,6 +226,40 @@ const reviewAssignment = async (req, res, next) => {
     }
 };
 
+// PUT /extension/:submissionId - a later deadline for one student, or none with `deadline: null`
+const grantExtension = async (req, res, next) => {
+    try {
+      const { submissionId } = req.params;
+      const { deadline, reason } = req.body;
+
+      const submission = await AssignmentSubmission.findById(submissionId);
+      if (!submission) {
+        throw new NotFoundError("Assignment submission not found.");
+      }
+      const assignment = await Assignment.findById(submission.assignmentId).select("deadline").lean();
+      if (!assignment) {
+        throw new NotFoundError("Assignment not found.");
+      }
+
+      if (deadline === null) {
+        submission.extension = null;
+      } else {
+        if (new Date(deadline) <= new Date(assignment.deadline)) {
+          throw new BadRequestError("An extension has to end after the assignment's deadline.");
+        }
+        submission.extension = { deadline, reason: reason || "", grantedBy: req.user.id, grantedAt: new Date() };
+      }
+      await submission.save();
+
+      res.status(200).json({
+        message: deadline === null ? "Extension removed." : "Extension granted.",
+        submission,
+      });
+    } catch (err) {
+      next(err);
+    }
+};
+
 const getSubmissionsByStudent = async (req, res, next) => {
   try {
     const { studentId } = req.params;
@@ -124,7 +285,7 @@ const getSubmissionsByStudent = async (req, res, next) => {
 
     // Fetch paginated submissions
     const submissions = await AssignmentSubmission.find(filter)
-      .populate("assignmentId", "title deadline description")
+      .populate("assignmentId", "title deadline description gracePeriodMinutes latePolicy")
       .populate("studentId", "name email")
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -133,7 +294,7 @@ const getSubmissionsByStudent = async (req, res, next) => {
     res.status(200).json({
       message: "Submissions fetched successfully.",
       count: submissions.length,
-      data: submissions,
+      data: await withDeadlines(submissions),
       totalSubmissions,
       page: pageNum,
       limit: limitNum,
@@ -149,7 +310,7 @@ const getSubmissionById = async (req, res, next) => {
         const { submissionId } = req.params;
 
         const submission = await AssignmentSubmission.findById(submissionId)
-            .populate("assignmentId","title description lessonId deadline files")
+            .populate("assignmentId","title description lessonId deadline files totalMarks rubric maxAttempts gracePeriodMinutes latePolicy")
             .populate("studentId", "name email");
 
         if (!submission) {
@@ -160,7 +321,7 @@ const getSubmissionById = async (req, res, next) => {
 
         res.status(200).json({
             message: "Submission fetched successfully.",
-            data: submission,
+            data: (await withDeadlines([submission]))[0],
         });
     } catch (err) {
         next(err);
@@ -169,15 +330,27 @@ const getSubmissionById = async (req, res, next) => {
 
 const getAllSubmissions = async (req, res, next) => {
     try {
-        const submissions = await AssignmentSubmission.find()
-            .populate("assignmentId", "title deadline")
+        // students see their own submissions, tutors those of their courses
+        const scope = await getAccessScope(req.user);
+        const filter = {};
+        if (scope.role === "student") {
+            filter.studentId = scope.userId;
+        } else if (scope.role === "tutor") {
+            const lessonIds = await lessonIdsForCourses(scope.courseIds);
+            filter.assignmentId = {
+                $in: await Assignment.find({ lessonId: { $in: lessonIds } }).distinct("_id"),
+            };
+        }
+
+        const submissions = await AssignmentSubmission.find(filter)
+            .populate("assignmentId", "title deadline gracePeriodMinutes latePolicy")
             .populate("studentId", "name email")
             .sort({ createdAt: -1 });
 
         res.status(200).json({
             message: "All submissions fetched successfully.",
             count: submissions.length,
-            data: submissions,
+            data: await withDeadlines(submissions),
         });
     } catch (err) {
         next(err);
@@ -189,5 +362,6 @@ module.exports = {
     getSubmissionsByStudent,
     submitAssignment,
     getSubmissionById,
-    reviewAssignment
+    reviewAssignment,
+    grantExtension
 }
\ No newline at end of file
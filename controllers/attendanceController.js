@@ -3,9 +3,10 @@ const Attendance = require("../models/Attendance");
 const PDFDocument = require("pdfkit");
 const Course = require("../models/Course");
 const User = require("../models/User");
-const { NotFoundError, ForbiddenError, BadRequestError } = require("../utils/customErrors");
+const { NotFoundError, BadRequestError } = require("../utils/customErrors");
 const { uploadBase64ToS3 } = require("../utils/s3Uploader");
 const Student = require("../models/Student");
+const { getAccessScope } = require("../helper/resourceScope");
 
 exports.markAttendance = async (req, res, next) => {
     try {
@@ -17,14 +18,6 @@ exports.markAttendance = async (req, res, next) => {
         throw new BadRequestError("courseId, date, and students are required");
       }
   
-      // Validate tutor
-      const tutor = await User.findById(markedBy).populate("roleId");
-      if (!tutor) throw new NotFoundError("Tutor not found");
-  
-      if (tutor.roleId?.role_name !== "Tutor") {
-        throw new ForbiddenError("You are not authorized to mark attendance");
-      }
-  
       // Validate course
       const course = await Course.findById(courseId);
       if (!course) throw new NotFoundError("Invalid course ID");
@@ -358,6 +351,17 @@ exports.getAllAttendance = async (req, res, next) => {
       studentMatch.courseId = new mongoose.Types.ObjectId(courseId);
     }
 
+    // students only see their own rows, tutors only their courses
+    const scope = await getAccessScope(req.user);
+    if (scope.role === "student") {
+      studentMatch.userId = new mongoose.Types.ObjectId(scope.userId);
+    } else if (scope.role === "tutor") {
+      const allowed = scope.courseIds
+        .filter((id) => !studentMatch.courseId || studentMatch.courseId.equals(id))
+        .map((id) => new mongoose.Types.ObjectId(id));
+      studentMatch.courseId = { $in: allowed };
+    }
+
     // 🔹 Aggregation pipeline (Start from Student)
     const pipeline = [
       { $match: studentMatch },
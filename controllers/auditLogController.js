@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { BadRequestError } = require("../utils/customErrors");
+
+const EXPORT_LIMIT = () => parseInt(process.env.AUDIT_EXPORT_LIMIT) || 50000;
+
+// shared by the list and the CSV export
+const buildFilter = (query) => {
+  const filter = {};
+  const { actor, action, entityType, entityId, from, to } = query;
+
+  for (const [field, value] of Object.entries({ actor, entityId })) {
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new BadRequestError(`Invalid ${field} format.`);
+    }
+    filter[field] = value;
+  }
+  if (entityType) filter.entityType = entityType;
+  // "course" matches every course.* action, "course.update" only that one
+  if (action) {
+    filter.action = action.includes(".") ? action : { $regex: `^${action.replace(/[^\w-]/g, "")}\\.` };
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    for (const [op, value] of [["$gte", from], ["$lte", to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date)) throw new BadRequestError(`Invalid date: ${value}`);
+      filter.createdAt[op] = date;
+    }
+  }
+  return filter;
+};
+
+// ==========================
+// LIST
+// ==========================
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    const filter = buildFilter(req.query);
+    const total = await AuditLog.countDocuments(filter);
+    const logs = await AuditLog.find(filter)
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      message: "Audit logs fetched successfully",
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: logs,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// CSV EXPORT
+// ==========================
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value instanceof mongoose.Types.ObjectId) text = value.toString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+  // a leading =, +, - or @ would make spreadsheets run the cell as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ["timestamp", (log) => log.createdAt],
+  ["actorId", (log) => log.actor?._id],
+  ["actorName", (log) => log.actor?.name],
+  ["actorEmail", (log) => log.actor?.email],
+  ["action", (log) => log.action],
+  ["entityType", (log) => log.entityType],
+  ["entityId", (log) => log.entityId],
+  ["ip", (log) => log.ip],
+  ["userAgent", (log) => log.userAgent],
+  ["changes", (log) => log.changes],
+  ["metadata", (log) => log.metadata],
+];
+
+const exportAuditLogs = async (req, res, next) => {
+  try {
+    const filter = buildFilter(req.query);
+
+    // streamed row by row so large exports don't sit in memory
+    const cursor = AuditLog.find(filter)
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT())
+      .lean()
+      .cursor();
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-logs-${Date.now()}.csv"`);
+    res.write(CSV_COLUMNS.map(([name]) => name).join(",") + "\n");
+
+    for await (const log of cursor) {
+      res.write(CSV_COLUMNS.map(([, pick]) => csvCell(pick(log))).join(",") + "\n");
+    }
+    res.end();
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    next(err);
+  }
+};
+
+module.exports = { getAuditLogs, exportAuditLogs };
@@ -14,10 +14,25 @@ const {
   InternalServerError,
 } = require("../utils/customErrors");
 
-const { generateAccessToken, generateRefreshToken } = require("../utils/generateTokens");
+const {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} = require("../helper/sessionManager");
+const Session = require("../models/Session");
+const { hasRole } = require("../helper/roleCache");
+const { completeLogin } = require("../helper/loginResponse");
+const { generateTwoFactorToken } = require("../utils/generateTokens");
+const { verifySecondFactor, remainingBackupCodes } = require("../helper/twoFactor");
+const {
+  throttleKeys,
+  assertNotThrottled,
+  registerFailure,
+  clearFailures,
+} = require("../helper/loginThrottle");
 const { default: mongoose } = require("mongoose");
 const Student = require("../models/Student");
-const Permission = require("../models/Permission");
 
 // ==========================
 // REGISTER
@@ -119,6 +134,10 @@ const login = async (req, res, next) => {
       throw new BadRequestError("Email, password, and role are required.");
     }
 
+    // Refuse early while the account or this IP is locked / backing off
+    const keys = throttleKeys(req, { account: email });
+    await assertNotThrottled(keys);
+
     //  Find role document by role name
     const roleDoc = await Role.findOne({ role_name: role });
     if (!roleDoc) {
@@ -128,6 +147,7 @@ const login = async (req, res, next) => {
     // Find user by email and populate roleId
     const user = await User.findOne({ email }).populate('roleId');
     if (!user) {
+      await registerFailure(keys, req);
       throw new InternalServerError("Invalid credentials.");
     }
     if(!user.status){
@@ -139,6 +159,7 @@ const login = async (req, res, next) => {
     if (["Student", "Tutor"].includes(currentRole)) {
       // Strict role match only for Student and Tutor
       if (user.roleId?._id?.toString() !== roleDoc._id.toString()) {
+        await registerFailure(keys, req, user._id);
         throw new InternalServerError("Invalid Email");
       }
     }
@@ -146,57 +167,76 @@ const login = async (req, res, next) => {
     // Check password
     const isMatch = await bcrypt.compare(password, user.passwordHash);
     if (!isMatch) {
+      await registerFailure(keys, req, user._id);
       throw new InternalServerError("Invalid credentials.");
     }
+    await clearFailures(keys);
 
-    //  Create tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-
-    // Build user object
-    const userObject = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      role: {
-        id: roleDoc.roleId,
-        name: roleDoc.role_name,
-        permissions: roleDoc.permissions, // default
-      },
-    };
-
-    // Add courseId for students
-    if (roleDoc.role_name === 'Student') {
-      const student = await Student.findOne({ userId: user._id });
-      if (student) {
-        userObject.courseId = student.courseId;
-        userObject.mode = student?.mode;
-      }
+    // Second step: either a TOTP code, or enrolment when the role demands 2FA
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorToken(user, "2fa-challenge", roleDoc.role_name),
+      });
+    }
+    if (user.roleId?.requireTwoFactor) {
+      return res.status(200).json({
+        message: "Two-factor authentication must be set up for this account",
+        twoFactorSetupRequired: true,
+        setupToken: generateTwoFactorToken(user, "2fa-setup", roleDoc.role_name),
+      });
     }
 
-    // For non-student/tutor roles, use roleId.permissions instead
-    if (roleDoc.role_name != 'Student' && roleDoc.role_name != 'Tutor') {
-      const role = await Role.findById(user.roleId?._id)
-      let permissions = [];
+    res.status(200).json(await completeLogin(req, user, roleDoc));
+  } catch (err) {
+    next(err);
+  }
+};
 
-      if (Array.isArray(role?.permissions) && role.permissions.length > 0) {
-        // Fetch permission documents by ID
-        permissions = await Permission.find({
-          _id: { $in: role.permissions }
-        });
-      }
+// ==========================
+// LOGIN - SECOND FACTOR
+// ==========================
+const loginWithTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
 
-      userObject.role.permissions = permissions || [];
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      throw new UnAuthorizedError("Invalid or expired challenge token.");
+    }
+    if (decoded.purpose !== "2fa-challenge") {
+      throw new UnAuthorizedError("Invalid or expired challenge token.");
     }
 
-    // Send response
-    res.status(200).json({
-      message: "Login successful",
-      accessToken,
-      refreshToken,
-      user: userObject,
-    });
+    const user = await User.findById(decoded.id)
+      .select("+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep")
+      .populate("roleId");
+    if (!user || !user.status) {
+      throw new UnAuthorizedError("User not found or inactive.");
+    }
+
+    // wrong codes count towards the same lockout as wrong passwords
+    const keys = throttleKeys(req, { account: user.email });
+    await assertNotThrottled(keys);
+
+    const method = verifySecondFactor(user, { code, backupCode });
+    if (!method) {
+      await registerFailure(keys, req, user._id);
+      throw new UnAuthorizedError("Invalid authentication code.");
+    }
+    await user.save();
+    await clearFailures(keys);
+
+    const roleDoc = (await Role.findOne({ role_name: decoded.role })) || user.roleId;
+    const payload = await completeLogin(req, user, roleDoc);
+    if (method === "backup") {
+      payload.backupCodesRemaining = remainingBackupCodes(user);
+    }
+
+    res.status(200).json(payload);
   } catch (err) {
     next(err);
   }
@@ -212,20 +252,134 @@ const refresh = async (req, res, next) => {
       throw new BadRequestError("Refresh token is required.");
     }
 
-    let decoded;
-    try {
-      decoded = jwt.verify(refresh_token, process.env.JWT_REFRESH_SECRET);
-    } catch (err) {
-      throw new UnAuthorizedError("Invalid refresh token.");
-    }
-
-    const user = await User.findById(decoded.id);
+    // Peek at the owner first so inactive users can't keep rotating
+    const decoded = jwt.decode(refresh_token);
+    const user = decoded?.id && mongoose.Types.ObjectId.isValid(decoded.id)
+      ? await User.findById(decoded.id).populate("roleId")
+      : null;
     if (!user || !user.status) {
       throw new UnAuthorizedError("User not found or inactive.");
     }
 
-    const newAccessToken = generateAccessToken(user);
-    res.status(200).json({ accessToken: newAccessToken });
+    const { accessToken, refreshToken } = await rotateSession(refresh_token, req, user);
+    res.status(200).json({ accessToken, refreshToken });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admins may look at / revoke anybody's sessions, everyone else only their own
+const isAdminUser = (authUser) => hasRole(authUser, "Admin");
+
+// ==========================
+// LOGOUT (current session)
+// ==========================
+const logout = async (req, res, next) => {
+  try {
+    let sessionId = req.user?.sid;
+
+    // tokens issued before sessions existed carry no sid; fall back to the refresh token
+    if (!sessionId && req.body?.refresh_token) {
+      sessionId = jwt.decode(req.body.refresh_token)?.sid;
+    }
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new BadRequestError("No active session found for this token.");
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.userId.toString() !== req.user.id) {
+      throw new NotFoundError("Session not found.");
+    }
+
+    await revokeSession(session._id, "logout");
+
+    res.status(200).json({ status: "success", message: "Logged out successfully." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// LOGOUT ALL (every device)
+// ==========================
+const logoutAll = async (req, res, next) => {
+  try {
+    let userId = req.user.id;
+
+    if (req.body?.userId && req.body.userId !== req.user.id) {
+      if (!(await isAdminUser(req.user))) {
+        throw new ForbiddenError("Only admins can log out other users.");
+      }
+      if (!mongoose.Types.ObjectId.isValid(req.body.userId)) {
+        throw new BadRequestError("Invalid userId format.");
+      }
+      userId = req.body.userId;
+    }
+
+    const revoked = await revokeAllSessions(userId, "logout-all");
+
+    res.status(200).json({
+      status: "success",
+      message: "Logged out from all devices.",
+      revokedSessions: revoked,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// ACTIVE SESSIONS
+// ==========================
+const getSessions = async (req, res, next) => {
+  try {
+    let userId = req.user.id;
+
+    if (req.query.userId && req.query.userId !== req.user.id) {
+      if (!(await isAdminUser(req.user))) {
+        throw new ForbiddenError("Only admins can view other users' sessions.");
+      }
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        throw new BadRequestError("Invalid userId format.");
+      }
+      userId = req.query.userId;
+    }
+
+    const sessions = await listActiveSessions(userId);
+
+    res.status(200).json({
+      status: "success",
+      total: sessions.length,
+      data: sessions.map((s) => ({
+        ...s,
+        current: s._id.toString() === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// REVOKE A SINGLE SESSION
+// ==========================
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new BadRequestError("Invalid session ID.");
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session) throw new NotFoundError("Session not found.");
+
+    if (session.userId.toString() !== req.user.id && !(await isAdminUser(req.user))) {
+      throw new ForbiddenError("You can only revoke your own sessions.");
+    }
+
+    await revokeSession(session._id, "revoked");
+
+    res.status(200).json({ status: "success", message: "Session revoked successfully." });
   } catch (err) {
     next(err);
   }
@@ -233,6 +387,11 @@ const refresh = async (req, res, next) => {
 
 module.exports = {
   login,
+  loginWithTwoFactor,
   // register,
   refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession,
 };
@@ -1,7 +1,9 @@
-const checkDependencies = require('../helper/checkDependencies');
-const hasPermission = require('../helper/hasPermission');
+const mongoose = require('mongoose');
+const { moveToTrash } = require('../helper/trash');
+const { reorderChildren } = require('../helper/contentOrder');
+const { loadStudentContent } = require('../helper/courseRevisions');
+const { evaluateUnlocks, setUnlockRules } = require('../helper/contentUnlock');
 const Chapter = require('../models/Chapter');
-const Lesson = require('../models/Lesson');
 const LessonCompletion = require('../models/LessonCompletion');
 const Module = require('../models/Module');
 const Student = require('../models/Student');
@@ -13,16 +15,11 @@ const {
   BadRequestError,
   EmptyRequestBodyError,
   InternalServerError,
-  ForbiddenError,
 } = require('../utils/customErrors');
 
 // Create Chapter
 exports.createChapter = catchAsync(async (req, res) => {
-  const { moduleId, title, orderIndex } = req.body;
-  const isPermission = await hasPermission(req.user?.id, "Add Chapter");
-  if (!isPermission ) {
-    throw new ForbiddenError("User Doesn't have permission to create chapter")
-  }
+  const { moduleId, title, orderIndex, publishAt, unpublishAt } = req.body;
   // Check if module exists
   const moduleExists = await Module.findById(moduleId);
   if (!moduleExists) {
@@ -42,7 +39,7 @@ exports.createChapter = catchAsync(async (req, res) => {
   }
 
   // Create chapter
-  const chapter = await Chapter.create({ moduleId, title, orderIndex });
+  const chapter = await Chapter.create({ moduleId, title, orderIndex, publishAt, unpublishAt });
   res.status(201).json({ status: "success", data: {
     _id:chapter?._id,
     moduleId:moduleExists ? moduleExists: chapter?.moduleId,
@@ -160,25 +157,29 @@ exports.updateChapter = catchAsync(async (req, res) => {
 });
 
 // Delete Chapter
-exports.deleteChapter = catchAsync(async (req, res) => {
-  const { chapterId } = req.params;
-
-  // Check if chapter exists
-  const chapter = await Chapter.findById(chapterId);
-  if (!chapter) throw new NotFoundError("Chapter not found");
-
-  // Prevent deletion if dependencies exist
-  await checkDependencies("Chapter", chapterId, ["chapterId"]);
-
-  // Delete chapter
-  const deletedChapter = await Chapter.findByIdAndDelete(chapterId);
-
-  res.status(200).json({
-    status: "success",
-    message: "Chapter deleted successfully",
-    data: deletedChapter,
-  });
-});
+exports.deleteChapter = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { chapterId } = req.params;
+
+    // Move chapter (and its lessons) to the trash
+    const deletedChapter = await moveToTrash("chapter", chapterId, req.user.id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      status: "success",
+      message: "Chapter moved to trash",
+      data: deletedChapter,
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
 
 // Get Chapters by Module ID
 exports.getChaptersByModuleId = catchAsync(async (req, res) => {
@@ -213,8 +214,9 @@ exports.getChaptersByModuleIdForStudent = catchAsync(async (req, res) => {
 
   const skip = (parseInt(page) -1 ) * parseInt(limit);
 
-  // Ensure module exists
-  const module = await Module.findById(moduleId);
+  // Ensure module exists in the published version of its course and is live
+  const content = await loadStudentContent({ moduleId });
+  const module = content?.modules.find((mod) => mod._id.toString() === moduleId);
   if (!module) throw new InternalServerError("Module not found");
 
   // Ensure student is enrolled
@@ -223,18 +225,15 @@ exports.getChaptersByModuleIdForStudent = catchAsync(async (req, res) => {
   if (!student) throw new InternalServerError("Student not found or not enrolled in this course");
   if (student.userId?.status === false) throw new InternalServerError("Student account is inactive");
 
-  // Fetch paginated chapters
-  const chapters = await Chapter.find({ moduleId })
-    .sort({ orderIndex: 1 })
-    .skip(skip)
-    .limit(parseInt(limit))
-    .lean(); 
+  // Paginated chapters
+  const moduleChapters = content.chapters.filter(c => c.moduleId.toString() === moduleId);
+  const chapters = moduleChapters.slice(skip, skip + parseInt(limit));
 
-  const totalChapters = await Chapter.countDocuments({ moduleId });
+  const totalChapters = moduleChapters.length;
 
   // Get all lesson IDs for these chapters
-  const chapterIds = chapters.map(c => c._id);
-  const lessons = await Lesson.find({ chapterId: { $in: chapterIds } }).select('_id chapterId').lean();
+  const chapterIds = new Set(chapters.map(c => c._id.toString()));
+  const lessons = content.lessons.filter(l => chapterIds.has(l.chapterId.toString()));
 
   // Map lessons to chapters
   const chapterLessonMap = {};
@@ -253,7 +252,9 @@ exports.getChaptersByModuleIdForStudent = catchAsync(async (req, res) => {
 
  const completedLessonIds = new Set(completedLessons.map(lc => lc.lessonId.toString()));
 
-  // Build final chapter data with isCompleted
+  const unlocks = await evaluateUnlocks(content, { userId: studentId, enrollmentDate: student.enrollmentDate });
+
+  // Build final chapter data with isCompleted and isLocked
   const chapterData = chapters.map(chapter => {
     const lessonIds = chapterLessonMap[chapter._id.toString()] || [];
     const totalLessons = lessonIds.length;
@@ -262,7 +263,8 @@ exports.getChaptersByModuleIdForStudent = catchAsync(async (req, res) => {
       ...chapter,
       totalLessons,
       completedLessons: completedCount,
-      isCompleted: totalLessons > 0 && completedCount === totalLessons
+      isCompleted: totalLessons > 0 && completedCount === totalLessons,
+      ...unlocks.get(chapter._id.toString())
     };
   });
 
@@ -275,3 +277,38 @@ exports.getChaptersByModuleIdForStudent = catchAsync(async (req, res) => {
   });
 });
 
+// Reorder the chapters of a module; chapters listed from another module of the course are moved here
+exports.reorderChapters = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { moduleId, chapterIds } = req.body;
+    const chapters = await reorderChildren('chapter', moduleId, chapterIds, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Chapters reordered',
+      data: chapters.map((c) => ({ _id: c._id, title: c.title, orderIndex: c.orderIndex, moduleId: c.moduleId })),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
+
+// Set or clear ({ unlock: null }) the unlocking rules of a chapter
+exports.updateChapterUnlockRules = catchAsync(async (req, res) => {
+  const { chapterId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(chapterId)) throw new BadRequestError('Invalid chapter ID');
+
+  const chapter = await setUnlockRules('chapter', chapterId, req.body.unlock);
+  res.status(200).json({
+    status: 'success',
+    message: req.body.unlock ? 'Chapter unlock rules updated' : 'Chapter unlock rules removed',
+    data: { _id: chapter._id, title: chapter.title, unlock: chapter.unlock || null },
+  });
+});
@@ -6,6 +6,8 @@ const Student = require('../models/Student');
 const Course = require('../models/Course');
 const Roles = require('../models/Roles');
 const User = require('../models/User');
+const { assertLessonUnlocked } = require('../helper/contentUnlock');
+const { BadRequestError } = require('../utils/customErrors');
 
 exports.getImageUrl = catchAsync(async (req, res) => {
     const s3 = new S3Client({
@@ -52,6 +54,8 @@ exports.markLessonCompletion = catchAsync(async (req, res) => {
     throw new BadRequestError('lessonId is required');
   }
 
+  await assertLessonUnlocked(studentId, lessonId);
+
   const updatedRecord = await LessonCompletion.findOneAndUpdate(
     { studentId, lessonId },
     { isCompleted },
@@ -74,6 +78,8 @@ exports.updateLessonCurrentTime = catchAsync(async (req, res) => {
     throw new BadRequestError('lessonId and currentTime are required');
   }
 
+  await assertLessonUnlocked(studentId, lessonId);
+
   const updatedRecord = await LessonCompletion.findOneAndUpdate(
     { studentId, lessonId },
     { currentTime },
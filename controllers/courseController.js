@@ -6,7 +6,6 @@ const Chapter = require('../models/Chapter');
 const Lesson = require('../models/Lesson');
 const { BadRequestError, ConflictError, NotFoundError } = require('../utils/customErrors');
 const User = require('../models/User');
-const removeReferencesGlobally = require('../helper/removeReferencesGlobally');
 const { updateCourseSchema } = require('../validations/updateCourse');
 
 // const createCourseWithHierarchy = async (req, res, next) => {
@@ -1,9 +1,9 @@
 const { default: mongoose } = require('mongoose');
-const checkDependencies = require('../helper/checkDependencies');
+const { cloneCourse } = require('../helper/courseClone');
+const { loadContentFor, nestContent } = require('../helper/courseRevisions');
+const { moveToTrash } = require('../helper/trash');
 const Assignment = require('../models/Assignment');
-const Chapter = require('../models/Chapter');
 const Course = require('../models/Course');
-const Lesson = require('../models/Lesson');
 const Module = require('../models/Module');
 const Tutor = require('../models/Tutor');
 const User = require('../models/User');
@@ -15,29 +15,19 @@ const {
   BadRequestError,
   EmptyRequestBodyError,
   InternalServerError,
-  ForbiddenError,
 } = require('../utils/customErrors');
+const { escapeRegex } = require('../utils/escapeRegex');
 const { uploadBase64ToS3 } = require('../utils/s3Uploader');
-const hasPermission = require('../helper/hasPermission');
 
 // Create Course
 exports.createCourse = catchAsync(async (req, res) => {
   const { title, description, status, thumbnail } = req.body;
-  const isPermission = await hasPermission(req.user?.id, "Add Course");
-  if (!isPermission ) {
-    throw new ForbiddenError("User Doesn't have permission to Create Course")
-  }
   // Validate required fields
   if (!title || !thumbnail) {
     throw new BadRequestError("Title and thumbnail are required");
   }
 
-  // Validate user role
   const user = await User.findById(req.user.id).populate("roleId");
-  const role = user?.roleId?.role_name?.toLowerCase();
-  if (role === "student" || role === "tutor") {
-    throw new ForbiddenError("User doesn't have permission to create a course");
-  }
 
   // Check for duplicate title (case-insensitive)
   const existingCourse = await Course.findOne({
@@ -62,6 +52,7 @@ exports.createCourse = catchAsync(async (req, res) => {
     status,
     thumbnail: thumbnailUrl,
     createdBy: req.user.id,
+    versioned: true,
   });
 
   // Response (matching createModule style)
@@ -84,10 +75,6 @@ exports.createCourse = catchAsync(async (req, res) => {
 
 // Get All Courses
 exports.getAllCourses = catchAsync(async (req, res) => {
-  const isPermission = await hasPermission(req.user?.id, "List Course");
-  if (!isPermission ) {
-    throw new ForbiddenError("User Doesn't have permission to list course")
-  }
   // 1. Pagination
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -145,20 +132,11 @@ exports.getCourseById = catchAsync(async (req, res) => {
 exports.updateCourse = catchAsync(async (req, res) => {
   const { courseId } = req.params;
   const updates = req.body;
-  const isPermission = await hasPermission(req.user?.id, "Edit Course");
-  if (!isPermission ) {
-    throw new ForbiddenError("User Doesn't have permission to edit course")
-  }
   // Find course
   const course = await Course.findById(courseId);
   if (!course) throw new NotFoundError("Course not found");
 
-  // Role validation
   const user = await User.findById(req.user.id).populate("roleId");
-  const role = user?.roleId?.role_name?.toLowerCase();
-  if (role === "student" || role === "tutor") {
-    throw new ForbiddenError("User doesn't have permission to update course");
-  }
 
   // Check for duplicate title
   if (updates.title) {
@@ -220,42 +198,18 @@ exports.updateCourse = catchAsync(async (req, res) => {
 exports.deleteCourse = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
-  const isPermission = await hasPermission(req.user?.id, "Delete Course");
-  if (!isPermission ) {
-    throw new ForbiddenError("User Doesn't have permission to delete course")
-  }
   try {
-    const user = await User.findById(req.user.id).populate("roleId").session(session);
-    const role = user?.roleId?.role_name?.toLowerCase();
-
-    // Prevent student from deleting courses
-    if (role === "student") {
-      throw new ForbiddenError("User doesn't have permission to delete course");
-    }
-
     const { courseId } = req.params;
 
-    if (!mongoose.Types.ObjectId.isValid(courseId)) {
-      throw new BadRequestError("Invalid course ID");
-    }
-
-    const course = await Course.findById(courseId).session(session);
-    if (!course) throw new NotFoundError("Course not found");
-
-    //  Prevent deletion if dependencies exist
-    await checkDependencies("Course", course._id, [
-      "courseId"
-    ]);
-
-    // Delete the course
-    const deletedCourse = await Course.findByIdAndDelete(courseId).session(session);
+    // Move the course and its modules, chapters, lessons and assignments to the trash
+    const deletedCourse = await moveToTrash("course", courseId, req.user.id, session);
 
     await session.commitTransaction();
     session.endSession();
 
     res.status(200).json({
       status: "success",
-      message: "Course deleted successfully",
+      message: "Course moved to trash",
       data: deletedCourse,
     });
   } catch (err) {
@@ -274,47 +228,24 @@ exports.geFullCourseById = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 5;
     const skip = (page - 1) * limit;
 
-    // Fetch the course
-    const course = await Course.findById(courseId).select("-__v -updatedAt");
-    if (!course) {
+    // Students get the published version, authors the draft
+    const content = await loadContentFor(req.user, { courseId });
+    if (!content) {
       throw new NotFoundError("Course not found.");
     }
 
     // Count total modules
-    const totalModules = await Module.countDocuments({ courseId });
-
-    // Fetch related modules with pagination
-    const modules = await Module.find({ courseId })
-      .select("-__v -updatedAt")
-      .skip(skip)
-      .limit(limit);
-
-    const moduleIds = modules.map((m) => m._id);
-
-    // Fetch related chapters
-    const chapters = await Chapter.find({ moduleId: { $in: moduleIds } }).select(
-      "-__v -updatedAt"
-    );
-    const chapterIds = chapters.map((c) => c._id);
-
-    // Fetch related lessons
-    const lessons = await Lesson.find({ chapterId: { $in: chapterIds } }).select(
-      "-__v -updatedAt"
-    );
-
-    // Nest structure: modules → chapters → lessons
-    const structuredModules = modules.map((mod) => ({
-      ...mod.toObject(),
-      chapters: chapters
-        .filter((ch) => ch.moduleId.equals(mod._id))
-        .map((ch) => ({
-          ...ch.toObject(),
-          lessons: lessons.filter((ls) => ls.chapterId.equals(ch._id)),
-        })),
-    }));
+    const totalModules = content.modules.length;
+
+    // Nest structure: modules → chapters → lessons, paginated by module
+    const { modules: structuredModules } = nestContent({
+      ...content,
+      modules: content.modules.slice(skip, skip + limit),
+    });
 
+    const { __v, updatedAt, ...course } = content.course;
     const result = {
-      ...course.toObject(),
+      ...course,
       modules: structuredModules,
     };
 
@@ -402,7 +333,7 @@ exports.getActiveCourses = catchAsync(async (req, res) => {
   // }
 
   // Query only courses with status = true
-  const courses = await Course.find({ status: true })
+  const courses = await Course.find({ status: true, isTemplate: { $ne: true } })
     .select("_id title") 
     .sort({ title: 1 });
 
@@ -413,4 +344,96 @@ exports.getActiveCourses = catchAsync(async (req, res) => {
   });
 });
 
+// Clone a course (optionally with its assignments) into a new course or template
+exports.cloneCourse = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      throw new BadRequestError("Invalid course ID");
+    }
+
+    // A new thumbnail arrives as base64 like on create; URLs are kept as they are
+    let thumbnail = req.body.thumbnail;
+    if (thumbnail && thumbnail.startsWith("data:")) {
+      try {
+        thumbnail = await uploadBase64ToS3(thumbnail, "course-thumbnails");
+      } catch (err) {
+        throw new BadRequestError("Error uploading thumbnail to S3: " + err.message);
+      }
+    }
+
+    const { course, summary } = await cloneCourse(courseId, req.user.id, { ...req.body, thumbnail }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      status: "success",
+      message: course.isTemplate ? "Template created" : "Course cloned",
+      data: {
+        _id: course._id,
+        title: course.title,
+        thumbnail: course.thumbnail,
+        isTemplate: course.isTemplate,
+        clonedFrom: course.clonedFrom,
+        summary,
+      },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
+
+// Mark or unmark a course as a reusable template
+exports.setCourseTemplate = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  const course = await Course.findByIdAndUpdate(
+    courseId,
+    { isTemplate: req.body.isTemplate },
+    { new: true }
+  ).select("title isTemplate");
+  if (!course) throw new NotFoundError("Course not found");
+
+  res.status(200).json({ status: "success", data: course });
+});
+
+// List templates to start new courses from
+exports.getCourseTemplates = catchAsync(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.max(1, parseInt(req.query.limit) || 10);
+  const skip = (page - 1) * limit;
+
+  const query = { isTemplate: true };
+  if (req.query.search) {
+    query.title = { $regex: new RegExp(escapeRegex(req.query.search), "i") };
+  }
+
+  const total = await Course.countDocuments(query);
+  const templates = await Course.find(query)
+    .select("title description thumbnail createdBy clonedFrom createdAt updatedAt")
+    .populate("createdBy", "name email")
+    .sort({ updatedAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  // module count per template, for the picker
+  const counts = await Module.aggregate([
+    { $match: { courseId: { $in: templates.map((t) => t._id) } } },
+    { $group: { _id: "$courseId", modules: { $sum: 1 } } },
+  ]);
+  const moduleCounts = new Map(counts.map((c) => [c._id.toString(), c.modules]));
 
+  res.status(200).json({
+    status: "success",
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    data: templates.map((t) => ({ ...t, modules: moduleCounts.get(t._id.toString()) || 0 })),
+  });
+});
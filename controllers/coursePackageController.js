@@ -0,0 +1,142 @@
+const fs = require('fs/promises');
+const mongoose = require('mongoose');
+const {
+  buildCoursePackage,
+  packageToZip,
+  parseCoursePackage,
+  planCourseImport,
+  importCoursePackage,
+} = require('../helper/coursePackage');
+const {
+  resolvePackagePath,
+  readContentPackage,
+  describeContentPackage,
+  uploadPackageAssets,
+  removePackageAssets,
+  createPackageRecords,
+} = require('../helper/contentPackageImport');
+const Course = require('../models/Course');
+const catchAsync = require('../utils/catchAsync');
+const { BadRequestError, EmptyRequestBodyError, NotFoundError } = require('../utils/customErrors');
+const { importOptionsSchema, contentPackageImportSchema } = require('../validations/coursePackageValidation');
+
+const fileSlug = (title) =>
+  String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+
+// Export a course as a package: ZIP by default, ?format=json for the bare manifest
+exports.exportCourse = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(courseId)) throw new BadRequestError('Invalid course ID');
+
+  const format = req.query.format || 'zip';
+  if (!['zip', 'json'].includes(format)) throw new BadRequestError('format must be "zip" or "json"');
+
+  const pkg = await buildCoursePackage(courseId);
+  const filename = `${fileSlug(pkg.course.title)}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'json') {
+    return res.status(200).json(pkg);
+  }
+  res.setHeader('Content-Type', 'application/zip');
+  res.status(200).send(packageToZip(pkg));
+});
+
+// Import a package (multipart "package" file or the JSON as body).
+// ?dryRun=true only reports what would be created and any conflicts.
+exports.importCourse = async (req, res, next) => {
+  let session;
+  try {
+    const { error, value: options } = importOptionsSchema.validate(req.query);
+    if (error) throw error;
+
+    const input = req.file ? req.file.buffer : req.body;
+    if (!input || (!req.file && !Object.keys(input).length)) throw new EmptyRequestBodyError();
+    const pkg = parseCoursePackage(input);
+
+    if (options.dryRun) {
+      const plan = await planCourseImport(pkg, options);
+      return res.status(200).json({
+        status: 'success',
+        message: plan.conflicts.length ? 'The package has conflicts' : 'The package can be imported',
+        data: { dryRun: true, canImport: !plan.conflicts.length, ...plan },
+      });
+    }
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { course, summary, ids } = await importCoursePackage(pkg, req.user.id, options, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Course imported',
+      data: { _id: course._id, title: course.title, summary, ids },
+    });
+  } catch (err) {
+    if (session) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    next(err);
+  }
+};
+
+// Import a SCORM 1.2 / IMS Common Cartridge package into an existing course.
+// The package is a multipart "package" upload or ?file=<name> of a package
+// already in uploads/packages. ?dryRun=true reports the mapping only.
+exports.importContentPackage = async (req, res, next) => {
+  let session;
+  let committed = false;
+  let assetUrls = new Map();
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) throw new BadRequestError('Invalid course ID');
+
+    const { error, value: options } = contentPackageImportSchema.validate(req.query);
+    if (error) throw error;
+    if (!req.file && !options.file) throw new BadRequestError('Upload a package or pass the name of one in local storage');
+
+    if (!(await Course.exists({ _id: courseId }))) throw new NotFoundError('Course not found');
+
+    const pkg = await readContentPackage(req.file ? req.file.path : resolvePackagePath(options.file));
+    const report = describeContentPackage(pkg);
+    if (options.dryRun || !report.summary.lessons) {
+      return res.status(200).json({
+        status: 'success',
+        message: report.summary.lessons ? 'Dry run: nothing was imported' : 'The package has no content that can be imported',
+        data: { dryRun: true, ...report },
+      });
+    }
+
+    assetUrls = await uploadPackageAssets(pkg, courseId);
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    const { modules, renamed } = await createPackageRecords(pkg, assetUrls, courseId, req.user.id, session);
+
+    await session.commitTransaction();
+    committed = true;
+    session.endSession();
+
+    res.status(201).json({
+      status: 'success',
+      message: `Imported ${report.summary.lessons} lesson(s) into ${modules.length} module(s)`,
+      data: { ...report, modules, renamed },
+    });
+  } catch (err) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    if (!committed) await removePackageAssets(assetUrls);
+    next(err);
+  } finally {
+    // uploads are only needed for this request; packages dropped into storage stay
+    if (req.file) await fs.rm(req.file.path, { force: true });
+  }
+};
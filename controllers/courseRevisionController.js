@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const CourseRevision = require('../models/CourseRevision');
+const {
+  loadDraftContent,
+  loadPublishedContent,
+  loadVersion,
+  diffContent,
+  nestContent,
+  publishCourse,
+  rollbackCourse,
+} = require('../helper/courseRevisions');
+const { announcePublishedLessons } = require('../helper/publishSchedule');
+const catchAsync = require('../utils/catchAsync');
+const { BadRequestError, NotFoundError } = require('../utils/customErrors');
+
+const assertCourseId = (courseId) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) throw new BadRequestError('Invalid course ID');
+};
+
+// Preview the draft as students would see it once published
+exports.previewCourse = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  assertCourseId(courseId);
+
+  const draft = await loadDraftContent(courseId);
+  if (!draft) throw new NotFoundError('Course not found');
+
+  res.status(200).json({ status: 'success', data: nestContent(draft) });
+});
+
+// Publish the draft as a new revision
+exports.publishCourse = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { courseId } = req.params;
+    assertCourseId(courseId);
+
+    // what students saw so far, to tell them about the lessons this version adds
+    const before = await loadPublishedContent({ courseId });
+    const revision = await publishCourse(courseId, req.user.id, { note: req.body?.note }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    announcePublishedLessons(courseId, before?.lessons || []).catch((err) => console.error(`Lessons of version ${revision.number} not announced:`, err));
+
+    res.status(201).json({
+      status: 'success',
+      message: `Version ${revision.number} published`,
+      data: { _id: revision._id, number: revision.number, note: revision.note, createdAt: revision.createdAt },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
+
+// Revision history, newest first (without the snapshots themselves)
+exports.listRevisions = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  assertCourseId(courseId);
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+  const total = await CourseRevision.countDocuments({ courseId });
+  const revisions = await CourseRevision.find({ courseId })
+    .select('number current note restoredFrom publishedBy createdAt')
+    .populate('publishedBy', 'name email')
+    .sort({ number: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    data: revisions,
+  });
+});
+
+// One revision's full content
+exports.getRevision = catchAsync(async (req, res) => {
+  const { courseId, number } = req.params;
+  assertCourseId(courseId);
+
+  const content = await loadVersion(courseId, number);
+  res.status(200).json({ status: 'success', data: { version: content.version, course: nestContent(content) } });
+});
+
+// ?from=<number|draft>&to=<number|draft>; defaults to published vs draft
+exports.diffRevisions = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  assertCourseId(courseId);
+
+  let { from, to = 'draft' } = req.query;
+  if (!from) {
+    const current = await CourseRevision.findOne({ courseId, current: true }).select('number').lean();
+    if (!current) throw new BadRequestError('This course has not been published yet; pass "from" explicitly.');
+    from = String(current.number);
+  }
+
+  const [before, after] = [await loadVersion(courseId, from), await loadVersion(courseId, to)];
+  res.status(200).json({
+    status: 'success',
+    data: { from: before.version, to: after.version, ...diffContent(before, after) },
+  });
+});
+
+// Reset the draft to an older revision and publish it
+exports.rollbackCourse = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { courseId } = req.params;
+    assertCourseId(courseId);
+    const number = parseInt(req.params.number);
+    if (!Number.isInteger(number)) throw new BadRequestError('Invalid revision number');
+
+    const revision = await rollbackCourse(courseId, number, req.user.id, { note: req.body?.note }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      status: 'success',
+      message: `Rolled back to version ${number}; published as version ${revision.number}`,
+      data: { _id: revision._id, number: revision.number, restoredFrom: number, createdAt: revision.createdAt },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
@@ -0,0 +1,180 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Invitation = require("../models/Invitation");
+const User = require("../models/User");
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  InternalServerError,
+} = require("../utils/customErrors");
+const { hashToken } = require("../helper/sessionManager");
+const { renewInvitation, sendInvitation } = require("../helper/invitations");
+const { PASSWORD_HISTORY_FIELD, setUserPassword } = require("../helper/passwordPolicy");
+const { recordAudit } = require("../helper/auditLog");
+const { escapeRegex } = require("../utils/escapeRegex");
+
+const stateFilter = (state, now = new Date()) => {
+  switch (state) {
+    case "accepted":
+      return { acceptedAt: { $ne: null } };
+    case "revoked":
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case "expired":
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    case "all":
+      return {};
+    default:
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+  }
+};
+
+const loadInvitation = async (invitationId) => {
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new BadRequestError("Invalid invitationId format.");
+  }
+  const invitation = await Invitation.findById(invitationId);
+  if (!invitation) throw new NotFoundError("Invitation not found.");
+  return invitation;
+};
+
+// ==========================
+// ACCEPT (public)
+// ==========================
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      throw new BadRequestError("Invalid or expired invitation.");
+    }
+    if (decoded.purpose !== "invite" || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+      throw new BadRequestError("Invalid or expired invitation.");
+    }
+
+    const inviteFilter = { _id: decoded.id, tokenHash: hashToken(token), ...stateFilter("pending") };
+    const invitation = await Invitation.findOne(inviteFilter);
+    if (!invitation) throw new BadRequestError("Invalid or expired invitation.");
+
+    const user = await User.findById(invitation.userId).select(PASSWORD_HISTORY_FIELD);
+    if (!user) throw new BadRequestError("Invalid or expired invitation.");
+
+    // the placeholder hash set at creation isn't worth keeping in the history
+    user.passwordHash = undefined;
+    await setUserPassword(user, password);
+
+    // claim the invitation atomically so the link works only once
+    const claimed = await Invitation.findOneAndUpdate(inviteFilter, { $set: { acceptedAt: new Date() } });
+    if (!claimed) throw new BadRequestError("Invalid or expired invitation.");
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: "auth.invite_accepted",
+      entityType: "User",
+      entityId: user._id,
+      actor: user._id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Account activated. You can now log in.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// LIST (admin)
+// ==========================
+const listInvitations = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, parseInt(req.query.limit) || 10);
+    const skip = (page - 1) * limit;
+
+    const query = stateFilter(req.query.status);
+    if (req.query.role) query.role = req.query.role;
+    if (req.query.search) query.email = { $regex: escapeRegex(req.query.search), $options: "i" };
+
+    const total = await Invitation.countDocuments(query);
+    const invitations = await Invitation.find(query)
+      .populate("userId", "name email phone status")
+      .populate("invitedBy", "name email")
+      .select("-tokenHash")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      message: "Invitations fetched successfully",
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: invitations,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// RESEND (admin)
+// ==========================
+const resendInvitation = async (req, res, next) => {
+  try {
+    const invitation = await loadInvitation(req.params.invitationId);
+    if (invitation.acceptedAt) throw new ConflictError("Invitation has already been accepted.");
+    if (invitation.revokedAt) throw new BadRequestError("Invitation has been revoked.");
+
+    const user = await User.findById(invitation.userId).select("name email");
+    if (!user) throw new NotFoundError("Invited user no longer exists.");
+
+    // a fresh link and expiry; the previously emailed link stops working
+    const token = await renewInvitation(invitation);
+    const sent = await sendInvitation(invitation, user, token);
+    if (!sent) throw new InternalServerError("Could not send the invitation email.");
+
+    await recordAudit(req, { action: "invite.resent", entityType: "Invitation", entityId: invitation._id });
+
+    res.status(200).json({
+      status: "success",
+      message: "Invitation resent.",
+      data: { id: invitation._id, expiresAt: invitation.expiresAt },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// REVOKE (admin)
+// ==========================
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await loadInvitation(req.params.invitationId);
+    if (invitation.acceptedAt) throw new ConflictError("Invitation has already been accepted.");
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+      await recordAudit(req, { action: "invite.revoked", entityType: "Invitation", entityId: invitation._id });
+    }
+
+    res.status(200).json({ status: "success", message: "Invitation revoked." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  acceptInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+};
@@ -3,27 +3,27 @@ const Lesson = require('../models/Lesson');
 const Chapter = require('../models/Chapter');
 const Module = require('../models/Module');
 const Course = require('../models/Course');
-const { NotFoundError, ConflictError, ForbiddenError, BadRequestError, InternalServerError } = require('../utils/customErrors');
-const removeReferencesGlobally = require('../helper/removeReferencesGlobally');
+const { NotFoundError, ConflictError, BadRequestError, InternalServerError } = require('../utils/customErrors');
 const User = require('../models/User');
 const Student = require('../models/Student');
 const Tutor = require('../models/Tutor');
 const LessonCompletion = require('../models/LessonCompletion');
-const hasPermission = require('../helper/hasPermission');
 const catchAsync = require('../utils/catchAsync');
-const checkDependencies = require('../helper/checkDependencies');
+const { moveToTrash } = require('../helper/trash');
+const { reorderChildren } = require('../helper/contentOrder');
+const { isLive, loadContentFor, loadStudentContent } = require('../helper/courseRevisions');
+const { evaluateUnlocks, setUnlockRules } = require('../helper/contentUnlock');
 const { sendNotificationToStudent } = require('../utils/sendNotificationToUser');
+const { staleContentFields } = require('../utils/lessonContent');
+const { addCaptionTrack, removeCaptionTrack, syncLessonTranscripts, searchTranscripts } = require('../helper/transcripts');
+const LessonTranscript = require('../models/LessonTranscript');
+const { transcriptQuerySchema, transcriptSearchSchema } = require('../validations/transcriptValidation');
 
 exports.createLessons = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const isPermission = await hasPermission(req.user?.id, "Add Lesson");
-    if (!isPermission) {
-      throw new ForbiddenError("User Doesn't have permission to create lesson");
-    }
-
     const { courseId, moduleId, chapterId, lessons } = req.body;
 
     // Check Course, Module, Chapter
@@ -36,9 +36,21 @@ exports.createLessons = async (req, res, next) => {
     const chapter = await Chapter.findOne({ _id: chapterId, moduleId }).session(session);
     if (!chapter) throw new Error("Invalid Chapter ID");
 
+    // Lessons scheduled for later (or under a scheduled chapter/module) are
+    // announced by the publishing cron when they go live. In a versioned
+    // course they are announced when the next revision is published.
+    const now = new Date();
+    const parentsLive = !course.versioned && isLive(module, now) && isLive(chapter, now);
+
     // Insert lessons
-    const lessonDocs = lessons.map((lesson) => ({ ...lesson, chapterId, createdBy: req.user.id }));
+    const lessonDocs = lessons.map((lesson) => ({
+      ...lesson,
+      chapterId,
+      createdBy: req.user.id,
+      publishNotifiedAt: parentsLive && isLive(lesson, now) ? now : null,
+    }));
     const savedLessons = await Lesson.insertMany(lessonDocs, { session });
+    const liveLessons = savedLessons.filter((lesson) => lesson.publishNotifiedAt);
 
     // Get students in the course
     const students = await Student.find({ courseId }).select("userId").session(session).lean();
@@ -49,14 +61,21 @@ exports.createLessons = async (req, res, next) => {
     session.endSession();
 
     // After commit, send notifications
-    const lessonTitles = lessons.map(l => l.title).join(", ");
-    const notificationMessage = `New lesson(s) added: ${lessonTitles}`;
+    if (liveLessons.length) {
+      const lessonTitles = liveLessons.map(l => l.title).join(", ");
+      const notificationMessage = `New lesson(s) added: ${lessonTitles}`;
+
+      await Promise.all(
+        studentIds.map((userId) =>
+          sendNotificationToStudent(userId, "New Lessons Added", notificationMessage)
+        )
+      );
+    }
 
-    await Promise.all(
-      studentIds.map((userId) =>
-        sendNotificationToStudent(userId, "New Lessons Added", notificationMessage)
-      )
-    );
+    for (const lesson of savedLessons.filter((l) => l.video?.captions?.length)) {
+      const failed = await syncLessonTranscripts(lesson);
+      if (failed.length) console.error(`Transcripts not created for lesson ${lesson._id}:`, failed);
+    }
 
     return res.status(201).json({
       success: true,
@@ -78,15 +97,7 @@ exports.createLessons = async (req, res, next) => {
 exports.updateSingleLesson = async (req, res, next) => {
 
   try {
-    const isPermission = await hasPermission(req.user?.id, "Edit Lesson");
-    if (!isPermission) {
-      throw new ForbiddenError("User Doesn't have permission to edit lesson")
-    }
     const { lessonId } = req.params
-    const user = await User.findById(req.user.id).populate('roleId');
-    if (user?.roleId?.role_name == "Student") {
-      throw new ForbiddenError("Student can't update the lesson");
-    }
     const data = {
       createdBy: req.user.id,
       ...req.body
@@ -98,16 +109,33 @@ exports.updateSingleLesson = async (req, res, next) => {
       return res.status(404).json({ error: "Lesson not found" });
     }
 
+    // A new content type drops the fields of the old one; the result must
+    // still be a complete lesson of that type
+    const unset = {};
+    if (data.contentType) {
+      staleContentFields(data.contentType)
+        .filter((field) => data[field] === undefined && lesson[field] !== undefined)
+        .forEach((field) => (unset[field] = 1));
+      const merged = new Lesson({ ...lesson.toObject(), ...data });
+      Object.keys(unset).forEach((field) => merged.set(field, undefined));
+      const invalid = merged.validateSync();
+      if (invalid) throw invalid;
+    }
+
     // Update lesson
     const updatedLesson = await Lesson.findByIdAndUpdate(
       lessonId,
-      { $set: data },
+      Object.keys(unset).length ? { $set: data, $unset: unset } : { $set: data },
       { new: true, runValidators: true }
     );
 
+    // captions set directly (not through /captions) still need their transcripts
+    const transcriptErrors = data.video || data.contentType ? await syncLessonTranscripts(updatedLesson) : [];
+
     return res.status(200).json({
       message: "Lesson updated successfully",
       lesson: updatedLesson,
+      ...(transcriptErrors.length && { transcriptErrors }),
     });
   } catch (err) {
     console.error("Update Lesson Error:", err);
@@ -115,41 +143,35 @@ exports.updateSingleLesson = async (req, res, next) => {
   }
 };
 
-exports.deleteLesson = catchAsync(async (req, res) => {
-  const { lessonId } = req.params;
-
-  // Permission check
-  const isPermission = await hasPermission(req.user?.id, "Delete Lesson");
-  if (!isPermission) {
-    throw new ForbiddenError("User doesn't have permission to delete lesson");
-  }
-
-  // Validate ObjectId
-  if (!mongoose.Types.ObjectId.isValid(lessonId)) {
-    throw new NotFoundError("Invalid lesson ID");
-  }
+exports.deleteLesson = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { lessonId } = req.params;
 
-  //  Check if lesson exists
-  const lesson = await Lesson.findById(lessonId);
-  if (!lesson) {
-    throw new NotFoundError("Lesson not found");
-  }
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(lessonId)) {
+      throw new NotFoundError("Invalid lesson ID");
+    }
 
-  // Example: Lessons might be referenced in Chapters, Assignments, or Attendance
-  await checkDependencies("Chapter", lessonId, ["lessonId"]);
-  await checkDependencies("Assignment", lessonId, ["lessonId"]);
-  await checkDependencies("Attendance", lessonId, ["lessonId"]);
+    //  Move the lesson (and its assignments) to the trash
+    const deletedLesson = await moveToTrash("lesson", lessonId, req.user.id, session);
 
-  //  Delete the lesson
-  const deletedLesson = await Lesson.findByIdAndDelete(lessonId);
+    await session.commitTransaction();
+    session.endSession();
 
-  //  Send response
-  res.status(200).json({
-    status: "success",
-    message: "Lesson deleted successfully",
-    data: deletedLesson,
-  });
-});
+    //  Send response
+    res.status(200).json({
+      status: "success",
+      message: "Lesson moved to trash",
+      data: deletedLesson,
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
 
 exports.getLessonById = async (req, res, next) => {
   try {
@@ -159,19 +181,16 @@ exports.getLessonById = async (req, res, next) => {
       throw new NotFoundError('Invalid lesson ID');
     }
 
-    // Fetch lesson and populate related chapter
-    const lesson = await Lesson.findById(lessonId)
-      .select('-__v -updatedAt')
-      .lean();
+    // Students see the published version, authors the draft
+    const content = await loadContentFor(req.user, { lessonId });
+    const lesson = content?.lessons.find((l) => l._id.toString() === lessonId);
 
     if (!lesson) {
       throw new NotFoundError('Lesson not found');
     }
 
-    // Fetch the chapter to get moduleId
-    const chapter = await Chapter.findById(lesson.chapterId)
-      .select('moduleId')
-      .lean();
+    // Find the chapter to get moduleId
+    const chapter = content.chapters.find((c) => c._id.toString() === lesson.chapterId.toString());
 
     // Attach moduleId if found
     const moduleId = chapter?.moduleId || null;
@@ -227,16 +246,16 @@ exports.getLessonsByChapterIdForTutor = async (req, res, next) => {
       throw new BadRequestError("Invalid Chapter ID");
     }
 
-    // Ensure chapter exists
-    const chapter = await Chapter.findById(chapterId).lean();
+    // Tutors work on the draft, like the lessons listed below
+    const content = await loadContentFor(req.user, { chapterId });
+    const chapter = content?.chapters.find((c) => c._id.toString() === chapterId);
     if (!chapter) throw new NotFoundError("Chapter not found");
 
-    // Fetch related module & course
-    const moduleData = await Module.findById(chapter.moduleId).lean();
+    // Related module & course
+    const moduleData = content.modules.find((m) => m._id.toString() === chapter.moduleId.toString());
     if (!moduleData) throw new NotFoundError("Module not found");
 
-    const courseData = await Course.findById(moduleData.courseId).lean();
-    if (!courseData) throw new NotFoundError("Course not found");
+    const courseData = content.course;
 
     const tutor = await Tutor.findOne({ userId: tutorId }).populate("userId", "status name email");
     if (!tutor) {
@@ -299,16 +318,16 @@ exports.getLessonsByChapterIdForStudent = async (req, res, next) => {
       throw new InternalServerError("Invalid Chapter ID");
     }
 
-    // Ensure chapter exists
-    const chapter = await Chapter.findById(chapterId).lean();
+    // Ensure chapter exists in the published version of its course and is live
+    const content = await loadStudentContent({ chapterId });
+    const chapter = content?.chapters.find((c) => c._id.toString() === chapterId);
     if (!chapter) throw new NotFoundError("Chapter not found");
 
-    // Fetch related module & course
-    const moduleData = await Module.findById(chapter.moduleId).lean();
+    // Related module & course
+    const moduleData = content.modules.find((m) => m._id.toString() === chapter.moduleId.toString());
     if (!moduleData) throw new NotFoundError("Module not found");
 
-    const courseData = await Course.findById(moduleData.courseId).lean();
-    if (!courseData) throw new NotFoundError("Course not found");
+    const courseData = content.course;
 
     const student = await Student.findOne({ userId: studentId }).populate("userId", "status name email");
     if (!student) {
@@ -328,14 +347,11 @@ exports.getLessonsByChapterIdForStudent = async (req, res, next) => {
     const limitNum = Math.max(1, parseInt(limit));
     const skip = (pageNum - 1) * limitNum;
 
-    // Fetch lessons for chapter
-    const lessons = await Lesson.find({ chapterId })
-      .sort({ orderIndex: 1 })
-      .skip(skip)
-      .limit(limitNum)
-      .lean();
+    // Lessons for chapter
+    const chapterLessons = content.lessons.filter((l) => l.chapterId.toString() === chapterId);
+    const lessons = chapterLessons.slice(skip, skip + limitNum);
 
-    const totalLessons = await Lesson.countDocuments({ chapterId });
+    const totalLessons = chapterLessons.length;
 
     // Fetch completed lessons for the student
     const completed = await LessonCompletion.find({
@@ -346,10 +362,13 @@ exports.getLessonsByChapterIdForStudent = async (req, res, next) => {
 
     const completedLessonIds = new Set(completed.map((c) => c.lessonId.toString()));
 
+    const unlocks = await evaluateUnlocks(content, { userId: studentId, enrollmentDate: student.enrollmentDate });
+
     // Build final response
     const data = lessons.map((lesson) => ({
       ...lesson,
       isCompleted: completedLessonIds.has(lesson._id.toString()),
+      ...unlocks.get(lesson._id.toString()),
       chapterId: chapter._id,
       moduleId: moduleData._id,
       courseId: courseData._id,
@@ -370,11 +389,6 @@ exports.getLessonsByChapterIdForStudent = async (req, res, next) => {
 
 exports.getAllLessons = async (req, res, next) => {
   try {
-    const isPermission = await hasPermission(req.user?.id, "List Lesson");
-    if (!isPermission) {
-      throw new ForbiddenError("User Doesn't have permission to list lesson");
-    }
-
     const {
       chapterId,
       createdBy,
@@ -521,3 +535,103 @@ exports.getAllLessons = async (req, res, next) => {
 //   }
 // };
 
+// Reorder the lessons of a chapter; lessons listed from another chapter of the course are moved here
+exports.reorderLessons = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { chapterId, lessonIds } = req.body;
+    const lessons = await reorderChildren('lesson', chapterId, lessonIds, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lessons reordered',
+      data: lessons.map((l) => ({ _id: l._id, title: l.title, orderIndex: l.orderIndex, chapterId: l.chapterId })),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
+
+// Set or clear ({ unlock: null }) the unlocking rules of a lesson
+exports.updateLessonUnlockRules = catchAsync(async (req, res) => {
+  const { lessonId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(lessonId)) throw new BadRequestError('Invalid lesson ID');
+
+  const lesson = await setUnlockRules('lesson', lessonId, req.body.unlock);
+  res.status(200).json({
+    status: 'success',
+    message: req.body.unlock ? 'Lesson unlock rules updated' : 'Lesson unlock rules removed',
+    data: { _id: lesson._id, title: lesson.title, unlock: lesson.unlock || null },
+  });
+});
+
+// Add (or replace, per language) a WebVTT/SRT caption track of a video lesson
+exports.addLessonCaption = catchAsync(async (req, res) => {
+  const { lessonId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(lessonId)) throw new BadRequestError('Invalid lesson ID');
+
+  const { lesson, transcript } = await addCaptionTrack(lessonId, req.body);
+  res.status(200).json({
+    status: 'success',
+    message: `Caption track "${transcript.language}" saved`,
+    data: { captions: lesson.video.captions, cues: transcript.cues.length },
+  });
+});
+
+exports.removeLessonCaption = catchAsync(async (req, res) => {
+  const { lessonId, language } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(lessonId)) throw new BadRequestError('Invalid lesson ID');
+
+  const lesson = await removeCaptionTrack(lessonId, language);
+  res.status(200).json({
+    status: 'success',
+    message: `Caption track "${language}" removed`,
+    data: { captions: lesson.video?.captions || [] },
+  });
+});
+
+// Transcript of a lesson, one language (?language=) or all of them
+exports.getLessonTranscript = catchAsync(async (req, res) => {
+  const { lessonId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(lessonId)) throw new BadRequestError('Invalid lesson ID');
+
+  const { error, value: query } = transcriptQuerySchema.validate(req.query);
+  if (error) throw error;
+
+  // same visibility as getLessonById
+  const content = await loadContentFor(req.user, { lessonId });
+  if (!content?.lessons.some((l) => l._id.toString() === lessonId)) throw new NotFoundError('Lesson not found');
+
+  const filter = { lessonId };
+  if (query.language) filter.language = query.language;
+  const transcripts = await LessonTranscript.find(filter).select('language sourceUrl cues updatedAt').sort({ language: 1 }).lean();
+  if (!transcripts.length) throw new NotFoundError('This lesson has no transcript');
+
+  res.status(200).json({ status: 'success', data: transcripts });
+});
+
+// Where a phrase is spoken across the course's lessons, with timestamps
+exports.searchCourseTranscripts = catchAsync(async (req, res) => {
+  const { courseId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(courseId)) throw new BadRequestError('Invalid course ID');
+
+  const { error, value: query } = transcriptSearchSchema.validate(req.query);
+  if (error) throw error;
+
+  const content = await loadContentFor(req.user, { courseId });
+  if (!content) throw new NotFoundError('Course not found');
+
+  const results = await searchTranscripts(content.lessons, query.q, { language: query.language });
+  res.status(200).json({
+    status: 'success',
+    totalLessons: results.length,
+    totalMatches: results.reduce((total, result) => total + result.matches.length, 0),
+    data: results,
+  });
+});
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Module = require('../models/Module');
 const Course = require('../models/Course');
 const catchAsync = require('../utils/catchAsync');
@@ -6,25 +7,23 @@ const {
   ConflictError,
   BadRequestError,
   EmptyRequestBodyError,
-  ForbiddenError,
   UnAuthorizedError,
 } = require('../utils/customErrors');
 const Lesson = require('../models/Lesson');
 const LessonCompletion = require('../models/LessonCompletion');
 const Chapter = require('../models/Chapter');
 const User = require('../models/User');
-const checkDependencies = require('../helper/checkDependencies');
+const { moveToTrash } = require('../helper/trash');
+const { reorderChildren } = require('../helper/contentOrder');
 const ModuleCompletion = require('../models/ModuleCompletion');
 const { uploadBase64ToS3 } = require('../utils/s3Uploader');
-const hasPermission = require('../helper/hasPermission');
+const { hasRole } = require('../helper/roleCache');
+const { loadContentFor } = require('../helper/courseRevisions');
+const { unlocksForUser, setUnlockRules } = require('../helper/contentUnlock');
 
 // Create Module
 exports.createModule = catchAsync(async (req, res) => {
-  const { title, orderIndex, courseId, thumbnail } = req.body;
-  const isPermission = await hasPermission(req.user?.id, "Add Module");
-  if (!isPermission) {
-    throw new ForbiddenError("User Doesn't have permission to create module")
-  }
+  const { title, orderIndex, courseId, thumbnail, publishAt, unpublishAt } = req.body;
   if (!title || !courseId) {
     throw new BadRequestError("Title and Course ID are required");
   }
@@ -55,6 +54,8 @@ exports.createModule = catchAsync(async (req, res) => {
     title,
     orderIndex,
     thumbnail: thumbnailUrl,
+    publishAt,
+    unpublishAt,
   });
 
   //  Response
@@ -66,6 +67,8 @@ exports.createModule = catchAsync(async (req, res) => {
       title: module.title,
       orderIndex: module.orderIndex,
       thumbnail: module.thumbnail,
+      publishAt: module.publishAt,
+      unpublishAt: module.unpublishAt,
     },
   });
 });
@@ -127,31 +130,33 @@ exports.getAllModules = catchAsync(async (req, res) => {
 exports.getModuleById = catchAsync(async (req, res) => {
   const { moduleId } = req.params;
   const { page = 1, limit = 10 } = req.query; // pagination params
-  const user = await User.findById(req.user.id).populate("roleId");
+  const isStudent = await hasRole(req.user, "Student");
 
   // Validate page/limit
   const pageNum = Math.max(1, parseInt(page));
   const limitNum = Math.max(1, parseInt(limit));
   const skip = (pageNum - 1) * limitNum;
 
-  // Find the module and its course
-  const module = await Module.findById(moduleId).populate("courseId", "title");
+  // Find the module and its course (published version for students)
+  const content = await loadContentFor(req.user, { moduleId });
+  const module = content?.modules.find((mod) => mod._id.toString() === moduleId);
   if (!module) throw new NotFoundError("Module not found");
 
+  const moduleChapters = content.chapters.filter(
+    (chapter) => chapter.moduleId.toString() === moduleId
+  );
+
   // Count total chapters for pagination metadata
-  const totalChapters = await Chapter.countDocuments({ moduleId });
+  const totalChapters = moduleChapters.length;
 
-  // Fetch paginated chapters
-  const chapters = await Chapter.find({ moduleId })
-    .skip(skip)
-    .limit(limitNum)
-    .lean();
+  // Paginated chapters
+  const chapters = moduleChapters.slice(skip, skip + limitNum);
 
   let studentLessonCompletions = [];
 
   // If user is a student, fetch completed lessons and currentTime
-  if (user?.roleId?.role_name === "Student") {
-    studentLessonCompletions = await LessonCompletion.find({ studentId: user._id })
+  if (isStudent) {
+    studentLessonCompletions = await LessonCompletion.find({ studentId: req.user.id })
       .select("lessonId currentTime isCompleted")
       .lean();
 
@@ -166,7 +171,9 @@ exports.getModuleById = catchAsync(async (req, res) => {
   // For each chapter, fetch lessons and add completion status + currentTime
   const chaptersWithLessons = await Promise.all(
     chapters.map(async (chapter) => {
-      const lessons = await Lesson.find({ chapterId: chapter._id }).lean();
+      const lessons = content.lessons.filter(
+        (lesson) => lesson.chapterId.toString() === chapter._id.toString()
+      );
 
       const lessonsWithCompletion = lessons.map((lesson) => {
         const completion =
@@ -192,7 +199,7 @@ exports.getModuleById = catchAsync(async (req, res) => {
   res.status(200).json({
     status: "success",
     data: {
-      module: module.toObject(),
+      module: { ...module, courseId: { _id: content.course._id, title: content.course.title } },
       chapters: chaptersWithLessons,
       totalChapters,
       page: pageNum,
@@ -206,10 +213,6 @@ exports.getModuleById = catchAsync(async (req, res) => {
 exports.updateModule = catchAsync(async (req, res) => {
   const { moduleId } = req.params;
   const updates = req.body;
-  const isPermission = await hasPermission(req.user?.id, "Edit Module");
-  if (!isPermission) {
-    throw new ForbiddenError("User Doesn't have permission to edit module")
-  }
   // Find module
   const module = await Module.findById(moduleId);
   if (!module) throw new NotFoundError("Module not found");
@@ -320,8 +323,9 @@ exports.getModulesByCourseId = catchAsync(async (req, res) => {
     throw new UnAuthorizedError("Course ID is required");
   }
 
-  const course = await Course.findById(courseId);
-  if (!course) {
+  // students get the published version, authors the draft
+  const content = await loadContentFor(req.user, { courseId });
+  if (!content) {
     throw new NotFoundError("Course not found");
   }
 
@@ -329,30 +333,23 @@ exports.getModulesByCourseId = catchAsync(async (req, res) => {
   const pageNum = Math.max(1, parseInt(page));
   const limitNum = Math.max(1, parseInt(limit));
   const skip = (pageNum - 1) * limitNum;
-  const filter = { courseId };
-  if (search) {
-    filter.$or = [
-      { title: { $regex: search, $options: "i" } }
-    ];
-  }
+  const matchingModules = content.modules.filter(
+    (mod) => !search || mod.title?.toLowerCase().includes(search.toLowerCase())
+  );
 
   // Count total modules for pagination metadata
-  const totalModules = await Module.countDocuments(filter);
+  const totalModules = matchingModules.length;
 
-  // Fetch modules with pagination
-  let modules = await Module.find(filter)
-    .sort({ orderIndex: 1 })
-    .skip(skip)
-    .limit(limitNum)
-    .lean();
+  // Modules with pagination
+  let modules = matchingModules.slice(skip, skip + limitNum);
 
-  const moduleIds = modules.map((mod) => mod._id);
+  const moduleIds = new Set(modules.map((mod) => mod._id.toString()));
 
   // Chapters & lessons
-  const chapters = await Chapter.find({ moduleId: { $in: moduleIds } }).lean();
-  const chapterIds = chapters.map((c) => c._id);
+  const chapters = content.chapters.filter((c) => moduleIds.has(c.moduleId.toString()));
+  const chapterIds = new Set(chapters.map((c) => c._id.toString()));
 
-  const lessons = await Lesson.find({ chapterId: { $in: chapterIds } }).lean();
+  const lessons = content.lessons.filter((l) => chapterIds.has(l.chapterId.toString()));
   const lessonIds = lessons.map((l) => l._id);
 
   // Completed lessons
@@ -366,6 +363,9 @@ exports.getModulesByCourseId = catchAsync(async (req, res) => {
     lessonCompletions.map((lc) => lc.lessonId.toString())
   );
 
+  // unlocking rules only apply to students enrolled in the course
+  const unlocks = await unlocksForUser(studentId, content);
+
   // Map lessons → chapters
   const chapterLessonMap = {};
   lessons.forEach((lesson) => {
@@ -424,6 +424,7 @@ exports.getModulesByCourseId = catchAsync(async (req, res) => {
         totalTime: formatDuration(totalMinutes),
         percentCompleted: `${percentCompleted}%`,
         status: moduleStatus,
+        ...(unlocks && unlocks.get(mod._id.toString())),
       };
     })
   );
@@ -446,15 +447,56 @@ exports.getModulesByCourseId = catchAsync(async (req, res) => {
 });
 
 // Delete Module
-exports.deleteModule = catchAsync(async (req, res) => {
-  const isPermission = await hasPermission(req.user?.id, "Delete Module");
-  if (!isPermission) {
-    throw new ForbiddenError("User Doesn't have permission to delete module")
+exports.deleteModule = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { moduleId } = req.params;
+    const deletedModule = await moveToTrash("module", moduleId, req.user.id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({ status: 'success', message: 'Module moved to trash', data: deletedModule });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
   }
+};
+
+// Reorder the modules of a course
+exports.reorderModules = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { courseId, moduleIds } = req.body;
+    const modules = await reorderChildren('module', courseId, moduleIds, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Modules reordered',
+      data: modules.map((m) => ({ _id: m._id, title: m.title, orderIndex: m.orderIndex, courseId: m.courseId })),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
+
+// Set or clear ({ unlock: null }) the unlocking rules of a module
+exports.updateModuleUnlockRules = catchAsync(async (req, res) => {
   const { moduleId } = req.params;
-  const module = await Module.findById(moduleId);
-  if (!module) throw new NotFoundError('Module not found');
-  await checkDependencies("Module", moduleId, ["moduleId"]);
-  const deletedModule = await Module.findByIdAndDelete(moduleId);
-  res.status(200).json({ status: 'success', message: 'Module deleted successfully', data: deletedModule });
+  if (!mongoose.Types.ObjectId.isValid(moduleId)) throw new BadRequestError('Invalid module ID');
+
+  const module = await setUnlockRules('module', moduleId, req.body.unlock);
+  res.status(200).json({
+    status: 'success',
+    message: req.body.unlock ? 'Module unlock rules updated' : 'Module unlock rules removed',
+    data: { _id: module._id, title: module.title, unlock: module.unlock || null },
+  });
 });
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const PasswordReset = require("../models/PasswordReset");
+const { BadRequestError } = require("../utils/customErrors");
+const { sendMail } = require("../utils/mailer");
+const { hashToken, revokeAllSessions } = require("../helper/sessionManager");
+const {
+  throttleKeys,
+  assertNotThrottled,
+  registerFailure,
+  clearFailures,
+} = require("../helper/loginThrottle");
+const { recordAudit } = require("../helper/auditLog");
+const { PASSWORD_HISTORY_FIELD, setUserPassword } = require("../helper/passwordPolicy");
+
+const minutes = (name, fallback) => (parseInt(process.env[name]) || fallback) * 60 * 1000;
+
+const OTP_TTL = () => minutes("PASSWORD_RESET_OTP_TTL_MINUTES", 10);
+const TOKEN_TTL = () => minutes("PASSWORD_RESET_TOKEN_TTL_MINUTES", 15);
+const MAX_OTP_ATTEMPTS = () => parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_MS = () => (parseInt(process.env.PASSWORD_RESET_RESEND_SECONDS) || 60) * 1000;
+
+// same answer whether or not the email exists, so the endpoint can't be used to probe accounts
+const REQUEST_ACCEPTED = {
+  status: "success",
+  message: "If an account exists for this email, an OTP has been sent to it.",
+};
+
+const otpEmail = (name, otp, ttlMinutes) => `
+  <div style="font-family: Arial, sans-serif; color: #333;">
+    <h2>Password Reset Request</h2>
+    <p>Hello ${name || "there"},</p>
+    <p>Your OTP for password reset is:</p>
+    <h3 style="color:#2E86C1;">${otp}</h3>
+    <p>This OTP is valid for ${ttlMinutes} minutes and can be used once.</p>
+    <p>If you didn’t request a password reset, please ignore this email.</p>
+    <br/>
+    <p>Regards,<br/>Your App Team</p>
+  </div>
+`;
+
+// ==========================
+// REQUEST OTP
+// ==========================
+const requestPasswordReset = async (req, res, next) => {
+  try {
+    const email = req.body.email.trim().toLowerCase();
+
+    const keys = throttleKeys(req, { otp: email });
+    await assertNotThrottled(keys);
+
+    const user = await User.findOne({ email, status: true }).select("_id name email");
+    if (!user) {
+      // unknown emails count against the IP to slow down address probing
+      await registerFailure(keys.filter((k) => k.kind === "ip"), req);
+      return res.json(REQUEST_ACCEPTED);
+    }
+
+    // don't spam the inbox: a fresh request within the cooldown is a no-op
+    const recent = await PasswordReset.findOne({
+      userId: user._id,
+      invalidatedAt: null,
+      consumedAt: null,
+      createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS()) },
+    });
+    if (recent) return res.json(REQUEST_ACCEPTED);
+
+    // only the newest request stays usable
+    await PasswordReset.updateMany(
+      { userId: user._id, consumedAt: null, invalidatedAt: null },
+      { $set: { invalidatedAt: new Date() } }
+    );
+
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const now = Date.now();
+    const reset = await PasswordReset.create({
+      userId: user._id,
+      otpHash: await bcrypt.hash(otp, 10),
+      otpExpiresAt: new Date(now + OTP_TTL()),
+      requestIp: req.ip || "",
+      expiresAt: new Date(now + 24 * 60 * 60 * 1000),
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Password Reset OTP",
+        html: otpEmail(user.name, otp, Math.round(OTP_TTL() / 60000)),
+        text: `Your password reset OTP is ${otp}.`,
+      });
+    } catch (err) {
+      // an error here would tell the caller the account exists; drop the request so a retry isn't held by the cooldown
+      console.error("Password reset OTP email failed:", err.message);
+      await PasswordReset.updateOne({ _id: reset._id }, { $set: { invalidatedAt: new Date() } });
+    }
+
+    res.json(REQUEST_ACCEPTED);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// VERIFY OTP -> RESET TOKEN
+// ==========================
+const verifyPasswordResetOtp = async (req, res, next) => {
+  try {
+    const email = req.body.email.trim().toLowerCase();
+    const { otp } = req.body;
+
+    const keys = throttleKeys(req, { otp: email });
+    await assertNotThrottled(keys);
+
+    const user = await User.findOne({ email, status: true }).select("_id");
+    const reset = user
+      ? await PasswordReset.findOne({
+          userId: user._id,
+          verifiedAt: null,
+          consumedAt: null,
+          invalidatedAt: null,
+          otpExpiresAt: { $gt: new Date() },
+        }).sort({ createdAt: -1 })
+      : null;
+
+    if (!reset) {
+      await registerFailure(keys, req, user?._id);
+      throw new BadRequestError("Invalid or expired OTP.");
+    }
+
+    const isMatch = await bcrypt.compare(String(otp), reset.otpHash);
+    if (!isMatch) {
+      reset.attempts += 1;
+      if (reset.attempts >= MAX_OTP_ATTEMPTS()) {
+        reset.invalidatedAt = new Date();
+      }
+      await reset.save();
+      await registerFailure(keys, req, user._id);
+      throw new BadRequestError(
+        reset.invalidatedAt
+          ? "Too many invalid attempts. Please request a new OTP."
+          : "Invalid or expired OTP."
+      );
+    }
+
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    reset.verifiedAt = new Date();
+    reset.resetTokenHash = hashToken(resetToken);
+    reset.resetTokenExpiresAt = new Date(Date.now() + TOKEN_TTL());
+    await reset.save();
+    await clearFailures(keys);
+
+    res.json({
+      status: "success",
+      message: "OTP verified successfully",
+      resetToken,
+      expiresAt: reset.resetTokenExpiresAt,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// SET NEW PASSWORD
+// ==========================
+const confirmPasswordReset = async (req, res, next) => {
+  try {
+    const { resetToken, newPassword } = req.body;
+    const tokenFilter = {
+      resetTokenHash: hashToken(resetToken),
+      consumedAt: null,
+      invalidatedAt: null,
+      resetTokenExpiresAt: { $gt: new Date() },
+    };
+
+    const reset = await PasswordReset.findOne(tokenFilter);
+    if (!reset) throw new BadRequestError("Invalid or expired reset token.");
+
+    const user = await User.findById(reset.userId).select(PASSWORD_HISTORY_FIELD);
+    if (!user || !user.status) throw new BadRequestError("Invalid or expired reset token.");
+
+    // policy + reuse checks before the token is spent
+    await setUserPassword(user, newPassword);
+
+    // claim the token atomically so it can only ever be used once
+    const claimed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, ...tokenFilter },
+      { $set: { consumedAt: new Date() } }
+    );
+    if (!claimed) throw new BadRequestError("Invalid or expired reset token.");
+
+    await user.save();
+
+    // a reset usually means the old password is compromised
+    await revokeAllSessions(user._id, "revoked");
+    await recordAudit(req, {
+      action: "auth.password_reset",
+      entityType: "User",
+      entityId: user._id,
+      actor: user._id,
+    });
+
+    res.json({ status: "success", message: "Password reset successfully" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  requestPasswordReset,
+  verifyPasswordResetOtp,
+  confirmPasswordReset,
+};
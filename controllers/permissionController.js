@@ -3,6 +3,7 @@ const Permission = require('../models/Permission');
 const catchAsync = require('../utils/catchAsync'); // adjust path accordingly
 const { InternalServerError } = require('../utils/customErrors');
 const Roles = require('../models/Roles');
+const { invalidateAllRoles } = require('../helper/roleCache');
 
 // Create permission
 exports.createPermission = catchAsync(async (req, res) => {
@@ -70,6 +71,8 @@ exports.updatePermission = catchAsync(async (req, res) => {
   if (!permission) {
     return res.status(404).json({ status: 'error', message: 'Permission not found' });
   }
+  // cached roles hold permission names, so a rename must drop them
+  invalidateAllRoles();
 
   res.json({ status: 'success', data: permission });
 });
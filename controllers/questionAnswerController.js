@@ -5,13 +5,13 @@ import catchAsync from "../utils/catchAsync.js";
 import {
   NotFoundError,
   BadRequestError,
-  ForbiddenError,
   InternalServerError,
 } from "../utils/customErrors.js";
 import Module from "../models/Module.js";
 import mongoose from "mongoose";
 import Student from "../models/Student.js";
 import Tutor from "../models/Tutor.js";
+import { getAccessScope } from "../helper/resourceScope.js";
 
 // Student asking a question
 export const askQuestion = catchAsync(async (req, res) => {
@@ -22,14 +22,6 @@ export const askQuestion = catchAsync(async (req, res) => {
     throw new BadRequestError("Question and lessonId are required");
   }
 
-  // Check if user is a student
-  const student = await User.findById(studentId).populate("roleId");
-  const role = student?.roleId?.role_name?.toLowerCase();
-
-  if (!student || role !== "student") {
-    throw new ForbiddenError("Only students can ask questions");
-  }
-
   // Check if lesson exists
   const lesson = await Lesson.findById(lessonId);
   if (!lesson) throw new NotFoundError("Lesson not found");
@@ -60,13 +52,6 @@ export const answerQuestion = catchAsync(async (req, res) => {
     throw new BadRequestError("Answer is required");
   }
 
-  // Check if user is a tutor
-  const tutor = await User.findById(tutorId).populate("roleId");
-  const role = tutor?.roleId?.role_name?.toLowerCase();
-  if (!tutor || role !== "tutor") {
-    throw new ForbiddenError("Only tutors can answer questions");
-  }
-
   const updatedQuestion = await QuestionAnswer.findByIdAndUpdate(
     id,
     { answer, answeredBy: tutorId },
@@ -227,6 +212,16 @@ export const getAllQuestions = catchAsync(async (req, res) => {
 
   const query = {};
 
+  // students only see their own questions, tutors those of their courses
+  const scope = await getAccessScope(req.user);
+  if (scope.role === "student") {
+    query.studentId = scope.userId;
+  } else if (scope.role === "tutor") {
+    query.moduleId = {
+      $in: await Module.find({ courseId: { $in: scope.courseIds } }).distinct("_id"),
+    };
+  }
+
   // Optional filter by moduleId
   if (moduleId) {
     if (!mongoose.Types.ObjectId.isValid(moduleId)) {
@@ -238,7 +233,9 @@ export const getAllQuestions = catchAsync(async (req, res) => {
       throw new NotFoundError("Module not found");
     }
 
-    query.moduleId = moduleId;
+    query.moduleId = query.moduleId
+      ? { $in: query.moduleId.$in.filter((id) => id.equals(moduleId)) }
+      : moduleId;
   }
 
   // Optional text search (on question or description)
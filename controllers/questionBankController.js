@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const BankQuestion = require('../models/BankQuestion');
+const Module = require('../models/Module');
+const catchAsync = require('../utils/catchAsync');
+const { escapeRegex } = require('../utils/escapeRegex');
+const { BadRequestError, NotFoundError } = require('../utils/customErrors');
+const { QUESTION_FIELDS, bankFilter, importQuestions, itemStatistics } = require('../helper/questionBank');
+const { moveToTrash } = require('../helper/trash');
+const { bankQuerySchema, bankQuestionSchema } = require('../validations/questionBankValidation');
+
+// fields that only some question types carry (validations/quizValidation.js)
+const TYPE_SPECIFIC_FIELDS = ['options', 'correctAnswer', 'numericAnswer', 'tolerance', 'acceptedAnswers', 'caseSensitive', 'pairs'];
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new BadRequestError(`Invalid ${label} ID`);
+};
+
+const findQuestion = async (questionId) => {
+  assertObjectId(questionId, 'question');
+  const question = await BankQuestion.findById(questionId);
+  if (!question) throw new NotFoundError('Question not found');
+  return question;
+};
+
+// a question can only be tagged with a module of its own course
+const assertModuleInCourse = async (moduleId, courseId) => {
+  if (moduleId && !(await Module.exists({ _id: moduleId, courseId }))) {
+    throw new BadRequestError('The module is not part of this course');
+  }
+};
+
+const listFilter = (query) => {
+  const filter = bankFilter(query.courseId, query);
+  if (query.search) filter.text = { $regex: escapeRegex(query.search), $options: 'i' };
+  return filter;
+};
+
+// GET /question-bank?courseId=&moduleId=&topic=&difficulty=&type=&search=&page=&limit=
+exports.getBankQuestions = catchAsync(async (req, res) => {
+  const { error, value: query } = bankQuerySchema.validate(req.query);
+  if (error) throw error;
+
+  const filter = listFilter(query);
+  const total = await BankQuestion.countDocuments(filter);
+  const questions = await BankQuestion.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((query.page - 1) * query.limit)
+    .limit(query.limit)
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    page: query.page,
+    limit: query.limit,
+    total,
+    totalPages: Math.ceil(total / query.limit),
+    data: questions,
+  });
+});
+
+// GET /question-bank/tags?courseId= - how many questions carry each tag
+exports.getBankTags = catchAsync(async (req, res) => {
+  const { courseId } = req.query;
+  if (!courseId) throw new BadRequestError('courseId is required');
+  assertObjectId(courseId, 'course');
+
+  const [facets] = await BankQuestion.aggregate([
+    { $match: { courseId: new mongoose.Types.ObjectId(courseId) } },
+    {
+      $facet: {
+        topics: [{ $unwind: '$topics' }, { $group: { _id: '$topics', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        difficulties: [{ $group: { _id: '$difficulty', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        modules: [{ $group: { _id: '$moduleId', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        types: [{ $group: { _id: '$type', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const counts = (rows, key) => rows.map((row) => ({ [key]: row._id, count: row.count }));
+  res.status(200).json({
+    status: 'success',
+    data: {
+      total: facets.total[0]?.count || 0,
+      topics: counts(facets.topics, 'topic'),
+      difficulties: counts(facets.difficulties, 'difficulty'),
+      modules: counts(facets.modules, 'moduleId'),
+      types: counts(facets.types, 'type'),
+    },
+  });
+});
+
+// GET /question-bank/stats?courseId=&... - item analysis from graded quiz attempts
+exports.getBankStatistics = catchAsync(async (req, res) => {
+  const { error, value: query } = bankQuerySchema.validate(req.query);
+  if (error) throw error;
+
+  const questions = await BankQuestion.find(listFilter(query)).select('text type difficulty topics moduleId').lean();
+  const stats = await itemStatistics(questions.map((question) => question._id));
+
+  const data = questions
+    .map((question) => ({ ...question, ...stats.get(String(question._id)) }))
+    .sort((a, b) => b.responses - a.responses);
+
+  res.status(200).json({
+    status: 'success',
+    total: data.length,
+    flagged: data.filter((question) => question.flags.length).length,
+    data,
+  });
+});
+
+exports.createBankQuestion = catchAsync(async (req, res) => {
+  await assertModuleInCourse(req.body.moduleId, req.body.courseId);
+  const question = await BankQuestion.create({ ...req.body, createdBy: req.user.id });
+  res.status(201).json({
+    status: 'success',
+    message: 'Question added to the question bank',
+    data: question,
+  });
+});
+
+// POST /question-bank/import - CSV, GIFT or Aiken text
+exports.importBankQuestions = catchAsync(async (req, res) => {
+  const { courseId, ...options } = req.body;
+  await assertModuleInCourse(options.moduleId, courseId);
+  const result = await importQuestions(courseId, options, req.user.id);
+
+  res.status(options.dryRun ? 200 : 201).json({
+    status: 'success',
+    message: options.dryRun
+      ? `${result.questions.length} question(s) read, ${result.errors.length} problem(s) found`
+      : `${result.imported} question(s) imported`,
+    data: result,
+  });
+});
+
+exports.getBankQuestionById = catchAsync(async (req, res) => {
+  const question = await findQuestion(req.params.questionId);
+  res.status(200).json({ status: 'success', data: question });
+});
+
+exports.updateBankQuestion = catchAsync(async (req, res) => {
+  const question = await findQuestion(req.params.questionId);
+  const { moduleId, ...changes } = req.body;
+  await assertModuleInCourse(moduleId, question.courseId);
+
+  // check the question as it will be saved, dropping what belonged to its old type
+  const saved = JSON.parse(JSON.stringify(question.toObject()));
+  const current = Object.fromEntries(
+    [...QUESTION_FIELDS, 'topics', 'difficulty'].filter((field) => saved[field] !== undefined).map((field) => [field, saved[field]])
+  );
+  if (changes.type && changes.type !== current.type) {
+    TYPE_SPECIFIC_FIELDS.forEach((field) => delete current[field]);
+  }
+  const { error, value } = bankQuestionSchema.validate({ ...current, ...changes }, { abortEarly: false });
+  if (error) throw error;
+
+  TYPE_SPECIFIC_FIELDS.forEach((field) => {
+    if (value[field] === undefined) question.set(field, undefined);
+  });
+  question.set(value);
+  if (moduleId !== undefined) question.moduleId = moduleId;
+  // quizzes already taken keep their copy; new attempts draw the edited question
+  await question.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Question updated successfully',
+    data: question,
+  });
+});
+
+exports.deleteBankQuestion = catchAsync(async (req, res) => {
+  const question = await moveToTrash('bankQuestion', req.params.questionId, req.user.id);
+  res.status(200).json({
+    status: 'success',
+    message: 'Question moved to trash',
+    data: { _id: question._id, deletedAt: question.deletedAt },
+  });
+});
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Lesson = require('../models/Lesson');
+const Chapter = require('../models/Chapter');
+const catchAsync = require('../utils/catchAsync');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/customErrors');
+const { getAccessScope } = require('../helper/resourceScope');
+const { loadStudentContent } = require('../helper/courseRevisions');
+const { assertContentUnlocked } = require('../helper/contentUnlock');
+const { moveToTrash } = require('../helper/trash');
+const { drawAvailability, assertDrawsAvailable } = require('../helper/questionBank');
+const {
+  FINISHED,
+  courseIdOfQuiz,
+  quizzesForCourse,
+  summarizeQuiz,
+  quizScore,
+  buildPaper,
+  canRevealAnswers,
+  expireIfOverdue,
+  startAttempt,
+  saveAnswers,
+  submitAttempt,
+} = require('../helper/quizzes');
+
+// what attempt listings show; the questions and answers stay on the attempt itself
+const ATTEMPT_SUMMARY = 'quizId studentId attemptNumber status startedAt dueAt submittedAt score maxScore percentage passed';
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new BadRequestError(`Invalid ${label} ID`);
+};
+
+// students only see quizzes that are out of draft, under content published to them
+const assertVisibleToStudent = async (quiz) => {
+  if (quiz.status === 'draft') throw new NotFoundError('Quiz not found');
+  const [level, ref] = quiz.lessonId ? ['lessons', { lessonId: quiz.lessonId }] : ['chapters', { chapterId: quiz.chapterId }];
+  const content = await loadStudentContent(ref);
+  const id = String(quiz.lessonId || quiz.chapterId);
+  if (!content?.[level].some((item) => String(item._id) === id)) throw new NotFoundError('Quiz not found');
+};
+
+// only the student an attempt belongs to can answer or submit it
+const findOwnAttempt = async (attemptId, userId) => {
+  assertObjectId(attemptId, 'attempt');
+  const attempt = await QuizAttempt.findById(attemptId);
+  if (!attempt) throw new NotFoundError('Attempt not found');
+  if (String(attempt.studentId) !== String(userId)) {
+    throw new ForbiddenError('Only the student taking the quiz can answer it');
+  }
+  const quiz = await Quiz.findById(attempt.quizId).lean();
+  if (!quiz) throw new NotFoundError('Quiz not found');
+  return { attempt, quiz };
+};
+
+exports.createQuiz = catchAsync(async (req, res) => {
+  const { lessonId, chapterId } = req.body;
+  if (lessonId && !(await Lesson.exists({ _id: lessonId }))) throw new NotFoundError('Lesson not found');
+  if (chapterId && !(await Chapter.exists({ _id: chapterId }))) throw new NotFoundError('Chapter not found');
+
+  if (req.body.status === 'published' && req.body.draws?.length) {
+    await assertDrawsAvailable(await courseIdOfQuiz(req.body), req.body.draws);
+  }
+
+  const quiz = await Quiz.create({ ...req.body, createdBy: req.user.id });
+  res.status(201).json({
+    status: 'success',
+    message: 'Quiz created successfully',
+    data: quiz,
+  });
+});
+
+// GET /quizzes?lessonId=|chapterId=|courseId=
+exports.getQuizzes = catchAsync(async (req, res) => {
+  const { lessonId, chapterId, courseId } = req.query;
+  if (lessonId) assertObjectId(lessonId, 'lesson');
+  if (chapterId) assertObjectId(chapterId, 'chapter');
+  if (courseId) assertObjectId(courseId, 'course');
+
+  const scope = await getAccessScope(req.user);
+  const student = scope.role === 'student';
+
+  let quizzes;
+  if (!scope.unrestricted || courseId) {
+    if (courseId && !scope.unrestricted && !scope.courseIds.includes(courseId)) {
+      throw new ForbiddenError("You don't have access to this course");
+    }
+    quizzes = [];
+    for (const id of courseId ? [courseId] : scope.courseIds) {
+      quizzes.push(...(await quizzesForCourse(id, { student })));
+    }
+    if (lessonId) quizzes = quizzes.filter((quiz) => String(quiz.lessonId) === lessonId);
+    if (chapterId) quizzes = quizzes.filter((quiz) => String(quiz.chapterId) === chapterId);
+  } else {
+    const filter = {};
+    if (lessonId) filter.lessonId = lessonId;
+    if (chapterId) filter.chapterId = chapterId;
+    quizzes = await Quiz.find(filter).sort({ createdAt: -1 }).lean();
+  }
+
+  let data = quizzes.map(summarizeQuiz);
+  if (student) {
+    const attempts = await QuizAttempt.find({ studentId: req.user.id, quizId: { $in: quizzes.map((q) => q._id) } })
+      .select(ATTEMPT_SUMMARY)
+      .lean();
+    data = data.map((quiz) => {
+      const own = attempts.filter((a) => String(a.quizId) === String(quiz._id));
+      return {
+        ...quiz,
+        ...quizScore(quiz, own),
+        openAttemptId: own.find((a) => a.status === 'in_progress')?._id || null,
+      };
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    total: data.length,
+    data,
+  });
+});
+
+// Staff get the whole quiz, answers included; students a summary with their own attempts
+exports.getQuizById = catchAsync(async (req, res) => {
+  const { quizId } = req.params;
+  assertObjectId(quizId, 'quiz');
+
+  const quiz = await Quiz.findById(quizId).lean();
+  if (!quiz) throw new NotFoundError('Quiz not found');
+
+  const scope = await getAccessScope(req.user);
+  if (scope.role !== 'student') {
+    if (quiz.draws?.length) quiz.drawAvailability = await drawAvailability(await courseIdOfQuiz(quiz), quiz.draws);
+    return res.status(200).json({ status: 'success', data: quiz });
+  }
+
+  await assertVisibleToStudent(quiz);
+  const attempts = await QuizAttempt.find({ quizId, studentId: req.user.id })
+    .select(ATTEMPT_SUMMARY)
+    .sort({ attemptNumber: 1 })
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ...summarizeQuiz(quiz),
+      ...quizScore(quiz, attempts),
+      openAttemptId: attempts.find((a) => a.status === 'in_progress')?._id || null,
+      attempts,
+    },
+  });
+});
+
+exports.updateQuiz = catchAsync(async (req, res) => {
+  const { quizId } = req.params;
+  assertObjectId(quizId, 'quiz');
+
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) throw new NotFoundError('Quiz not found');
+
+  // attempts keep their own copy of the questions, so edits only affect new attempts
+  quiz.set(req.body);
+  if (quiz.status === 'published' && quiz.draws.length && (quiz.isModified('draws') || quiz.isModified('status'))) {
+    await assertDrawsAvailable(await courseIdOfQuiz(quiz), quiz.draws);
+  }
+  await quiz.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Quiz updated successfully',
+    data: quiz,
+  });
+});
+
+exports.deleteQuiz = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { quizId } = req.params;
+    const quiz = await moveToTrash('quiz', quizId, req.user.id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Quiz moved to trash',
+      data: { _id: quiz._id, deletedAt: quiz.deletedAt },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
+
+// POST /quizzes/:quizId/attempts - start (or resume) an attempt
+exports.startQuizAttempt = catchAsync(async (req, res) => {
+  const { quizId } = req.params;
+  assertObjectId(quizId, 'quiz');
+
+  const scope = await getAccessScope(req.user);
+  if (scope.role !== 'student') throw new ForbiddenError('Only students can take quizzes');
+
+  const quiz = await Quiz.findById(quizId).lean();
+  if (!quiz) throw new NotFoundError('Quiz not found');
+  await assertVisibleToStudent(quiz);
+  await assertContentUnlocked(req.user.id, quiz.lessonId ? 'lesson' : 'chapter', quiz.lessonId || quiz.chapterId);
+
+  const { attempt, resumed } = await startAttempt(quiz, req.user.id);
+  res.status(resumed ? 200 : 201).json({
+    status: 'success',
+    message: resumed ? 'Resumed your open attempt' : 'Attempt started',
+    data: buildPaper(attempt),
+  });
+});
+
+// GET /quizzes/:quizId/attempts - every attempt for staff, their own for students
+exports.getQuizAttempts = catchAsync(async (req, res) => {
+  const { quizId } = req.params;
+  assertObjectId(quizId, 'quiz');
+  if (!(await Quiz.exists({ _id: quizId }))) throw new NotFoundError('Quiz not found');
+
+  const scope = await getAccessScope(req.user);
+  const filter = { quizId };
+  if (scope.role === 'student') filter.studentId = req.user.id;
+
+  const attempts = await QuizAttempt.find(filter)
+    .select(ATTEMPT_SUMMARY)
+    .populate('studentId', 'name email')
+    .sort({ studentId: 1, attemptNumber: 1 })
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    total: attempts.length,
+    data: attempts,
+  });
+});
+
+// GET /quizzes/attempts/:attemptId
+exports.getQuizAttempt = catchAsync(async (req, res) => {
+  const { attemptId } = req.params;
+  assertObjectId(attemptId, 'attempt');
+
+  const attempt = await QuizAttempt.findById(attemptId);
+  if (!attempt) throw new NotFoundError('Attempt not found');
+  const quiz = await Quiz.findById(attempt.quizId).lean();
+  if (!quiz) throw new NotFoundError('Quiz not found');
+  await expireIfOverdue(attempt, quiz);
+
+  const scope = await getAccessScope(req.user);
+  let reveal = FINISHED.includes(attempt.status);
+  if (scope.role === 'student') {
+    const attemptsUsed = await QuizAttempt.countDocuments({ quizId: quiz._id, studentId: attempt.studentId, status: { $in: FINISHED } });
+    reveal = canRevealAnswers(quiz, attempt, attemptsUsed);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: buildPaper(attempt, { reveal }),
+  });
+});
+
+// PUT /quizzes/attempts/:attemptId/answers - save progress
+exports.saveQuizAttemptAnswers = catchAsync(async (req, res) => {
+  const { attempt, quiz } = await findOwnAttempt(req.params.attemptId, req.user.id);
+  await saveAnswers(attempt, quiz, req.body.answers);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Answers saved',
+    data: { answered: attempt.answers.length, dueAt: attempt.dueAt },
+  });
+});
+
+// POST /quizzes/attempts/:attemptId/submit
+exports.submitQuizAttempt = catchAsync(async (req, res) => {
+  const { attempt, quiz } = await findOwnAttempt(req.params.attemptId, req.user.id);
+  const wasOpen = attempt.status === 'in_progress';
+  await submitAttempt(attempt, quiz, req.body.answers);
+
+  const attemptsUsed = await QuizAttempt.countDocuments({ quizId: quiz._id, studentId: req.user.id, status: { $in: FINISHED } });
+  const message = !wasOpen
+    ? 'This attempt was already finished'
+    : attempt.status === 'timed_out'
+      ? 'Time was up; the answers saved before the deadline were graded'
+      : 'Quiz submitted successfully';
+
+  res.status(200).json({
+    status: 'success',
+    message,
+    data: buildPaper(attempt, { reveal: canRevealAnswers(quiz, attempt, attemptsUsed) }),
+  });
+});
@@ -3,6 +3,7 @@ const Role = require('../models/Roles');
 const User = require('../models/User'); // Assuming roles are used in User collection via roleId
 const { roleValidationSchema } = require('../validations/roleValidation');
 const { ConflictError, NotFoundError, BadRequestError } = require('../utils/customErrors');
+const { invalidateRole } = require('../helper/roleCache');
 
 // Utility: Check if string is a valid Mongo ObjectId
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
@@ -18,12 +19,12 @@ const createRole = async (req, res, next) => {
       error.isJoi = true;
       throw error;
     }
-    const {  role_name, permissions } = value;
+    const {  role_name, permissions, requireTwoFactor } = value;
     const existingRoleName = await Role.findOne({ role_name: { $regex: `^${role_name}$`, $options: 'i' } });
     if (existingRoleName) {
       throw new ConflictError("Role name already exists.");
     }
-    const newRole = new Role({ role_name, permissions });
+    const newRole = new Role({ role_name, permissions, requireTwoFactor });
     await newRole.save();
     res.status(201).json({ message: "Role created successfully.", data: newRole });
   } catch (err) {
@@ -73,7 +74,9 @@ const updateRole = async (req, res, next) => {
 
     role.role_name = req.body.role_name;
     role.permissions = req.body.permissions;
+    role.requireTwoFactor = req.body.requireTwoFactor ?? role.requireTwoFactor;
     await role.save();
+    invalidateRole(role._id);
 
     res.json({ message: "Role updated successfully.", data: role });
   } catch (err) {
@@ -105,6 +108,7 @@ const deleteRole = async (req, res, next) => {
     }
 
     await Role.deleteOne({ _id: id });
+    invalidateRole(id);
 
     res.json({ message: "Role deleted successfully." });
   } catch (err) {
@@ -0,0 +1,32 @@
+const catchAsync = require("../utils/catchAsync");
+const { searchAll, MAX_WINDOW } = require("../helper/search");
+const { searchQuerySchema } = require("../validations/searchValidation");
+
+// ==========================
+// SEARCH
+// ==========================
+// GET /search?q=&type=lesson,assignment&courseId=&page=&limit=
+exports.search = catchAsync(async (req, res) => {
+  const { error, value: query } = searchQuerySchema.validate(req.query);
+  if (error) throw error;
+
+  const { total, facets, results } = await searchAll(req.user, {
+    q: query.q,
+    types: query.type,
+    courseId: query.courseId,
+    page: query.page,
+    limit: query.limit,
+  });
+
+  res.status(200).json({
+    status: "success",
+    query: query.q,
+    total,
+    page: query.page,
+    limit: query.limit,
+    // deeper pages than MAX_WINDOW are refused, so they are not advertised either
+    totalPages: Math.ceil(Math.min(total, MAX_WINDOW) / query.limit),
+    facets,
+    data: results,
+  });
+});
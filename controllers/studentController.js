@@ -5,29 +5,24 @@ const Student = require('../models/Student');
 const { BadRequestError, NotFoundError, ConflictError, UnAuthorizedError, InternalServerError, ForbiddenError } = require('../utils/customErrors'); // adjust your error classes
 const Roles = require('../models/Roles');
 const bcrypt = require("bcrypt");
-const checkDependencies = require('../helper/checkDependencies');
+const { moveToTrash } = require('../helper/trash');
+const { revokeAllSessions } = require('../helper/sessionManager');
+const { PASSWORD_HISTORY_FIELD, setUserPassword } = require('../helper/passwordPolicy');
+const { unusablePasswordHash, createInvitation, sendInvitation } = require('../helper/invitations');
 const Tutor = require('../models/Tutor');
 const AssignmentSubmission = require('../models/AssignmentSubmission');
 const { uploadBase64ToS3 } = require('../utils/s3Uploader');
-const hasPermission = require('../helper/hasPermission');
 const Attendance = require('../models/Attendance');
-const sendBrevoEmail = require('../utils/sendBrevoEmail');
-
-function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
+const { quizResultsForStudent } = require('../helper/quizzes');
+const { withDeadlines } = require('../helper/submissionPolicy');
 
 // Create only student (you already have)
 const createStudent = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const isPermission = await hasPermission(req.user?.id, "Add Student");
-    if (!isPermission) {
-      throw new ForbiddenError("User Doesn't have permission to create student")
-    }
-    const { name, email, phone, password, courseId, profile_image, status, mode } = req.body;
-    if (!name || !email || !phone || !password || !courseId) {
+    const { name, email, phone, courseId, profile_image, status, mode } = req.body;
+    if (!name || !email || !phone || !courseId) {
       throw new BadRequestError("All fields are required");
     }
 
@@ -52,8 +47,8 @@ const createStudent = async (req, res, next) => {
       throw new NotFoundError("Course not found.");
     }
 
-    // hash password
-    const passwordHash = await bcrypt.hash(password, 10);
+    // the student sets their own password through the invite
+    const passwordHash = await unusablePasswordHash();
 
     // upload profile image if provided
     let profileImageUrl = null;
@@ -92,11 +87,17 @@ const createStudent = async (req, res, next) => {
       { session }
     );
 
+    const { invitation, token } = await createInvitation(user, "Student", { invitedBy: req.user.id, session });
+
     await session.commitTransaction();
     session.endSession();
 
+    const inviteSent = await sendInvitation(invitation, user, token);
+
     res.status(201).json({
-      message: "Student created successfully.",
+      message: inviteSent
+        ? "Student created successfully. An activation link has been emailed."
+        : "Student created, but the invitation email could not be sent. Resend it from the invitations list.",
       data: {
         id: user._id,
         name: user.name,
@@ -108,6 +109,11 @@ const createStudent = async (req, res, next) => {
           id: course._id,
           title: course.title,
         },
+        invitation: {
+          id: invitation._id,
+          expiresAt: invitation.expiresAt,
+          sent: inviteSent,
+        },
       }
     });
   } catch (err) {
@@ -120,11 +126,6 @@ const createStudent = async (req, res, next) => {
 // List students with pagination, search & optional course filter (fixed pagination)
 async function listStudents(req, res, next) {
   try {
-    const isPermission = await hasPermission(req.user?.id, "List Student");
-    if (!isPermission) {
-      throw new ForbiddenError("User Doesn't have permission to list student");
-    }
-
     // Pagination
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.max(1, parseInt(req.query.limit) || 10);
@@ -258,10 +259,6 @@ async function updateStudent(req, res, next) {
   session.startTransaction();
 
   try {
-    const isPermission = await hasPermission(req.user?.id, "Edit Student");
-    if (!isPermission) {
-      throw new ForbiddenError("User Doesn't have permission to edit student")
-    }
     const { studentId } = req.params; // ID of student user
     const { name, email, phone, courseId, profile_image, status = true, mode } = req.body;
 
@@ -369,10 +366,6 @@ async function deleteStudent(req, res, next) {
   session.startTransaction();
 
   try {
-    const isPermission = await hasPermission(req.user?.id, "Delete Student");
-    if (!isPermission) {
-      throw new ForbiddenError("User Doesn't have permission to delete student")
-    }
     const { studentId } = req.params;
     if (!mongoose.Types.ObjectId.isValid(studentId)) {
       throw new BadRequestError("Invalid student ID");
@@ -389,23 +382,17 @@ async function deleteStudent(req, res, next) {
       throw new BadRequestError("User is not a student");
     }
 
-    // Prevent deletion if dependencies exist
-    await checkDependencies("Student", user._id, [
-      "studentId"
-    ]);
-
-    // Delete Student record
-    await Student.deleteOne({ userId: studentId }).session(session);
-
-    // Delete User record
-    const deletedStudent = await User.deleteOne({ _id: studentId }).session(session);
+    // Move to trash; the student record and submissions stay until it is purged
+    await moveToTrash("user", studentId, req.user.id, session);
 
     await session.commitTransaction();
     session.endSession();
 
+    await revokeAllSessions(user._id, "revoked");
+
     res.json({
       status: "success",
-      message: "Student deleted successfully",
+      message: "Student moved to trash",
       data: user,
     });
   } catch (err) {
@@ -428,32 +415,19 @@ const changeStudentPassword = async (req, res, next) => {
     }
 
     // Fetch user
-    const user = await User.findById(userId).populate("roleId").session(session);
+    const user = await User.findById(userId).select(PASSWORD_HISTORY_FIELD).session(session);
     if (!user) {
       throw new NotFoundError("User not found");
     }
 
-    //Verify user is a student
-    const role = user?.roleId?.role_name?.toLowerCase();
-    if (role !== "student") {
-      throw new InternalServerError("You are not authorized to change password");
-    }
-
     // Verify old password
     const isMatch = await bcrypt.compare(oldPassword, user.passwordHash);
     if (!isMatch) {
       throw new InternalServerError("Old password is incorrect");
     }
 
-    // Check that old and new passwords are not the same
-    const isSamePassword = await bcrypt.compare(newPassword, user.passwordHash);
-    if (isSamePassword) {
-      throw new InternalServerError("New password cannot be the same as the old password");
-    }
-
-    // Hash and update new password
-    const newHashedPassword = await bcrypt.hash(newPassword, 10);
-    user.passwordHash = newHashedPassword;
+    // Policy + reuse checks, then hash and update new password
+    await setUserPassword(user, newPassword);
     await user.save({ session });
 
     await session.commitTransaction();
@@ -776,7 +750,7 @@ const getStudentDetailsWithSubmissions = async (req, res, next) => {
     // Fetch submissions with pagination
     const totalSubmissions = await AssignmentSubmission.countDocuments(filter);
     const submissions = await AssignmentSubmission.find(filter)
-      .populate("assignmentId", "title deadline description")
+      .populate("assignmentId", "title deadline description gracePeriodMinutes latePolicy")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limitNum)
@@ -796,7 +770,7 @@ const getStudentDetailsWithSubmissions = async (req, res, next) => {
         attendancePercentage,
       },
       submissions: {
-        data: submissions,
+        data: await withDeadlines(submissions),
         count: submissions.length,
         total: totalSubmissions,
         page: pageNum,
@@ -824,11 +798,6 @@ const updateStudentProfile = async (req, res, next) => {
     const user = await User.findById(studentId).session(session);
     if (!user) throw new NotFoundError("User not found");
 
-    const role = await Roles.findById(user.roleId).session(session);
-    if (!role || !/student/i.test(role.role_name)) {
-      throw new ForbiddenError("User is not a student");
-    }
-
     // Validate course if provided
     let course = null;
     if (courseId) {
@@ -960,7 +929,7 @@ const studentHome = async (req, res, next) => {
     // ---------- PENDING ASSIGNMENTS ----------
     const pendingAssignmentsCount = await AssignmentSubmission.countDocuments({
       studentId: new mongoose.Types.ObjectId(studentId),
-      status: { $in: ["pending", "submitted"] }, // not reviewed yet
+      status: { $in: ["pending", "submitted", "changes_requested"] }, // not reviewed yet, or sent back
     });
 
     // ---------- RESPONSE ----------
@@ -1076,6 +1045,8 @@ const studentPerformance = async (req, res, next) => {
         submittedAt: a.submittedAt,
         reviewedAt: a.reviewedAt,
         comment: a.comment || "",
+        // per-criterion scores when the assignment is graded by rubric
+        rubricScores: a.rubricScores || [],
       };
     });
 
@@ -1091,6 +1062,18 @@ const studentPerformance = async (req, res, next) => {
         )
         : 0;
 
+    // ---------- QUIZ PERFORMANCE ----------
+    // one row per quiz of the course; the score is the attempt that counts (highest/latest/average)
+    const quizzes = await quizResultsForStudent(studentId, courseId);
+    const attemptedQuizzes = quizzes.filter((q) => q.percentage !== null);
+    const averageQuizPercentage =
+      attemptedQuizzes.length > 0
+        ? Math.round(
+          attemptedQuizzes.reduce((sum, q) => sum + q.percentage, 0) /
+          attemptedQuizzes.length
+        )
+        : 0;
+
     // ---------- RESPONSE ----------
     res.status(200).json({
       success: true,
@@ -1103,6 +1086,10 @@ const studentPerformance = async (req, res, next) => {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalAssignments / limit),
         assignments: formattedAssignments,
+        averageQuizPercentage,
+        quizzesAttempted: attemptedQuizzes.length,
+        totalQuizzes: quizzes.length,
+        quizzes,
       },
     });
   } catch (err) {
@@ -1110,6 +1097,34 @@ const studentPerformance = async (req, res, next) => {
   }
 };
 
+// Set (or clear, with all zeros) a student's standing accommodations
+const updateStudentAccommodations = async (req, res, next) => {
+  try {
+    const { studentId } = req.params;
+    const { quizExtraTimePercent, assignmentExtraDays, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      throw new BadRequestError("Invalid student ID");
+    }
+
+    const student = await Student.findOne({ userId: studentId });
+    if (!student) throw new NotFoundError("Student not found");
+
+    student.accommodations = quizExtraTimePercent || assignmentExtraDays
+      ? { quizExtraTimePercent, assignmentExtraDays, note: note || "", updatedBy: req.user.id, updatedAt: new Date() }
+      : null;
+    await student.save();
+
+    res.status(200).json({
+      success: true,
+      message: student.accommodations ? "Accommodations updated" : "Accommodations removed",
+      data: { studentId, accommodations: student.accommodations },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 const getStudentAttendance = async (req, res, next) => {
   try {
     const studentId = req.user?.id;
@@ -1231,115 +1246,6 @@ const getStudentAttendance = async (req, res, next) => {
   }
 };
 
-const checkEmail = async (req, res, next) => {
-  try {
-    const { email } = req.body;
-    if (!email) throw new BadRequestError("Email is required");
-
-    const user = await User.findOne({ email }).populate("roleId");
-    if (!user) throw new NotFoundError("Email not found");
-
-    // Check if user is a student
-    if (!user.roleId || !/student/i.test(user.roleId.role_name)) {
-      throw new ForbiddenError("Invalid student");
-    }
-
-    // Generate and store OTP
-    const otp = generateOTP();
-    user.otpCode = otp;
-    user.otpExpiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 mins validity
-    await user.save();
-
-    // Send email with Brevo
-    const htmlContent = `
-      <div style="font-family: Arial, sans-serif; color: #333;">
-        <h2>Password Reset Request</h2>
-        <p>Hello ${user.name || "Student"},</p>
-        <p>Your OTP for password reset is:</p>
-        <h3 style="color:#2E86C1;">${otp}</h3>
-        <p>This OTP is valid for 10 minutes.</p>
-        <p>If you didn’t request a password reset, please ignore this email.</p>
-        <br/>
-        <p>Regards,<br/>Your App Team</p>
-      </div>
-    `;
-
-    await sendBrevoEmail(email, "Password Reset OTP", htmlContent);
-
-    res.json({
-      status: "success",
-      message: "OTP sent successfully to your email",
-    });
-  } catch (err) {
-    console.log(err)
-    next(err);
-  }
-};
-
-const verifyOtp = async (req, res, next) => {
-  try {
-    const { email, otp } = req.body;
-    if (!email || !otp) throw new BadRequestError("Email and OTP are required");
-
-    const user = await User.findOne({ email }).populate("roleId");
-    if (!user) throw new NotFoundError("Student not found");
-
-    if (!user.roleId || !/student/i.test(user.roleId.role_name)) {
-      throw new ForbiddenError("Invalid student");
-    }
-
-    // Validate OTP
-    if (!user.otpCode || user.otpCode !== otp) {
-      throw new BadRequestError("Invalid OTP");
-    }
-
-    // Check OTP expiry
-    if (new Date() > new Date(user.otpExpiresAt)) {
-      throw new BadRequestError("OTP expired. Please request a new one.");
-    }
-
-    user.otpVerified = true;
-    await user.save();
-
-    res.json({ status: "success", message: "OTP verified successfully" });
-  } catch (err) {
-    next(err);
-  }
-};
-
-const resetPassword = async (req, res, next) => {
-  try {
-    const { email, newPassword } = req.body;
-    if (!email || !newPassword)
-      throw new BadRequestError("Email and new password are required");
-
-    const user = await User.findOne({ email }).populate("roleId");
-    if (!user) throw new NotFoundError("Student not found");
-
-    if (!user.roleId || !/student/i.test(user.roleId.role_name)) {
-      throw new ForbiddenError("Invalid student");
-    }
-
-    if (!user.otpVerified) throw new ForbiddenError("OTP not verified");
-
-    // Check if new password same as old
-    const isSamePassword = await bcrypt.compare(newPassword, user.passwordHash);
-    if (isSamePassword)
-      throw new BadRequestError("New password cannot be the same as old password");
-
-    // Update password
-    user.passwordHash = await bcrypt.hash(newPassword, 10);
-    user.otpVerified = false;
-    user.otpCode = undefined;
-    user.otpExpiresAt = undefined;
-    await user.save();
-
-    res.json({ status: "success", message: "Password reset successfully" });
-  } catch (err) {
-    next(err);
-  }
-};
-
 const getStudentProfileForAdmin = async (req, res) => {
   try {
     const { studentId } = req.params;
@@ -1443,9 +1349,7 @@ module.exports = {
   studentHome,
   getStudentsByCourseIdForDropdown,
   studentPerformance,
+  updateStudentAccommodations,
   getStudentAttendance,
-  checkEmail,
-  verifyOtp,
-  resetPassword,
   getStudentProfileForAdmin
 };
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { listTrash, restoreFromTrash } = require("../helper/trash");
+
+// ==========================
+// LIST
+// ==========================
+const getTrash = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const { total, items } = await listTrash({ type: req.query.type, page, limit });
+
+    res.status(200).json({
+      message: "Trash fetched successfully",
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data: items,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// RESTORE
+// ==========================
+const restoreItem = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { type, id } = req.params;
+    const { item, restored } = await restoreFromTrash(type, id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      status: "success",
+      message: `Restored ${restored} item(s).`,
+      data: item,
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
+
+module.exports = { getTrash, restoreItem };
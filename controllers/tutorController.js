@@ -11,9 +11,11 @@ const {
     InternalServerError,
     ForbiddenError,
 } = require("../utils/customErrors");
-const checkDependencies = require("../helper/checkDependencies");
+const { moveToTrash } = require("../helper/trash");
+const { revokeAllSessions } = require("../helper/sessionManager");
+const { PASSWORD_HISTORY_FIELD, setUserPassword } = require("../helper/passwordPolicy");
+const { unusablePasswordHash, createInvitation, sendInvitation } = require("../helper/invitations");
 const { uploadBase64ToS3 } = require("../utils/s3Uploader");
-const hasPermission = require("../helper/hasPermission");
 const Assignment = require("../models/Assignment");
 const AssignmentSubmission = require("../models/AssignmentSubmission");
 const Student = require("../models/Student");
@@ -25,13 +27,9 @@ async function createTutor(req, res, next) {
   session.startTransaction();
 
   try {
-    const isPermission = await hasPermission(req.user?.id, "Add Tutor");
-    if (!isPermission ) {
-      throw new ForbiddenError("User Doesn't have permission to create tutor")
-    }
-    const { name, email, phone, password, courseIds, profile_image,status=true } = req.body;
+    const { name, email, phone, courseIds, profile_image,status=true } = req.body;
 
-    if (!name || !email || !phone || !password || !courseIds || !courseIds.length) {
+    if (!name || !email || !phone || !courseIds || !courseIds.length) {
       throw new BadRequestError("All fields are required, including at least one courseId.");
     }
 
@@ -58,8 +56,8 @@ async function createTutor(req, res, next) {
       }
     }
 
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 10);
+    // The tutor sets their own password through the invite
+    const passwordHash = await unusablePasswordHash();
 
     // Upload profile image if provided
     let profileImageUrl = null;
@@ -119,11 +117,17 @@ async function createTutor(req, res, next) {
       }));
     }
 
+    const { invitation, token } = await createInvitation(user, "Tutor", { invitedBy: req.user.id, session });
+
     await session.commitTransaction();
     session.endSession();
 
+    const inviteSent = await sendInvitation(invitation, user, token);
+
     res.status(201).json({
-      message: "Tutor created successfully.",
+      message: inviteSent
+        ? "Tutor created successfully. An activation link has been emailed."
+        : "Tutor created, but the invitation email could not be sent. Resend it from the invitations list.",
       data: {
         id: user._id,
         name: user.name,
@@ -131,7 +135,12 @@ async function createTutor(req, res, next) {
         phone: user.phone,
         profileImage: profileImageUrl,
         courses,
-        status:status
+        status:status,
+        invitation: {
+          id: invitation._id,
+          expiresAt: invitation.expiresAt,
+          sent: inviteSent,
+        },
       },
     });
   } catch (err) {
@@ -144,10 +153,6 @@ async function createTutor(req, res, next) {
 // List tutors with pagination & search
 async function listTutors(req, res, next) {
     try {
-      const isPermission = await hasPermission(req.user?.id, "List Tutor");
-      if (!isPermission ) {
-        throw new ForbiddenError("User Doesn't have permission to list tutor")
-      }
       // Pagination
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
@@ -235,10 +240,6 @@ async function updateTutor(req, res, next) {
   session.startTransaction();
 
   try {
-    const isPermission = await hasPermission(req.user?.id, "Edit Tutor");
-    if (!isPermission ) {
-      throw new ForbiddenError("User Doesn't have permission to edit tutor")
-    }
     const { tutorId } = req.params;
     const { name, email, phone, courseIds, profile_image,status } = req.body;
 
@@ -353,10 +354,6 @@ async function deleteTutor(req, res, next) {
   session.startTransaction();
 
   try {
-    const isPermission = await hasPermission(req.user?.id, "Delete Tutor");
-    if (!isPermission ) {
-      throw new ForbiddenError("User Doesn't have permission to delete tutor")
-    }
     const { tutorId } = req.params;
 
     if (!mongoose.Types.ObjectId.isValid(tutorId)) {
@@ -374,26 +371,17 @@ async function deleteTutor(req, res, next) {
       throw new BadRequestError("User is not a tutor");
     }
 
-    // Prevent deletion if dependencies exist
-    await checkDependencies("Tutor", user._id, [
-      "tutorId",
-      "createdBy",
-      "uploadedBy",
-      "answeredBy"
-    ]);
-
-    //  Delete Tutor record
-    await Tutor.deleteOne({ userId: tutorId }).session(session);
-
-    // Delete User record
-    await User.deleteOne({ _id: tutorId }).session(session);
+    // Move to trash; the tutor record stays until it is purged
+    await moveToTrash("user", tutorId, req.user.id, session);
 
     await session.commitTransaction();
     session.endSession();
 
+    await revokeAllSessions(user._id, "revoked");
+
     res.json({
       status: "success",
-      message: "Tutor deleted successfully",
+      message: "Tutor moved to trash",
       data: user,
     });
   } catch (err) {
@@ -454,32 +442,19 @@ const changeTutorPassword = async (req, res, next) => {
     }
 
     // Fetch user
-    const user = await User.findById(userId).populate("roleId").session(session);
+    const user = await User.findById(userId).select(PASSWORD_HISTORY_FIELD).session(session);
     if (!user) {
       throw new NotFoundError("User not found");
     }
 
-    //Verify user is a tutor
-    const role = user?.roleId?.role_name?.toLowerCase();
-    if (role !== "tutor") {
-      throw new InternalServerError("Tutor not found");
-    }
-
     // Verify old password
     const isMatch = await bcrypt.compare(oldPassword, user.passwordHash);
     if (!isMatch) {
       throw new InternalServerError("Old password is incorrect");
     }
 
-    // Check that old and new passwords are not the same
-    const isSamePassword = await bcrypt.compare(newPassword, user.passwordHash);
-    if (isSamePassword) {
-      throw new InternalServerError("New password cannot be the same as the old password");
-    }
-
-    // Hash and update new password
-    const newHashedPassword = await bcrypt.hash(newPassword, 10);
-    user.passwordHash = newHashedPassword;
+    // Policy + reuse checks, then hash and update new password
+    await setUserPassword(user, newPassword);
     await user.save({ session });
 
     await session.commitTransaction();
@@ -511,11 +486,6 @@ const updateTutorProfile = async(req, res, next) =>{
     const user = await User.findById(tutorId).session(session);
     if (!user) throw new NotFoundError("User not found");
 
-    const role = await Roles.findById(user.roleId).session(session);
-    if (!role || !/tutor/i.test(role.role_name)) {
-      throw new ForbiddenError("User is not a tutor");
-    }
-
     // Validate courses
     if (courseIds && courseIds.length) {
       for (const courseId of courseIds) {
@@ -598,77 +568,6 @@ const updateTutorProfile = async(req, res, next) =>{
   }
 }
 
-const checkEmail = async (req, res, next) => {
-  try {
-    const { email } = req.body;
-    if (!email) throw new BadRequestError("Email is required");
-
-    const user = await User.findOne({ email }).populate("roleId");
-    if (!user) throw new NotFoundError("Email not found");
-
-    // Check if user is a tutor
-    if (!user.roleId || !/tutor/i.test(user.roleId.role_name)) {
-      throw new ForbiddenError("Invalid tutor");
-    }
-
-    res.json({
-      status:"success",
-      message: "OTP send successfully",
-    });
-  } catch (err) {
-    next(err);
-  }
-};
-
-const verifyOtp = async (req, res) => {
-  const {email,otp}= req.body;
-  const user = await User.findOne({ email }).populate("roleId");
-  if (!user) throw new NotFoundError("Tutor not found");
-
-  // Check if user is a tutor
-  if (!user.roleId || !/tutor/i.test(user.roleId.role_name)) {
-    throw new ForbiddenError("Invalid Tutor");
-  }
-  if (otp !== "55555") throw new BadRequestError("Invalid OTP");
-
-  user.otpVerified = true;
-  await user.save();
-
-  res.json({ status: "success", message: "OTP verified" });
-};
-
-const resetPassword = async (req, res, next) => {
-  try {
-    const { email, newPassword } = req.body;
-    if (!email || !newPassword) throw new BadRequestError("Email and new password are required");
-
-    const user = await User.findOne({ email }).populate("roleId");
-    if (!user) throw new NotFoundError("Tutor not found");
-  
-    // Check if user is a Tutor
-    if (!user.roleId || !/tutor/i.test(user.roleId.role_name)) {
-      throw new ForbiddenError("Invalid tutor");
-    }
-
-    if (!user.otpVerified) throw new ForbiddenError("OTP not verified");
-
-    // Check if new password is same as old password
-    const isSamePassword = await bcrypt.compare(newPassword, user.passwordHash);
-    if (isSamePassword) {
-      throw new BadRequestError("New password cannot be the same as old password");
-    }
-
-    // Hash and save new password
-    user.passwordHash = await bcrypt.hash(newPassword, 10);
-    user.otpVerified = false; 
-    await user.save();
-
-    res.json({ status: "success", message: "Password reset successfully" });
-  } catch (err) {
-    next(err);
-  }
-};
-
 const tutorHome = async (req, res, next) => {
   try {
     const tutorId = req.user?.id;
@@ -861,9 +760,6 @@ module.exports = {
     getTutorsByCourseId,
     changeTutorPassword,
     updateTutorProfile,
-    checkEmail,
-    verifyOtp,
-    resetPassword,
     tutorHome,
     getTutorProfileForAdmin
 };
@@ -0,0 +1,220 @@
+const bcrypt = require("bcrypt");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Role = require("../models/Roles");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnAuthorizedError,
+} = require("../utils/customErrors");
+const { generateSecret, verifyTotp, provisioningUri } = require("../utils/totp");
+const {
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  verifySecondFactor,
+  remainingBackupCodes,
+} = require("../helper/twoFactor");
+const { completeLogin } = require("../helper/loginResponse");
+const { recordAudit } = require("../helper/auditLog");
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS).populate("roleId");
+  if (!user || !user.status) throw new UnAuthorizedError("User not found or inactive.");
+  return user;
+};
+
+// ==========================
+// STATUS
+// ==========================
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+    res.status(200).json({
+      status: "success",
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: Boolean(user.roleId?.requireTwoFactor),
+        backupCodesRemaining: remainingBackupCodes(user),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// START ENROLMENT
+// ==========================
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError("Two-factor authentication is already enabled.");
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      status: "success",
+      message: "Scan the QR code with an authenticator app, then confirm with a code.",
+      data: {
+        secret,
+        otpauthUrl: provisioningUri({
+          secret,
+          account: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || "Mspace Learning App",
+        }),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// CONFIRM ENROLMENT
+// ==========================
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError("Two-factor authentication is already enabled.");
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw new BadRequestError("Start the setup first.");
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) throw new BadRequestError("Invalid authentication code.");
+
+    const { codes, hashed } = generateBackupCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = hashed;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await recordAudit(req, { action: "auth.2fa_enabled", entityType: "User", entityId: user._id, actor: user._id });
+
+    const response = {
+      status: "success",
+      message: "Two-factor authentication enabled. Store the backup codes somewhere safe.",
+      backupCodes: codes,
+    };
+
+    // enrolment forced at login finishes that login
+    if (req.user.setup) {
+      const roleDoc = (await Role.findOne({ role_name: req.user.role })) || user.roleId;
+      Object.assign(response, await completeLogin(req, user, roleDoc));
+    }
+
+    res.status(200).json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// DISABLE
+// ==========================
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (!user.twoFactor?.enabled) {
+      throw new BadRequestError("Two-factor authentication is not enabled.");
+    }
+    if (user.roleId?.requireTwoFactor) {
+      throw new ForbiddenError("Your role requires two-factor authentication.");
+    }
+
+    const isMatch = await bcrypt.compare(password, user.passwordHash);
+    if (!isMatch || !verifySecondFactor(user, { code, backupCode })) {
+      throw new UnAuthorizedError("Invalid password or authentication code.");
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await recordAudit(req, { action: "auth.2fa_disabled", entityType: "User", entityId: user._id, actor: user._id });
+
+    res.status(200).json({ status: "success", message: "Two-factor authentication disabled." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// NEW BACKUP CODES
+// ==========================
+const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (!user.twoFactor?.enabled) {
+      throw new BadRequestError("Two-factor authentication is not enabled.");
+    }
+    if (!verifySecondFactor(user, { code })) {
+      throw new UnAuthorizedError("Invalid authentication code.");
+    }
+
+    const { codes, hashed } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashed;
+    await user.save();
+
+    res.status(200).json({ status: "success", backupCodes: codes });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ==========================
+// ADMIN RESET (lost device)
+// ==========================
+const resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new BadRequestError("Invalid userId format.");
+    }
+
+    const user = await User.findById(userId);
+    if (!user) throw new NotFoundError("User not found.");
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await recordAudit(req, { action: "auth.2fa_reset", entityType: "User", entityId: user._id });
+
+    res.status(200).json({
+      status: "success",
+      message: "Two-factor authentication reset. The user will have to enrol again if their role requires it.",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetUserTwoFactor,
+};
@@ -13,7 +13,11 @@ const {
 
 const { default: mongoose } = require("mongoose");
 const Student = require("../models/Student");
-const checkDependencies = require("../helper/checkDependencies");
+const { moveToTrash } = require("../helper/trash");
+const { PASSWORD_HISTORY_FIELD, assertPasswordPolicy, setUserPassword } = require("../helper/passwordPolicy");
+const { revokeAllSessions } = require("../helper/sessionManager");
+const { unlockAccount } = require("../helper/loginThrottle");
+const { recordAudit } = require("../helper/auditLog");
 
 const createUser = async (req, res, next) => {
   const session = await mongoose.startSession();
@@ -37,7 +41,8 @@ const createUser = async (req, res, next) => {
       throw new BadRequestError("Role not found.");
     }
 
-    // Hash password
+    // Hash password (admin-set, so the user has to replace it on first login)
+    assertPasswordPolicy(password, { email, phone });
     const passwordHash = await bcrypt.hash(password, 10);
 
     // Create user
@@ -47,6 +52,8 @@ const createUser = async (req, res, next) => {
         email,
         phone,
         passwordHash,
+        passwordChangedAt: new Date(),
+        mustChangePassword: true,
         roleId: roleDoc._id,
         status: status ,
       }],
@@ -232,9 +239,14 @@ try {
   user.email = email ?? user.email;
   user.phone = phone ?? user.phone;
   user.status = status ?? user.status;
+  const roleChanged = roleId && roleId !== user.roleId?.toString();
   user.roleId = roleId ?? user.roleId;
 
   await user.save();
+  // access tokens carry the role, so make the user log in again with the new one
+  if (roleChanged) {
+    await revokeAllSessions(user._id, "revoked");
+  }
   res.status(200).json({
     message: "User updated successfully",
     data: {
@@ -266,7 +278,7 @@ try {
     throw new BadRequestError("Invalid userId format.");
   }
 
-  const user = await User.findById(userId);
+  const user = await User.findById(userId).select(PASSWORD_HISTORY_FIELD);
   if (!user) {
     throw new NotFoundError("User not found.");
   }
@@ -277,9 +289,8 @@ try {
     throw new UnAuthorizedError("Old password is incorrect.");
   }
 
-  // Hash new password
-  const hashed = await bcrypt.hash(new_password, 10);
-  user.passwordHash = hashed;
+  // Policy + reuse checks, then hash
+  await setUserPassword(user, new_password);
   await user.save();
 
   res.status(200).json({
@@ -309,24 +320,17 @@ const deleteUserCascade = async (req, res, next) => {
       throw new ConflictError("Can't delete a user with admin role");
     }
 
-    // Step 1: Check dependencies before deleting
-    await checkDependencies("User", user._id, [
-      "userId",
-      "studentId",
-      "createdBy",
-      "uploadedBy",
-      "tutorId",
-    ]);
-
-    // Step 2: Delete user only if no dependencies found
-    const deletedUser = await User.findByIdAndDelete(userId).session(session);
+    // Move to trash; anything referencing the user stays valid until it is purged
+    const deletedUser = await moveToTrash("user", userId, req.user.id, session);
 
     await session.commitTransaction();
     session.endSession();
 
+    await revokeAllSessions(user._id, "revoked");
+
     res.status(200).json({
       status: "success",
-      message: "User deleted successfully",
+      message: "User moved to trash",
       data: deletedUser,
     });
   } catch (err) {
@@ -336,11 +340,45 @@ const deleteUserCascade = async (req, res, next) => {
   }
 };
 
+/**
+* Lift a login / OTP lockout for a user (admin)
+*/
+const unlockUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new BadRequestError("Invalid userId format.");
+    }
+
+    const user = await User.findById(userId).select("_id email");
+    if (!user) throw new NotFoundError("User not found.");
+
+    const released = await unlockAccount(user);
+
+    await recordAudit(req, {
+      action: "auth.unlock",
+      entityType: "User",
+      entityId: user._id,
+      metadata: { released: released.map((r) => r.kind) },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: released.length ? "User unlocked successfully" : "User was not locked",
+      data: { userId: user._id, released },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   getUsers,
   createUser,
   updateUser,
   changePassword,
   getUserById,
-  deleteUserCascade
+  deleteUserCascade,
+  unlockUser,
 };
\ No newline at end of file
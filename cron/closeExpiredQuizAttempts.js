@@ -0,0 +1,19 @@
+// closeExpiredQuizAttempts.js
+const cron = require('node-cron');
+const { closeOverdueAttempts } = require('../helper/quizzes');
+
+// grades timed quiz attempts that were never submitted once their time is up
+const closeExpiredQuizAttempts = () => {
+  cron.schedule(process.env.QUIZ_ATTEMPT_CRON || '*/5 * * * *', async () => {
+    try {
+      const closed = await closeOverdueAttempts();
+      if (closed) console.log(`[CRON] ${closed} overdue quiz attempt(s) graded`);
+    } catch (error) {
+      console.error('[CRON] Error closing overdue quiz attempts:', error);
+    }
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+};
+
+module.exports = closeExpiredQuizAttempts;
@@ -0,0 +1,19 @@
+// publishScheduledContent.js
+const cron = require('node-cron');
+const { announceScheduledContent } = require('../helper/publishSchedule');
+
+// notifies students when scheduled modules, chapters and lessons go live
+const publishScheduledContent = () => {
+  cron.schedule(process.env.SCHEDULED_PUBLISH_CRON || '*/5 * * * *', async () => {
+    try {
+      const result = await announceScheduledContent();
+      if (result.items) console.log('[CRON] Scheduled content published:', result);
+    } catch (error) {
+      console.error('[CRON] Error publishing scheduled content:', error);
+    }
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+};
+
+module.exports = publishScheduledContent;
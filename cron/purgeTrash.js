@@ -0,0 +1,20 @@
+// purgeTrash.js
+const cron = require('node-cron');
+const { purgeExpiredTrash } = require('../helper/trash');
+
+// hard-deletes trash older than TRASH_RETENTION_DAYS, once a night
+const purgeTrash = () => {
+  cron.schedule(process.env.TRASH_PURGE_CRON || '30 2 * * *', async () => {
+    console.log(`[CRON] Purging trash at ${new Date().toISOString()}`);
+    try {
+      const purged = await purgeExpiredTrash();
+      console.log('[CRON] Purged from trash:', purged);
+    } catch (error) {
+      console.error('[CRON] Error purging trash:', error);
+    }
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+};
+
+module.exports = purgeTrash;
@@ -0,0 +1,41 @@
+const Student = require("../models/Student");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A student's standing accommodations, or null when they have none
+ * @param {String} userId
+ * @returns {Promise<{quizExtraTimePercent: Number, assignmentExtraDays: Number}|null>}
+ */
+const accommodationsFor = async (userId) => {
+  const student = await Student.findOne({ userId }).select("accommodations").lean();
+  return student?.accommodations || null;
+};
+
+/**
+ * Accommodations of several students at once, by user id; students without
+ * any are left out
+ * @param {String[]} userIds
+ * @returns {Promise<Map<String, Object>>}
+ */
+const accommodationsByStudent = async (userIds) => {
+  const students = await Student.find({ userId: { $in: userIds }, accommodations: { $ne: null } })
+    .select("userId accommodations")
+    .lean();
+  return new Map(students.map((student) => [String(student.userId), student.accommodations]));
+};
+
+// an assignment deadline moved by the student's extra days
+const accommodatedDeadline = (deadline, accommodations) =>
+  new Date(new Date(deadline).getTime() + (accommodations?.assignmentExtraDays || 0) * DAY_MS);
+
+// a quiz time limit (minutes) with the student's extra time; null stays untimed
+const accommodatedTimeLimit = (timeLimit, accommodations) =>
+  timeLimit ? timeLimit * (1 + (accommodations?.quizExtraTimePercent || 0) / 100) : null;
+
+module.exports = {
+  accommodationsFor,
+  accommodationsByStudent,
+  accommodatedDeadline,
+  accommodatedTimeLimit,
+};
@@ -0,0 +1,30 @@
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * Write an audit entry. Failures are logged and swallowed so auditing never
+ * breaks the request that triggered it.
+ * @param {Object} req - request the action came from (may be null for jobs)
+ * @param {{action: String, entityType: String, entityId?: String, actor?: String, metadata?: Object, changes?: Object, session?: Object}} entry
+ *   session: write inside the caller's transaction so the entry rolls back with it
+ */
+const recordAudit = async (req, { action, entityType, entityId = null, actor, metadata, changes, session }) => {
+  try {
+    await AuditLog.create(
+      [{
+        actor: actor !== undefined ? actor : req?.user?.id || null,
+        action,
+        entityType,
+        entityId,
+        ip: req?.ip || "",
+        userAgent: (req?.headers?.["user-agent"] || "").slice(0, 512),
+        metadata,
+        changes,
+      }],
+      { session }
+    );
+  } catch (err) {
+    console.error("Audit log write failed:", err.message);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,134 @@
+const Course = require("../models/Course");
+const Module = require("../models/Module");
+const Chapter = require("../models/Chapter");
+const Lesson = require("../models/Lesson");
+const { resolveCourseId } = require("./courseRevisions");
+const { BadRequestError, ConflictError, NotFoundError } = require("../utils/customErrors");
+
+// orderIndex runs 1..n without gaps among the children of one parent
+const ORDERED_LEVELS = {
+  module: {
+    model: Module,
+    label: "Module",
+    parent: { field: "courseId", model: Course, label: "Course" },
+    movable: false,
+  },
+  chapter: {
+    model: Chapter,
+    label: "Chapter",
+    parent: { field: "moduleId", model: Module, label: "Module" },
+    movable: true,
+  },
+  lesson: {
+    model: Lesson,
+    label: "Lesson",
+    parent: { field: "chapterId", model: Chapter, label: "Chapter" },
+    movable: true,
+  },
+};
+
+/**
+ * Renumber the children of a parent 1..n, keeping their current order.
+ * Used after something leaves the parent (deleted or moved away).
+ */
+const compactOrder = async (level, parentId, session) => {
+  const { model, parent } = ORDERED_LEVELS[level];
+  const siblings = await model
+    .find({ [parent.field]: parentId })
+    .select("orderIndex")
+    .sort({ orderIndex: 1, _id: 1 })
+    .session(session)
+    .lean();
+
+  for (const [index, sibling] of siblings.entries()) {
+    if (sibling.orderIndex !== index + 1) {
+      await model.updateOne({ _id: sibling._id }, { $set: { orderIndex: index + 1 } }).session(session);
+    }
+  }
+};
+
+/**
+ * Next free orderIndex under a parent, for items added at the end
+ */
+const nextOrderIndex = async (level, parentId, session) => {
+  const { model, parent } = ORDERED_LEVELS[level];
+  const last = await model.findOne({ [parent.field]: parentId }).sort({ orderIndex: -1 }).select("orderIndex").session(session).lean();
+  return (last?.orderIndex || 0) + 1;
+};
+
+/**
+ * Give a parent's children the order of `ids` (orderIndex 1..n). Chapters and
+ * lessons listed from another parent of the same course are moved here, and
+ * the parent they leave is renumbered.
+ * @param {'module'|'chapter'|'lesson'} level
+ * @param {String} parentId
+ * @param {String[]} ids - every child of the parent, in the new order
+ * @param {Object} [session]
+ * @returns {Promise<Object[]>} the parent's children in their new order
+ */
+const reorderChildren = async (level, parentId, ids, session) => {
+  const { model, label, parent, movable } = ORDERED_LEVELS[level];
+
+  if (!(await parent.model.exists({ _id: parentId }).session(session))) {
+    throw new NotFoundError(`${parent.label} not found`);
+  }
+
+  const items = await model.find({ _id: { $in: ids } }).session(session).lean();
+  const byId = new Map(items.map((item) => [item._id.toString(), item]));
+  const unknown = ids.filter((id) => !byId.has(String(id)));
+  if (unknown.length) throw new NotFoundError(`${label}(s) not found: ${unknown.join(", ")}`);
+
+  const listed = new Set(ids.map(String));
+  const left = await model
+    .find({ [parent.field]: parentId, _id: { $nin: ids } })
+    .select("_id")
+    .session(session)
+    .lean();
+  if (left.length) {
+    throw new BadRequestError(
+      `The list must contain every ${label.toLowerCase()} of the ${parent.label.toLowerCase()}; missing: ${left.map((item) => item._id).join(", ")}`
+    );
+  }
+
+  const moved = items.filter((item) => item[parent.field].toString() !== String(parentId));
+  const sourceParents = [...new Set(moved.map((item) => item[parent.field].toString()))];
+  if (moved.length) {
+    if (!movable) throw new BadRequestError(`${label}s can't be moved to another ${parent.label.toLowerCase()}`);
+
+    const targetCourse = String(await resolveCourseId({ [parent.field]: parentId }));
+    for (const source of sourceParents) {
+      if (String(await resolveCourseId({ [parent.field]: source })) !== targetCourse) {
+        throw new BadRequestError(`${label}s can only be moved within the same course`);
+      }
+    }
+  }
+
+  // chapter titles are unique within a module (same rule as createChapter)
+  if (level === "chapter") {
+    const titles = new Set();
+    for (const id of listed) {
+      const { title } = byId.get(id);
+      if (titles.has(title)) throw new ConflictError(`A chapter titled "${title}" already exists in this module.`);
+      titles.add(title);
+    }
+  }
+
+  for (const [index, id] of ids.entries()) {
+    const item = byId.get(String(id));
+    const update = {};
+    if (item.orderIndex !== index + 1) update.orderIndex = index + 1;
+    if (item[parent.field].toString() !== String(parentId)) update[parent.field] = parentId;
+    if (Object.keys(update).length) await model.updateOne({ _id: item._id }, { $set: update }).session(session);
+  }
+
+  for (const source of sourceParents) await compactOrder(level, source, session);
+
+  return model.find({ [parent.field]: parentId }).sort({ orderIndex: 1 }).session(session).lean();
+};
+
+module.exports = {
+  ORDERED_LEVELS,
+  compactOrder,
+  nextOrderIndex,
+  reorderChildren,
+};
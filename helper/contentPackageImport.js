@@ -0,0 +1,323 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { XMLParser } = require("fast-xml-parser");
+const { v4: uuidv4 } = require("uuid");
+const Course = require("../models/Course");
+const Module = require("../models/Module");
+const Chapter = require("../models/Chapter");
+const Lesson = require("../models/Lesson");
+const { readZip } = require("../utils/zip");
+const { uploadBufferToS3 } = require("../utils/s3Uploader");
+const { deleteFileFromS3 } = require("../utils/deleteFileFromS3");
+const { BadRequestError, NotFoundError } = require("../utils/customErrors");
+
+// where uploaded vendor packages are kept (and where staff can drop them)
+const PACKAGE_DIR = path.join(__dirname, "..", "uploads", "packages");
+const MANIFEST_FILE = "imsmanifest.xml";
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) => ["organization", "item", "resource", "file", "dependency"].includes(name),
+});
+
+// lesson contentType for plain files, by extension
+const EXTENSION_CONTENT_TYPES = {
+  mp4: "video", webm: "video", mov: "video", m4v: "video",
+  mp3: "audio", wav: "audio", m4a: "audio", ogg: "audio",
+  pdf: "document", txt: "document", doc: "document", docx: "document", ppt: "document", pptx: "document",
+  html: "embed", htm: "embed",
+};
+
+const MIME_TYPES = {
+  html: "text/html", htm: "text/html", css: "text/css", js: "application/javascript",
+  json: "application/json", xml: "application/xml", txt: "text/plain",
+  png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", svg: "image/svg+xml",
+  mp4: "video/mp4", webm: "video/webm", mp3: "audio/mpeg", wav: "audio/wav",
+  pdf: "application/pdf", swf: "application/x-shockwave-flash",
+  woff: "font/woff", woff2: "font/woff2", ttf: "font/ttf",
+};
+
+const extensionOf = (file) => path.posix.extname(file.split(/[?#]/)[0]).slice(1).toLowerCase();
+const textOf = (node) => (node && typeof node === "object" ? node["#text"] : node)?.toString().trim() || "";
+// query/fragment of the launch href plus the item's SCORM `parameters`
+const launchQuery = (href = "", parameters = "") => {
+  const query = href.slice(href.split(/[?#]/)[0].length);
+  if (!parameters) return query;
+  const params = parameters.replace(/^\?/, "");
+  if (params.startsWith("#")) return query + params;
+  return `${query}${query.includes("?") ? "&" : "?"}${params}`;
+};
+const joinPath = (...parts) => path.posix.normalize(path.posix.join(...parts.filter(Boolean))).replace(/^\.\//, "");
+
+/**
+ * Resolve a package name under the local package folder, refusing anything
+ * that would point outside it
+ */
+const resolvePackagePath = (fileName) => {
+  const fullPath = path.join(PACKAGE_DIR, path.basename(String(fileName)));
+  if (path.dirname(fullPath) !== PACKAGE_DIR) throw new BadRequestError("Invalid package file name");
+  return fullPath;
+};
+
+const detectStandard = (manifest) => {
+  const schema = textOf(manifest.metadata?.schema).toLowerCase();
+  const version = textOf(manifest.metadata?.schemaversion);
+  const resources = manifest.resources?.resource || [];
+
+  if (schema.includes("common cartridge")) return { standard: "imscc", version };
+  if (schema.includes("scorm") || resources.some((r) => r.scormtype)) {
+    if (version && version !== "1.2") {
+      throw new BadRequestError(`SCORM ${version} packages are not supported; only SCORM 1.2 can be imported.`);
+    }
+    return { standard: "scorm", version: "1.2" };
+  }
+  throw new BadRequestError("Unrecognised package: expected a SCORM 1.2 or IMS Common Cartridge manifest.");
+};
+
+/**
+ * Unpack a SCORM 1.2 / IMS Common Cartridge package and work out which
+ * modules, chapters and lessons it maps to. Nothing is written.
+ *
+ * Mapping: the default organization's top-level items become modules, their
+ * children chapters, and every item below that pointing at a resource a
+ * lesson (deeper levels are flattened into the chapter). A top-level item
+ * that is itself content becomes a module with one chapter of the same name.
+ * Items that can't be mapped end up in `unsupported` with the reason.
+ *
+ * @param {String} filePath - ZIP file on local disk
+ */
+const readContentPackage = async (filePath) => {
+  let entries;
+  try {
+    entries = readZip(await fs.readFile(filePath));
+  } catch (err) {
+    if (err.code === "ENOENT") throw new NotFoundError("Package file not found");
+    throw new BadRequestError(`Unreadable package: ${err.message}`);
+  }
+  const files = new Map(entries.map((entry) => [entry.name, entry.data]));
+
+  if (!files.has(MANIFEST_FILE)) throw new BadRequestError(`${MANIFEST_FILE} not found at the root of the package`);
+  let manifest;
+  try {
+    manifest = parser.parse(files.get(MANIFEST_FILE).toString("utf8")).manifest;
+  } catch (err) {
+    throw new BadRequestError(`Invalid ${MANIFEST_FILE}: ${err.message}`);
+  }
+  if (!manifest) throw new BadRequestError(`Invalid ${MANIFEST_FILE}: no <manifest> element`);
+
+  const { standard, version } = detectStandard(manifest);
+  const resourcesBase = manifest.resources?.base || "";
+  const resources = new Map((manifest.resources?.resource || []).map((r) => [r.identifier, r]));
+  const unsupported = [];
+  const assets = new Set();
+
+  const organizations = manifest.organizations?.organization || [];
+  const organization = organizations.find((o) => o.identifier === manifest.organizations?.default) || organizations[0];
+  if (!organization) throw new BadRequestError("The manifest has no organizations to import");
+  for (const other of organizations.filter((o) => o !== organization)) {
+    unsupported.push({
+      identifier: other.identifier,
+      title: textOf(other.title),
+      type: "organization",
+      reason: "only the default organization is imported",
+    });
+  }
+
+  const resourceFiles = (resource, seen = new Set()) => {
+    if (!resource || seen.has(resource.identifier)) return [];
+    seen.add(resource.identifier);
+    const base = joinPath(resourcesBase, resource.base);
+    return [
+      ...(resource.href ? [joinPath(base, resource.href.split(/[?#]/)[0])] : []),
+      ...(resource.file || []).map((file) => joinPath(base, file.href)),
+      ...(resource.dependency || []).flatMap((dep) => resourceFiles(resources.get(dep.identifierref), seen)),
+    ];
+  };
+
+  const toLesson = (item) => {
+    const title = textOf(item.title) || "Untitled";
+    const skip = (type, reason) => {
+      unsupported.push({ identifier: item.identifier, title, type, reason });
+      return null;
+    };
+
+    const resource = resources.get(item.identifierref);
+    if (!resource) return skip(null, `resource "${item.identifierref}" is not in the manifest`);
+    const type = String(resource.type || "");
+    const ownFiles = resourceFiles(resource);
+
+    // Common Cartridge web links: the URL lives in the resource's XML file
+    if (standard === "imscc" && /^imswl_/i.test(type)) {
+      const xml = files.get(ownFiles[0]);
+      const url = xml && parser.parse(xml.toString("utf8")).webLink?.url?.href;
+      if (!url) return skip(type, "web link without a URL");
+      return { title, contentType: "embed", url };
+    }
+    if (type.toLowerCase() !== "webcontent") {
+      return skip(type, `resource type "${type}" is not supported`);
+    }
+
+    const launch = ownFiles[0];
+    if (!launch) return skip(type, "resource has no launch file");
+    if (!files.has(launch)) return skip(type, `launch file "${launch}" is missing from the package`);
+
+    ownFiles.filter((file) => files.has(file)).forEach((file) => assets.add(file));
+    const isSco = standard === "scorm" && String(resource.scormtype).toLowerCase() === "sco";
+    return {
+      title,
+      contentType: isSco ? "scorm" : EXTENSION_CONTENT_TYPES[extensionOf(launch)] || "document",
+      launch,
+      query: launchQuery(resource.href, item.parameters),
+    };
+  };
+
+  const lessonsUnder = (item) => [
+    ...(item.identifierref ? [toLesson(item)] : []),
+    ...(item.item || []).flatMap(lessonsUnder),
+  ].filter(Boolean);
+
+  // Common Cartridge wraps the whole tree in one untitled root item
+  let topItems = organization.item || [];
+  if (topItems.length === 1 && !topItems[0].identifierref && !textOf(topItems[0].title)) {
+    topItems = topItems[0].item || [];
+  }
+
+  const modules = topItems
+    .map((top) => {
+      const title = textOf(top.title) || "Untitled";
+      const chapters = [
+        ...(top.identifierref ? [{ title, lessons: [toLesson(top)].filter(Boolean) }] : []),
+        ...(top.item || []).map((child) => ({ title: textOf(child.title) || "Untitled", lessons: lessonsUnder(child) })),
+      ].filter((chapter) => chapter.lessons.length);
+      return { title, chapters };
+    })
+    .filter((module) => module.chapters.length);
+
+  return {
+    standard,
+    version,
+    title: textOf(organization.title) || textOf(manifest.metadata?.lom?.general?.title?.string),
+    modules,
+    assets: [...assets],
+    unsupported,
+    files,
+  };
+};
+
+/**
+ * Counts and titles of what an import would create, for dry runs and reports
+ */
+const describeContentPackage = (pkg) => ({
+  standard: pkg.standard,
+  version: pkg.version,
+  title: pkg.title,
+  summary: {
+    modules: pkg.modules.length,
+    chapters: pkg.modules.reduce((sum, m) => sum + m.chapters.length, 0),
+    lessons: pkg.modules.reduce((sum, m) => sum + m.chapters.reduce((n, c) => n + c.lessons.length, 0), 0),
+    assets: pkg.assets.length,
+  },
+  structure: pkg.modules.map((m) => ({
+    title: m.title,
+    chapters: m.chapters.map((c) => ({
+      title: c.title,
+      lessons: c.lessons.map((l) => ({ title: l.title, contentType: l.contentType })),
+    })),
+  })),
+  unsupported: pkg.unsupported,
+});
+
+/**
+ * Upload the package's assets, keeping their relative paths so SCOs can
+ * still load their own scripts and media
+ * @returns {Promise<Map<String, String>>} package path -> URL
+ */
+const uploadPackageAssets = async (pkg, courseId) => {
+  const prefix = `course-packages/${courseId}/${uuidv4()}`;
+  const urls = new Map();
+  try {
+    for (const asset of pkg.assets) {
+      const url = await uploadBufferToS3(
+        pkg.files.get(asset),
+        `${prefix}/${asset}`,
+        MIME_TYPES[extensionOf(asset)] || "application/octet-stream"
+      );
+      urls.set(asset, url);
+    }
+  } catch (err) {
+    await removePackageAssets(urls);
+    throw err;
+  }
+  return urls;
+};
+
+const removePackageAssets = async (urls) => {
+  for (const url of urls.values()) await deleteFileFromS3(url);
+};
+
+const uniqueTitle = (title, taken) => {
+  let candidate = title;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${title} (${n})`;
+  taken.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Create the modules, chapters and lessons of a read package inside an
+ * existing course, after its current modules
+ * @returns {Promise<{modules: Object[], renamed: Object[]}>}
+ */
+const createPackageRecords = async (pkg, assetUrls, courseId, actorId, session) => {
+  const course = await Course.findById(courseId).session(session);
+  if (!course) throw new NotFoundError("Course not found");
+
+  const existing = await Module.find({ courseId }).select("title orderIndex").session(session).lean();
+  const takenTitles = new Set(existing.map((m) => m.title.toLowerCase()));
+  let nextOrder = existing.reduce((max, m) => Math.max(max, m.orderIndex || 0), 0) + 1;
+  const renamed = [];
+  const created = [];
+
+  for (const planned of pkg.modules) {
+    const title = uniqueTitle(planned.title, takenTitles);
+    if (title !== planned.title) renamed.push({ from: planned.title, to: title });
+
+    const [module] = await Module.create(
+      [{ courseId, title, thumbnail: course.thumbnail, orderIndex: nextOrder++ }],
+      { session }
+    );
+
+    const chapterTitles = new Set();
+    for (const [chapterIndex, plannedChapter] of planned.chapters.entries()) {
+      const [chapter] = await Chapter.create(
+        [{ moduleId: module._id, title: uniqueTitle(plannedChapter.title, chapterTitles), orderIndex: chapterIndex + 1 }],
+        { session }
+      );
+
+      const lessons = plannedChapter.lessons.map((lesson, lessonIndex) => ({
+        chapterId: chapter._id,
+        createdBy: actorId,
+        title: lesson.title,
+        orderIndex: lessonIndex + 1,
+        contentType: lesson.contentType,
+        contentURL: lesson.url || `${assetUrls.get(lesson.launch)}${lesson.query}`,
+      }));
+      await Lesson.insertMany(lessons, { session });
+    }
+    created.push({ _id: module._id, title });
+  }
+
+  return { modules: created, renamed };
+};
+
+module.exports = {
+  PACKAGE_DIR,
+  resolvePackagePath,
+  readContentPackage,
+  describeContentPackage,
+  uploadPackageAssets,
+  removePackageAssets,
+  createPackageRecords,
+};
@@ -0,0 +1,325 @@
+const Student = require("../models/Student");
+const Assignment = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const LessonCompletion = require("../models/LessonCompletion");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const { loadDraftContent, loadStudentContent, resolveCourseId } = require("./courseRevisions");
+const { quizScore } = require("./quizzes");
+const { FINISHED_ATTEMPT_STATUSES } = require("../utils/quizGrading");
+const { ORDERED_LEVELS } = require("./contentOrder");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../utils/customErrors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN = Object.freeze({ isLocked: false, lockReason: null, unlocksAt: null });
+
+const groupBy = (items, field) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = String(item[field]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  for (const group of groups.values()) group.sort((a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0));
+  return groups;
+};
+
+/**
+ * Work out which modules, chapters and lessons of a course are locked for
+ * one student. Rules are checked parent first (a locked module locks its
+ * chapters and lessons), then release date, sequential order, prerequisites
+ * and minimum score; the first rule that fails is the reason.
+ *
+ * An empty chapter or module counts as completed, and prerequisites that are
+ * no longer in the content are ignored, so removed items never lock anything.
+ *
+ * @param {{course, modules, chapters, lessons}} content - usually the published content
+ * @param {{userId: String, enrollmentDate?: Date, now?: Date}} student
+ * @returns {Promise<Map<String, {isLocked: Boolean, lockReason: String|null, unlocksAt: Date|null}>>} by item id
+ */
+const evaluateUnlocks = async (content, { userId, enrollmentDate, now = new Date() }) => {
+  const { modules, chapters, lessons } = content;
+  const items = [
+    ...modules.map((item) => ({ level: "module", item })),
+    ...chapters.map((item) => ({ level: "chapter", item })),
+    ...lessons.map((item) => ({ level: "lesson", item })),
+  ];
+  const byId = new Map(items.map((entry) => [String(entry.item._id), entry]));
+
+  const completions = await LessonCompletion.find({
+    studentId: userId,
+    lessonId: { $in: lessons.map((l) => l._id) },
+    isCompleted: true,
+  })
+    .select("lessonId")
+    .lean();
+  const completedLessons = new Set(completions.map((c) => String(c.lessonId)));
+
+  const siblings = {
+    module: groupBy(modules, "courseId"),
+    chapter: groupBy(chapters, "moduleId"),
+    lesson: groupBy(lessons, "chapterId"),
+  };
+  const parentField = { module: "courseId", chapter: "moduleId", lesson: "chapterId" };
+  const childLevel = { module: "chapter", chapter: "lesson" };
+
+  const completed = new Map();
+  const isCompleted = (level, id) => {
+    const key = String(id);
+    if (level === "lesson") return completedLessons.has(key);
+    if (!completed.has(key)) {
+      const children = siblings[childLevel[level]].get(key) || [];
+      completed.set(key, children.every((child) => isCompleted(childLevel[level], child._id)));
+    }
+    return completed.get(key);
+  };
+
+  // title and best percentage of every assignment and quiz a minimum score refers to
+  const scoreRules = items.map(({ item }) => item.unlock?.minScore).filter(Boolean);
+  const idsOf = (field) => [...new Set(scoreRules.filter((rule) => rule[field]).map((rule) => String(rule[field])))];
+  const assignmentIds = idsOf("assignmentId");
+  const quizIds = idsOf("quizId");
+  const scoreSources = new Map();
+  if (assignmentIds.length) {
+    const assignments = await Assignment.find({ _id: { $in: assignmentIds } }).select("title totalMarks").lean();
+    assignments.forEach((a) => scoreSources.set(String(a._id), { title: a.title, totalMarks: a.totalMarks, percent: null }));
+
+    const reviewed = await AssignmentSubmission.find({
+      studentId: userId,
+      assignmentId: { $in: assignmentIds },
+      // a resubmission keeps its last grade until it is reviewed again
+      marks: { $ne: null },
+    })
+      .select("assignmentId marks")
+      .lean();
+    for (const submission of reviewed) {
+      const source = scoreSources.get(String(submission.assignmentId));
+      if (!source) continue;
+      const percent = ((submission.marks || 0) / (source.totalMarks || 100)) * 100;
+      source.percent = Math.max(source.percent ?? 0, percent);
+    }
+  }
+  if (quizIds.length) {
+    const quizzes = await Quiz.find({ _id: { $in: quizIds } }).select("title maxAttempts attemptScoring passPercentage").lean();
+    const attempts = await QuizAttempt.find({
+      studentId: userId,
+      quizId: { $in: quizIds },
+      status: { $in: FINISHED_ATTEMPT_STATUSES },
+    })
+      .select("quizId status attemptNumber score maxScore percentage passed")
+      .lean();
+    const attemptsByQuiz = groupBy(attempts, "quizId");
+    for (const quiz of quizzes) {
+      const { percentage } = quizScore(quiz, attemptsByQuiz.get(String(quiz._id)) || []);
+      scoreSources.set(String(quiz._id), { title: quiz.title, percent: percentage });
+    }
+  }
+
+  const label = (level, item) => `${level} "${item.title}"`;
+
+  const check = (level, item, parentState) => {
+    if (parentState?.isLocked) return parentState;
+    const rules = item.unlock;
+    if (!rules) return OPEN;
+
+    if (rules.releaseAfterDays != null && enrollmentDate) {
+      const unlocksAt = new Date(new Date(enrollmentDate).getTime() + rules.releaseAfterDays * DAY_MS);
+      if (unlocksAt > now) {
+        return { isLocked: true, lockReason: `Available from ${unlocksAt.toISOString().slice(0, 10)}`, unlocksAt };
+      }
+    }
+
+    if (rules.sequential) {
+      const group = siblings[level].get(String(item[parentField[level]])) || [];
+      const previous = group[group.findIndex((sibling) => String(sibling._id) === String(item._id)) - 1];
+      if (previous && !isCompleted(level, previous._id)) {
+        return { isLocked: true, lockReason: `Complete ${label(level, previous)} first`, unlocksAt: null };
+      }
+    }
+
+    for (const prerequisiteId of rules.prerequisites || []) {
+      const prerequisite = byId.get(String(prerequisiteId));
+      if (prerequisite && !isCompleted(prerequisite.level, prerequisite.item._id)) {
+        return { isLocked: true, lockReason: `Complete ${label(prerequisite.level, prerequisite.item)} first`, unlocksAt: null };
+      }
+    }
+
+    if (rules.minScore) {
+      const source = scoreSources.get(String(rules.minScore.assignmentId || rules.minScore.quizId));
+      if (source && (source.percent ?? -1) < rules.minScore.percent) {
+        return {
+          isLocked: true,
+          lockReason: `Score at least ${rules.minScore.percent}% in "${source.title}"`,
+          unlocksAt: null,
+        };
+      }
+    }
+
+    return OPEN;
+  };
+
+  const states = new Map();
+  for (const module of modules) states.set(String(module._id), check("module", module));
+  for (const chapter of chapters) {
+    states.set(String(chapter._id), check("chapter", chapter, states.get(String(chapter.moduleId))));
+  }
+  for (const lesson of lessons) {
+    states.set(String(lesson._id), check("lesson", lesson, states.get(String(lesson.chapterId))));
+  }
+  return states;
+};
+
+/**
+ * evaluateUnlocks for a user, or null when they aren't enrolled in the course
+ * (tutors, admins) and nothing is locked for them
+ */
+const unlocksForUser = async (userId, content) => {
+  const student = await Student.findOne({ userId, courseId: content.course._id }).select("enrollmentDate").lean();
+  if (!student) return null;
+  return evaluateUnlocks(content, { userId, enrollmentDate: student.enrollmentDate });
+};
+
+/**
+ * Throw a ForbiddenError when the item is locked for the user, or not
+ * published to students at the moment. Used on the student's progress writes
+ * (lesson-completion, lesson-currentTime) and when a quiz is started.
+ * @param {'module'|'chapter'|'lesson'} level
+ */
+const assertContentUnlocked = async (userId, level, id) => {
+  const content = await loadStudentContent({ [`${level}Id`]: id });
+  if (!content) return;
+
+  const states = await unlocksForUser(userId, content);
+  if (!states) return;
+  const state = states.get(String(id));
+  if (!state) throw new ForbiddenError(`This ${level} is not available`);
+  if (state.isLocked) throw new ForbiddenError(`This ${level} is locked: ${state.lockReason}`);
+};
+
+const assertLessonUnlocked = (userId, lessonId) => assertContentUnlocked(userId, "lesson", lessonId);
+
+/**
+ * Whether `rules` on `id` would make it wait for itself: an item waits for
+ * its own and its parents' prerequisites and (when sequential) previous
+ * sibling, and a module or chapter is completed by its content, so the
+ * rules loop when they lead back to the item or anything inside it.
+ * @param {{modules, chapters, lessons}} draft
+ * @returns {Object[]|null} the items along the loop, starting at `id`; null when there is none
+ */
+const findUnlockCycle = (draft, id, rules) => {
+  const items = [...draft.modules, ...draft.chapters, ...draft.lessons];
+  const byId = new Map(items.map((item) => [String(item._id), item]));
+  const parentOf = new Map([
+    ...draft.chapters.map((c) => [String(c._id), String(c.moduleId)]),
+    ...draft.lessons.map((l) => [String(l._id), String(l.chapterId)]),
+  ]);
+  const childrenOf = new Map();
+  parentOf.forEach((parentId, childId) => {
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(childId);
+  });
+  const previousOf = new Map();
+  const groups = [groupBy(draft.modules, "courseId"), groupBy(draft.chapters, "moduleId"), groupBy(draft.lessons, "chapterId")];
+  groups.forEach((group) =>
+    group.forEach((siblings) => siblings.slice(1).forEach((item, index) => previousOf.set(String(item._id), String(siblings[index]._id))))
+  );
+
+  const lineage = (itemId) => {
+    const ids = [];
+    for (let current = itemId; current; current = parentOf.get(current)) ids.push(current);
+    return ids;
+  };
+  const rulesOf = (itemId) => (itemId === String(id) ? rules : byId.get(itemId)?.unlock);
+  const ruleTargets = (itemId) => {
+    const own = rulesOf(itemId);
+    if (!own) return [];
+    const ids = (own.prerequisites || []).map(String);
+    if (own.sequential && previousOf.has(itemId)) ids.push(previousOf.get(itemId));
+    return ids;
+  };
+  const waitsFor = (itemId) =>
+    [...(childrenOf.get(itemId) || []), ...lineage(itemId).flatMap(ruleTargets)].filter((next) => byId.has(next));
+
+  const seen = new Set();
+  const path = [String(id)];
+  const visit = (targets) => {
+    for (const next of targets) {
+      if (seen.has(next)) continue;
+      seen.add(next);
+      path.push(next);
+      if (lineage(next).includes(String(id)) || visit(waitsFor(next))) return true;
+      path.pop();
+    }
+    return false;
+  };
+  return visit(ruleTargets(String(id)).filter((next) => byId.has(next))) ? path.map((itemId) => byId.get(itemId)) : null;
+};
+
+/**
+ * Replace an item's unlock rules (null removes them). Prerequisites must be
+ * other items of the same course that neither contain nor sit inside the
+ * item and don't wait for it in turn, and a minimum score must refer to an
+ * assignment or quiz of the course.
+ * @param {'module'|'chapter'|'lesson'} level
+ * @param {String} id
+ * @param {Object|null} rules - validated by unlockRulesSchema
+ */
+const setUnlockRules = async (level, id, rules) => {
+  const { model, label } = ORDERED_LEVELS[level];
+  if (!(await model.exists({ _id: id }))) throw new NotFoundError(`${label} not found`);
+
+  if (rules) {
+    const draft = await loadDraftContent(await resolveCourseId({ [`${level}Id`]: id }));
+    const parentOf = new Map([
+      ...draft.chapters.map((c) => [String(c._id), String(c.moduleId)]),
+      ...draft.lessons.map((l) => [String(l._id), String(l.chapterId)]),
+    ]);
+    const lineage = (itemId) => {
+      const ids = [];
+      for (let current = String(itemId); current; current = parentOf.get(current)) ids.push(current);
+      return ids;
+    };
+    const inCourse = new Set([...draft.modules, ...draft.chapters, ...draft.lessons].map((item) => String(item._id)));
+
+    for (const prerequisiteId of rules.prerequisites) {
+      if (!inCourse.has(String(prerequisiteId))) {
+        throw new BadRequestError(`Prerequisite ${prerequisiteId} is not part of this course`);
+      }
+      if (lineage(id).includes(String(prerequisiteId)) || lineage(prerequisiteId).includes(String(id))) {
+        throw new BadRequestError(`${label} can't require itself, its own content or what contains it`);
+      }
+    }
+
+    const cycle = findUnlockCycle(draft, id, rules);
+    if (cycle) {
+      throw new BadRequestError(`These rules would lock items behind each other: ${cycle.map((item) => `"${item.title}"`).join(" → ")}`);
+    }
+
+    if (rules.minScore?.assignmentId) {
+      const assignment = await Assignment.findById(rules.minScore.assignmentId).select("lessonId").lean();
+      if (!assignment || !inCourse.has(String(assignment.lessonId))) {
+        throw new BadRequestError("The assignment for the minimum score must belong to this course");
+      }
+    }
+    if (rules.minScore?.quizId) {
+      const quiz = await Quiz.findById(rules.minScore.quizId).select("lessonId chapterId").lean();
+      if (!quiz || !inCourse.has(String(quiz.lessonId || quiz.chapterId))) {
+        throw new BadRequestError("The quiz for the minimum score must belong to this course");
+      }
+    }
+  }
+
+  return model.findByIdAndUpdate(
+    id,
+    rules ? { $set: { unlock: rules } } : { $unset: { unlock: 1 } },
+    { new: true, runValidators: true }
+  ).lean();
+};
+
+module.exports = {
+  evaluateUnlocks,
+  setUnlockRules,
+  unlocksForUser,
+  assertContentUnlocked,
+  assertLessonUnlocked,
+};
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Module = require("../models/Module");
+const Chapter = require("../models/Chapter");
+const Lesson = require("../models/Lesson");
+const Assignment = require("../models/Assignment");
+const LessonTranscript = require("../models/LessonTranscript");
+const { loadDraftContent } = require("./courseRevisions");
+const { escapeRegex } = require("../utils/escapeRegex");
+const { pickLessonContent } = require("../utils/lessonContent");
+const { ConflictError, NotFoundError } = require("../utils/customErrors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deep-copy a course's draft (Course -> Module -> Chapter -> Lesson, and
+ * optionally its assignments) into a new course with fresh ids.
+ *
+ * Assignment deadlines are kept relative: each copy is due the same number
+ * of days after `startDate` as the original was after its course started
+ * (its own `deadlineOffsetDays`, or else the source course's creation date).
+ * Copies start with nobody assigned.
+ *
+ * @param {String} sourceId
+ * @param {String} actorId
+ * @param {{title: String, description?: String, thumbnail?: String, includeAssignments?: Boolean,
+ *   startDate?: Date, asTemplate?: Boolean}} options - thumbnail must already be a stored URL
+ * @param {Object} [session]
+ * @returns {Promise<{course: Object, summary: Object}>}
+ */
+const cloneCourse = async (sourceId, actorId, options, session) => {
+  const { title, includeAssignments = false, startDate = new Date(), asTemplate = false } = options;
+
+  const source = await loadDraftContent(sourceId, session);
+  if (!source) throw new NotFoundError("Course not found");
+
+  const duplicate = await Course.exists({ title: { $regex: new RegExp(`^${escapeRegex(title)}$`, "i") } }).session(session);
+  if (duplicate) throw new ConflictError("A course with this title already exists.");
+
+  const newIds = new Map();
+  const remap = (id) => {
+    const key = String(id);
+    if (!newIds.has(key)) newIds.set(key, new mongoose.Types.ObjectId());
+    return newIds.get(key);
+  };
+  // prerequisites point into the copy; a minimum score needs the copied
+  // assignment (quizzes aren't copied)
+  const remapUnlock = (unlock) =>
+    unlock && {
+      ...unlock,
+      prerequisites: (unlock.prerequisites || []).map(remap),
+      minScore: includeAssignments && unlock.minScore?.assignmentId
+        ? { ...unlock.minScore, assignmentId: remap(unlock.minScore.assignmentId) }
+        : undefined,
+    };
+
+  const [course] = await Course.create(
+    [{
+      title,
+      description: options.description ?? source.course.description,
+      thumbnail: options.thumbnail || source.course.thumbnail,
+      status: source.course.status,
+      createdBy: actorId,
+      versioned: true,
+      isTemplate: asTemplate,
+      clonedFrom: source.course._id,
+    }],
+    { session }
+  );
+
+  const modules = source.modules.map((m) => ({
+    _id: remap(m._id),
+    courseId: course._id,
+    title: m.title,
+    thumbnail: m.thumbnail,
+    orderIndex: m.orderIndex,
+    unlock: remapUnlock(m.unlock),
+  }));
+  const chapters = source.chapters.map((c) => ({
+    _id: remap(c._id),
+    moduleId: remap(c.moduleId),
+    title: c.title,
+    orderIndex: c.orderIndex,
+    unlock: remapUnlock(c.unlock),
+  }));
+  const lessons = source.lessons.map((l) => ({
+    _id: remap(l._id),
+    chapterId: remap(l.chapterId),
+    createdBy: actorId,
+    title: l.title,
+    orderIndex: l.orderIndex,
+    ...pickLessonContent(l),
+    unlock: remapUnlock(l.unlock),
+  }));
+
+  let assignments = [];
+  if (includeAssignments && lessons.length) {
+    const sourceAssignments = await Assignment.find({ lessonId: { $in: source.lessons.map((l) => l._id) } })
+      .session(session)
+      .lean();
+    const sourceStart = new Date(source.course.createdAt).getTime();
+
+    assignments = sourceAssignments.map((a) => {
+      const offsetDays = a.deadlineOffsetDays ?? Math.max(0, Math.round((new Date(a.deadline).getTime() - sourceStart) / DAY_MS));
+      return {
+        _id: remap(a._id),
+        title: a.title,
+        description: a.description,
+        lessonId: remap(a.lessonId),
+        deadline: new Date(new Date(startDate).getTime() + offsetDays * DAY_MS),
+        deadlineOffsetDays: offsetDays,
+        files: (a.files || []).map(({ name, size, fileUrl }) => ({ name, size, fileUrl })),
+        assignedTo: [],
+        status: "Active",
+        createdBy: actorId,
+        totalMarks: a.totalMarks,
+        maxAttempts: a.maxAttempts,
+        gracePeriodMinutes: a.gracePeriodMinutes,
+        latePolicy: a.latePolicy,
+        rubric: (a.rubric || []).map((c) => ({
+          title: c.title,
+          description: c.description,
+          levels: c.levels.map((l) => ({ title: l.title, description: l.description, points: l.points })),
+        })),
+      };
+    });
+  }
+
+  if (modules.length) await Module.insertMany(modules, { session });
+  if (chapters.length) await Chapter.insertMany(chapters, { session });
+  if (lessons.length) await Lesson.insertMany(lessons, { session });
+  if (assignments.length) await Assignment.insertMany(assignments, { session });
+
+  // cloned lessons keep their caption tracks, so they keep the transcripts too
+  if (lessons.length) {
+    const transcripts = await LessonTranscript.find({ lessonId: { $in: source.lessons.map((l) => l._id) } })
+      .session(session)
+      .lean();
+    if (transcripts.length) {
+      await LessonTranscript.insertMany(
+        transcripts.map(({ lessonId, language, sourceUrl, cues, text }) => ({ lessonId: remap(lessonId), language, sourceUrl, cues, text })),
+        { session }
+      );
+    }
+  }
+
+  return {
+    course,
+    summary: {
+      modules: modules.length,
+      chapters: chapters.length,
+      lessons: lessons.length,
+      assignments: assignments.length,
+    },
+  };
+};
+
+module.exports = { cloneCourse };
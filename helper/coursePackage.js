@@ -0,0 +1,350 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Module = require("../models/Module");
+const Chapter = require("../models/Chapter");
+const Lesson = require("../models/Lesson");
+const Assignment = require("../models/Assignment");
+const { loadDraftContent } = require("./courseRevisions");
+const { createZip, readZip, isZip } = require("../utils/zip");
+const { coursePackageSchema } = require("../validations/coursePackageValidation");
+const { escapeRegex } = require("../utils/escapeRegex");
+const { pickLessonContent, lessonContentUrls } = require("../utils/lessonContent");
+const { BadRequestError, ConflictError, NotFoundError } = require("../utils/customErrors");
+
+const PACKAGE_FORMAT = "course-package";
+const PACKAGE_VERSION = 1;
+const MANIFEST_FILE = "course.json";
+
+/*
+ * Course package, version 1
+ *
+ * A ZIP archive holding a single `course.json` (the JSON on its own is
+ * accepted too):
+ *
+ *   format       "course-package"
+ *   version      1
+ *   exportedAt   ISO date
+ *   source       { courseId, publishedVersion }
+ *   course       { ref, title, description, thumbnail, status }
+ *   modules      [{ ref, title, thumbnail, orderIndex, unlock? }]
+ *   chapters     [{ ref, moduleRef, title, orderIndex, unlock? }]
+ *   lessons      [{ ref, chapterRef, title, orderIndex, contentType, contentURL, duration, unlock?,
+ *                   body?, bodyFormat?, video?, document?, embed?, blocks?, attachments? }]
+ *   assignments  [{ ref, lessonRef, title, description, deadline, status, totalMarks,
+ *                   maxAttempts, gracePeriodMinutes, latePolicy,
+ *                   rubric: [{ title, description, levels: [{ title, description, points }] }],
+ *                   files: [{ name, size, fileUrl }] }]
+ *   files        [{ url, usedBy: [{ type, ref, field }] }]
+ *
+ * `unlock` is { sequential, prerequisites: [ref], minScore: { assignmentRef, percent },
+ * releaseAfterDays }; prerequisites are refs of modules, chapters or lessons.
+ * Quizzes aren't packaged, so a minimum quiz score is left out.
+ *
+ * `ref`s are the ids in the exporting environment and only link records
+ * inside the package; every record gets a new id on import. Files are not
+ * embedded: `files` lists every URL the course points at so they can be
+ * copied along. The package holds the draft content only - no enrolments,
+ * progress, submissions or assignees.
+ */
+
+const isUrl = (value) => typeof value === "string" && /^https?:\/\//i.test(value);
+
+const exportUnlock = (unlock) =>
+  unlock
+    ? {
+        sequential: Boolean(unlock.sequential),
+        prerequisites: (unlock.prerequisites || []).map(String),
+        minScore: unlock.minScore?.assignmentId
+          ? { assignmentRef: String(unlock.minScore.assignmentId), percent: unlock.minScore.percent }
+          : null,
+        releaseAfterDays: unlock.releaseAfterDays ?? null,
+      }
+    : undefined;
+
+/**
+ * Snapshot a course's draft into a package object
+ */
+const buildCoursePackage = async (courseId) => {
+  const draft = await loadDraftContent(courseId);
+  if (!draft) throw new NotFoundError("Course not found");
+  const { course, modules, chapters, lessons } = draft;
+
+  const assignments = await Assignment.find({ lessonId: { $in: lessons.map((l) => l._id) } })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const files = new Map();
+  const addFile = (url, type, ref, field) => {
+    if (!isUrl(url)) return;
+    if (!files.has(url)) files.set(url, { url, usedBy: [] });
+    files.get(url).usedBy.push({ type, ref, field });
+  };
+
+  const pkg = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { courseId: String(course._id), publishedVersion: course.publishedVersion || 0 },
+    course: {
+      ref: String(course._id),
+      title: course.title,
+      description: course.description || "",
+      thumbnail: course.thumbnail,
+      status: course.status,
+    },
+    modules: modules.map((m) => ({
+      ref: String(m._id),
+      title: m.title,
+      thumbnail: m.thumbnail,
+      orderIndex: m.orderIndex,
+      unlock: exportUnlock(m.unlock),
+    })),
+    chapters: chapters.map((c) => ({
+      ref: String(c._id),
+      moduleRef: String(c.moduleId),
+      title: c.title,
+      orderIndex: c.orderIndex,
+      unlock: exportUnlock(c.unlock),
+    })),
+    lessons: lessons.map((l) => ({
+      ref: String(l._id),
+      chapterRef: String(l.chapterId),
+      title: l.title,
+      orderIndex: l.orderIndex,
+      ...pickLessonContent(l),
+      duration: l.duration ?? null,
+      unlock: exportUnlock(l.unlock),
+    })),
+    assignments: assignments.map((a) => ({
+      ref: String(a._id),
+      lessonRef: String(a.lessonId),
+      title: a.title,
+      description: a.description || "",
+      deadline: a.deadline,
+      status: a.status,
+      totalMarks: a.totalMarks,
+      maxAttempts: a.maxAttempts ?? 1,
+      gracePeriodMinutes: a.gracePeriodMinutes || 0,
+      latePolicy: {
+        allowLate: a.latePolicy?.allowLate ?? false,
+        penaltyPerDay: a.latePolicy?.penaltyPerDay ?? 0,
+        maxPenalty: a.latePolicy?.maxPenalty ?? 100,
+        cutoffDays: a.latePolicy?.cutoffDays ?? null,
+      },
+      rubric: (a.rubric || []).map((c) => ({
+        title: c.title,
+        description: c.description || "",
+        levels: c.levels.map((l) => ({ title: l.title, description: l.description || "", points: l.points })),
+      })),
+      files: (a.files || []).map(({ name, size, fileUrl }) => ({ name, size, fileUrl })),
+    })),
+  };
+
+  addFile(pkg.course.thumbnail, "course", pkg.course.ref, "thumbnail");
+  pkg.modules.forEach((m) => addFile(m.thumbnail, "module", m.ref, "thumbnail"));
+  pkg.lessons.forEach((l) => lessonContentUrls(l).forEach(({ url, field }) => addFile(url, "lesson", l.ref, field)));
+  pkg.assignments.forEach((a) => a.files.forEach((f) => addFile(f.fileUrl, "assignment", a.ref, "files.fileUrl")));
+  pkg.files = [...files.values()];
+
+  return pkg;
+};
+
+const packageToZip = (pkg) => createZip([{ name: MANIFEST_FILE, data: JSON.stringify(pkg, null, 2) }]);
+
+/**
+ * Read and validate a package: an uploaded ZIP/JSON buffer or an already
+ * parsed object. Throws the Joi error when the package doesn't validate.
+ */
+const parseCoursePackage = (input) => {
+  let raw = input;
+  if (Buffer.isBuffer(input)) {
+    try {
+      let text = input.toString("utf8");
+      if (isZip(input)) {
+        const manifest = readZip(input).find(
+          (entry) => entry.name === MANIFEST_FILE || entry.name.endsWith(`/${MANIFEST_FILE}`)
+        );
+        if (!manifest) throw new Error(`${MANIFEST_FILE} not found in the archive`);
+        text = manifest.data.toString("utf8");
+      }
+      raw = JSON.parse(text);
+    } catch (err) {
+      throw new BadRequestError(`Unreadable course package: ${err.message}`);
+    }
+  }
+
+  const { error, value } = coursePackageSchema.validate(raw, { abortEarly: false });
+  if (error) throw error;
+  return value;
+};
+
+const findConflicts = async (pkg, title) => {
+  const conflicts = [];
+  const add = (type, ref, message) => conflicts.push({ type, ref, message });
+
+  // every ref unique per type, every parent ref present
+  const levels = { module: pkg.modules, chapter: pkg.chapters, lesson: pkg.lessons, assignment: pkg.assignments };
+  const refs = {};
+  for (const [type, items] of Object.entries(levels)) {
+    refs[type] = new Set();
+    for (const item of items) {
+      if (refs[type].has(item.ref)) add(type, item.ref, `Duplicate ${type} ref "${item.ref}"`);
+      refs[type].add(item.ref);
+    }
+  }
+  for (const [type, field, parentType] of [
+    ["chapter", "moduleRef", "module"],
+    ["lesson", "chapterRef", "chapter"],
+    ["assignment", "lessonRef", "lesson"],
+  ]) {
+    for (const item of levels[type]) {
+      if (!refs[parentType].has(item[field])) {
+        add(type, item.ref, `"${item.title}" belongs to ${parentType} "${item[field]}", which is not in the package`);
+      }
+    }
+  }
+
+  // the same uniqueness rules the create endpoints enforce
+  const seen = new Set();
+  const once = (key, type, ref, message) => {
+    if (seen.has(key)) add(type, ref, message);
+    seen.add(key);
+  };
+  for (const m of pkg.modules) {
+    once(`module:${m.title}`, "module", m.ref, `Module title "${m.title}" is used more than once`);
+  }
+  for (const c of pkg.chapters) {
+    once(`chapter:${c.moduleRef}:${c.title}`, "chapter", c.ref, `Chapter title "${c.title}" is used twice in one module`);
+    once(`chapter:${c.moduleRef}#${c.orderIndex}`, "chapter", c.ref, `Chapter order ${c.orderIndex} is used twice in one module`);
+  }
+
+  const existing = await Course.findOne({ title: { $regex: new RegExp(`^${escapeRegex(title)}$`, "i") } })
+    .select("_id")
+    .lean();
+  if (existing) {
+    add("course", pkg.course.ref, `A course titled "${title}" already exists; import it under another title`);
+  }
+
+  return conflicts;
+};
+
+/**
+ * What an import would create, and what stands in its way
+ * @param {Object} pkg - validated package
+ * @param {{title?: String}} options - title: import under a different course title
+ */
+const planCourseImport = async (pkg, { title } = {}) => {
+  const courseTitle = title || pkg.course.title;
+  return {
+    title: courseTitle,
+    summary: {
+      modules: pkg.modules.length,
+      chapters: pkg.chapters.length,
+      lessons: pkg.lessons.length,
+      assignments: pkg.assignments.length,
+      files: pkg.files.length,
+    },
+    conflicts: await findConflicts(pkg, courseTitle),
+  };
+};
+
+/**
+ * Create the whole hierarchy from a package with fresh ids. Meant to run in
+ * a transaction; refuses to import anything when there are conflicts.
+ * @returns {Promise<{course: Object, summary: Object, ids: Object}>} ids: old ref -> new id, per type
+ */
+const importCoursePackage = async (pkg, actorId, { title } = {}, session) => {
+  const plan = await planCourseImport(pkg, { title });
+  if (plan.conflicts.length) {
+    throw new ConflictError(
+      `The package can't be imported: ${plan.conflicts.map((c) => c.message).join("; ")}`
+    );
+  }
+
+  const ids = { course: {}, modules: {}, chapters: {}, lessons: {}, assignments: {} };
+  const assignId = (level, ref) => (ids[level][ref] = new mongoose.Types.ObjectId());
+
+  const [course] = await Course.create(
+    [{
+      _id: assignId("course", pkg.course.ref),
+      title: plan.title,
+      description: pkg.course.description,
+      thumbnail: pkg.course.thumbnail,
+      status: pkg.course.status,
+      createdBy: actorId,
+      versioned: true,
+    }],
+    { session }
+  );
+
+  const modules = pkg.modules.map((m) => ({
+    _id: assignId("modules", m.ref),
+    courseId: course._id,
+    title: m.title,
+    thumbnail: m.thumbnail,
+    orderIndex: m.orderIndex,
+  }));
+  const chapters = pkg.chapters.map((c) => ({
+    _id: assignId("chapters", c.ref),
+    moduleId: ids.modules[c.moduleRef],
+    title: c.title,
+    orderIndex: c.orderIndex,
+  }));
+  const lessons = pkg.lessons.map((l) => ({
+    _id: assignId("lessons", l.ref),
+    chapterId: ids.chapters[l.chapterRef],
+    createdBy: actorId,
+    title: l.title,
+    orderIndex: l.orderIndex,
+    ...pickLessonContent(l),
+    duration: l.duration ?? undefined,
+  }));
+  const assignments = pkg.assignments.map((a) => ({
+    _id: assignId("assignments", a.ref),
+    lessonId: ids.lessons[a.lessonRef],
+    title: a.title,
+    description: a.description,
+    deadline: a.deadline,
+    status: a.status || "Active",
+    closedReason: a.status === "Closed" ? "manual" : null,
+    totalMarks: a.totalMarks,
+    maxAttempts: a.maxAttempts,
+    gracePeriodMinutes: a.gracePeriodMinutes,
+    latePolicy: a.latePolicy,
+    rubric: a.rubric,
+    files: a.files,
+    createdBy: actorId,
+  }));
+
+  // unlock rules point at other records, so they are mapped once every id is known
+  const importUnlock = (unlock) => {
+    if (!unlock) return undefined;
+    const assignmentId = unlock.minScore && ids.assignments[unlock.minScore.assignmentRef];
+    return {
+      sequential: unlock.sequential,
+      prerequisites: unlock.prerequisites
+        .map((ref) => ids.modules[ref] || ids.chapters[ref] || ids.lessons[ref])
+        .filter(Boolean),
+      minScore: assignmentId ? { assignmentId, percent: unlock.minScore.percent } : undefined,
+      releaseAfterDays: unlock.releaseAfterDays,
+    };
+  };
+  modules.forEach((m, i) => (m.unlock = importUnlock(pkg.modules[i].unlock)));
+  chapters.forEach((c, i) => (c.unlock = importUnlock(pkg.chapters[i].unlock)));
+  lessons.forEach((l, i) => (l.unlock = importUnlock(pkg.lessons[i].unlock)));
+
+  if (modules.length) await Module.insertMany(modules, { session });
+  if (chapters.length) await Chapter.insertMany(chapters, { session });
+  if (lessons.length) await Lesson.insertMany(lessons, { session });
+  if (assignments.length) await Assignment.insertMany(assignments, { session });
+
+  return { course, summary: plan.summary, ids };
+};
+
+module.exports = {
+  buildCoursePackage,
+  packageToZip,
+  parseCoursePackage,
+  planCourseImport,
+  importCoursePackage,
+};
@@ -0,0 +1,306 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Module = require("../models/Module");
+const Chapter = require("../models/Chapter");
+const Lesson = require("../models/Lesson");
+const CourseRevision = require("../models/CourseRevision");
+const { hasRole } = require("./roleCache");
+const { diffObjects } = require("../utils/objectDiff");
+const { BadRequestError, NotFoundError } = require("../utils/customErrors");
+
+// course-level fields that are versioned; status/createdBy etc. are not content
+const COURSE_FIELDS = ["title", "description", "thumbnail"];
+const BOOKKEEPING = ["__v", "createdAt", "updatedAt", "deletedAt", "deletedBy", "deletedWith", "publishNotifiedAt"];
+const NOT_DIFFED = new Set(["_id", ...BOOKKEEPING]);
+const TREE_LEVELS = [
+  ["modules", Module],
+  ["chapters", Chapter],
+  ["lessons", Lesson],
+];
+
+const stripBookkeeping = (doc) =>
+  Object.fromEntries(Object.entries(doc).filter(([key]) => !BOOKKEEPING.includes(key)));
+
+const pickCourse = (course) =>
+  Object.fromEntries(COURSE_FIELDS.filter((key) => course?.[key] !== undefined).map((key) => [key, course[key]]));
+
+const byOrder = (a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0);
+
+const fromRevision = (revision) => ({
+  course: { _id: revision.courseId, ...revision.course },
+  modules: revision.modules,
+  chapters: revision.chapters,
+  lessons: revision.lessons,
+  version: revision.number,
+});
+
+/**
+ * The draft: what is in the live collections right now
+ * @returns {Promise<{course, modules, chapters, lessons}|null>}
+ */
+const loadDraftContent = async (courseId, session) => {
+  if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) return null;
+  const course = await Course.findById(courseId).session(session).lean();
+  if (!course) return null;
+
+  const modules = await Module.find({ courseId }).session(session).lean();
+  const chapters = await Chapter.find({ moduleId: { $in: modules.map((m) => m._id) } }).session(session).lean();
+  const lessons = await Lesson.find({ chapterId: { $in: chapters.map((c) => c._id) } }).session(session).lean();
+
+  return {
+    course,
+    modules: modules.map(stripBookkeeping).sort(byOrder),
+    chapters: chapters.map(stripBookkeeping).sort(byOrder),
+    lessons: lessons.map(stripBookkeeping).sort(byOrder),
+  };
+};
+
+const resolveCourseId = async ({ courseId, moduleId, chapterId, lessonId }) => {
+  if (courseId) return courseId;
+  if (lessonId) {
+    const lesson = await Lesson.findById(lessonId).select("chapterId").lean();
+    chapterId = lesson?.chapterId;
+  }
+  if (chapterId) {
+    const chapter = await Chapter.findById(chapterId).select("moduleId").lean();
+    moduleId = chapter?.moduleId;
+  }
+  if (!moduleId) return null;
+  const module = await Module.findById(moduleId).select("courseId").lean();
+  return module?.courseId || null;
+};
+
+const findCurrentRevision = ({ courseId, moduleId, chapterId, lessonId }) => {
+  const [field, id] = courseId
+    ? ["courseId", courseId]
+    : moduleId
+      ? ["modules._id", moduleId]
+      : chapterId
+        ? ["chapters._id", chapterId]
+        : ["lessons._id", lessonId];
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return CourseRevision.findOne({ [field]: new mongoose.Types.ObjectId(String(id)), current: true }).lean();
+};
+
+/**
+ * What students see: the current published revision of the course, or the
+ * live content for courses that were never versioned. Any one id is enough
+ * to find the course.
+ * @param {{courseId?, moduleId?, chapterId?, lessonId?}} ref
+ * @returns {Promise<{course, modules, chapters, lessons, version}|null>} null if there is no such course
+ */
+const loadPublishedContent = async (ref) => {
+  const revision = await findCurrentRevision(ref);
+  if (revision) {
+    return (await Course.exists({ _id: revision.courseId })) ? fromRevision(revision) : null;
+  }
+
+  const courseId = await resolveCourseId(ref);
+  const draft = await loadDraftContent(courseId);
+  if (!draft) return null;
+  if (!draft.course.versioned) return { ...draft, version: null };
+
+  // versioned but not published yet
+  return { course: draft.course, modules: [], chapters: [], lessons: [], version: 0 };
+};
+
+// published at `now` by the item's own publishAt / unpublishAt
+const isLive = (item, now = new Date()) =>
+  (!item.publishAt || new Date(item.publishAt) <= now) && (!item.unpublishAt || new Date(item.unpublishAt) > now);
+
+/**
+ * Drop what is scheduled for later (publishAt) or already taken down
+ * (unpublishAt), together with everything inside it
+ */
+const applySchedule = (content, now = new Date()) => {
+  if (!content) return content;
+  const modules = content.modules.filter((m) => isLive(m, now));
+  const moduleIds = new Set(modules.map((m) => String(m._id)));
+  const chapters = content.chapters.filter((c) => moduleIds.has(String(c.moduleId)) && isLive(c, now));
+  const chapterIds = new Set(chapters.map((c) => String(c._id)));
+  const lessons = content.lessons.filter((l) => chapterIds.has(String(l.chapterId)) && isLive(l, now));
+  return { ...content, modules, chapters, lessons };
+};
+
+/**
+ * The published content as students see it right now
+ */
+const loadStudentContent = async (ref) => applySchedule(await loadPublishedContent(ref));
+
+/**
+ * Published content for students, the draft for everyone else (authors,
+ * tutors, admins)
+ */
+const loadContentFor = async (authUser, ref) => {
+  if (await hasRole(authUser, "Student")) return loadStudentContent(ref);
+  return loadDraftContent(await resolveCourseId(ref));
+};
+
+/**
+ * A stored revision by number, or the draft for "draft"
+ */
+const loadVersion = async (courseId, version) => {
+  if (version === "draft") {
+    const draft = await loadDraftContent(courseId);
+    if (!draft) throw new NotFoundError("Course not found");
+    return { ...draft, version: "draft" };
+  }
+  const number = parseInt(version);
+  if (!Number.isInteger(number)) throw new BadRequestError(`Invalid revision: ${version}`);
+  const revision = await CourseRevision.findOne({ courseId, number }).lean();
+  if (!revision) throw new NotFoundError(`Revision ${number} not found`);
+  return fromRevision(revision);
+};
+
+const diffLevel = (before = [], after = []) => {
+  const beforeById = new Map(before.map((doc) => [String(doc._id), doc]));
+  const afterIds = new Set(after.map((doc) => String(doc._id)));
+  const summary = (doc) => ({ _id: doc._id, title: doc.title });
+
+  const changed = [];
+  for (const doc of after) {
+    const previous = beforeById.get(String(doc._id));
+    if (!previous) continue;
+    const changes = diffObjects(previous, doc, NOT_DIFFED);
+    if (Object.keys(changes).length) changed.push({ ...summary(doc), changes });
+  }
+
+  return {
+    added: after.filter((doc) => !beforeById.has(String(doc._id))).map(summary),
+    removed: before.filter((doc) => !afterIds.has(String(doc._id))).map(summary),
+    changed,
+  };
+};
+
+/**
+ * What changed between two versions of a course's content
+ */
+const diffContent = (from, to) => {
+  const result = { course: diffObjects(pickCourse(from.course), pickCourse(to.course)) };
+  for (const [level] of TREE_LEVELS) result[level] = diffLevel(from[level], to[level]);
+
+  result.hasChanges =
+    Object.keys(result.course).length > 0 ||
+    TREE_LEVELS.some(([level]) => ["added", "removed", "changed"].some((kind) => result[level][kind].length));
+  return result;
+};
+
+/**
+ * Course with modules -> chapters -> lessons nested, for previews
+ */
+const nestContent = ({ course, modules, chapters, lessons }) => {
+  const groupBy = (docs, field) =>
+    docs.reduce((map, doc) => {
+      const key = String(doc[field]);
+      (map[key] = map[key] || []).push(doc);
+      return map;
+    }, {});
+  const lessonsByChapter = groupBy(lessons, "chapterId");
+  const chaptersByModule = groupBy(chapters, "moduleId");
+
+  return {
+    ...course,
+    modules: modules.map((module) => ({
+      ...module,
+      chapters: (chaptersByModule[String(module._id)] || []).map((chapter) => ({
+        ...chapter,
+        lessons: lessonsByChapter[String(chapter._id)] || [],
+      })),
+    })),
+  };
+};
+
+/**
+ * Snapshot the draft as the new current revision
+ * @param {String} courseId
+ * @param {String} actorId
+ * @param {{note?: String, restoredFrom?: Number}} options
+ * @param {Object} [session]
+ */
+const publishCourse = async (courseId, actorId, { note = "", restoredFrom = null } = {}, session) => {
+  const draft = await loadDraftContent(courseId, session);
+  if (!draft) throw new NotFoundError("Course not found");
+
+  const current = await CourseRevision.findOne({ courseId, current: true }).session(session).lean();
+  if (current && restoredFrom === null && !diffContent(fromRevision(current), draft).hasChanges) {
+    throw new BadRequestError("Nothing to publish: the draft matches the published version.");
+  }
+
+  const last = await CourseRevision.findOne({ courseId }).sort({ number: -1 }).session(session).lean();
+  const number = (last?.number || 0) + 1;
+
+  await CourseRevision.updateMany({ courseId, current: true }, { $set: { current: false } }).session(session);
+  const [revision] = await CourseRevision.create(
+    [{
+      courseId,
+      number,
+      course: pickCourse(draft.course),
+      modules: draft.modules,
+      chapters: draft.chapters,
+      lessons: draft.lessons,
+      current: true,
+      note,
+      restoredFrom,
+      publishedBy: actorId || null,
+    }],
+    { session }
+  );
+
+  await Course.updateOne(
+    { _id: courseId },
+    { $set: { versioned: true, publishedRevision: revision._id, publishedVersion: number, publishedAt: revision.createdAt } }
+  ).session(session);
+
+  return revision;
+};
+
+/**
+ * Reset the draft to an older revision and publish it as a new revision.
+ * Items the old revision had are brought back (undeleted if needed); items
+ * it didn't have go to the trash.
+ */
+const rollbackCourse = async (courseId, number, actorId, { note = "" } = {}, session) => {
+  const revision = await CourseRevision.findOne({ courseId, number }).session(session).lean();
+  if (!revision) throw new NotFoundError(`Revision ${number} not found`);
+
+  await Course.updateOne({ _id: courseId }, { $set: pickCourse(revision.course) }).session(session);
+
+  for (const [level, Model] of TREE_LEVELS) {
+    for (const { _id, ...fields } of revision[level]) {
+      await Model.updateOne(
+        { _id },
+        { $set: { ...fields, deletedAt: null, deletedBy: null, deletedWith: null } },
+        { upsert: true, withDeleted: true }
+      ).session(session);
+    }
+  }
+
+  const moduleIds = await Module.find({ courseId }).session(session).distinct("_id");
+  const chapterIds = await Chapter.find({ moduleId: { $in: moduleIds } }).session(session).distinct("_id");
+  const lessonIds = await Lesson.find({ chapterId: { $in: chapterIds } }).session(session).distinct("_id");
+  const liveIds = { modules: moduleIds, chapters: chapterIds, lessons: lessonIds };
+
+  const trash = [{ $set: { deletedAt: new Date(), deletedBy: actorId || null, deletedWith: "$_id" } }];
+  for (const [level, Model] of TREE_LEVELS) {
+    const kept = new Set(revision[level].map((doc) => String(doc._id)));
+    const extra = liveIds[level].filter((id) => !kept.has(String(id)));
+    if (extra.length) await Model.updateMany({ _id: { $in: extra } }, trash).session(session);
+  }
+
+  return publishCourse(courseId, actorId, { note: note || `Rollback to revision ${number}`, restoredFrom: number }, session);
+};
+
+module.exports = {
+  resolveCourseId,
+  loadDraftContent,
+  loadPublishedContent,
+  loadStudentContent,
+  applySchedule,
+  isLive,
+  loadContentFor,
+  loadVersion,
+  diffContent,
+  nestContent,
+  publishCourse,
+  rollbackCourse,
+};
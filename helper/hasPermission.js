@@ -1,24 +1,24 @@
-// utils/checkPermission.js
+// helper/hasPermission.js
 
-const Permission = require('../models/Permission');
-const Roles = require('../models/Roles');
-const User = require('../models/User');
-const { UnAuthorizedError, NotFoundError } = require('../utils/customErrors');
+const mongoose = require('mongoose');
+const { getRoleForUser } = require('./roleCache');
+const { UnAuthorizedError } = require('../utils/customErrors');
 
-const hasPermission = async (userId, permissionName) => {
-  const user = await User.findById(userId).populate('roleId');
-  if(!user){
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object|String} user - req.user (preferred) or a user id
+ * @param {String} permissionName
+ */
+const hasPermission = async (user, permissionName) => {
+  if (!user) {
     throw new UnAuthorizedError("User not found");
   }
-  const roleId = user?.roleId?._id
-  if (!roleId) return false;
+  const isId = typeof user === 'string' || user instanceof mongoose.Types.ObjectId;
+  const authUser = isId ? { id: user } : user;
 
-  // Populate role and permissions
-  const role = await Roles.findById(roleId).populate('permissions');
+  const role = await getRoleForUser(authUser);
   if (!role) return false;
-  return role.permissions.some(
-    (perm) => perm.permission_name == permissionName
-  );
+  return role.permissions.has(permissionName);
 };
 
 module.exports = hasPermission;
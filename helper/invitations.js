@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const Invitation = require("../models/Invitation");
+const { sendMail } = require("../utils/mailer");
+const { generateInviteToken } = require("../utils/generateTokens");
+const { hashToken } = require("./sessionManager");
+
+const INVITE_TTL = () => (parseInt(process.env.INVITE_EXPIRY_HOURS) || 72) * 60 * 60 * 1000;
+
+/**
+ * Hash of a random secret nobody knows, so an invited account can't be
+ * logged into until the invite is accepted
+ */
+const unusablePasswordHash = () => bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+const inviteLink = (token) => {
+  const base = process.env.INVITE_URL || `${process.env.CLIENT_URL || ""}/accept-invite`;
+  return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+const inviteEmail = (name, role, link, ttlHours) => `
+  <div style="font-family: Arial, sans-serif; color: #333;">
+    <h2>You're invited</h2>
+    <p>Hello ${name || "there"},</p>
+    <p>An account has been created for you as a ${role}. Set your password to activate it:</p>
+    <p><a href="${link}" style="color:#2E86C1;">Activate my account</a></p>
+    <p>This link is valid for ${ttlHours} hours and can be used once.</p>
+    <br/>
+    <p>Regards,<br/>Your App Team</p>
+  </div>
+`;
+
+/**
+ * Create a pending invitation for a freshly created user.
+ * @param {Object} user
+ * @param {String} role - role name shown in the email
+ * @param {{invitedBy?: String, session?: Object}} options
+ * @returns {Promise<{invitation: Object, token: String}>}
+ */
+const createInvitation = async (user, role, { invitedBy = null, session } = {}) => {
+  const invitation = new Invitation({
+    userId: user._id,
+    email: user.email,
+    role,
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITE_TTL()),
+  });
+  const token = generateInviteToken(invitation);
+  invitation.tokenHash = hashToken(token);
+  await invitation.save({ session });
+  return { invitation, token };
+};
+
+/**
+ * New token and expiry for an existing invitation; the previous link stops working
+ */
+const renewInvitation = async (invitation) => {
+  invitation.expiresAt = new Date(Date.now() + INVITE_TTL());
+  const token = generateInviteToken(invitation);
+  invitation.tokenHash = hashToken(token);
+  await invitation.save();
+  return token;
+};
+
+/**
+ * Email the activation link. Failures are reported, not thrown, so the
+ * account creation that triggered it still succeeds and the admin can resend.
+ * @returns {Promise<Boolean>} whether the email went out
+ */
+const sendInvitation = async (invitation, user, token) => {
+  try {
+    await sendMail({
+      to: invitation.email,
+      subject: "Activate your account",
+      html: inviteEmail(user.name, invitation.role, inviteLink(token), Math.round(INVITE_TTL() / 3600000)),
+      text: `Activate your account: ${inviteLink(token)}`,
+    });
+    invitation.sendCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+    return true;
+  } catch (err) {
+    console.error("Failed to send invitation email:", err.message);
+    return false;
+  }
+};
+
+module.exports = {
+  unusablePasswordHash,
+  createInvitation,
+  renewInvitation,
+  sendInvitation,
+};
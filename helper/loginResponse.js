@@ -0,0 +1,66 @@
+const Role = require("../models/Roles");
+const Student = require("../models/Student");
+const Permission = require("../models/Permission");
+const { createSession } = require("./sessionManager");
+const { isPasswordExpired } = require("./passwordPolicy");
+
+/**
+ * Open a session for a fully authenticated user and build the login payload
+ * @param {Object} req
+ * @param {Object} user - with roleId populated
+ * @param {Object} roleDoc - role the user logged in as
+ */
+const completeLogin = async (req, user, roleDoc) => {
+  //  Create a session for this device and its tokens
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Build user object
+  const userObject = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    // client sends the user to change-password before anything else
+    mustChangePassword: Boolean(user.mustChangePassword) || isPasswordExpired(user),
+    passwordExpired: isPasswordExpired(user),
+    role: {
+      id: roleDoc.roleId,
+      name: roleDoc.role_name,
+      permissions: roleDoc.permissions, // default
+    },
+  };
+
+  // Add courseId for students
+  if (roleDoc.role_name === 'Student') {
+    const student = await Student.findOne({ userId: user._id });
+    if (student) {
+      userObject.courseId = student.courseId;
+      userObject.mode = student?.mode;
+    }
+  }
+
+  // For non-student/tutor roles, use roleId.permissions instead
+  if (roleDoc.role_name != 'Student' && roleDoc.role_name != 'Tutor') {
+    const role = await Role.findById(user.roleId?._id)
+    let permissions = [];
+
+    if (Array.isArray(role?.permissions) && role.permissions.length > 0) {
+      // Fetch permission documents by ID
+      permissions = await Permission.find({
+        _id: { $in: role.permissions }
+      });
+    }
+
+    userObject.role.permissions = permissions || [];
+  }
+
+  return {
+    message: "Login successful",
+    accessToken,
+    refreshToken,
+    user: userObject,
+  };
+};
+
+module.exports = { completeLogin };
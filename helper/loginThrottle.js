@@ -0,0 +1,167 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const { TooManyRequestsError } = require("../utils/customErrors");
+const { recordAudit } = require("./auditLog");
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// read per call so the limits can be tuned through env without a code change
+const limitsFor = (kind) => ({
+  maxAttempts: {
+    account: envInt("LOGIN_MAX_ATTEMPTS", 5),
+    ip: envInt("LOGIN_IP_MAX_ATTEMPTS", 20),
+    otp: envInt("OTP_MAX_ATTEMPTS", 5),
+  }[kind],
+  windowMs: envInt("LOGIN_ATTEMPT_WINDOW_MINUTES", 15) * 60 * 1000,
+  lockMs: envInt("LOGIN_LOCKOUT_MINUTES", 15) * 60 * 1000,
+  delayBaseMs: envInt("LOGIN_DELAY_BASE_SECONDS", 1) * 1000,
+  delayMaxMs: envInt("LOGIN_DELAY_MAX_SECONDS", 30) * 1000,
+});
+
+const LOCK_MESSAGES = {
+  account: "This account is temporarily locked due to too many failed attempts.",
+  ip: "Too many failed attempts from this address. Try again later.",
+  otp: "Too many invalid OTP attempts. Try again later.",
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+/**
+ * Identifiers a request is throttled on: always the client IP, plus the
+ * account email for logins or the OTP target for OTP checks
+ * @param {Object} req
+ * @param {{account?: String, otp?: String}} identifiers
+ */
+const throttleKeys = (req, { account, otp } = {}) => {
+  const keys = [{ kind: "ip", key: req.ip || req.socket?.remoteAddress || "" }];
+  if (account) keys.push({ kind: "account", key: String(account).trim().toLowerCase() });
+  if (otp) keys.push({ kind: "otp", key: String(otp).trim().toLowerCase() });
+  return keys.filter((k) => k.key);
+};
+
+/**
+ * Reject the request while any of its keys is locked out or still waiting out
+ * the delay from its previous failure
+ */
+const assertNotThrottled = async (keys) => {
+  if (!keys.length) return;
+  const records = await LoginAttempt.find({
+    $or: keys.map(({ kind, key }) => ({ kind, key })),
+  }).lean();
+
+  const now = Date.now();
+  for (const record of records) {
+    if (record.lockedUntil && record.lockedUntil > now) {
+      throw new TooManyRequestsError(LOCK_MESSAGES[record.kind], secondsUntil(record.lockedUntil));
+    }
+    if (record.nextAttemptAt && record.nextAttemptAt > now) {
+      const wait = secondsUntil(record.nextAttemptAt);
+      throw new TooManyRequestsError(`Too many failed attempts. Try again in ${wait} seconds.`, wait);
+    }
+  }
+};
+
+/**
+ * Count a failed attempt against every key. Past the second failure each key
+ * has to wait an exponentially growing delay; reaching the limit locks it.
+ * @param {Array<{kind: String, key: String}>} keys
+ * @param {Object} req
+ * @param {String} [userId] - account the attempt was made against, if known
+ */
+const registerFailure = async (keys, req, userId = null) => {
+  const now = new Date();
+
+  for (const { kind, key } of keys) {
+    const limits = limitsFor(kind);
+
+    // a stale window (and no active lock) starts counting from scratch
+    await LoginAttempt.updateOne(
+      {
+        kind,
+        key,
+        windowStartedAt: { $lt: new Date(now - limits.windowMs) },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      { $set: { failures: 0, windowStartedAt: now, nextAttemptAt: null, lockedUntil: null } }
+    );
+
+    const record = await LoginAttempt.findOneAndUpdate(
+      { kind, key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          lastIp: req.ip || "",
+          expiresAt: new Date(now.getTime() + limits.windowMs + limits.lockMs),
+          ...(userId && { userId }),
+        },
+        $setOnInsert: { windowStartedAt: now },
+      },
+      { upsert: true, new: true }
+    );
+
+    if (record.failures >= limits.maxAttempts) {
+      const lockedUntil = new Date(now.getTime() + limits.lockMs);
+      await LoginAttempt.updateOne(
+        { _id: record._id },
+        {
+          $set: { failures: 0, windowStartedAt: now, nextAttemptAt: null, lockedUntil },
+          $inc: { lockCount: 1 },
+        }
+      );
+      await recordAudit(req, {
+        action: "auth.lockout",
+        entityType: kind === "ip" ? "LoginAttempt" : "User",
+        entityId: kind === "ip" ? record._id : record.userId,
+        actor: null,
+        metadata: { kind, key, failures: record.failures, lockedUntil },
+      });
+    } else if (record.failures >= 2) {
+      const delay = Math.min(limits.delayBaseMs * 2 ** (record.failures - 2), limits.delayMaxMs);
+      await LoginAttempt.updateOne(
+        { _id: record._id },
+        { $set: { nextAttemptAt: new Date(now.getTime() + delay) } }
+      );
+    }
+  }
+};
+
+/**
+ * Forget failures after a successful attempt. The IP key is left alone so a
+ * single valid login can't reset the counter for a whole address.
+ */
+const clearFailures = async (keys) => {
+  const targets = keys.filter((k) => k.kind !== "ip");
+  if (!targets.length) return;
+  await LoginAttempt.deleteMany({ $or: targets.map(({ kind, key }) => ({ kind, key })) });
+};
+
+/**
+ * Lift every lock and counter held against a user's account and OTP
+ * @returns {Promise<Array>} the records that were still locked
+ */
+const unlockAccount = async (user) => {
+  const email = String(user.email || "").trim().toLowerCase();
+  const filter = {
+    $or: [
+      { kind: { $in: ["account", "otp"] }, key: email },
+      { kind: { $in: ["account", "otp"] }, userId: user._id },
+    ],
+  };
+
+  const locked = await LoginAttempt.find({ ...filter, lockedUntil: { $gt: new Date() } })
+    .select("kind lockedUntil lockCount")
+    .lean();
+  await LoginAttempt.deleteMany(filter);
+  return locked;
+};
+
+module.exports = {
+  throttleKeys,
+  assertNotThrottled,
+  registerFailure,
+  clearFailures,
+  unlockAccount,
+};
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcrypt");
+const { BadRequestError } = require("../utils/customErrors");
+
+// select string for the history kept on the user (not returned by default)
+const PASSWORD_HISTORY_FIELD = "+passwordHistory";
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const policy = () => ({
+  minLength: envInt("PASSWORD_MIN_LENGTH", 8),
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== "false",
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== "false",
+  historySize: envInt("PASSWORD_HISTORY_SIZE", 5),
+  maxAgeDays: envInt("PASSWORD_MAX_AGE_DAYS", 0),
+});
+
+let commonPasswords;
+const isCommonPassword = (password) => {
+  if (!commonPasswords) {
+    const file = path.join(__dirname, "data", "common-passwords.txt");
+    commonPasswords = new Set(
+      fs.readFileSync(file, "utf8").split(/\r?\n/).map((line) => line.trim()).filter(Boolean)
+    );
+  }
+  return commonPasswords.has(password.toLowerCase());
+};
+
+/**
+ * Rules a new password breaks, empty when it is acceptable
+ * @param {String} password
+ * @param {{email?: String, phone?: String}} user
+ * @returns {String[]}
+ */
+const checkPasswordPolicy = (password, user = {}) => {
+  const rules = policy();
+  const value = String(password || "");
+  const errors = [];
+
+  if (value.length < rules.minLength) {
+    errors.push(`Password must be at least ${rules.minLength} characters.`);
+  }
+  if (rules.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push("Password must contain an uppercase letter.");
+  }
+  if (rules.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push("Password must contain a lowercase letter.");
+  }
+  if (rules.requireDigit && !/[0-9]/.test(value)) {
+    errors.push("Password must contain a digit.");
+  }
+  if (rules.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push("Password must contain a symbol.");
+  }
+
+  const lowered = value.toLowerCase();
+  const email = String(user.email || "").toLowerCase();
+  if (email && (lowered === email || lowered === email.split("@")[0])) {
+    errors.push("Password cannot be your email address.");
+  }
+  const phone = String(user.phone || "").replace(/\D/g, "");
+  if (phone && value.replace(/[\s+()-]/g, "") === phone) {
+    errors.push("Password cannot be your phone number.");
+  }
+  if (isCommonPassword(value)) {
+    errors.push("Password is too common.");
+  }
+
+  return errors;
+};
+
+const assertPasswordPolicy = (password, user) => {
+  const errors = checkPasswordPolicy(password, user);
+  if (errors.length) throw new BadRequestError(errors.join(" "));
+};
+
+// the last `size` entries; slice(-0) would keep them all
+const recentHistory = (history = [], size) => (size > 0 ? history.slice(-size) : []);
+
+/**
+ * Whether the password matches the current one or one of the last N
+ * (the user must be loaded with `+passwordHistory`)
+ */
+const isPasswordReused = async (password, user) => {
+  const { historySize } = policy();
+  const hashes = [
+    user.passwordHash,
+    ...recentHistory(user.passwordHistory || [], historySize).map((entry) => entry.hash),
+  ].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Apply a new password to a user document after the policy and reuse
+ * checks. The caller saves the document.
+ * @param {Object} user - loaded with `+passwordHistory`
+ * @param {String} password
+ * @param {{mustChange?: Boolean}} options - mustChange: force a change on next login (admin-set passwords)
+ */
+const setUserPassword = async (user, password, { mustChange = false } = {}) => {
+  assertPasswordPolicy(password, user);
+
+  if (await isPasswordReused(password, user)) {
+    throw new BadRequestError("New password cannot be one of your recent passwords.");
+  }
+
+  const { historySize } = policy();
+  const history = user.passwordHash
+    ? [...(user.passwordHistory || []), { hash: user.passwordHash, changedAt: user.passwordChangedAt || new Date() }]
+    : [];
+  user.passwordHistory = recentHistory(history, historySize);
+
+  user.passwordHash = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date();
+  user.mustChangePassword = mustChange;
+  return user;
+};
+
+/**
+ * Password older than PASSWORD_MAX_AGE_DAYS (0 turns rotation off)
+ */
+const isPasswordExpired = (user) => {
+  const { maxAgeDays } = policy();
+  if (maxAgeDays <= 0) return false;
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) return false;
+  return Date.now() - new Date(changedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  PASSWORD_HISTORY_FIELD,
+  checkPasswordPolicy,
+  assertPasswordPolicy,
+  isPasswordReused,
+  setUserPassword,
+  isPasswordExpired,
+};
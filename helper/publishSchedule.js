@@ -0,0 +1,111 @@
+const Module = require("../models/Module");
+const Chapter = require("../models/Chapter");
+const Lesson = require("../models/Lesson");
+const Student = require("../models/Student");
+const { loadStudentContent, resolveCourseId } = require("./courseRevisions");
+const { sendNotificationToStudent } = require("../utils/sendNotificationToUser");
+
+const SCHEDULED_LEVELS = [
+  ["module", Module],
+  ["chapter", Chapter],
+  ["lesson", Lesson],
+];
+
+// one "New Lessons Added" notification to every student of the course
+const notifyNewLessons = async (courseId, lessons) => {
+  const students = await Student.find({ courseId }).select("userId").lean();
+  const message = `New lesson(s) added: ${lessons.map((l) => l.title).join(", ")}`;
+  await Promise.all(
+    students.map((s) => sendNotificationToStudent(s.userId.toString(), "New Lessons Added", message))
+  );
+  return students.length;
+};
+
+/**
+ * Announce content whose `publishAt` has passed: every student of the course
+ * gets one "New Lessons Added" notification listing the lessons that just
+ * became visible (a scheduled module or chapter announces the lessons in it).
+ * Each item is announced once; `publishNotifiedAt` records it. Items students
+ * can't see yet (under a parent scheduled for later, or only in the draft of
+ * a versioned course) are left for a later run.
+ * @returns {Promise<{items: Number, courses: Number, lessons: Number, notifications: Number}>}
+ */
+const announceScheduledContent = async (now = new Date()) => {
+  const dueByCourse = new Map();
+  const dueIds = {};
+  const notifiedIds = new Set();
+  let items = 0;
+
+  for (const [level, model] of SCHEDULED_LEVELS) {
+    const due = await model
+      .find({ publishAt: { $ne: null, $lte: now }, publishNotifiedAt: null })
+      .select("_id")
+      .lean();
+    dueIds[level] = due.map((item) => item._id);
+    items += due.length;
+
+    for (const item of due) {
+      const courseId = await resolveCourseId({ [`${level}Id`]: item._id });
+      if (!courseId) continue;
+      const key = String(courseId);
+      if (!dueByCourse.has(key)) dueByCourse.set(key, new Set());
+      dueByCourse.get(key).add(String(item._id));
+    }
+  }
+
+  let lessons = 0;
+  let notifications = 0;
+  for (const [courseId, due] of dueByCourse) {
+    const content = await loadStudentContent({ courseId });
+    if (!content) continue;
+
+    const moduleOf = new Map(content.chapters.map((c) => [String(c._id), String(c.moduleId)]));
+    const announced = content.lessons.filter((l) => {
+      const chapterId = String(l.chapterId);
+      const dueIdsOfLesson = [String(l._id), chapterId, moduleOf.get(chapterId)].filter((id) => due.has(id));
+      dueIdsOfLesson.forEach((id) => notifiedIds.add(id));
+      return dueIdsOfLesson.length > 0;
+    });
+    if (!announced.length) continue;
+
+    lessons += announced.length;
+    notifications += await notifyNewLessons(courseId, announced);
+  }
+
+  for (const [level, model] of SCHEDULED_LEVELS) {
+    const notified = dueIds[level].filter((id) => notifiedIds.has(String(id)));
+    if (notified.length) {
+      await model.updateMany({ _id: { $in: notified } }, { $set: { publishNotifiedAt: now } });
+    }
+  }
+
+  return { items, courses: dueByCourse.size, lessons, notifications };
+};
+
+/**
+ * Announce the lessons a newly published revision brings to students: the
+ * ones that are live now, weren't published before and weren't announced
+ * yet. Lessons scheduled for later are left to announceScheduledContent.
+ * @param {String} courseId
+ * @param {Object[]} previousLessons - the published lessons before this revision
+ * @returns {Promise<{lessons: Number, notifications: Number}>}
+ */
+const announcePublishedLessons = async (courseId, previousLessons, now = new Date()) => {
+  const published = new Set(previousLessons.map((l) => String(l._id)));
+
+  const content = await loadStudentContent({ courseId });
+  const added = (content?.lessons || []).filter((l) => !published.has(String(l._id)));
+  if (!added.length) return { lessons: 0, notifications: 0 };
+
+  const pending = new Set(
+    (await Lesson.find({ _id: { $in: added.map((l) => l._id) }, publishNotifiedAt: null }).distinct("_id")).map(String)
+  );
+  const announced = added.filter((l) => pending.has(String(l._id)));
+  if (!announced.length) return { lessons: 0, notifications: 0 };
+
+  const notifications = await notifyNewLessons(courseId, announced);
+  await Lesson.updateMany({ _id: { $in: announced.map((l) => l._id) } }, { $set: { publishNotifiedAt: now } });
+  return { lessons: announced.length, notifications };
+};
+
+module.exports = { announceScheduledContent, announcePublishedLessons };
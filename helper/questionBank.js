@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const BankQuestion = require("../models/BankQuestion");
+const QuizAttempt = require("../models/QuizAttempt");
+const { FINISHED_ATTEMPT_STATUSES } = require("../utils/quizGrading");
+const { parseQuestions } = require("../utils/questionImport");
+const { seededShuffle } = require("../utils/seededShuffle");
+const { bankQuestionSchema } = require("../validations/questionBankValidation");
+const { BadRequestError, ConflictError } = require("../utils/customErrors");
+
+// what a bank question hands over to a quiz attempt
+const QUESTION_FIELDS = [
+  "type",
+  "text",
+  "explanation",
+  "points",
+  "negativePoints",
+  "options",
+  "correctAnswer",
+  "numericAnswer",
+  "tolerance",
+  "acceptedAnswers",
+  "caseSensitive",
+  "pairs",
+];
+
+// below this many responses the upper/lower groups are too small to compare
+const MIN_RESPONSES_FOR_DISCRIMINATION = 10;
+// share of responses in each of the upper and lower groups (Kelley's 27%)
+const GROUP_SHARE = 0.27;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Filter for a course's bank questions by tag
+ * @param {String} courseId
+ * @param {{moduleId?, topic?, difficulty?, type?}} [tags]
+ */
+const bankFilter = (courseId, { moduleId, topic, difficulty, type } = {}) => {
+  const filter = { courseId };
+  if (moduleId) filter.moduleId = moduleId;
+  if (topic) filter.topics = String(topic).trim().toLowerCase();
+  if (difficulty) filter.difficulty = difficulty;
+  if (type) filter.type = type;
+  return filter;
+};
+
+// candidate ids in a stable order, so a seed always deals the same paper
+const candidateIds = async (courseId, draw) =>
+  (await BankQuestion.find(bankFilter(courseId, draw)).distinct("_id")).map(String).sort();
+
+/**
+ * Pick each draw rule's questions from the bank. Every student gets the same
+ * number of questions per rule, picked at random by the attempt's seed. A
+ * question is never drawn twice. When the bank can no longer fill a rule
+ * (questions deleted since the quiz was published) no paper is dealt, rather
+ * than a shorter one.
+ * @param {String} courseId
+ * @param {{count, moduleId?, topic?, difficulty?, points?}[]} draws
+ * @param {Number} seed
+ * @returns {Promise<Object[]>} quiz questions, keeping the bank question ids
+ */
+const drawQuestions = async (courseId, draws, seed) => {
+  const taken = new Set();
+  const drawn = [];
+
+  for (const [index, draw] of draws.entries()) {
+    const candidates = (await candidateIds(courseId, draw)).filter((id) => !taken.has(id));
+    const picked = seededShuffle(candidates, seed + index).slice(0, draw.count);
+    picked.forEach((id) => taken.add(id));
+
+    const questions = await BankQuestion.find({ _id: { $in: picked } }).lean();
+    if (questions.length < draw.count) {
+      throw new ConflictError("The question bank no longer has enough questions for this quiz");
+    }
+    const byId = new Map(questions.map((question) => [String(question._id), question]));
+    for (const id of picked) {
+      const question = byId.get(id);
+      const copy = { _id: question._id };
+      QUESTION_FIELDS.forEach((field) => {
+        if (question[field] !== undefined) copy[field] = question[field];
+      });
+      if (draw.points !== null && draw.points !== undefined) copy.points = draw.points;
+      drawn.push(copy);
+    }
+  }
+
+  return drawn;
+};
+
+/**
+ * How many bank questions each draw rule is sure to have left whatever the
+ * seed: its matching questions less everything earlier rules sharing any of
+ * them draw, since their random picks may all come from this rule's pool
+ * @returns {Promise<{count: Number, matching: Number, available: Number}[]>}
+ */
+const drawAvailability = async (courseId, draws = []) => {
+  const pools = [];
+  for (const draw of draws) pools.push(new Set(await candidateIds(courseId, draw)));
+
+  return draws.map((draw, index) => {
+    const pool = pools[index];
+    const drawnByOverlapping = draws
+      .slice(0, index)
+      .filter((earlier, i) => [...pools[i]].some((id) => pool.has(id)))
+      .reduce((sum, earlier) => sum + earlier.count, 0);
+    return { count: draw.count, matching: pool.size, available: Math.max(0, pool.size - drawnByOverlapping) };
+  });
+};
+
+/**
+ * Refuse to publish a quiz whose draw rules the bank can't fill
+ */
+const assertDrawsAvailable = async (courseId, draws = []) => {
+  const availability = await drawAvailability(courseId, draws);
+  const short = availability
+    .map((rule, index) => ({ ...rule, index }))
+    .filter((rule) => rule.available < rule.count);
+  if (short.length) {
+    throw new BadRequestError(
+      short
+        .map((rule) =>
+          rule.available < rule.matching
+            ? `draws[${rule.index}] needs ${rule.count} question(s) but only ${rule.available} of its ${rule.matching} matching are sure to be left by the rules before it`
+            : `draws[${rule.index}] needs ${rule.count} question(s) but the question bank has ${rule.available} matching`
+        )
+        .join("; ")
+    );
+  }
+};
+
+/**
+ * Read questions from CSV, GIFT or Aiken text into a course's bank. The
+ * import is all or nothing; with `dryRun` nothing is saved and the parsed
+ * questions come back with every problem found.
+ * @param {String} courseId
+ * @param {{format: String, text: String, moduleId?: String, topics?: String[], difficulty?: String, dryRun?: Boolean}} options
+ * @param {String} createdBy
+ * @returns {Promise<{questions: Object[], errors: {line: Number, message: String}[], imported: Number}>}
+ */
+const importQuestions = async (courseId, { format, text, moduleId, topics = [], difficulty, dryRun = false }, createdBy) => {
+  const questions = [];
+  const errors = [];
+
+  for (const entry of parseQuestions(format, text)) {
+    if (entry.error) {
+      errors.push({ line: entry.line, message: entry.error });
+      continue;
+    }
+    const candidate = {
+      ...entry.question,
+      topics: [...topics, ...(entry.question.topics || [])],
+      difficulty: entry.question.difficulty || difficulty,
+    };
+    const { error, value } = bankQuestionSchema.validate(candidate, { abortEarly: false });
+    if (error) {
+      errors.push({ line: entry.line, message: error.details.map((detail) => detail.message).join("; ") });
+      continue;
+    }
+    questions.push({ ...value, line: entry.line });
+  }
+
+  if (dryRun) return { questions, errors, imported: 0 };
+
+  if (errors.length) {
+    const listed = errors.slice(0, 10).map((e) => `line ${e.line}: ${e.message}`).join("; ");
+    const more = errors.length > 10 ? ` (and ${errors.length - 10} more)` : "";
+    throw new BadRequestError(`${errors.length} question(s) could not be read, nothing was imported. ${listed}${more}`);
+  }
+  if (!questions.length) throw new BadRequestError(`No questions found in the ${format.toUpperCase()} text`);
+
+  const saved = await BankQuestion.insertMany(
+    questions.map(({ line, ...question }) => ({ ...question, courseId, moduleId: moduleId || null, createdBy }))
+  );
+  return { questions: saved, errors, imported: saved.length };
+};
+
+/**
+ * Classic item analysis from graded quiz attempts:
+ * - difficultyIndex: average share of the points earned (0 = nobody gets it, 1 = everybody does)
+ * - discrimination: difficultyIndex among the best 27% of attempts minus
+ *   among the worst 27%; low or negative values flag questions that don't
+ *   separate strong students from weak ones
+ * @param {String[]} questionIds
+ * @returns {Promise<Map<String, Object>>} by question id
+ */
+const itemStatistics = async (questionIds) => {
+  const ids = questionIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const rows = await QuizAttempt.aggregate([
+    { $match: { status: { $in: FINISHED_ATTEMPT_STATUSES }, "results.questionId": { $in: ids } } },
+    { $project: { percentage: 1, results: 1 } },
+    { $unwind: "$results" },
+    { $match: { "results.questionId": { $in: ids } } },
+    {
+      $project: {
+        _id: 0,
+        questionId: "$results.questionId",
+        earned: "$results.earned",
+        maxPoints: "$results.maxPoints",
+        outcome: "$results.outcome",
+        attemptPercentage: "$percentage",
+      },
+    },
+  ]);
+
+  const byQuestion = new Map(questionIds.map((id) => [String(id), []]));
+  rows.forEach((row) => byQuestion.get(String(row.questionId))?.push(row));
+
+  const stats = new Map();
+  for (const [id, responses] of byQuestion) {
+    const share = (row) => (row.maxPoints ? Math.max(0, row.earned) / row.maxPoints : 0);
+    const outcomes = { correct: 0, partial: 0, incorrect: 0, unanswered: 0 };
+    responses.forEach((row) => outcomes[row.outcome]++);
+
+    let discrimination = null;
+    if (responses.length >= MIN_RESPONSES_FOR_DISCRIMINATION) {
+      const ranked = [...responses].sort((a, b) => b.attemptPercentage - a.attemptPercentage);
+      const groupSize = Math.max(1, Math.round(responses.length * GROUP_SHARE));
+      discrimination = round2(mean(ranked.slice(0, groupSize).map(share)) - mean(ranked.slice(-groupSize).map(share)));
+    }
+    const difficultyIndex = responses.length ? round2(mean(responses.map(share))) : null;
+
+    const flags = [];
+    if (difficultyIndex !== null && difficultyIndex > 0.9) flags.push("too_easy");
+    if (difficultyIndex !== null && difficultyIndex < 0.2) flags.push("too_hard");
+    if (discrimination !== null && discrimination < 0.2) flags.push("poor_discrimination");
+
+    stats.set(id, { responses: responses.length, ...outcomes, difficultyIndex, discrimination, flags });
+  }
+  return stats;
+};
+
+module.exports = {
+  QUESTION_FIELDS,
+  bankFilter,
+  drawQuestions,
+  drawAvailability,
+  assertDrawsAvailable,
+  importQuestions,
+  itemStatistics,
+};
@@ -0,0 +1,359 @@
+const crypto = require("crypto");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const { loadDraftContent, loadStudentContent, resolveCourseId } = require("./courseRevisions");
+const { drawQuestions } = require("./questionBank");
+const { accommodationsFor, accommodatedTimeLimit } = require("./accommodations");
+const { gradeAttempt, responseError, FINISHED_ATTEMPT_STATUSES } = require("../utils/quizGrading");
+const { seededShuffle, hashString } = require("../utils/seededShuffle");
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require("../utils/customErrors");
+
+// slack for answers sent right at the end of a timed attempt
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+const FINISHED = FINISHED_ATTEMPT_STATUSES;
+
+const placementOf = (quiz) => (quiz.lessonId ? { lessonId: quiz.lessonId } : { chapterId: quiz.chapterId });
+
+const courseIdOfQuiz = (quiz) => resolveCourseId(placementOf(quiz));
+
+const isOverdue = (attempt, now = new Date()) =>
+  attempt.status === "in_progress" && attempt.dueAt && now.getTime() > new Date(attempt.dueAt).getTime() + SUBMIT_GRACE_MS;
+
+/**
+ * The quizzes of a course's lessons and chapters. Students only get the ones
+ * under content published to them, and no drafts.
+ * @param {String} courseId
+ * @param {{student?: Boolean}} [options]
+ */
+const quizzesForCourse = async (courseId, { student = false } = {}) => {
+  const content = student ? await loadStudentContent({ courseId }) : await loadDraftContent(courseId);
+  if (!content) return [];
+
+  const filter = {
+    $or: [
+      { lessonId: { $in: content.lessons.map((l) => l._id) } },
+      { chapterId: { $in: content.chapters.map((c) => c._id) } },
+    ],
+  };
+  if (student) filter.status = { $ne: "draft" };
+  return Quiz.find(filter).sort({ createdAt: 1 }).lean();
+};
+
+/**
+ * A quiz without its questions, for listings
+ */
+const summarizeQuiz = (quiz) => {
+  const { questions = [], draws = [], ...rest } = quiz;
+  const drawnQuestionCount = draws.reduce((sum, draw) => sum + draw.count, 0);
+  // drawn questions keep their own points unless the draw overrides them
+  const pointsKnown = draws.every((draw) => draw.points !== null && draw.points !== undefined);
+  return {
+    ...rest,
+    questionCount: questions.length + drawnQuestionCount,
+    drawnQuestionCount,
+    totalPoints: pointsKnown
+      ? questions.reduce((sum, question) => sum + (question.points ?? 1), 0) +
+        draws.reduce((sum, draw) => sum + draw.count * draw.points, 0)
+      : null,
+  };
+};
+
+/**
+ * The result that counts for a student, per the quiz's attemptScoring
+ * @param {Object} quiz
+ * @param {Object[]} attempts - the student's attempts at this quiz
+ * @returns {{attemptsUsed: Number, attemptsLeft: Number|null, score, maxScore, percentage, passed}}
+ */
+const quizScore = (quiz, attempts) => {
+  const finished = attempts.filter((a) => FINISHED.includes(a.status)).sort((a, b) => a.attemptNumber - b.attemptNumber);
+  const attemptsLeft = quiz.maxAttempts ? Math.max(0, quiz.maxAttempts - finished.length) : null;
+  const base = { attemptsUsed: finished.length, attemptsLeft };
+  if (!finished.length) return { ...base, score: null, maxScore: null, percentage: null, passed: null };
+
+  let counted;
+  if (quiz.attemptScoring === "latest") {
+    counted = finished[finished.length - 1];
+  } else if (quiz.attemptScoring === "average") {
+    const mean = (field) => Math.round((finished.reduce((sum, a) => sum + a[field], 0) / finished.length) * 100) / 100;
+    counted = { score: mean("score"), maxScore: mean("maxScore"), percentage: mean("percentage") };
+    counted.passed = quiz.passPercentage === null || quiz.passPercentage === undefined ? null : counted.percentage >= quiz.passPercentage;
+  } else {
+    counted = finished.reduce((best, a) => (a.percentage > best.percentage ? a : best));
+  }
+
+  return { ...base, score: counted.score, maxScore: counted.maxScore, percentage: counted.percentage, passed: counted.passed };
+};
+
+const correctAnswerOf = (question) => {
+  switch (question.type) {
+    case "mcq_single":
+      return question.options.find((o) => o.isCorrect)?._id ?? null;
+    case "mcq_multi":
+      return question.options.filter((o) => o.isCorrect).map((o) => o._id);
+    case "true_false":
+      return question.correctAnswer;
+    case "numeric":
+      return { value: question.numericAnswer, tolerance: question.tolerance || 0 };
+    case "short_answer":
+      return question.acceptedAnswers;
+    case "matching":
+      return Object.fromEntries(question.pairs.map((pair) => [String(pair._id), pair._id]));
+    default:
+      return null;
+  }
+};
+
+/**
+ * An attempt as the student sees it: questions in their order, no answers.
+ * With `reveal`, the correct answers, explanations and per-question results
+ * are added.
+ */
+const buildPaper = (attemptDoc, { reveal = false } = {}) => {
+  const attempt = attemptDoc.toObject ? attemptDoc.toObject() : attemptDoc;
+  const responses = new Map(attempt.answers.map((a) => [String(a.questionId), a.response]));
+  const results = new Map((attempt.results || []).map((r) => [String(r.questionId), r]));
+
+  const questions = attempt.questions.map((question) => {
+    const id = String(question._id);
+    const shown = {
+      _id: question._id,
+      type: question.type,
+      text: question.text,
+      points: question.points,
+      negativePoints: question.negativePoints,
+    };
+    if (question.options) shown.options = question.options.map((o) => ({ _id: o._id, text: o.text }));
+    if (question.pairs) {
+      shown.prompts = question.pairs.map((pair) => ({ _id: pair._id, text: pair.left }));
+      // the right-hand column is always shuffled, or the answer would be the order itself
+      shown.choices = seededShuffle(question.pairs, attempt.seed ^ hashString(id)).map((pair) => ({ _id: pair._id, text: pair.right }));
+    }
+    shown.response = responses.has(id) ? responses.get(id) : null;
+
+    if (reveal) {
+      shown.correctAnswer = correctAnswerOf(question);
+      shown.explanation = question.explanation || null;
+      shown.result = results.get(id) || null;
+    }
+    return shown;
+  });
+
+  const meta = Object.fromEntries(
+    Object.entries(attempt).filter(([key]) => !["questions", "answers", "results", "seed"].includes(key))
+  );
+  return { ...meta, revealed: reveal, questions };
+};
+
+/**
+ * Whether a student may see the answers of a finished attempt yet
+ */
+const canRevealAnswers = (quiz, attempt, attemptsUsed, now = new Date()) => {
+  if (!FINISHED.includes(attempt.status) || quiz.showAnswers === "never") return false;
+  if (quiz.showAnswers === "after_submission") return true;
+  const noAttemptsLeft = quiz.maxAttempts && attemptsUsed >= quiz.maxAttempts;
+  const quizOver = quiz.status === "closed" || (quiz.availableUntil && now > new Date(quiz.availableUntil));
+  return Boolean(noAttemptsLeft || quizOver);
+};
+
+/**
+ * Grade an attempt with the answers saved so far and close it
+ * @param {Object} attempt - QuizAttempt document
+ * @param {Object} quiz
+ * @param {'submitted'|'timed_out'} status
+ */
+const finalizeAttempt = async (attempt, quiz, status, now = new Date()) => {
+  const graded = gradeAttempt(attempt.questions, attempt.answers, quiz.passPercentage);
+  attempt.set({
+    status,
+    submittedAt: now,
+    results: graded.results,
+    score: graded.score,
+    maxScore: graded.maxScore,
+    percentage: graded.percentage,
+    passed: graded.passed,
+  });
+  return attempt.save();
+};
+
+/**
+ * Close an attempt whose time ran out, grading what was saved
+ */
+const expireIfOverdue = async (attempt, quiz, now = new Date()) => {
+  if (isOverdue(attempt, now)) await finalizeAttempt(attempt, quiz, "timed_out", now);
+  return attempt;
+};
+
+/**
+ * Start an attempt, or hand back the one the student already has open.
+ * The quiz's own questions, plus any drawn from the question bank, are put
+ * in this attempt's own order (options too, when the quiz shuffles them)
+ * and copied onto it.
+ */
+const startAttempt = async (quiz, studentId, now = new Date()) => {
+  if (quiz.status === "draft") throw new NotFoundError("Quiz not found");
+  if (quiz.status === "closed") throw new ForbiddenError("This quiz is closed");
+  if (quiz.availableFrom && now < quiz.availableFrom) {
+    throw new ForbiddenError(`This quiz opens on ${new Date(quiz.availableFrom).toISOString()}`);
+  }
+  if (quiz.availableUntil && now > quiz.availableUntil) throw new ForbiddenError("This quiz is no longer available");
+
+  const attempts = await QuizAttempt.find({ quizId: quiz._id, studentId }).sort({ attemptNumber: 1 });
+  const open = attempts.find((a) => a.status === "in_progress");
+  if (open) {
+    await expireIfOverdue(open, quiz, now);
+    if (open.status === "in_progress") return { attempt: open, resumed: true };
+  }
+
+  const used = attempts.filter((a) => FINISHED.includes(a.status)).length;
+  if (quiz.maxAttempts && used >= quiz.maxAttempts) {
+    throw new ConflictError(`You have used all ${quiz.maxAttempts} attempt(s) at this quiz`);
+  }
+
+  const seed = crypto.randomInt(0, 2 ** 31);
+  const drawn = quiz.draws?.length ? await drawQuestions(await courseIdOfQuiz(quiz), quiz.draws, seed) : [];
+  const all = [...quiz.questions, ...drawn];
+  if (!all.length) throw new ConflictError("This quiz has no questions yet");
+  const ordered = quiz.shuffleQuestions ? seededShuffle(all, seed) : all;
+  const questions = ordered.map((question) =>
+    quiz.shuffleOptions && question.options
+      ? { ...question, options: seededShuffle(question.options, seed ^ hashString(question._id)) }
+      : question
+  );
+
+  // students with extra-time accommodations get a longer limit
+  const timeLimit = accommodatedTimeLimit(quiz.timeLimit, await accommodationsFor(studentId));
+  let dueAt = timeLimit ? new Date(now.getTime() + timeLimit * 60 * 1000) : null;
+  if (quiz.availableUntil && (!dueAt || dueAt > quiz.availableUntil)) dueAt = new Date(quiz.availableUntil);
+
+  try {
+    const attempt = await QuizAttempt.create({
+      quizId: quiz._id,
+      studentId,
+      attemptNumber: (attempts[attempts.length - 1]?.attemptNumber || 0) + 1,
+      questions,
+      seed,
+      startedAt: now,
+      dueAt,
+    });
+    return { attempt, resumed: false };
+  } catch (err) {
+    // two starts at once; the unique index lets only one through
+    if (err.code === 11000) throw new ConflictError("An attempt at this quiz was just started; reload it");
+    throw err;
+  }
+};
+
+/**
+ * Save (or replace) answers on an open attempt
+ * @param {Object} attempt - QuizAttempt document
+ * @param {{questionId: String, response: *}[]} answers
+ */
+const recordAnswers = (attempt, answers) => {
+  const questions = new Map(attempt.questions.map((q) => [String(q._id), q]));
+  const saved = new Map(attempt.answers.map((a) => [String(a.questionId), a.response]));
+
+  answers.forEach(({ questionId, response }, index) => {
+    const question = questions.get(String(questionId));
+    if (!question) throw new BadRequestError(`answers[${index}]: the question is not part of this attempt`);
+    const error = responseError(question, response);
+    if (error) throw new BadRequestError(`answers[${index}]: the response to a ${question.type} question ${error}`);
+    saved.set(String(questionId), response);
+  });
+
+  attempt.set(
+    "answers",
+    [...saved].map(([questionId, response]) => ({ questionId, response }))
+  );
+};
+
+/**
+ * Save answers mid-attempt
+ */
+const saveAnswers = async (attempt, quiz, answers, now = new Date()) => {
+  await expireIfOverdue(attempt, quiz, now);
+  if (attempt.status !== "in_progress") throw new ConflictError("This attempt is already finished");
+  recordAnswers(attempt, answers);
+  return attempt.save();
+};
+
+/**
+ * Hand an attempt in. Past the time limit only what was saved in time is
+ * graded and the attempt is marked timed out.
+ */
+const submitAttempt = async (attempt, quiz, answers = [], now = new Date()) => {
+  await expireIfOverdue(attempt, quiz, now);
+  if (attempt.status !== "in_progress") return attempt;
+  recordAnswers(attempt, answers);
+  return finalizeAttempt(attempt, quiz, "submitted", now);
+};
+
+/**
+ * Grade and close every timed attempt whose time ran out (for the cron)
+ * @returns {Promise<Number>} attempts closed
+ */
+const closeOverdueAttempts = async (now = new Date()) => {
+  const attempts = await QuizAttempt.find({
+    status: "in_progress",
+    dueAt: { $ne: null, $lt: new Date(now.getTime() - SUBMIT_GRACE_MS) },
+  });
+  if (!attempts.length) return 0;
+
+  const quizzes = await Quiz.find({ _id: { $in: attempts.map((a) => a.quizId) } }, null, { withDeleted: true }).lean();
+  const quizById = new Map(quizzes.map((quiz) => [String(quiz._id), quiz]));
+
+  let closed = 0;
+  for (const attempt of attempts) {
+    const quiz = quizById.get(String(attempt.quizId));
+    if (!quiz) continue;
+    await finalizeAttempt(attempt, quiz, "timed_out", now);
+    closed++;
+  }
+  return closed;
+};
+
+/**
+ * A student's standing on every quiz of their course, for studentPerformance
+ * @returns {Promise<Object[]>}
+ */
+const quizResultsForStudent = async (studentId, courseId) => {
+  const quizzes = await quizzesForCourse(courseId, { student: true });
+  if (!quizzes.length) return [];
+
+  const attempts = await QuizAttempt.find({
+    studentId,
+    quizId: { $in: quizzes.map((q) => q._id) },
+    status: { $in: FINISHED },
+  })
+    .select("quizId attemptNumber status score maxScore percentage passed submittedAt")
+    .lean();
+
+  return quizzes.map((quiz) => {
+    const own = attempts.filter((a) => String(a.quizId) === String(quiz._id));
+    const lastSubmittedAt = own.reduce((latest, a) => (!latest || a.submittedAt > latest ? a.submittedAt : latest), null);
+    return {
+      quizId: quiz._id,
+      title: quiz.title,
+      ...placementOf(quiz),
+      ...quizScore(quiz, own),
+      status: own.length ? "attempted" : "not_attempted",
+      lastSubmittedAt,
+    };
+  });
+};
+
+module.exports = {
+  FINISHED,
+  courseIdOfQuiz,
+  quizzesForCourse,
+  summarizeQuiz,
+  quizScore,
+  buildPaper,
+  canRevealAnswers,
+  expireIfOverdue,
+  startAttempt,
+  saveAnswers,
+  submitAttempt,
+  closeOverdueAttempts,
+  quizResultsForStudent,
+};
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const Attendance = require('../models/Attendance');
+const BankQuestion = require('../models/BankQuestion');
+const Chapter = require('../models/Chapter');
+const CourseRevision = require('../models/CourseRevision');
+const Lesson = require('../models/Lesson');
+const Module = require('../models/Module');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Student = require('../models/Student');
+const Tutor = require('../models/Tutor');
+const { getRoleForUser } = require('./roleCache');
+const { BadRequestError, NotFoundError } = require('../utils/customErrors');
+
+// QuestionAnswer is an ES module, so require() hands back its namespace
+const QuestionAnswer = require('../models/QuestionAnswer').default;
+
+// content removed from the draft still belongs to its course while it is published
+const publishedCourseId = async (level, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const revision = await CourseRevision.findOne({ [`${level}._id`]: new mongoose.Types.ObjectId(String(id)), current: true })
+    .select('courseId')
+    .lean();
+  return revision?.courseId || null;
+};
+
+const lessonCourseId = async (lessonId) => {
+  const lesson = await Lesson.findById(lessonId).select('chapterId').lean();
+  const chapter = lesson && (await Chapter.findById(lesson.chapterId).select('moduleId').lean());
+  const module = chapter && (await Module.findById(chapter.moduleId).select('courseId').lean());
+  return module?.courseId || publishedCourseId('lessons', lessonId);
+};
+
+const chapterCourseId = async (chapterId) => {
+  const chapter = await Chapter.findById(chapterId).select('moduleId').lean();
+  const module = chapter && (await Module.findById(chapter.moduleId).select('courseId').lean());
+  return module?.courseId || publishedCourseId('chapters', chapterId);
+};
+
+const quizCourseId = (quiz) => (quiz.lessonId ? lessonCourseId(quiz.lessonId) : chapterCourseId(quiz.chapterId));
+
+/**
+ * Each resolver maps a resource id to the course(s) it belongs to and, for
+ * records that belong to one person, the user who owns it.
+ * Returns null when the resource doesn't exist.
+ */
+const resolvers = {
+  course: async (id) => ({ courseIds: [id] }),
+
+  module: async (id) => {
+    const module = await Module.findById(id).select('courseId').lean();
+    const courseId = module?.courseId || (await publishedCourseId('modules', id));
+    return courseId && { courseIds: [courseId] };
+  },
+
+  chapter: async (id) => {
+    const courseId = await chapterCourseId(id);
+    return courseId && { courseIds: [courseId] };
+  },
+
+  lesson: async (id) => {
+    const courseId = await lessonCourseId(id);
+    return courseId && { courseIds: [courseId] };
+  },
+
+  assignment: async (id) => {
+    const assignment = await Assignment.findById(id).select('lessonId').lean();
+    if (!assignment) return null;
+    return { courseIds: [await lessonCourseId(assignment.lessonId)] };
+  },
+
+  submission: async (id) => {
+    const submission = await AssignmentSubmission.findById(id).select('assignmentId studentId').lean();
+    if (!submission) return null;
+    const assignment = await Assignment.findById(submission.assignmentId).select('lessonId').lean();
+    return {
+      ownerId: submission.studentId,
+      courseIds: [assignment && (await lessonCourseId(assignment.lessonId))],
+    };
+  },
+
+  question: async (id) => {
+    const question = await QuestionAnswer.findById(id).select('moduleId lessonId studentId').lean();
+    if (!question) return null;
+    const module = await Module.findById(question.moduleId).select('courseId').lean();
+    return {
+      ownerId: question.studentId,
+      courseIds: [module ? module.courseId : await lessonCourseId(question.lessonId)],
+    };
+  },
+
+  quiz: async (id) => {
+    const quiz = await Quiz.findById(id).select('lessonId chapterId').lean();
+    return quiz && { courseIds: [await quizCourseId(quiz)] };
+  },
+
+  quizAttempt: async (id) => {
+    const attempt = await QuizAttempt.findById(id).select('quizId studentId').lean();
+    if (!attempt) return null;
+    const quiz = await Quiz.findById(attempt.quizId).select('lessonId chapterId').lean();
+    return { ownerId: attempt.studentId, courseIds: [quiz && (await quizCourseId(quiz))] };
+  },
+
+  bankQuestion: async (id) => {
+    const question = await BankQuestion.findById(id).select('courseId').lean();
+    return question && { courseIds: [question.courseId] };
+  },
+
+  attendance: async (id) => {
+    const row = await Attendance.findById(id).select('courseId studentId').lean();
+    return row && { ownerId: row.studentId, courseIds: [row.courseId] };
+  },
+
+  // student/tutor ids are the user id, as everywhere else in the API
+  student: async (userId) => {
+    const student = await Student.findOne({ userId }).select('courseId').lean();
+    return student && { ownerId: userId, courseIds: [student.courseId] };
+  },
+
+  tutor: async (userId) => {
+    const tutor = await Tutor.findOne({ userId }).select('_id').lean();
+    return tutor && { ownerId: userId, courseIds: [] };
+  },
+};
+
+/**
+ * What the caller may see. Students and tutors are limited to their courses,
+ * every other role (admin, custom staff roles) is unrestricted.
+ * @param {Object} authUser - req.user
+ * @returns {Promise<{unrestricted: Boolean, role?: String, userId?: String, courseIds?: String[]}>}
+ */
+const getAccessScope = async (authUser) => {
+  const role = await getRoleForUser(authUser);
+  const roleName = role?.role_name?.toLowerCase();
+
+  if (roleName === 'student') {
+    const student = await Student.findOne({ userId: authUser.id }).select('courseId').lean();
+    return {
+      unrestricted: false,
+      role: 'student',
+      userId: authUser.id,
+      courseIds: student?.courseId ? [student.courseId.toString()] : [],
+    };
+  }
+
+  if (roleName === 'tutor') {
+    const tutor = await Tutor.findOne({ userId: authUser.id }).select('courseIds').lean();
+    return {
+      unrestricted: false,
+      role: 'tutor',
+      userId: authUser.id,
+      courseIds: (tutor?.courseIds || []).map((id) => id.toString()),
+    };
+  }
+
+  return { unrestricted: true };
+};
+
+/**
+ * Check a resolved resource against a scope. Students only reach their own
+ * records, or content of the course they are enrolled in; tutors reach
+ * anything inside their assigned courses.
+ */
+const isInScope = (scope, resource) => {
+  if (scope.unrestricted) return true;
+
+  const ownerId = resource.ownerId?.toString();
+  if (ownerId && ownerId === scope.userId) return true;
+  if (scope.role === 'student' && ownerId) return false;
+
+  return resource.courseIds.some((id) => id && scope.courseIds.includes(id.toString()));
+};
+
+/**
+ * Resolve a resource and report whether the caller may access it
+ * @param {Object} authUser - req.user
+ * @param {String} type - key of `resolvers`
+ * @param {String} id
+ */
+const canAccess = async (authUser, type, id) => {
+  const resolve = resolvers[type];
+  if (!resolve) throw new Error(`Unknown resource type "${type}"`);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError(`Invalid ${type} ID`);
+  }
+
+  const scope = await getAccessScope(authUser);
+  if (scope.unrestricted) return true;
+
+  const resource = await resolve(id);
+  if (!resource) throw new NotFoundError(`${type.charAt(0).toUpperCase() + type.slice(1)} not found`);
+
+  return isInScope(scope, resource);
+};
+
+/**
+ * Lesson ids of the given courses, for filtering lists that only reference lessons
+ */
+const lessonIdsForCourses = async (courseIds) => {
+  const moduleIds = await Module.find({ courseId: { $in: courseIds } }).distinct('_id');
+  const chapterIds = await Chapter.find({ moduleId: { $in: moduleIds } }).distinct('_id');
+  return Lesson.find({ chapterId: { $in: chapterIds } }).distinct('_id');
+};
+
+module.exports = {
+  getAccessScope,
+  canAccess,
+  lessonIdsForCourses,
+};
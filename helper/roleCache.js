@@ -0,0 +1,73 @@
+const Roles = require('../models/Roles');
+const User = require('../models/User');
+
+// roleId -> { role, expiresAt }. Roles change rarely, so a short-lived in-memory
+// copy saves the role/permission lookups that used to run on every request.
+const cache = new Map();
+
+const ttlMs = () => (parseInt(process.env.ROLE_CACHE_TTL_SECONDS) || 300) * 1000;
+
+/**
+ * Role with its permission names, read through the cache
+ * @param {String} roleId
+ * @returns {Promise<{_id, role_name: String, permissions: Set<String>}|null>}
+ */
+const getRole = async (roleId) => {
+  if (!roleId) return null;
+  const key = roleId.toString();
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+  const doc = await Roles.findById(key).populate('permissions', 'permission_name').lean();
+  if (!doc) {
+    cache.delete(key);
+    return null;
+  }
+
+  const role = {
+    _id: doc._id,
+    role_name: doc.role_name,
+    permissions: new Set((doc.permissions || []).map((p) => p?.permission_name).filter(Boolean)),
+  };
+  cache.set(key, { role, expiresAt: Date.now() + ttlMs() });
+  return role;
+};
+
+/**
+ * Resolve the role of an authenticated user. Access tokens carry the roleId;
+ * tokens issued before that fall back to a single user lookup.
+ * @param {{id: String, roleId?: String}} authUser - req.user
+ */
+const getRoleForUser = async (authUser) => {
+  if (!authUser) return null;
+  let roleId = authUser.roleId;
+  if (!roleId) {
+    const user = await User.findById(authUser.id).select('roleId').lean();
+    roleId = user?.roleId;
+  }
+  return getRole(roleId);
+};
+
+/**
+ * Check the user's role name against a list (case-insensitive)
+ */
+const hasRole = async (authUser, ...roleNames) => {
+  const role = await getRoleForUser(authUser);
+  if (!role) return false;
+  return roleNames.some((name) => name.toLowerCase() === role.role_name?.toLowerCase());
+};
+
+const invalidateRole = (roleId) => {
+  if (roleId) cache.delete(roleId.toString());
+};
+
+const invalidateAllRoles = () => cache.clear();
+
+module.exports = {
+  getRole,
+  getRoleForUser,
+  hasRole,
+  invalidateRole,
+  invalidateAllRoles,
+};
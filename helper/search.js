@@ -0,0 +1,165 @@
+const Assignment = require("../models/Assignment");
+const Chapter = require("../models/Chapter");
+const Course = require("../models/Course");
+const Lesson = require("../models/Lesson");
+const Module = require("../models/Module");
+const { getAccessScope } = require("./resourceScope");
+const { loadStudentContent } = require("./courseRevisions");
+const { searchTerms, highlight } = require("../utils/highlight");
+const { ForbiddenError } = require("../utils/customErrors");
+
+// QuestionAnswer is an ES module, so require() hands back its namespace
+const QuestionAnswer = require("../models/QuestionAnswer").default;
+
+// every type has a text index named "search_text" over `fields`
+const SEARCH_TYPES = {
+  course: { model: Course, titleField: "title", fields: ["title", "description"], select: "title description thumbnail" },
+  module: { model: Module, titleField: "title", fields: ["title"], select: "title courseId orderIndex" },
+  chapter: { model: Chapter, titleField: "title", fields: ["title"], select: "title moduleId orderIndex" },
+  lesson: { model: Lesson, titleField: "title", fields: ["title", "body"], select: "title body chapterId contentType orderIndex" },
+  assignment: { model: Assignment, titleField: "title", fields: ["title", "description"], select: "title description lessonId deadline status" },
+  question: { model: QuestionAnswer, titleField: "question", fields: ["question", "description", "answer"], select: "question description answer lessonId moduleId studentId" },
+};
+
+// the deepest page anyone can ask for; every type is ranked up to here before merging
+const MAX_WINDOW = 500;
+
+const idsOf = (docs) => docs.map((doc) => doc._id);
+
+/**
+ * Per type, the filter that limits results to what the caller may see.
+ * Students get their course as it is published to them (hidden, scheduled and
+ * unpublished items left out), the assignments given to them and their own
+ * questions; tutors the draft of their courses; everyone else all of it.
+ * @returns {Promise<{filters: Object, published: Map}>} `published` holds the
+ * student's version of module/chapter/lesson documents, by id
+ */
+const buildScope = async (authUser, courseId) => {
+  const scope = await getAccessScope(authUser);
+  const published = new Map();
+
+  let courseIds = scope.unrestricted ? null : scope.courseIds;
+  if (courseId) {
+    if (courseIds && !courseIds.includes(String(courseId))) {
+      throw new ForbiddenError("You do not have access to this course");
+    }
+    courseIds = [String(courseId)];
+  }
+
+  if (!courseIds) {
+    return { filters: Object.fromEntries(Object.keys(SEARCH_TYPES).map((type) => [type, {}])), published };
+  }
+
+  const moduleIds = await Module.find({ courseId: { $in: courseIds } }).distinct("_id");
+
+  if (scope.role === "student") {
+    const visible = { modules: [], chapters: [], lessons: [] };
+    for (const id of courseIds) {
+      const content = await loadStudentContent({ courseId: id });
+      if (!content) continue;
+      for (const level of Object.keys(visible)) {
+        visible[level].push(...content[level]);
+        content[level].forEach((doc) => published.set(String(doc._id), doc));
+      }
+    }
+
+    return {
+      filters: {
+        course: { _id: { $in: courseIds } },
+        module: { _id: { $in: idsOf(visible.modules) } },
+        chapter: { _id: { $in: idsOf(visible.chapters) } },
+        lesson: { _id: { $in: idsOf(visible.lessons) } },
+        assignment: { lessonId: { $in: idsOf(visible.lessons) }, assignedTo: scope.userId },
+        question: { moduleId: { $in: moduleIds }, studentId: scope.userId },
+      },
+      published,
+    };
+  }
+
+  const chapterIds = await Chapter.find({ moduleId: { $in: moduleIds } }).distinct("_id");
+  const lessonIds = await Lesson.find({ chapterId: { $in: chapterIds } }).distinct("_id");
+
+  return {
+    filters: {
+      course: { _id: { $in: courseIds } },
+      module: { _id: { $in: moduleIds } },
+      chapter: { _id: { $in: chapterIds } },
+      lesson: { _id: { $in: lessonIds } },
+      assignment: { lessonId: { $in: lessonIds } },
+      question: { moduleId: { $in: moduleIds } },
+    },
+    published,
+  };
+};
+
+const toResult = (type, doc, terms, published) => {
+  const { titleField, fields } = SEARCH_TYPES[type];
+  // students read the published wording, which can lag behind the draft
+  const source = { ...doc, ...published.get(String(doc._id)) };
+
+  const highlights = {};
+  for (const field of fields) {
+    const excerpt = highlight(source[field], terms);
+    if (excerpt) highlights[field] = excerpt;
+  }
+
+  const { _id, score, ...rest } = source;
+  const context = Object.fromEntries(
+    ["courseId", "moduleId", "chapterId", "lessonId"].filter((key) => rest[key]).map((key) => [key, rest[key]])
+  );
+
+  return {
+    type,
+    id: _id,
+    title: source[titleField],
+    score,
+    ...context,
+    highlights,
+  };
+};
+
+/**
+ * Rank `q` across courses, modules, chapters, lessons, assignments and Q&A
+ * the caller can see
+ * @param {Object} authUser - req.user
+ * @param {{q: String, types?: String[], courseId?: String, page: Number, limit: Number}} options
+ * @returns {Promise<{total: Number, facets: Object, results: Object[]}>} facets count
+ * the matches of every type, whatever `types` is limited to
+ */
+const searchAll = async (authUser, { q, types, courseId, page, limit }) => {
+  const { filters, published } = await buildScope(authUser, courseId);
+  const terms = searchTerms(q);
+  const wanted = types?.length ? types : Object.keys(SEARCH_TYPES);
+  const window = Math.min(page * limit, MAX_WINDOW);
+
+  const facets = {};
+  const ranked = [];
+
+  for (const [type, { model, select }] of Object.entries(SEARCH_TYPES)) {
+    const filter = { $text: { $search: q }, ...filters[type] };
+    facets[type] = await model.countDocuments(filter);
+    if (!wanted.includes(type) || !facets[type]) continue;
+
+    const docs = await model
+      .find(filter, { score: { $meta: "textScore" } })
+      .select(select)
+      .sort({ score: { $meta: "textScore" } })
+      .limit(window)
+      .lean();
+    ranked.push(...docs.map((doc) => toResult(type, doc, terms, published)));
+  }
+
+  ranked.sort((a, b) => b.score - a.score);
+
+  return {
+    total: wanted.reduce((sum, type) => sum + facets[type], 0),
+    facets,
+    results: ranked.slice((page - 1) * limit, page * limit),
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  MAX_WINDOW,
+  searchAll,
+};
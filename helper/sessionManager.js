@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { generateAccessToken, generateRefreshToken } = require("../utils/generateTokens");
+const { UnAuthorizedError } = require("../utils/customErrors");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const clientInfo = (req) => ({
+  userAgent: (req.headers["user-agent"] || "").slice(0, 512),
+  ip: req.ip || req.socket?.remoteAddress || "",
+});
+
+// expiry of the session follows the refresh token it currently holds
+const tokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Start a new session (one per login / device) and issue its first token pair
+ */
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(user, sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: tokenExpiry(refreshToken),
+    ...clientInfo(req),
+  });
+
+  return {
+    session,
+    accessToken: generateAccessToken(user, sessionId),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token must be the
+ * latest one issued for its session; an already-rotated token means it leaked,
+ * so the whole session is revoked.
+ * @param {String} refreshToken
+ * @param {Object} req
+ * @param {Object} user - owner of the session, with roleId populated
+ */
+const rotateSession = async (refreshToken, req, user) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (err) {
+    throw new UnAuthorizedError("Invalid refresh token.");
+  }
+
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    throw new UnAuthorizedError("Invalid refresh token.");
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || session.userId.toString() !== decoded.id) {
+    throw new UnAuthorizedError("Session not found.");
+  }
+  if (session.revokedAt) {
+    throw new UnAuthorizedError("Session has been revoked. Please log in again.");
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken(user, session._id);
+
+  // conditional update so two concurrent refreshes with the same token can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        expiresAt: tokenExpiry(nextToken),
+        lastUsedAt: new Date(),
+        ...clientInfo(req),
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, "reuse-detected");
+    throw new UnAuthorizedError("Refresh token reuse detected. Please log in again.");
+  }
+
+  return {
+    session: rotated,
+    accessToken: generateAccessToken(user, rotated._id),
+    refreshToken: nextToken,
+  };
+};
+
+const revokeSession = async (sessionId, reason = "revoked") => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+const revokeAllSessions = async (userId, reason = "logout-all") => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+const listActiveSessions = async (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("userAgent ip lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+};
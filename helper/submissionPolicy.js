@@ -0,0 +1,159 @@
+const Assignment = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const { accommodationsByStudent, accommodatedDeadline } = require("./accommodations");
+const { BadRequestError } = require("../utils/customErrors");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The deadline that applies to one student: the assignment's, moved by
+ * their accommodations, or their own extension when that is later
+ */
+const effectiveDeadline = (assignment, submission, accommodations = null) => {
+  const deadline = accommodatedDeadline(assignment.deadline, accommodations);
+  const extended = submission?.extension?.deadline ? new Date(submission.extension.deadline) : null;
+  return extended && extended > deadline ? extended : deadline;
+};
+
+/**
+ * When a student's submissions stop counting as on time and when they stop
+ * being accepted at all (null: late submissions are taken until the
+ * assignment is closed)
+ * @returns {{deadline: Date, graceEndsAt: Date, closesAt: Date|null}}
+ */
+const submissionWindow = (assignment, submission, accommodations = null) => {
+  const deadline = effectiveDeadline(assignment, submission, accommodations);
+  const graceEndsAt = new Date(deadline.getTime() + (assignment.gracePeriodMinutes || 0) * MINUTE_MS);
+  const latePolicy = assignment.latePolicy || {};
+
+  let closesAt = graceEndsAt;
+  if (latePolicy.allowLate) {
+    closesAt = latePolicy.cutoffDays === null || latePolicy.cutoffDays === undefined
+      ? null
+      : new Date(graceEndsAt.getTime() + latePolicy.cutoffDays * DAY_MS);
+  }
+  return { deadline, graceEndsAt, closesAt };
+};
+
+/**
+ * How late a submission made at `at` is. Inside the grace period it is on
+ * time; after it, lateness counts from the deadline and every day started
+ * costs latePolicy.penaltyPerDay percent of the mark, up to maxPenalty.
+ * @returns {{late: Boolean, lateByMinutes: Number, penaltyPercent: Number}}
+ */
+const lateness = (assignment, submission, at = new Date(), accommodations = null) => {
+  const { deadline, graceEndsAt } = submissionWindow(assignment, submission, accommodations);
+  if (at <= graceEndsAt) return { late: false, lateByMinutes: 0, penaltyPercent: 0 };
+
+  const lateMs = at.getTime() - deadline.getTime();
+  const { penaltyPerDay = 0, maxPenalty = 100 } = assignment.latePolicy || {};
+  return {
+    late: true,
+    lateByMinutes: Math.ceil(lateMs / MINUTE_MS),
+    penaltyPercent: Math.min(maxPenalty, Math.ceil(lateMs / DAY_MS) * penaltyPerDay),
+  };
+};
+
+// submissions from before versions were kept count as one attempt
+const attemptsUsed = (submission) => submission.versions?.length || (submission.submittedAt ? 1 : 0);
+
+/**
+ * Refuse a submission the assignment's policy doesn't allow: no attempts
+ * left, closed, or past the student's deadline (with grace and late window).
+ * A submission sent back with "changes requested" can always be resubmitted
+ * while the window is open, and a student with an extension or
+ * accommodations can still submit after the expiry cron closed the
+ * assignment, but not once its author closed it.
+ * @returns {{late: Boolean, lateByMinutes: Number, penaltyPercent: Number}}
+ */
+const assertCanSubmit = (assignment, submission, now = new Date(), accommodations = null) => {
+  if (submission.status === "submitted" || submission.status === "reviewed") {
+    // assignments from before resubmissions allowed a single attempt
+    const maxAttempts = assignment.maxAttempts ?? 1;
+    if (maxAttempts === 1) {
+      throw new BadRequestError("You have already submitted this assignment.");
+    }
+    if (maxAttempts && attemptsUsed(submission) >= maxAttempts) {
+      throw new BadRequestError(`You have used all ${maxAttempts} attempts at this assignment.`);
+    }
+  }
+
+  const { closesAt } = submissionWindow(assignment, submission, accommodations);
+  const hasOwnDeadline = Boolean(submission.extension?.deadline || accommodations?.assignmentExtraDays);
+  if (assignment.status === "Closed" && !(assignment.closedReason === "deadline" && hasOwnDeadline)) {
+    throw new BadRequestError("This assignment is closed.");
+  }
+  if (closesAt && now > closesAt) {
+    throw new BadRequestError("The deadline for this assignment has passed.");
+  }
+  return lateness(assignment, submission, now, accommodations);
+};
+
+// the mark after the late penalty of the submission
+const applyLatePenalty = (mark, penaltyPercent = 0) => round2(mark * (1 - penaltyPercent / 100));
+
+// still waiting on the student
+const OPEN_STATUSES = ["pending", "changes_requested"];
+
+/**
+ * Close assignments whose submission window is over for everyone, including
+ * students with an extension or accommodations who haven't submitted yet
+ * @returns {Promise<Number>} how many were closed
+ */
+const closeExpiredAssignments = async (now = new Date()) => {
+  const candidates = await Assignment.find({ deadline: { $lt: now }, status: { $ne: "Closed" } })
+    .select("deadline gracePeriodMinutes latePolicy")
+    .lean();
+  const over = (assignment, submission, accommodations) => {
+    const { closesAt } = submissionWindow(assignment, submission, accommodations);
+    return closesAt && closesAt <= now;
+  };
+  const expired = new Map(candidates.filter((assignment) => over(assignment)).map((a) => [String(a._id), a]));
+  if (!expired.size) return 0;
+
+  const waiting = await AssignmentSubmission.find({ assignmentId: { $in: [...expired.keys()] }, status: { $in: OPEN_STATUSES } })
+    .select("assignmentId studentId extension")
+    .lean();
+  const accommodations = await accommodationsByStudent([...new Set(waiting.map((s) => String(s.studentId)))]);
+  waiting.forEach((submission) => {
+    const assignment = expired.get(String(submission.assignmentId));
+    if (assignment && !over(assignment, submission, accommodations.get(String(submission.studentId)))) {
+      expired.delete(String(submission.assignmentId));
+    }
+  });
+  if (!expired.size) return 0;
+
+  const result = await Assignment.updateMany({ _id: { $in: [...expired.keys()] } }, { $set: { status: "Closed", closedReason: "deadline" } });
+  return result.modifiedCount;
+};
+
+/**
+ * Add each student's own deadlines to submissions listed with their
+ * assignment populated (deadline, gracePeriodMinutes and latePolicy)
+ * @param {Object[]} submissions - documents or lean objects
+ * @returns {Promise<Object[]>} plain objects with `deadlines: {deadline, graceEndsAt, closesAt}`
+ */
+const withDeadlines = async (submissions) => {
+  const rows = submissions.map((submission) => (submission.toObject ? submission.toObject() : submission));
+  const studentIds = rows.map((row) => String(row.studentId?._id || row.studentId));
+  const accommodations = await accommodationsByStudent([...new Set(studentIds)]);
+  return rows.map((row, index) => {
+    const assignment = row.assignmentId;
+    if (!assignment?.deadline) return row;
+    return { ...row, deadlines: submissionWindow(assignment, row, accommodations.get(studentIds[index])) };
+  });
+};
+
+module.exports = {
+  effectiveDeadline,
+  submissionWindow,
+  lateness,
+  attemptsUsed,
+  assertCanSubmit,
+  applyLatePenalty,
+  closeExpiredAssignments,
+  withDeadlines,
+};
@@ -0,0 +1,154 @@
+const Lesson = require("../models/Lesson");
+const LessonTranscript = require("../models/LessonTranscript");
+const { parseCaptions, detectCaptionFormat } = require("../utils/captions");
+const { readFileFromS3, isBucketUrl } = require("../utils/readFileFromS3");
+const { escapeRegex } = require("../utils/escapeRegex");
+const { BadRequestError, NotFoundError } = require("../utils/customErrors");
+
+const MAX_CAPTION_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Download and parse a caption track. Tracks must be uploaded to our bucket
+ * first (pre-signed URL flow), so the server only ever reads its own storage.
+ * @returns {Promise<{format: String, cues: Object[]}>}
+ */
+const readCaptionTrack = async (url) => {
+  if (!isBucketUrl(url)) {
+    throw new BadRequestError("Upload the caption file through the pre-signed URL flow and send its publicUrl");
+  }
+
+  let text;
+  try {
+    text = (await readFileFromS3(url, { maxBytes: MAX_CAPTION_BYTES })).toString("utf8");
+  } catch (err) {
+    throw new BadRequestError(`Caption file could not be read: ${err.message}`);
+  }
+
+  const cues = parseCaptions(text);
+  if (!cues.length) throw new BadRequestError("The caption file has no cues; expected WebVTT or SRT");
+  return { format: detectCaptionFormat(text), cues };
+};
+
+const saveTranscript = (lessonId, language, sourceUrl, cues) =>
+  LessonTranscript.findOneAndUpdate(
+    { lessonId, language },
+    { $set: { sourceUrl, cues, text: cues.map((cue) => cue.text).join(" ") } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+/**
+ * Add a caption track to a video lesson, replacing the track of the same
+ * language, and store its transcript
+ * @param {String} lessonId
+ * @param {{language: String, label?: String, url: String}} track
+ */
+const addCaptionTrack = async (lessonId, { language, label, url }) => {
+  const lesson = await Lesson.findById(lessonId);
+  if (!lesson) throw new NotFoundError("Lesson not found");
+  if (lesson.contentType !== "video") throw new BadRequestError("Captions can only be added to video lessons");
+
+  const { format, cues } = await readCaptionTrack(url);
+
+  const captions = (lesson.video?.captions || []).filter((caption) => caption.language !== language);
+  captions.push({ language, label: label || language, url, format });
+  lesson.set("video.captions", captions);
+  await lesson.save();
+
+  const transcript = await saveTranscript(lesson._id, language, url, cues);
+  return { lesson, transcript };
+};
+
+const removeCaptionTrack = async (lessonId, language) => {
+  const lesson = await Lesson.findById(lessonId);
+  if (!lesson) throw new NotFoundError("Lesson not found");
+
+  const captions = lesson.video?.captions || [];
+  if (!captions.some((caption) => caption.language === language)) {
+    throw new NotFoundError(`No "${language}" caption track on this lesson`);
+  }
+  lesson.set("video.captions", captions.filter((caption) => caption.language !== language));
+  await lesson.save();
+  await LessonTranscript.deleteOne({ lessonId, language });
+  return lesson;
+};
+
+/**
+ * Bring a lesson's transcripts in line with its caption tracks after a
+ * create/update that set `video.captions` directly. Best effort: a track
+ * that can't be read is reported, not thrown.
+ * @returns {Promise<{language: String, error: String}[]>} tracks that failed
+ */
+const syncLessonTranscripts = async (lesson) => {
+  const captions = lesson.contentType === "video" ? lesson.video?.captions || [] : [];
+  const existing = await LessonTranscript.find({ lessonId: lesson._id }).select("language sourceUrl").lean();
+  const failed = [];
+
+  for (const caption of captions) {
+    if (existing.some((t) => t.language === caption.language && t.sourceUrl === caption.url)) continue;
+    try {
+      const { cues } = await readCaptionTrack(caption.url);
+      await saveTranscript(lesson._id, caption.language, caption.url, cues);
+    } catch (err) {
+      failed.push({ language: caption.language, error: err.message });
+    }
+  }
+
+  const languages = captions.map((caption) => caption.language);
+  await LessonTranscript.deleteMany({ lessonId: lesson._id, language: { $nin: languages } });
+  return failed;
+};
+
+/**
+ * Find a phrase in the transcripts of the given lessons
+ * @param {Object[]} lessons - the lessons the caller can see, in course order
+ * @param {String} query
+ * @param {{language?: String}} [options]
+ * @returns {Promise<Object[]>} per lesson: the cues (with their start/end offsets in seconds) where the phrase is spoken
+ */
+const searchTranscripts = async (lessons, query, { language } = {}) => {
+  const words = query.trim().split(/\s+/).filter(Boolean).map(escapeRegex);
+  if (!words.length) return [];
+  const pattern = new RegExp(words.join("\\s+"), "i");
+
+  const filter = { lessonId: { $in: lessons.map((l) => l._id) }, text: pattern };
+  if (language) filter.language = language;
+  const transcripts = await LessonTranscript.find(filter).lean();
+
+  const order = new Map(lessons.map((lesson, index) => [String(lesson._id), index]));
+  const lessonById = new Map(lessons.map((lesson) => [String(lesson._id), lesson]));
+
+  return transcripts
+    .map((transcript) => {
+      const { cues } = transcript;
+      const matches = [];
+      cues.forEach((cue, i) => {
+        if (pattern.test(cue.text)) {
+          matches.push({ start: cue.start, end: cue.end, text: cue.text });
+          return;
+        }
+        // the phrase starts in this cue and runs into the next one
+        const next = cues[i + 1];
+        if (next && !pattern.test(next.text) && pattern.test(`${cue.text} ${next.text}`)) {
+          matches.push({ start: cue.start, end: next.end, text: `${cue.text} ${next.text}` });
+        }
+      });
+
+      const lesson = lessonById.get(String(transcript.lessonId));
+      return {
+        lessonId: transcript.lessonId,
+        title: lesson.title,
+        chapterId: lesson.chapterId,
+        language: transcript.language,
+        matches,
+      };
+    })
+    .filter((result) => result.matches.length)
+    .sort((a, b) => order.get(String(a.lessonId)) - order.get(String(b.lessonId)));
+};
+
+module.exports = {
+  addCaptionTrack,
+  removeCaptionTrack,
+  syncLessonTranscripts,
+  searchTranscripts,
+};
@@ -0,0 +1,321 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Module = require("../models/Module");
+const Chapter = require("../models/Chapter");
+const Lesson = require("../models/Lesson");
+const Assignment = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const LessonCompletion = require("../models/LessonCompletion");
+const LessonTranscript = require("../models/LessonTranscript");
+const ModuleCompletion = require("../models/ModuleCompletion");
+const Attendance = require("../models/Attendance");
+const QuestionAnswer = require("../models/QuestionAnswer").default;
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const BankQuestion = require("../models/BankQuestion");
+const User = require("../models/User");
+const Student = require("../models/Student");
+const Tutor = require("../models/Tutor");
+const Session = require("../models/Session");
+const { ORDERED_LEVELS, compactOrder, nextOrderIndex } = require("./contentOrder");
+const { deleteFileFromS3 } = require("../utils/deleteFileFromS3");
+const { BadRequestError, ConflictError, NotFoundError } = require("../utils/customErrors");
+
+const RETENTION_DAYS = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// files of the current submission and of every earlier version
+const submissionFiles = (submission) => [
+  ...(submission.submissionFiles || []),
+  ...(submission.versions || []).flatMap((version) => version.submissionFiles || []),
+];
+
+/**
+ * Everything that can be soft deleted. `children` are deleted and restored
+ * together with their parent; `purge` cleans up records that only make sense
+ * while the item exists, right before it is removed for good.
+ */
+const TRASH_TYPES = {
+  course: {
+    model: Course,
+    label: "Course",
+    titleField: "title",
+    children: [
+      { type: "module", field: "courseId" },
+      { type: "bankQuestion", field: "courseId" },
+    ],
+  },
+  module: {
+    model: Module,
+    label: "Module",
+    titleField: "title",
+    parent: { type: "course", field: "courseId" },
+    children: [{ type: "chapter", field: "moduleId" }],
+    purge: (ids) => ModuleCompletion.deleteMany({ moduleId: { $in: ids } }),
+  },
+  chapter: {
+    model: Chapter,
+    label: "Chapter",
+    titleField: "title",
+    parent: { type: "module", field: "moduleId" },
+    children: [
+      { type: "lesson", field: "chapterId" },
+      { type: "quiz", field: "chapterId" },
+    ],
+  },
+  lesson: {
+    model: Lesson,
+    label: "Lesson",
+    titleField: "title",
+    parent: { type: "chapter", field: "chapterId" },
+    children: [
+      { type: "assignment", field: "lessonId" },
+      { type: "quiz", field: "lessonId" },
+    ],
+    purge: async (ids) => {
+      await LessonCompletion.deleteMany({ lessonId: { $in: ids } });
+      await LessonTranscript.deleteMany({ lessonId: { $in: ids } });
+    },
+  },
+  assignment: {
+    model: Assignment,
+    label: "Assignment",
+    titleField: "title",
+    parent: { type: "lesson", field: "lessonId" },
+    children: [],
+    purge: async (ids, docs) => {
+      const submissions = await AssignmentSubmission.find({ assignmentId: { $in: ids } }).lean();
+      const files = [
+        ...docs.flatMap((doc) => doc.files || []),
+        ...submissions.flatMap(submissionFiles),
+      ];
+      // cloned assignments share their attachments with the original
+      const stillUsed = new Set(
+        await Assignment.find({ _id: { $nin: ids }, "files.fileUrl": { $in: files.map((file) => file.fileUrl) } }, null, { withDeleted: true })
+          .distinct("files.fileUrl")
+      );
+      const fileUrls = new Set(files.map((file) => file.fileUrl).filter(Boolean));
+      for (const fileUrl of fileUrls) {
+        if (!stillUsed.has(fileUrl)) await deleteFileFromS3(fileUrl);
+      }
+      await AssignmentSubmission.deleteMany({ assignmentId: { $in: ids } });
+    },
+  },
+  quiz: {
+    model: Quiz,
+    label: "Quiz",
+    titleField: "title",
+    // whichever of the two the quiz is attached to
+    parent: [
+      { type: "lesson", field: "lessonId" },
+      { type: "chapter", field: "chapterId" },
+    ],
+    children: [],
+    purge: (ids) => QuizAttempt.deleteMany({ quizId: { $in: ids } }),
+  },
+  bankQuestion: {
+    model: BankQuestion,
+    label: "Question",
+    titleField: "text",
+    parent: { type: "course", field: "courseId" },
+    children: [],
+  },
+  user: {
+    model: User,
+    label: "User",
+    titleField: "name",
+    children: [],
+    // the user's own records go with them; nothing else can reach them afterwards
+    purge: async (ids) => {
+      const submissions = await AssignmentSubmission.find({ studentId: { $in: ids } }).select("submissionFiles versions").lean();
+      const fileUrls = new Set(submissions.flatMap(submissionFiles).map((file) => file.fileUrl).filter(Boolean));
+      for (const fileUrl of fileUrls) await deleteFileFromS3(fileUrl);
+      await AssignmentSubmission.deleteMany({ studentId: { $in: ids } });
+      await QuizAttempt.deleteMany({ studentId: { $in: ids } });
+      await Attendance.deleteMany({ studentId: { $in: ids } });
+      await LessonCompletion.deleteMany({ studentId: { $in: ids } });
+      // module progress is keyed by the user id, though the model refers to the student record
+      const studentIds = await Student.find({ userId: { $in: ids } }).distinct("_id");
+      await ModuleCompletion.deleteMany({ studentId: { $in: [...ids, ...studentIds] } });
+      await QuestionAnswer.deleteMany({ studentId: { $in: ids } });
+
+      await Student.deleteMany({ userId: { $in: ids } });
+      await Tutor.deleteMany({ userId: { $in: ids } });
+      await Session.deleteMany({ userId: { $in: ids } });
+    },
+  },
+};
+
+const getTrashType = (type) => {
+  const config = TRASH_TYPES[type];
+  if (!config) {
+    throw new BadRequestError(`Unknown type "${type}". Use one of: ${Object.keys(TRASH_TYPES).join(", ")}.`);
+  }
+  return config;
+};
+
+// the type itself plus every type that can be deleted along with it
+const subtreeTypes = (type) => [
+  type,
+  ...getTrashType(type).children.flatMap((child) => subtreeTypes(child.type)),
+];
+
+/**
+ * Move an item and everything under it to the trash
+ * @param {String} type - key of TRASH_TYPES
+ * @param {String} id
+ * @param {String} actorId
+ * @param {Object} [session]
+ * @returns {Promise<Object>} the deleted item
+ */
+const moveToTrash = async (type, id, actorId, session) => {
+  const config = getTrashType(type);
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError(`Invalid ${config.label.toLowerCase()} ID`);
+  }
+
+  const item = await config.model.findById(id).session(session);
+  if (!item) throw new NotFoundError(`${config.label} not found`);
+
+  const mark = { deletedAt: new Date(), deletedBy: actorId || null, deletedWith: item._id };
+  await config.model.updateOne({ _id: item._id }, { $set: mark }).session(session);
+
+  // walk down the hierarchy; children already in the trash keep their own deletion
+  let level = [{ type, ids: [item._id] }];
+  while (level.length) {
+    const next = [];
+    for (const { type: parentType, ids } of level) {
+      for (const child of TRASH_TYPES[parentType].children) {
+        const { model } = TRASH_TYPES[child.type];
+        const childIds = await model.find({ [child.field]: { $in: ids } }).session(session).distinct("_id");
+        if (!childIds.length) continue;
+        await model.updateMany({ _id: { $in: childIds } }, { $set: mark }).session(session);
+        next.push({ type: child.type, ids: childIds });
+      }
+    }
+    level = next;
+  }
+
+  // close the gap the item leaves among its siblings
+  if (ORDERED_LEVELS[type]) {
+    await compactOrder(type, item[ORDERED_LEVELS[type].parent.field], session);
+  }
+
+  return Object.assign(item, mark);
+};
+
+/**
+ * Bring an item back together with everything that was deleted with it
+ * @returns {Promise<{item: Object, restored: Number}>}
+ */
+const restoreFromTrash = async (type, id, session) => {
+  const config = getTrashType(type);
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError(`Invalid ${config.label.toLowerCase()} ID`);
+  }
+
+  const item = await config.model.findOne({ _id: id, deletedAt: { $ne: null } }).session(session);
+  if (!item) throw new NotFoundError(`${config.label} not found in trash`);
+
+  if (item.deletedWith && !item.deletedWith.equals(item._id)) {
+    throw new ConflictError(`This ${config.label.toLowerCase()} was deleted with its parent; restore the parent instead.`);
+  }
+  const parentRef = [].concat(config.parent || []).find((ref) => item[ref.field]);
+  if (parentRef) {
+    const parent = TRASH_TYPES[parentRef.type];
+    const parentExists = await parent.model.exists({ _id: item[parentRef.field] }).session(session);
+    if (!parentExists) {
+      throw new ConflictError(`Restore the ${parent.label.toLowerCase()} this ${config.label.toLowerCase()} belongs to first.`);
+    }
+  }
+  if (type === "user" && (await User.exists({ email: item.email }).session(session))) {
+    throw new ConflictError("Another user with this email exists.");
+  }
+
+  // siblings were renumbered meanwhile, so the item goes back at the end
+  if (ORDERED_LEVELS[type]) {
+    const orderIndex = await nextOrderIndex(type, item[ORDERED_LEVELS[type].parent.field], session);
+    await config.model.updateOne({ _id: item._id }, { $set: { orderIndex } }, { withDeleted: true }).session(session);
+    item.orderIndex = orderIndex;
+  }
+
+  const unmark = { $set: { deletedAt: null, deletedBy: null, deletedWith: null } };
+  let restored = 0;
+  for (const memberType of subtreeTypes(type)) {
+    const result = await TRASH_TYPES[memberType].model
+      .updateMany({ deletedWith: item._id, deletedAt: { $ne: null } }, unmark)
+      .session(session);
+    restored += result.modifiedCount;
+  }
+
+  return { item: Object.assign(item, { deletedAt: null, deletedBy: null, deletedWith: null }), restored };
+};
+
+/**
+ * Items deleted directly (not along with a parent), newest first
+ * @param {{type?: String, page: Number, limit: Number}} options
+ */
+const listTrash = async ({ type, page, limit }) => {
+  const types = type ? [type] : Object.keys(TRASH_TYPES);
+  types.forEach(getTrashType);
+
+  const rootFilter = { deletedAt: { $ne: null }, $expr: { $eq: ["$deletedWith", "$_id"] } };
+  const retentionMs = RETENTION_DAYS() * 24 * 60 * 60 * 1000;
+
+  // every type contributes its newest page*limit items, then the merged list is paged
+  let total = 0;
+  const items = [];
+  for (const key of types) {
+    const config = TRASH_TYPES[key];
+    total += await config.model.countDocuments(rootFilter);
+    const docs = await config.model
+      .find(rootFilter)
+      .select(`${config.titleField} deletedAt deletedBy`)
+      .populate("deletedBy", "name email")
+      .sort({ deletedAt: -1 })
+      .limit(page * limit)
+      .lean();
+    for (const doc of docs) {
+      items.push({
+        type: key,
+        id: doc._id,
+        title: doc[config.titleField],
+        deletedAt: doc.deletedAt,
+        deletedBy: doc.deletedBy,
+        purgeAt: new Date(new Date(doc.deletedAt).getTime() + retentionMs),
+      });
+    }
+  }
+
+  items.sort((a, b) => b.deletedAt - a.deletedAt);
+  return { total, items: items.slice((page - 1) * limit, page * limit) };
+};
+
+/**
+ * Permanently remove everything that has been in the trash longer than the
+ * retention period (TRASH_RETENTION_DAYS)
+ * @returns {Promise<Object>} number of purged items per type
+ */
+const purgeExpiredTrash = async (retentionDays = RETENTION_DAYS()) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const [type, config] of Object.entries(TRASH_TYPES)) {
+    const docs = await config.model.find({ deletedAt: { $ne: null, $lt: cutoff } }).lean();
+    if (!docs.length) continue;
+
+    const ids = docs.map((doc) => doc._id);
+    if (config.purge) await config.purge(ids, docs);
+    const result = await config.model.deleteMany({ _id: { $in: ids } });
+    purged[type] = result.deletedCount;
+  }
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  moveToTrash,
+  restoreFromTrash,
+  listTrash,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const { verifyTotp } = require("../utils/totp");
+
+// TOTP secrets are kept encrypted (AES-256-GCM) so a database dump alone
+// isn't enough to generate codes
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString("base64")).join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+/**
+ * Fresh set of one-time backup codes. The plain codes are shown to the user
+ * once; only their hashes are stored.
+ * @returns {{codes: String[], hashed: Array<{hash: String}>}}
+ */
+const generateBackupCodes = (count = parseInt(process.env.TWO_FACTOR_BACKUP_CODES) || 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashed: codes.map((code) => ({ hash: hashBackupCode(code), usedAt: null })) };
+};
+
+/**
+ * Check a TOTP code or an unused backup code against a user loaded with
+ * `+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep`.
+ * Marks what was used on the document; the caller saves it.
+ * @returns {'totp'|'backup'|null}
+ */
+const verifySecondFactor = (user, { code, backupCode }) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(twoFactor.secret), code, {
+      afterStep: twoFactor.lastUsedStep ?? -1,
+    });
+    if (step === null) return null;
+    twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(String(backupCode));
+    const entry = (twoFactor.backupCodes || []).find((c) => c.hash === hash && !c.usedAt);
+    if (!entry) return null;
+    entry.usedAt = new Date();
+    return "backup";
+  }
+
+  return null;
+};
+
+const remainingBackupCodes = (user) =>
+  (user.twoFactor?.backupCodes || []).filter((c) => !c.usedAt).length;
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  verifySecondFactor,
+  remainingBackupCodes,
+};
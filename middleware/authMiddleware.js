@@ -1,19 +1,38 @@
 const jwt = require('jsonwebtoken');
+const { UnAuthorizedError } = require('../utils/customErrors');
 
 const authenticate = (req, res, next) => {
   const authHeader = req.headers.authorization;
-  console.log(authHeader)
-  if (!authHeader) return res.sendStatus(401);
+  if (!authHeader) return next(new UnAuthorizedError("Authorization header is missing"));
 
   const token = authHeader.split(' ')[1];
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log(decoded)
+    // 2FA challenge / setup tokens are signed with the same secret but are not access tokens
+    if (decoded.purpose) throw new Error("Not an access token");
     req.user = decoded;
     next();
   } catch (err) {
-    return res.sendStatus(401);
+    return next(new UnAuthorizedError("Invalid or expired token"));
   }
 };
 
-module.exports = { authenticate };
+/**
+ * For 2FA enrolment: a logged-in user, or a user whose role requires 2FA and
+ * who only holds the `setupToken` handed out by login
+ */
+const authenticateTwoFactorSetup = (req, res, next) => {
+  const { setupToken } = req.body || {};
+  if (!setupToken) return authenticate(req, res, next);
+
+  try {
+    const decoded = jwt.verify(setupToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== "2fa-setup") throw new Error("Wrong token purpose");
+    req.user = { id: decoded.id, role: decoded.role, setup: true };
+    next();
+  } catch (err) {
+    return next(new UnAuthorizedError("Invalid or expired setup token"));
+  }
+};
+
+module.exports = { authenticate, authenticateTwoFactorSetup };
@@ -0,0 +1,54 @@
+const { getRoleForUser } = require('../helper/roleCache');
+const { ForbiddenError, UnAuthorizedError } = require('../utils/customErrors');
+
+/**
+ * Route-level access control, used after `authenticate`.
+ *
+ * A request passes when the caller's role is one of `roles`, or when the role
+ * grants every permission in `permissions`. With neither list given only the
+ * role is resolved and attached.
+ *
+ * router.post('/', authenticate, authorize({ permissions: ['Add Course'] }), createCourse)
+ * router.put('/answer/:id', authenticate, authorize({ roles: ['Tutor'] }), answerQuestion)
+ *
+ * @param {{permissions?: String[], roles?: String[], message?: String}} options
+ */
+const authorize = ({ permissions = [], roles = [], message } = {}) => {
+  const allowedRoles = roles.map((r) => r.toLowerCase());
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.id) {
+        throw new UnAuthorizedError("Authentication required");
+      }
+
+      const role = await getRoleForUser(req.user);
+      if (!role) {
+        throw new ForbiddenError("User has no role assigned");
+      }
+
+      // expose the fresh role to controllers that branch on it
+      req.user.roleId = role._id.toString();
+      req.user.role = role.role_name;
+
+      if (!allowedRoles.length && !permissions.length) return next();
+
+      const roleAllowed = allowedRoles.includes(role.role_name?.toLowerCase());
+      const permissionAllowed =
+        permissions.length > 0 && permissions.every((p) => role.permissions.has(p));
+
+      if (roleAllowed || permissionAllowed) return next();
+
+      throw new ForbiddenError(
+        message ||
+          (permissions.length
+            ? `User doesn't have permission to ${permissions.join(", ")}`
+            : "User doesn't have permission to perform this action")
+      );
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = { authorize };
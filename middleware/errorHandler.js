@@ -52,6 +52,17 @@ function errorHandler(err, req, res, next) {
     });
   }
 
+  // too many attempts (login / OTP throttling)
+  if (err.name === "TooManyRequestsError") {
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(429).json({
+      status: "error",
+      name: "Too Many Requests Error",
+      message: err.message,
+      retryAfter: err.retryAfter,
+    });
+  }
+
   // // Zod Validation Error
   // if (err.name === 'ZodError') {
   //   const formattedErrors = err.errors.reduce((acc, e) => {
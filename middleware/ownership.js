@@ -0,0 +1,36 @@
+const { canAccess } = require('../helper/resourceScope');
+const { ForbiddenError, UnAuthorizedError } = require('../utils/customErrors');
+
+/**
+ * Limit students and tutors to resources of their own course(s), used after `authenticate`.
+ *
+ * router.put('/review/:assignmentId', authenticate, checkOwnership('submission', 'assignmentId'), reviewAssignment)
+ * router.post('/mark', authenticate, checkOwnership('course', 'courseId', 'body'), markAttendance)
+ *
+ * @param {String} type - course | module | chapter | lesson | assignment | submission | question | quiz | quizAttempt | bankQuestion | attendance | student | tutor
+ * @param {String} [param] - name of the field holding the id
+ * @param {'params'|'body'|'query'} [source]
+ */
+const checkOwnership = (type, param = 'id', source = 'params') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.id) {
+        throw new UnAuthorizedError("Authentication required");
+      }
+
+      const id = req[source]?.[param];
+      // a missing optional id is left to the controller's own validation
+      if (!id) return next();
+
+      const allowed = await canAccess(req.user, type, id);
+      if (!allowed) {
+        throw new ForbiddenError(`You don't have access to this ${type}`);
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = { checkOwnership };
@@ -0,0 +1,13 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Keeps the current request reachable from code that isn't handed `req`,
+// e.g. mongoose hooks that need to know who made a change.
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+const getCurrentRequest = () => storage.getStore()?.req || null;
+
+module.exports = { requestContext, getCurrentRequest };
@@ -70,9 +70,35 @@ const uploadBannerImage = multer({
   limits:{fileSize:10*1024*1024}
 })
 
+/**
+ * Course packages (.zip or .json), kept in memory for parsing
+ */
+const uploadCoursePackage = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(zip|json)$/i.test(file.originalname)) return cb(null, true);
+    cb(new Error('Only .zip or .json course packages are allowed.'));
+  },
+  limits: { fileSize: (parseInt(process.env.COURSE_PACKAGE_MAX_MB) || 50) * 1024 * 1024 },
+});
+
+/**
+ * SCORM / Common Cartridge packages, kept on disk under uploads/packages
+ */
+const uploadContentPackage = multer({
+  storage: getStorage('packages'),
+  fileFilter: (req, file, cb) => {
+    if (/\.(zip|imscc)$/i.test(file.originalname)) return cb(null, true);
+    cb(new Error('Only .zip or .imscc packages are allowed.'));
+  },
+  limits: { fileSize: (parseInt(process.env.CONTENT_PACKAGE_MAX_MB) || 500) * 1024 * 1024 },
+});
+
 module.exports = {
   uploadProductImages,
   uploadCategoryImage,
   uploadBannerImage,
-  uploadBrandImage
+  uploadBrandImage,
+  uploadCoursePackage,
+  uploadContentPackage
 };
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const { rubricMaxPoints } = require("../utils/rubricScoring");
 
 const FileSchema = new mongoose.Schema({
   name: String,
@@ -6,6 +8,29 @@ const FileSchema = new mongoose.Schema({
   fileUrl: String,
 });
 
+// a performance level of a rubric criterion, e.g. "Excellent" - 10 points
+const RubricLevelSchema = new mongoose.Schema({
+  title: { type: String, required: [true, "Level title is required"] },
+  description: { type: String },
+  points: { type: Number, required: [true, "Level points are required"], min: 0 },
+});
+
+const RubricCriterionSchema = new mongoose.Schema({
+  title: { type: String, required: [true, "Criterion title is required"] },
+  description: { type: String },
+  levels: { type: [RubricLevelSchema], validate: [(levels) => levels.length > 0, "A criterion needs at least one level"] },
+});
+
+// what happens to submissions after the deadline (helper/submissionPolicy.js)
+const LatePolicySchema = new mongoose.Schema({
+  allowLate: { type: Boolean, default: false },
+  // percent of the mark taken off for every day (started) past the deadline
+  penaltyPerDay: { type: Number, default: 0, min: 0, max: 100 },
+  maxPenalty: { type: Number, default: 100, min: 0, max: 100 },
+  // days after the deadline (and grace period) late submissions are still taken; null for no limit
+  cutoffDays: { type: Number, default: null, min: 0 },
+}, { _id: false });
+
 const AssignmentSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String },
@@ -14,8 +39,31 @@ const AssignmentSchema = new mongoose.Schema({
   files: [FileSchema],
   assignedTo: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   status: { type: String, enum: ['Active', 'Closed'], default: 'draft' },
+  // why a Closed assignment was closed: by the expiry cron once its deadline passed, or by its author
+  closedReason: { type: String, enum: ['deadline', 'manual', null], default: null },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  totalMarks: {type:Number,default:100}
+  totalMarks: {type:Number,default:100},
+  // when set, reviews score each criterion and the mark is their total (utils/rubricScoring.js)
+  rubric: { type: [RubricCriterionSchema], default: [] },
+  // submissions a student may make; 0 for no limit
+  maxAttempts: { type: Number, default: 1, min: 0 },
+  // submissions this long after the deadline still count as on time
+  gracePeriodMinutes: { type: Number, default: 0, min: 0 },
+  latePolicy: { type: LatePolicySchema, default: () => ({}) },
+  // days after the course start; set on cloned assignments so the next clone can re-date them
+  deadlineOffsetDays: { type: Number, default: null }
 }, { timestamps: true });
 
+AssignmentSchema.index({ title: 'text', description: 'text' }, { weights: { title: 5, description: 1 }, name: 'search_text' });
+
+AssignmentSchema.pre('validate', function () {
+  if (!this.rubric.length) return;
+  const rubricPoints = rubricMaxPoints(this.rubric);
+  if (rubricPoints !== this.totalMarks) {
+    this.invalidate('rubric', `The rubric is worth ${rubricPoints} points but totalMarks is ${this.totalMarks}`);
+  }
+});
+
+AssignmentSchema.plugin(softDelete);
+
 module.exports = mongoose.model("Assignment", AssignmentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const auditTrail = require("./plugins/auditTrail");
 
 const FileSchema = new mongoose.Schema({
     name: String,
@@ -6,6 +7,45 @@ const FileSchema = new mongoose.Schema({
     fileUrl: String,
 });
 
+// a reviewer's score for one rubric criterion; titles are copied so the
+// breakdown reads the same if the rubric is edited later
+const RubricScoreSchema = new mongoose.Schema({
+    criterionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    criterion: { type: String },
+    levelId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    level: { type: String, default: null },
+    points: { type: Number, required: true, min: 0 },
+    maxPoints: { type: Number, required: true },
+    comment: { type: String, default: "" },
+}, { _id: false });
+
+// one submission of the student's; the submission's own fields mirror the latest
+const SubmissionVersionSchema = new mongoose.Schema({
+    version: { type: Number, required: true },
+    answer: { type: String },
+    submissionLink: { type: String },
+    submissionFiles: [FileSchema],
+    submittedAt: { type: Date, required: true },
+    late: { type: Boolean, default: false },
+    lateByMinutes: { type: Number, default: 0 },
+    latePenaltyPercent: { type: Number, default: 0 },
+    outcome: { type: String, enum: ['graded', 'changes_requested', null], default: null },
+    rawMarks: { type: Number, default: null },
+    marks: { type: Number, default: null },
+    rubricScores: { type: [RubricScoreSchema], default: undefined },
+    comment: { type: String },
+    reviewedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { _id: false });
+
+// a later deadline for this one student
+const ExtensionSchema = new mongoose.Schema({
+    deadline: { type: Date, required: true },
+    reason: { type: String, default: "" },
+    grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    grantedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 const AssignmentSubmissionSchema = new mongoose.Schema({
   assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment', required: true },
   studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -17,11 +57,23 @@ const AssignmentSubmissionSchema = new mongoose.Schema({
   submissionLink: { type: String },
   status: {
     type: String,
-    enum: ['pending', 'submitted', 'reviewed'],
+    // changes_requested: reviewed and sent back; the student can submit again
+    enum: ['pending', 'submitted', 'reviewed', 'changes_requested'],
     default: 'pending',
   },
+  late: { type: Boolean, default: false },
+  latePenaltyPercent: { type: Number, default: 0 },
+  // the grade of the latest graded version; a resubmission keeps it until
+  // it is graded in turn. rawMarks is the mark before the late penalty.
+  gradedVersion: { type: Number, default: null },
+  rawMarks: { type: Number, default: null },
   marks: { type: Number, default: null },
-  comment: {type: String}
+  comment: {type: String},
+  rubricScores: { type: [RubricScoreSchema], default: undefined },
+  versions: { type: [SubmissionVersionSchema], default: [] },
+  extension: { type: ExtensionSchema, default: null }
 }, { timestamps: true });
 
+AssignmentSubmissionSchema.plugin(auditTrail, { entityType: "AssignmentSubmission" });
+
 module.exports = mongoose.model("AssignmentSubmission", AssignmentSubmissionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // null for system actions (e.g. automatic lockouts)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    action: { type: String, required: true },
+    entityType: { type: String, required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    // { field: { before, after } } for data changes
+    changes: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
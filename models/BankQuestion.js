@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
+const Quiz = require('./Quiz');
+const { DIFFICULTIES } = require('../utils/quizGrading');
+
+// A reusable question of a course's question bank: the same fields as a quiz
+// question, plus the tags quizzes draw random questions by
+const BankQuestionSchema = Quiz.schema.path('questions').schema.clone();
+
+BankQuestionSchema.add({
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: [true, "Course is required"] },
+  moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', default: null },
+  topics: {
+    type: [String],
+    default: [],
+    set: (topics) => [...new Set((topics || []).map((topic) => String(topic).trim().toLowerCase()).filter(Boolean))],
+  },
+  difficulty: { type: String, enum: DIFFICULTIES, default: 'medium' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+});
+BankQuestionSchema.set('timestamps', true);
+
+BankQuestionSchema.index({ courseId: 1, difficulty: 1 });
+BankQuestionSchema.index({ courseId: 1, topics: 1 });
+BankQuestionSchema.index({ courseId: 1, moduleId: 1 });
+
+BankQuestionSchema.plugin(softDelete);
+BankQuestionSchema.plugin(auditTrail, { entityType: 'BankQuestion' });
+
+module.exports = mongoose.model('BankQuestion', BankQuestionSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
+const unlockRules = require('./plugins/unlockRules');
+const publishSchedule = require('./plugins/publishSchedule');
 
 const ChapterSchema = new mongoose.Schema({
   moduleId: { type: mongoose.Schema.Types.ObjectId, required: [true,"Module is required"], ref: 'Module' },
@@ -6,4 +10,11 @@ const ChapterSchema = new mongoose.Schema({
   orderIndex: { type: Number, required: [true,"Order is required"]}
 },{timestamps:true});
 
+ChapterSchema.index({ title: 'text' }, { name: 'search_text' });
+
+ChapterSchema.plugin(unlockRules);
+ChapterSchema.plugin(publishSchedule);
+ChapterSchema.plugin(softDelete);
+ChapterSchema.plugin(auditTrail, { entityType: 'Chapter' });
+
 module.exports = mongoose.model('Chapter', ChapterSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
 
 const CourseSchema = new mongoose.Schema({
   title: { type: String, required: [true, "Title is required"] },
@@ -6,7 +8,22 @@ const CourseSchema = new mongoose.Schema({
   description: String,
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   status: { type: Boolean, default: true },
+  // versioned courses show students their last published revision instead of
+  // the live (draft) content; courses from before versioning stay live until first publish
+  versioned: { type: Boolean, default: false },
+  publishedRevision: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseRevision', default: null },
+  publishedVersion: { type: Number, default: 0 },
+  publishedAt: { type: Date, default: null },
+  // reusable blueprint for new batches, listed under /courses/templates
+  isTemplate: { type: Boolean, default: false, index: true },
+  clonedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', default: null },
 }, { timestamps: true });
 
+// backs GET /search; a title hit outranks a description hit
+CourseSchema.index({ title: 'text', description: 'text' }, { weights: { title: 5, description: 1 }, name: 'search_text' });
+
+CourseSchema.plugin(softDelete);
+CourseSchema.plugin(auditTrail, { entityType: 'Course' });
+
 // Safe export to prevent OverwriteModelError
 module.exports = mongoose.models.Course || mongoose.model('Course', CourseSchema);
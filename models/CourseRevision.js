@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A published snapshot of a course's Course -> Module -> Chapter -> Lesson tree.
+// The live collections are the draft authors edit; students read the revision
+// marked `current`. Snapshot entries keep their original _id and parent ids.
+const CourseRevisionSchema = new mongoose.Schema({
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  number: { type: Number, required: true },
+  course: { type: mongoose.Schema.Types.Mixed, required: true },
+  modules: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  chapters: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  lessons: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  current: { type: Boolean, default: false },
+  note: { type: String, default: '' },
+  // set when this revision was created by rolling back to an older one
+  restoredFrom: { type: Number, default: null },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+CourseRevisionSchema.index({ courseId: 1, number: -1 }, { unique: true });
+CourseRevisionSchema.index({ 'modules._id': 1, current: 1 });
+CourseRevisionSchema.index({ 'chapters._id': 1, current: 1 });
+CourseRevisionSchema.index({ 'lessons._id': 1, current: 1 });
+
+module.exports = mongoose.model('CourseRevision', CourseRevisionSchema);
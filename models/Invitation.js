@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Activation invite for an admin-created student/tutor. The token itself is a
+// signed JWT; only its hash is stored, so resending replaces the old link.
+const invitationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    email: { type: String, required: true, lowercase: true },
+    role: { type: String, required: true },
+    tokenHash: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    sendCount: { type: Number, default: 0 },
+    lastSentAt: { type: Date, default: null },
+    acceptedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.virtual("state").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+invitationSchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("Invitation", invitationSchema);
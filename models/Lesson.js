@@ -1,13 +1,93 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
+const unlockRules = require('./plugins/unlockRules');
+const publishSchedule = require('./plugins/publishSchedule');
+const {
+  CONTENT_TYPES,
+  LEGACY_CONTENT_TYPES,
+  URL_CONTENT_TYPES,
+  BLOCK_TYPES,
+  normalizeContentType,
+} = require('../utils/lessonContent');
+
+const BODY_FORMATS = ['markdown', 'html'];
+
+const CaptionSchema = new mongoose.Schema({
+  language: { type: String, required: [true, "Caption language is required"] },
+  label: { type: String },
+  url: { type: String, required: [true, "Caption url is required"] },
+  format: { type: String, enum: ['vtt', 'srt'], default: 'vtt' },
+}, { _id: false });
+
+const VideoSchema = new mongoose.Schema({
+  // chapter markers, seconds from the start
+  chapters: [{
+    _id: false,
+    title: { type: String, required: [true, "Chapter title is required"] },
+    startTime: { type: Number, min: 0, required: [true, "Chapter start time is required"] },
+  }],
+  captions: [CaptionSchema],
+}, { _id: false });
+
+const DocumentSchema = new mongoose.Schema({
+  mimeType: { type: String },
+  pages: { type: Number, min: 1 },
+}, { _id: false });
+
+const EmbedSchema = new mongoose.Schema({
+  provider: { type: String },
+  aspectRatio: { type: String },
+}, { _id: false });
+
+const AttachmentSchema = new mongoose.Schema({
+  name: { type: String, required: [true, "Attachment name is required"] },
+  url: { type: String, required: [true, "Attachment url is required"] },
+  size: { type: Number },
+  mimeType: { type: String },
+}, { _id: false });
+
+// one part of a "mixed" lesson; blocks are shown in array order
+const BlockSchema = new mongoose.Schema({
+  type: { type: String, enum: BLOCK_TYPES, required: [true, "Block type is required"] },
+  title: { type: String },
+  url: { type: String },
+  body: { type: String },
+  bodyFormat: { type: String, enum: BODY_FORMATS },
+  duration: { type: Number },
+}, { _id: false });
 
 const LessonSchema = new mongoose.Schema({
   chapterId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'Chapter' },
   createdBy: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'User' },
   title: { type: String, required: [true,"Title is required"] },
   orderIndex: { type: Number, required: [true,"Order is required"] },
-  contentType: { type: String, required: [true,"Content type is required"] },
-  contentURL: { type: String, required: [true,"Content Url is required"] },
-  duration: { type: Number} 
+  contentType: {
+    type: String,
+    required: [true,"Content type is required"],
+    enum: { values: [...CONTENT_TYPES, ...Object.keys(LEGACY_CONTENT_TYPES)], message: "Unsupported content type: {VALUE}" },
+  },
+  // text lessons keep their content in `body`, mixed lessons in `blocks`
+  contentURL: {
+    type: String,
+    required: [function () { return URL_CONTENT_TYPES.includes(normalizeContentType(this.contentType)); }, "Content Url is required"],
+  },
+  duration: { type: Number},
+  body: { type: String },
+  bodyFormat: { type: String, enum: BODY_FORMATS },
+  video: { type: VideoSchema, default: undefined },
+  document: { type: DocumentSchema, default: undefined },
+  embed: { type: EmbedSchema, default: undefined },
+  blocks: { type: [BlockSchema], default: undefined },
+  // downloadable files, whatever the content type
+  attachments: { type: [AttachmentSchema], default: undefined },
 },{timestamps:true});
 
+LessonSchema.index({ title: 'text', body: 'text' }, { weights: { title: 5, body: 1 }, name: 'search_text' });
+
+LessonSchema.plugin(unlockRules);
+LessonSchema.plugin(publishSchedule);
+LessonSchema.plugin(softDelete);
+LessonSchema.plugin(auditTrail, { entityType: 'Lesson' });
+
 module.exports = mongoose.model('Lesson', LessonSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// The parsed text of one caption track of a lesson (one per language),
+// kept server-side for the transcript view and transcript search
+const LessonTranscriptSchema = new mongoose.Schema({
+  lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', required: true },
+  language: { type: String, required: true },
+  // the caption file this was parsed from
+  sourceUrl: { type: String, required: true },
+  cues: [{
+    _id: false,
+    start: { type: Number, required: true },
+    end: { type: Number, required: true },
+    text: { type: String, required: true },
+  }],
+  // every cue's text joined with spaces, to find phrases that span cues
+  text: { type: String, default: '' },
+}, { timestamps: true });
+
+LessonTranscriptSchema.index({ lessonId: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('LessonTranscript', LessonTranscriptSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Failed-attempt counter for one login identifier (account email, client IP or
+// OTP target). Documents expire on their own once the window and any lockout
+// have passed.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["account", "ip", "otp"],
+      required: true,
+    },
+    key: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    failures: { type: Number, default: 0 },
+    windowStartedAt: { type: Date, default: Date.now },
+    lastFailureAt: { type: Date },
+    lastIp: { type: String, default: "" },
+    nextAttemptAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    lockCount: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
+const unlockRules = require('./plugins/unlockRules');
+const publishSchedule = require('./plugins/publishSchedule');
 
 const ModuleSchema = new mongoose.Schema({
   courseId: { type: mongoose.Schema.Types.ObjectId, required: [true,"Course is required"], ref: 'Course' },
@@ -7,4 +11,11 @@ const ModuleSchema = new mongoose.Schema({
   orderIndex: { type: Number, required: [true,"Order is required"] },
 });
 
+ModuleSchema.index({ title: 'text' }, { name: 'search_text' });
+
+ModuleSchema.plugin(unlockRules);
+ModuleSchema.plugin(publishSchedule);
+ModuleSchema.plugin(softDelete);
+ModuleSchema.plugin(auditTrail, { entityType: 'Module' });
+
 module.exports = mongoose.model('Module', ModuleSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// One password-reset request. Only hashes of the emailed OTP and of the reset
+// token handed out after verification are stored; both are single use.
+const passwordResetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    otpHash: { type: String, required: true },
+    otpExpiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },
+    verifiedAt: { type: Date, default: null },
+    resetTokenHash: { type: String, default: null, index: true },
+    resetTokenExpiresAt: { type: Date, default: null },
+    consumedAt: { type: Date, default: null },
+    invalidatedAt: { type: Date, default: null },
+    requestIp: { type: String, default: "" },
+    // clean-up only; validity is decided by the fields above
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
@@ -1,5 +1,6 @@
 // models/Permission.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const permissionSchema = new mongoose.Schema({
   permission_name: { type: String, required: [true,"permission name is required"],unique:true },
@@ -7,4 +8,6 @@ const permissionSchema = new mongoose.Schema({
   group: { type: String, required: [true,"group is required"]},
 }, { timestamps: true });
 
+permissionSchema.plugin(auditTrail, { entityType: 'Permission' });
+
 module.exports = mongoose.model('Permission', permissionSchema);
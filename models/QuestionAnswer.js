@@ -41,4 +41,9 @@ const QuestionAnswerSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+QuestionAnswerSchema.index(
+  { question: "text", description: "text", answer: "text" },
+  { weights: { question: 5, description: 2, answer: 1 }, name: "search_text" }
+);
+
 export default mongoose.model("QuestionAnswer", QuestionAnswerSchema);
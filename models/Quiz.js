@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const auditTrail = require('./plugins/auditTrail');
+const { QUESTION_TYPES, DIFFICULTIES } = require('../utils/quizGrading');
+
+const OptionSchema = new mongoose.Schema({
+  text: { type: String, required: [true, "Option text is required"] },
+  isCorrect: { type: Boolean, default: false },
+});
+
+// students match each `left` to one of the shuffled `right`s
+const PairSchema = new mongoose.Schema({
+  left: { type: String, required: [true, "Left side of the pair is required"] },
+  right: { type: String, required: [true, "Right side of the pair is required"] },
+});
+
+const QuizQuestionSchema = new mongoose.Schema({
+  type: { type: String, enum: QUESTION_TYPES, required: [true, "Question type is required"] },
+  text: { type: String, required: [true, "Question text is required"] },
+  // shown next to the correct answer once answers are revealed
+  explanation: { type: String },
+  points: { type: Number, default: 1, min: 0 },
+  // taken off for a wrong answer; skipped questions lose nothing
+  negativePoints: { type: Number, default: 0, min: 0 },
+  options: { type: [OptionSchema], default: undefined },
+  correctAnswer: { type: Boolean },
+  numericAnswer: { type: Number },
+  tolerance: { type: Number, min: 0 },
+  acceptedAnswers: { type: [String], default: undefined },
+  caseSensitive: { type: Boolean },
+  pairs: { type: [PairSchema], default: undefined },
+});
+
+// N random questions from the course's question bank (models/BankQuestion.js),
+// drawn for each attempt
+const DrawSchema = new mongoose.Schema({
+  count: { type: Number, required: true, min: 1 },
+  moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', default: null },
+  topic: { type: String, default: null },
+  difficulty: { type: String, enum: DIFFICULTIES, default: null },
+  // overrides the points of the drawn questions
+  points: { type: Number, default: null, min: 0 },
+}, { _id: false });
+
+const QuizSchema = new mongoose.Schema({
+  title: { type: String, required: [true, "Title is required"] },
+  description: { type: String },
+  // a quiz belongs to either a lesson or a chapter
+  lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', default: null, index: true },
+  chapterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Chapter', default: null, index: true },
+  questions: { type: [QuizQuestionSchema], default: [] },
+  draws: { type: [DrawSchema], default: [] },
+  // minutes per attempt; null for untimed
+  timeLimit: { type: Number, default: null, min: 1 },
+  // 0 for unlimited
+  maxAttempts: { type: Number, default: 1, min: 0 },
+  shuffleQuestions: { type: Boolean, default: false },
+  shuffleOptions: { type: Boolean, default: false },
+  // null when there is no pass mark
+  passPercentage: { type: Number, default: null, min: 0, max: 100 },
+  // which attempt counts when a student takes the quiz more than once
+  attemptScoring: { type: String, enum: ['highest', 'latest', 'average'], default: 'highest' },
+  // when students see the correct answers of their submitted attempts
+  showAnswers: { type: String, enum: ['after_submission', 'after_last_attempt', 'never'], default: 'after_last_attempt' },
+  status: { type: String, enum: ['draft', 'published', 'closed'], default: 'draft' },
+  availableFrom: { type: Date, default: null },
+  availableUntil: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+QuizSchema.pre('validate', function () {
+  if (!this.lessonId === !this.chapterId) {
+    this.invalidate('lessonId', 'A quiz belongs to exactly one lesson or chapter');
+  }
+  if (this.status !== 'draft' && !this.questions.length && !this.draws.length) {
+    this.invalidate('questions', 'Add at least one question before publishing the quiz');
+  }
+});
+
+QuizSchema.plugin(softDelete);
+QuizSchema.plugin(auditTrail, { entityType: 'Quiz' });
+
+module.exports = mongoose.model('Quiz', QuizSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Quiz = require('./Quiz');
+
+const AnswerSchema = new mongoose.Schema({
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  response: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+const ResultSchema = new mongoose.Schema({
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  earned: { type: Number, required: true },
+  maxPoints: { type: Number, required: true },
+  outcome: { type: String, enum: ['correct', 'partial', 'incorrect', 'unanswered'], required: true },
+}, { _id: false });
+
+const QuizAttemptSchema = new mongoose.Schema({
+  quizId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  attemptNumber: { type: Number, required: true },
+  // the questions as they were when the attempt started, so later edits to
+  // the quiz don't change what was asked or how it is graded
+  questions: { type: [Quiz.schema.path('questions').schema], default: [] },
+  // drives the question/option order this student sees
+  seed: { type: Number, required: true },
+  answers: { type: [AnswerSchema], default: [] },
+  status: { type: String, enum: ['in_progress', 'submitted', 'timed_out'], default: 'in_progress' },
+  startedAt: { type: Date, required: true },
+  // null for untimed attempts
+  dueAt: { type: Date, default: null },
+  submittedAt: { type: Date, default: null },
+  results: { type: [ResultSchema], default: undefined },
+  score: { type: Number, default: null },
+  maxScore: { type: Number, default: null },
+  percentage: { type: Number, default: null },
+  passed: { type: Boolean, default: null },
+}, { timestamps: true });
+
+QuizAttemptSchema.index({ quizId: 1, studentId: 1, attemptNumber: 1 }, { unique: true });
+QuizAttemptSchema.index({ status: 1, dueAt: 1 });
+
+module.exports = mongoose.model('QuizAttempt', QuizAttemptSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const RoleSchema = new mongoose.Schema({
   role_name: {
@@ -12,6 +13,13 @@ const RoleSchema = new mongoose.Schema({
       required: true,
     },
   ],
+  // users with this role can't finish logging in until they enrol in 2FA
+  requireTwoFactor: {
+    type: Boolean,
+    default: false,
+  },
 },{timestamps:true});
 
+RoleSchema.plugin(auditTrail, { entityType: 'Role' });
+
 module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// One document per logged-in device. The refresh token is rotated on every
+// refresh and only the hash of the latest one is kept, so presenting an older
+// token from the same session means it was stolen and replayed.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: { type: String, required: true },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    rotationCount: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout-all", "revoked", "reuse-detected", null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,4 +1,17 @@
 const mongoose = require("mongoose");
+const auditTrail = require("./plugins/auditTrail");
+
+// standing adjustments applied to every quiz and assignment of the student
+// (helper/accommodations.js)
+const AccommodationsSchema = new mongoose.Schema({
+  // extra time on timed quizzes, as a percentage of the time limit
+  quizExtraTimePercent: { type: Number, default: 0, min: 0, max: 300 },
+  // days added to every assignment deadline
+  assignmentExtraDays: { type: Number, default: 0, min: 0, max: 60 },
+  note: { type: String, default: "" },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date },
+}, { _id: false });
 
 const StudentSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true},
@@ -18,7 +31,10 @@ const StudentSchema = new mongoose.Schema({
   mode: {
     type: String,
     required: [true,"mode is required"]
-  }
+  },
+  accommodations: { type: AccommodationsSchema, default: null }
 });
 
+StudentSchema.plugin(auditTrail, { entityType: "Student" });
+
 module.exports =  mongoose.model("Student", StudentSchema);
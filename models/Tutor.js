@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const tutorSchema = new mongoose.Schema(
   {
@@ -31,4 +32,6 @@ const tutorSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+tutorSchema.plugin(auditTrail, { entityType: 'Tutor' });
+
 module.exports = mongoose.model('Tutor', tutorSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const auditTrail = require("./plugins/auditTrail");
 
 const options = {
   discriminatorKey: 'kind', // required for discriminators
@@ -34,9 +36,31 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: true, 
     },
-    otpCode: String,
-    otpExpiresAt: Date,
-    otpVerified: { type: Boolean, default: false }
+    // previous hashes, newest last, for reuse prevention
+    passwordHistory: {
+      type: [{ _id: false, hash: String, changedAt: Date }],
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // set for admin-created accounts; login reports it so the client forces a change
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    // TOTP second factor; secrets are stored encrypted, backup codes hashed
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      lastUsedStep: { type: Number, select: false },
+      backupCodes: {
+        type: [{ _id: false, hash: String, usedAt: { type: Date, default: null } }],
+        select: false,
+      },
+    },
   },
   options,
   { timestamps: true }
@@ -52,4 +76,10 @@ UserSchema.virtual("studentProfile", {
 UserSchema.set("toObject", { virtuals: true });
 UserSchema.set("toJSON", { virtuals: true });
 
+UserSchema.plugin(softDelete);
+UserSchema.plugin(auditTrail, {
+  entityType: "User",
+  ignore: ["passwordHash", "passwordChangedAt", "mustChangePassword"],
+});
+
 module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,133 @@
+const { recordAudit } = require("../../helper/auditLog");
+const { getCurrentRequest } = require("../../middleware/requestContext");
+const { diffObjects } = require("../../utils/objectDiff");
+
+const ALWAYS_IGNORED = ["_id", "__v", "createdAt", "updatedAt"];
+const QUERY_UPDATES = ["findOneAndUpdate", "updateOne", "updateMany"];
+const QUERY_DELETES = ["findOneAndDelete", "deleteOne", "deleteMany"];
+// bulk updates and deletes touching more documents than this get one summary entry instead of one per document
+const BULK_DETAIL_LIMIT = 100;
+
+/**
+ * Mongoose plugin writing an AuditLog entry (actor, IP, before/after diff)
+ * for every create, update and delete of the model, whether it goes through
+ * save(), insertMany() or a query. The actor comes from the request context.
+ * Bulk queries over more than BULK_DETAIL_LIMIT documents are recorded as a
+ * single `bulkUpdate` / `bulkDelete` entry with the filter and counts.
+ * @param {Object} schema
+ * @param {{entityType: String, ignore?: String[]}} options - ignore: fields never diffed (secrets, noise)
+ */
+const auditTrail = (schema, { entityType, ignore = [] }) => {
+  const ignored = new Set([...ALWAYS_IGNORED, ...ignore]);
+  // select:false fields are missing from the "before" read and would always look changed
+  schema.eachPath((path, type) => {
+    if (type.options?.select === false) ignored.add(path.split(".")[0]);
+  });
+
+  const prefix = entityType.charAt(0).toLowerCase() + entityType.slice(1);
+  const write = (verb, entityId, changes, session) => {
+    if (verb === "update" && !Object.keys(changes).length) return;
+    return recordAudit(getCurrentRequest(), {
+      action: `${prefix}.${verb}`,
+      entityType,
+      entityId,
+      changes,
+      session,
+    });
+  };
+
+  // ---- documents ----
+  schema.pre("save", async function () {
+    this.$locals.auditIsNew = this.isNew;
+    if (!this.isNew) {
+      this.$locals.auditBefore = await this.constructor
+        .findById(this._id, null, { withDeleted: true })
+        .session(this.$session())
+        .lean();
+    }
+  });
+
+  schema.post("save", async function (doc) {
+    const after = doc.toObject({ depopulate: true, virtuals: false });
+    if (doc.$locals.auditIsNew) {
+      await write("create", doc._id, diffObjects(null, after, ignored), doc.$session());
+    } else {
+      await write("update", doc._id, diffObjects(doc.$locals.auditBefore, after, ignored), doc.$session());
+    }
+  });
+
+  schema.post("insertMany", async function (docs) {
+    for (const doc of docs || []) {
+      if (typeof doc.toObject !== "function") continue; // lean inserts
+      const after = doc.toObject({ depopulate: true, virtuals: false });
+      await write("create", doc._id, diffObjects(null, after, ignored), doc.$session());
+    }
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, async function (doc) {
+    const before = doc.toObject({ depopulate: true, virtuals: false });
+    await write("delete", doc._id, diffObjects(before, null, ignored), doc.$session());
+  });
+
+  // ---- queries ----
+  schema.pre([...QUERY_UPDATES, ...QUERY_DELETES], { document: false, query: true }, async function () {
+    const { session, withDeleted } = this.getOptions();
+    if (this.op.endsWith("Many")) {
+      const found = await this.model
+        .find(this.getFilter(), null, { withDeleted })
+        .limit(BULK_DETAIL_LIMIT + 1)
+        .session(session)
+        .lean();
+      if (found.length > BULK_DETAIL_LIMIT) {
+        this._auditBulk = true;
+        this._auditBefore = [];
+      } else {
+        this._auditBefore = found;
+      }
+    } else {
+      const found = await this.model.findOne(this.getFilter(), null, { withDeleted }).session(session).lean();
+      this._auditBefore = found ? [found] : [];
+    }
+  });
+
+  // filters and updates are kept as text: their $ operators can't be stored as field names everywhere
+  const queryText = (value) => JSON.stringify(value).slice(0, 2000);
+  const writeBulk = (query, verb, result) =>
+    recordAudit(getCurrentRequest(), {
+      action: `${prefix}.${verb}`,
+      entityType,
+      metadata: {
+        filter: queryText(query.getFilter()),
+        ...(verb === "bulkUpdate" && { update: queryText(query.getUpdate()), matched: result?.matchedCount, modified: result?.modifiedCount }),
+        ...(verb === "bulkDelete" && { deleted: result?.deletedCount }),
+      },
+      session: query.getOptions().session,
+    });
+
+  schema.post(QUERY_UPDATES, { document: false, query: true }, async function (result) {
+    if (this._auditBulk) return writeBulk(this, "bulkUpdate", result);
+    const before = this._auditBefore || [];
+    if (!before.length) return;
+
+    const session = this.getOptions().session;
+    const after = await this.model
+      .find({ _id: { $in: before.map((doc) => doc._id) } }, null, { withDeleted: true })
+      .session(session)
+      .lean();
+    const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+
+    for (const doc of before) {
+      await write("update", doc._id, diffObjects(doc, afterById.get(String(doc._id)), ignored), session);
+    }
+  });
+
+  schema.post(QUERY_DELETES, { document: false, query: true }, async function (result) {
+    if (this._auditBulk) return writeBulk(this, "bulkDelete", result);
+    const session = this.getOptions().session;
+    for (const doc of this._auditBefore || []) {
+      await write("delete", doc._id, diffObjects(doc, null, ignored), session);
+    }
+  });
+};
+
+module.exports = auditTrail;
@@ -0,0 +1,28 @@
+/**
+ * Mongoose plugin for scheduled (drip) publication of course content. Adds
+ * `publishAt` / `unpublishAt` (students only see the item in between) and
+ * `publishNotifiedAt`, set by the publishing cron once students were told.
+ * Moving `publishAt` into the future clears `publishNotifiedAt`, so a
+ * rescheduled item is announced again when it goes live.
+ */
+const publishSchedule = (schema) => {
+  schema.add({
+    publishAt: { type: Date, default: null, index: true },
+    unpublishAt: { type: Date, default: null },
+    publishNotifiedAt: { type: Date, default: null },
+  });
+
+  const isFuture = (date) => date && new Date(date) > new Date();
+
+  schema.pre("save", function () {
+    if (this.isModified("publishAt") && isFuture(this.publishAt)) this.publishNotifiedAt = null;
+  });
+
+  schema.pre(["findOneAndUpdate", "updateOne"], { document: false, query: true }, function () {
+    const update = this.getUpdate() || {};
+    const publishAt = update.$set?.publishAt ?? update.publishAt;
+    if (isFuture(publishAt)) this.set("publishNotifiedAt", null);
+  });
+};
+
+module.exports = publishSchedule;
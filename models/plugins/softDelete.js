@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+/**
+ * Mongoose plugin for trash-bin style deletion. Adds `deletedAt`, `deletedBy`
+ * and `deletedWith` and hides deleted documents from queries and aggregations.
+ * To see them, filter on `deletedAt` explicitly or pass the `withDeleted`
+ * query/aggregate option.
+ * Hard deletes (deleteOne/deleteMany) are left alone; the purge job uses them.
+ * Apply it before auditTrail so the audit reads get the same filter.
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // item whose deletion cascaded here (its own id when deleted directly);
+    // restoring that item brings back everything deleted with it
+    deletedWith: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+  });
+
+  schema.pre(FILTERED_QUERIES, { document: false, query: true }, function () {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options?.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const UnlockRulesSchema = new mongoose.Schema(
+  {
+    // the previous item at the same level must be completed first
+    sequential: { type: Boolean, default: false },
+    // modules, chapters or lessons of the same course that must be completed first
+    prerequisites: [{ type: mongoose.Schema.Types.ObjectId }],
+    // at least `percent` of the marks in a reviewed submission of the
+    // assignment, or as the quiz score (by the quiz's attemptScoring)
+    minScore: {
+      type: new mongoose.Schema(
+        {
+          assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Assignment", default: undefined },
+          quizId: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", default: undefined },
+          percent: { type: Number, min: 0, max: 100, required: true },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    // drip release: days after the student's enrollmentDate
+    releaseAfterDays: { type: Number, min: 0, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose plugin adding optional `unlock` rules to course content
+ * (Module, Chapter, Lesson). Items without rules are always open;
+ * helper/contentUnlock evaluates them per student.
+ */
+const unlockRules = (schema) => {
+  schema.add({ unlock: { type: UnlockRulesSchema, default: undefined } });
+};
+
+module.exports = unlockRules;
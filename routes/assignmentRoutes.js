@@ -3,15 +3,17 @@ const express = require('express');
 const router = express.Router();
 const validateMiddleware = require('../utils/validate');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
 const { createAssignment, getAllAssignments, getAssignmentById, getAssignmentsByCreatedBy, deleteAssignment, updateAssignment } = require('../controllers/assignmentController');
-const { createAssignmentSchema } = require('../validations/assignmentValidation');
+const { createAssignmentSchema, updateAssignmentSchema } = require('../validations/assignmentValidation');
 
-router.post('/',authenticate,validateMiddleware(createAssignmentSchema), createAssignment);
+router.post('/',authenticate,authorize({ roles: ['Admin', 'Tutor'], message: 'Only Admin and tutor can create the Assignment' }),checkOwnership('lesson', 'lessonId', 'body'),validateMiddleware(createAssignmentSchema), createAssignment);
 router.get('/',authenticate, getAllAssignments);
 router.get('/createdBy/:id',authenticate,getAssignmentsByCreatedBy)
-router.get('/:id',authenticate,getAssignmentById );
-router.delete('/:assignmentId',authenticate,deleteAssignment);
-router.put('/:assignmentId',authenticate,updateAssignment);
+router.get('/:id',authenticate,checkOwnership('assignment'),getAssignmentById );
+router.delete('/:assignmentId',authenticate,authorize({ roles: ['Admin', 'Tutor'], message: 'Only Admin and tutor can delete the assignment' }),checkOwnership('assignment', 'assignmentId'),deleteAssignment);
+router.put('/:assignmentId',authenticate,authorize({ roles: ['Admin', 'Tutor'] }),checkOwnership('assignment', 'assignmentId'),validateMiddleware(updateAssignmentSchema),updateAssignment);
 
 
 module.exports = router;
@@ -3,14 +3,17 @@ const express = require('express');
 const router = express.Router();
 const validateMiddleware = require('../utils/validate');
 const { authenticate } = require('../middleware/authMiddleware');
-const { submitAssignment, getAllSubmissions, getSubmissionsByStudent, getSubmissionById, reviewAssignment } = require('../controllers/assignmentSubmissions');
-const { submitAssignmentSchema, reviewAssignmentSchema } = require('../validations/assignmentSubmissionValidation');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { submitAssignment, getAllSubmissions, getSubmissionsByStudent, getSubmissionById, reviewAssignment, grantExtension } = require('../controllers/assignmentSubmissions');
+const { submitAssignmentSchema, reviewAssignmentSchema, extensionSchema } = require('../validations/assignmentSubmissionValidation');
 
 router.put('/:assignmentId',authenticate,validateMiddleware(submitAssignmentSchema), submitAssignment);
-router.get('/:studentId',authenticate,getSubmissionsByStudent)
+router.get('/:studentId',authenticate,checkOwnership('student', 'studentId'),getSubmissionsByStudent)
 router.get('/',authenticate, getAllSubmissions);
-router.get("/submissions/:submissionId",authenticate, getSubmissionById);
-router.put('/review/:assignmentId',authenticate,validateMiddleware(reviewAssignmentSchema),reviewAssignment);
+router.get("/submissions/:submissionId",authenticate,checkOwnership('submission', 'submissionId'), getSubmissionById);
+router.put('/review/:assignmentId',authenticate,authorize({ roles: ['Admin', 'Tutor'] }),checkOwnership('submission', 'assignmentId'),validateMiddleware(reviewAssignmentSchema),reviewAssignment);
+router.put('/extension/:submissionId',authenticate,authorize({ roles: ['Admin', 'Tutor'] }),checkOwnership('submission', 'submissionId'),validateMiddleware(extensionSchema),grantExtension);
 
 
 
@@ -1,13 +1,15 @@
 const express = require("express");
 const { markAttendance, getAttendanceReport, generateAttendanceReportPdf, getAllAttendance } = require("../controllers/attendanceController");
 const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const { checkOwnership } = require("../middleware/ownership");
 const { markAttendanceSchema } = require("../validations/attendanceValidation");
 const validateMiddleware = require("../utils/validate");
 const router = express.Router();
 
-router.post('/mark',authenticate,validateMiddleware(markAttendanceSchema),markAttendance);
-router.get('/report/:courseId',authenticate,getAttendanceReport);
-router.get('/generate-attendance-report/:courseId',authenticate,generateAttendanceReportPdf)
+router.post('/mark',authenticate,authorize({ roles: ['Tutor'], message: 'You are not authorized to mark attendance' }),checkOwnership('course', 'courseId', 'body'),validateMiddleware(markAttendanceSchema),markAttendance);
+router.get('/report/:courseId',authenticate,checkOwnership('course', 'courseId'),getAttendanceReport);
+router.get('/generate-attendance-report/:courseId',authenticate,checkOwnership('course', 'courseId'),generateAttendanceReportPdf)
 router.get('/full-attendance',authenticate,getAllAttendance)
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs, exportAuditLogs } = require('../controllers/auditLogController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+
+// filters: actor, action, entityType, entityId, from, to
+
+// GET /api/V1/audit-logs/export  (CSV)
+router.get('/export',authenticate,authorize({ roles: ['Admin'] }),exportAuditLogs);
+
+// GET /api/V1/audit-logs?page=&limit=
+router.get('/',authenticate,authorize({ roles: ['Admin'] }),getAuditLogs);
+
+module.exports = router;
@@ -1,8 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const passwordResetController = require('../controllers/passwordResetController');
+const twoFactorController = require('../controllers/twoFactorController');
+const invitationController = require('../controllers/invitationController');
 const validateMiddleware = require('../utils/validate');
-const { registerSchema, loginSchema, refreshTokenSchema } = require('../validations/authValidation');
+const { authenticate, authenticateTwoFactorSetup } = require('../middleware/authMiddleware');
+const {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  logoutAllSchema,
+  passwordResetRequestSchema,
+  passwordResetVerifySchema,
+  passwordResetConfirmSchema,
+  acceptInviteSchema,
+} = require('../validations/authValidation');
+const {
+  loginTwoFactorSchema,
+  setupTwoFactorSchema,
+  enableTwoFactorSchema,
+  disableTwoFactorSchema,
+  backupCodesSchema,
+} = require('../validations/twoFactorValidation');
 
 // POST /api/V1/auth/register
 // router.post('/register',validateMiddleware(registerSchema), authController.register);
@@ -10,8 +31,50 @@ const { registerSchema, loginSchema, refreshTokenSchema } = require('../validati
 // POST /api/V1/auth/login
 router.post('/login',validateMiddleware(loginSchema),  authController.login);
 
+// POST /api/V1/auth/login/2fa  (second step when 2FA is enabled)
+router.post('/login/2fa',validateMiddleware(loginTwoFactorSchema), authController.loginWithTwoFactor);
+
 // POST /api/V1/auth/refresh-token
 router.post('/refresh-token',validateMiddleware(refreshTokenSchema),  authController.refresh);
 
+// POST /api/V1/auth/logout
+router.post('/logout',authenticate,validateMiddleware(logoutSchema), authController.logout);
+
+// POST /api/V1/auth/logout-all
+router.post('/logout-all',authenticate,validateMiddleware(logoutAllSchema), authController.logoutAll);
+
+// GET /api/V1/auth/sessions
+router.get('/sessions',authenticate, authController.getSessions);
+
+// DELETE /api/V1/auth/sessions/:sessionId
+router.delete('/sessions/:sessionId',authenticate, authController.revokeUserSession);
+
+// POST /api/V1/auth/password-reset/request  (any role)
+router.post('/password-reset/request',validateMiddleware(passwordResetRequestSchema), passwordResetController.requestPasswordReset);
+
+// POST /api/V1/auth/password-reset/verify
+router.post('/password-reset/verify',validateMiddleware(passwordResetVerifySchema), passwordResetController.verifyPasswordResetOtp);
+
+// POST /api/V1/auth/password-reset/confirm
+router.post('/password-reset/confirm',validateMiddleware(passwordResetConfirmSchema), passwordResetController.confirmPasswordReset);
+
+// POST /api/V1/auth/accept-invite  (invited student/tutor sets their password)
+router.post('/accept-invite',validateMiddleware(acceptInviteSchema), invitationController.acceptInvitation);
+
+// GET /api/V1/auth/2fa
+router.get('/2fa',authenticate, twoFactorController.getTwoFactorStatus);
+
+// POST /api/V1/auth/2fa/setup  (access token, or the setupToken from login)
+router.post('/2fa/setup',authenticateTwoFactorSetup,validateMiddleware(setupTwoFactorSchema), twoFactorController.setupTwoFactor);
+
+// POST /api/V1/auth/2fa/enable
+router.post('/2fa/enable',authenticateTwoFactorSetup,validateMiddleware(enableTwoFactorSchema), twoFactorController.enableTwoFactor);
+
+// POST /api/V1/auth/2fa/disable
+router.post('/2fa/disable',authenticate,validateMiddleware(disableTwoFactorSchema), twoFactorController.disableTwoFactor);
+
+// POST /api/V1/auth/2fa/backup-codes
+router.post('/2fa/backup-codes',authenticate,validateMiddleware(backupCodesSchema), twoFactorController.regenerateBackupCodes);
+
 
 module.exports = router;
@@ -4,9 +4,13 @@ const chapterController = require('../controllers/chapterController');
 const validateMiddleware = require('../utils/validate');
 const createChapterSchema = require('../validations/chapterValidation');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { reorderChaptersSchema } = require('../validations/reorderValidation');
+const { unlockRulesSchema } = require('../validations/unlockRulesValidation');
 
 // Create Chapter
-router.post('/',authenticate, validateMiddleware(createChapterSchema), chapterController.createChapter);
+router.post('/',authenticate,authorize({ permissions: ['Add Chapter'] }), validateMiddleware(createChapterSchema), chapterController.createChapter);
 
 // Get All Chapters
 router.get('/',authenticate, chapterController.getAllChapters);
@@ -14,9 +18,15 @@ router.get('/',authenticate, chapterController.getAllChapters);
 // Get Chapter by ID
 router.get('/:chapterId',authenticate, chapterController.getChapterById);
 
+// Reorder Chapters (and move them between modules of the same course)
+router.put('/reorder',authenticate,authorize({ permissions: ['Edit Module'] }),validateMiddleware(reorderChaptersSchema),checkOwnership('module', 'moduleId', 'body'), chapterController.reorderChapters);
+
 // Update Chapter
 router.put('/:chapterId',authenticate,validateMiddleware(createChapterSchema), chapterController.updateChapter);
 
+// Chapter unlocking rules (sequential, prerequisites, minimum score, drip release)
+router.put('/:chapterId/unlock',authenticate,authorize({ permissions: ['Edit Module'] }),checkOwnership('chapter', 'chapterId'),validateMiddleware(unlockRulesSchema), chapterController.updateChapterUnlockRules);
+
 // Delete Chapter
 router.delete('/:chapterId',authenticate, chapterController.deleteChapter);
 
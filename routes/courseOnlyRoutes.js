@@ -1,18 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const courseController = require('../controllers/courseOnlyController');
+const revisionController = require('../controllers/courseRevisionController');
+const packageController = require('../controllers/coursePackageController');
+const { searchCourseTranscripts } = require('../controllers/lessonController');
 const validateMiddleware = require('../utils/validate');
 const courseValidation = require('../validations/CourseValidation');
+const { revisionNoteSchema } = require('../validations/courseRevisionValidation');
+const { cloneCourseSchema, courseTemplateSchema } = require('../validations/courseCloneValidation');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { uploadCoursePackage, uploadContentPackage } = require('../middleware/uploadMiddleware');
 
 // CRUD routes
-router.post('/',authenticate,validateMiddleware(courseValidation), courseController.createCourse);
-router.get('/',authenticate, courseController.getAllCourses);
+router.post('/import',authenticate,authorize({ permissions: ['Add Course'] }),uploadCoursePackage.single('package'), packageController.importCourse);
+router.post('/',authenticate,authorize({ permissions: ['Add Course'] }),validateMiddleware(courseValidation), courseController.createCourse);
+router.get('/',authenticate,authorize({ permissions: ['List Course'] }), courseController.getAllCourses);
 router.get('/admin/dropdown',authenticate,courseController.getActiveCourses)
+router.get('/templates',authenticate,authorize({ permissions: ['Add Course'] }), courseController.getCourseTemplates);
 router.get('/:courseId',authenticate, courseController.getCourseById);
-router.put('/:courseId',authenticate,validateMiddleware(courseValidation), courseController.updateCourse);
-router.delete('/:courseId',authenticate, courseController.deleteCourse);
+router.put('/:courseId',authenticate,authorize({ permissions: ['Edit Course'] }),validateMiddleware(courseValidation), courseController.updateCourse);
+router.delete('/:courseId',authenticate,authorize({ permissions: ['Delete Course'] }), courseController.deleteCourse);
 router.get('/fullCourse/:courseId',authenticate,courseController.geFullCourseById);
 router.get('/tutor/:tutorId',authenticate,courseController.getCoursesByAssignedTutor);
+router.post('/:courseId/clone',authenticate,authorize({ permissions: ['Add Course'] }),validateMiddleware(cloneCourseSchema), courseController.cloneCourse);
+router.patch('/:courseId/template',authenticate,authorize({ permissions: ['Edit Course'] }),validateMiddleware(courseTemplateSchema), courseController.setCourseTemplate);
+router.get('/:courseId/export',authenticate,authorize({ roles: ['Admin'], permissions: ['Edit Course'] }), packageController.exportCourse);
+router.get('/:courseId/transcripts/search',authenticate,checkOwnership('course', 'courseId'), searchCourseTranscripts);
+router.post('/:courseId/import-package',authenticate,authorize({ roles: ['Admin'], permissions: ['Add Module', 'Add Chapter', 'Add Lesson'] }),checkOwnership('course', 'courseId'),uploadContentPackage.single('package'), packageController.importContentPackage);
+
+// Draft / publish workflow
+const canPublish = authorize({ roles: ['Admin'], permissions: ['Edit Course'] });
+router.get('/:courseId/preview',authenticate,canPublish, revisionController.previewCourse);
+router.post('/:courseId/publish',authenticate,canPublish,validateMiddleware(revisionNoteSchema), revisionController.publishCourse);
+router.get('/:courseId/revisions',authenticate,canPublish, revisionController.listRevisions);
+router.get('/:courseId/revisions/diff',authenticate,canPublish, revisionController.diffRevisions);
+router.get('/:courseId/revisions/:number',authenticate,canPublish, revisionController.getRevision);
+router.post('/:courseId/revisions/:number/rollback',authenticate,canPublish,validateMiddleware(revisionNoteSchema), revisionController.rollbackCourse);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { listInvitations, resendInvitation, revokeInvitation } = require('../controllers/invitationController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+
+// GET /api/V1/invitations?status=pending|accepted|expired|revoked|all
+router.get('/',authenticate,authorize({ roles: ['Admin'] }),listInvitations);
+
+// POST /api/V1/invitations/:invitationId/resend
+router.post('/:invitationId/resend',authenticate,authorize({ roles: ['Admin'] }),resendInvitation);
+
+// DELETE /api/V1/invitations/:invitationId  (revoke)
+router.delete('/:invitationId',authenticate,authorize({ roles: ['Admin'] }),revokeInvitation);
+
+module.exports = router;
@@ -1,15 +1,25 @@
 const express = require('express');
-const { createLessons, deleteLesson, getLessonById, updateSingleLesson, getLessonsByCourseId, getLessonsByChapterIdForTutor, getLessonsByChapterIdForStudent, getAllLessons } = require('../controllers/lessonController');
+const { createLessons, reorderLessons, deleteLesson, getLessonById, updateSingleLesson, getLessonsByCourseId, getLessonsByChapterIdForTutor, getLessonsByChapterIdForStudent, getAllLessons, updateLessonUnlockRules, addLessonCaption, removeLessonCaption, getLessonTranscript } = require('../controllers/lessonController');
 const validateMiddleware = require('../utils/validate');
 const { lessonValidationSchema } = require('../validations/lessonValidation');
 const { updateLessonBodySchema } = require('../validations/updateLesson');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { reorderLessonsSchema } = require('../validations/reorderValidation');
+const { unlockRulesSchema } = require('../validations/unlockRulesValidation');
+const { captionTrackSchema } = require('../validations/transcriptValidation');
 const router = express.Router();
-router.get('/',authenticate,getAllLessons);
-router.post('/',authenticate,validateMiddleware(lessonValidationSchema),createLessons);
-router.put('/:lessonId',authenticate,validateMiddleware(updateLessonBodySchema),updateSingleLesson);
-router.delete('/:lessonId',authenticate, deleteLesson);
-router.get('/:lessonId',authenticate, getLessonById);
+router.get('/',authenticate,authorize({ permissions: ['List Lesson'] }),getAllLessons);
+router.post('/',authenticate,authorize({ permissions: ['Add Lesson'] }),validateMiddleware(lessonValidationSchema),createLessons);
+router.put('/reorder',authenticate,authorize({ permissions: ['Edit Lesson'] }),validateMiddleware(reorderLessonsSchema),checkOwnership('chapter', 'chapterId', 'body'),reorderLessons);
+router.put('/:lessonId',authenticate,authorize({ permissions: ['Edit Lesson'] }),validateMiddleware(updateLessonBodySchema),updateSingleLesson);
+router.put('/:lessonId/unlock',authenticate,authorize({ permissions: ['Edit Lesson'] }),checkOwnership('lesson', 'lessonId'),validateMiddleware(unlockRulesSchema),updateLessonUnlockRules);
+router.delete('/:lessonId',authenticate,authorize({ permissions: ['Delete Lesson'] }), deleteLesson);
+router.get('/:lessonId',authenticate,checkOwnership('lesson', 'lessonId'), getLessonById);
+router.post('/:lessonId/captions',authenticate,authorize({ permissions: ['Edit Lesson'] }),checkOwnership('lesson', 'lessonId'),validateMiddleware(captionTrackSchema),addLessonCaption);
+router.delete('/:lessonId/captions/:language',authenticate,authorize({ permissions: ['Edit Lesson'] }),checkOwnership('lesson', 'lessonId'),removeLessonCaption);
+router.get('/:lessonId/transcript',authenticate,checkOwnership('lesson', 'lessonId'),getLessonTranscript);
 router.get('/by-course/:courseId',authenticate,getLessonsByCourseId);
 router.get('/by-chapter/:chapterId',authenticate,getLessonsByChapterIdForTutor);
 router.get('/student/by-chapter/:chapterId',authenticate,getLessonsByChapterIdForStudent);
@@ -4,13 +4,19 @@ const moduleController = require('../controllers/moduleController');
 const validateMiddleware = require('../utils/validate');
 const moduleValidationSchema = require('../validations/moduleValidation');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { reorderModulesSchema } = require('../validations/reorderValidation');
+const { unlockRulesSchema } = require('../validations/unlockRulesValidation');
 
 // CRUD routes
-router.post('/',authenticate, validateMiddleware(moduleValidationSchema), moduleController.createModule);
+router.post('/',authenticate,authorize({ permissions: ['Add Module'] }), validateMiddleware(moduleValidationSchema), moduleController.createModule);
 router.get('/',authenticate, moduleController.getAllModules);
 router.get('/:moduleId',authenticate, moduleController.getModuleById);
-router.put('/:moduleId',authenticate,validateMiddleware(moduleValidationSchema), moduleController.updateModule);
-router.delete('/:moduleId',authenticate, moduleController.deleteModule);
+router.put('/reorder',authenticate,authorize({ permissions: ['Edit Module'] }),validateMiddleware(reorderModulesSchema),checkOwnership('course', 'courseId', 'body'), moduleController.reorderModules);
+router.put('/:moduleId',authenticate,authorize({ permissions: ['Edit Module'] }),validateMiddleware(moduleValidationSchema), moduleController.updateModule);
+router.put('/:moduleId/unlock',authenticate,authorize({ permissions: ['Edit Module'] }),checkOwnership('module', 'moduleId'),validateMiddleware(unlockRulesSchema), moduleController.updateModuleUnlockRules);
+router.delete('/:moduleId',authenticate,authorize({ permissions: ['Delete Module'] }), moduleController.deleteModule);
 router.get('/course/:courseId',authenticate,moduleController.getModulesByCourseId)
 router.get('/dropdown/:courseId',authenticate,moduleController.getModulesForDropdown)
 
@@ -4,12 +4,13 @@ const router = express.Router();
 const permissionController = require('../controllers/permissionController');
 const validateMiddleware = require('../utils/validate');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
 const permissionSchema = require('../validations/permissionValidation');
 
-router.post('/', validateMiddleware(permissionSchema), permissionController.createPermission);
-router.get('/', permissionController.getPermissions);
-router.get('/:id', permissionController.getPermissionById);
-router.put('/:id', validateMiddleware(permissionSchema), permissionController.updatePermission);
-router.delete('/:id', permissionController.deletePermission);
+router.post('/', authenticate, authorize({ roles: ['Admin'] }), validateMiddleware(permissionSchema), permissionController.createPermission);
+router.get('/', authenticate, permissionController.getPermissions);
+router.get('/:id', authenticate, permissionController.getPermissionById);
+router.put('/:id', authenticate, authorize({ roles: ['Admin'] }), validateMiddleware(permissionSchema), permissionController.updatePermission);
+router.delete('/:id', authenticate, authorize({ roles: ['Admin'] }), permissionController.deletePermission);
 
 module.exports = router;
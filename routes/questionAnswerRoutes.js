@@ -7,6 +7,8 @@ const {
   getAllQuestions
 } = require('../controllers/questionAnswerController');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
 const { askQuestionSchema, answerQuestionSchema } = require('../validations/questionAnswerValidation');
 const validateMiddleware = require('../utils/validate');
 const router = express.Router();
@@ -16,15 +18,15 @@ const router = express.Router();
 router.get('/',authenticate,getAllQuestions);
 
 // Student asks a question
-router.post('/', authenticate,validateMiddleware(askQuestionSchema), askQuestion);
+router.post('/', authenticate, authorize({ roles: ['Student'], message: 'Only students can ask questions' }), checkOwnership('lesson', 'lessonId', 'body'),validateMiddleware(askQuestionSchema), askQuestion);
 
 // Tutor answers a question
-router.put('/answer/:id', authenticate, validateMiddleware(answerQuestionSchema),answerQuestion);
+router.put('/answer/:id', authenticate, authorize({ roles: ['Tutor'], message: 'Only tutors can answer questions' }), checkOwnership('question'), validateMiddleware(answerQuestionSchema),answerQuestion);
 
 // Student gets their own Q&A for a lesson
-router.get('/student/lesson/:lessonId', authenticate, getStudentQuestionsByLesson);
+router.get('/student/lesson/:lessonId', authenticate, checkOwnership('lesson', 'lessonId'), getStudentQuestionsByLesson);
 
 // Tutor gets all questions for a lesson
-router.get('/lesson/:lessonId', authenticate, getLessonQuestions);
+router.get('/lesson/:lessonId', authenticate, checkOwnership('lesson', 'lessonId'), getLessonQuestions);
 
 module.exports = router;
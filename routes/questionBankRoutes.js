@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const validateMiddleware = require('../utils/validate');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { getBankQuestions, getBankTags, getBankStatistics, createBankQuestion, importBankQuestions, getBankQuestionById, updateBankQuestion, deleteBankQuestion } = require('../controllers/questionBankController');
+const { createBankQuestionSchema, updateBankQuestionSchema, importQuestionsSchema } = require('../validations/questionBankValidation');
+
+// course staff only; students see bank questions inside their quiz attempts
+const staff = authorize({ roles: ['Admin', 'Tutor'], message: 'Only Admin and tutor can use the question bank' });
+
+router.get('/',authenticate,staff,checkOwnership('course', 'courseId', 'query'),getBankQuestions);
+router.post('/',authenticate,staff,validateMiddleware(createBankQuestionSchema),checkOwnership('course', 'courseId', 'body'),checkOwnership('module', 'moduleId', 'body'),createBankQuestion);
+
+// before /:questionId so these aren't taken for a question id
+router.get('/tags',authenticate,staff,checkOwnership('course', 'courseId', 'query'),getBankTags);
+router.get('/stats',authenticate,staff,checkOwnership('course', 'courseId', 'query'),getBankStatistics);
+router.post('/import',authenticate,staff,validateMiddleware(importQuestionsSchema),checkOwnership('course', 'courseId', 'body'),checkOwnership('module', 'moduleId', 'body'),importBankQuestions);
+
+router.get('/:questionId',authenticate,staff,checkOwnership('bankQuestion', 'questionId'),getBankQuestionById);
+router.put('/:questionId',authenticate,staff,checkOwnership('bankQuestion', 'questionId'),validateMiddleware(updateBankQuestionSchema),checkOwnership('module', 'moduleId', 'body'),updateBankQuestion);
+router.delete('/:questionId',authenticate,staff,checkOwnership('bankQuestion', 'questionId'),deleteBankQuestion);
+
+module.exports = router;
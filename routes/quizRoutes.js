@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const validateMiddleware = require('../utils/validate');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { createQuiz, getQuizzes, getQuizById, updateQuiz, deleteQuiz, startQuizAttempt, getQuizAttempts, getQuizAttempt, saveQuizAttemptAnswers, submitQuizAttempt } = require('../controllers/quizController');
+const { createQuizSchema, updateQuizSchema, quizAnswersSchema } = require('../validations/quizValidation');
+
+router.post('/',authenticate,authorize({ roles: ['Admin', 'Tutor'], message: 'Only Admin and tutor can create a quiz' }),validateMiddleware(createQuizSchema),checkOwnership('lesson', 'lessonId', 'body'),checkOwnership('chapter', 'chapterId', 'body'),createQuiz);
+router.get('/',authenticate,checkOwnership('lesson', 'lessonId', 'query'),checkOwnership('chapter', 'chapterId', 'query'),getQuizzes);
+
+// attempts, by attempt id (before /:quizId so "attempts" isn't taken for a quiz id)
+router.get('/attempts/:attemptId',authenticate,checkOwnership('quizAttempt', 'attemptId'),getQuizAttempt);
+router.put('/attempts/:attemptId/answers',authenticate,validateMiddleware(quizAnswersSchema),saveQuizAttemptAnswers);
+router.post('/attempts/:attemptId/submit',authenticate,validateMiddleware(quizAnswersSchema),submitQuizAttempt);
+
+router.get('/:quizId',authenticate,checkOwnership('quiz', 'quizId'),getQuizById);
+router.put('/:quizId',authenticate,authorize({ roles: ['Admin', 'Tutor'] }),checkOwnership('quiz', 'quizId'),validateMiddleware(updateQuizSchema),updateQuiz);
+router.delete('/:quizId',authenticate,authorize({ roles: ['Admin', 'Tutor'], message: 'Only Admin and tutor can delete a quiz' }),checkOwnership('quiz', 'quizId'),deleteQuiz);
+router.post('/:quizId/attempts',authenticate,checkOwnership('quiz', 'quizId'),startQuizAttempt);
+router.get('/:quizId/attempts',authenticate,checkOwnership('quiz', 'quizId'),getQuizAttempts);
+
+module.exports = router;
@@ -3,13 +3,14 @@ const express = require('express');
 const router = express.Router();
 const roleController = require('../controllers/roleController');
 const validateMiddleware = require('../utils/validate');
-const { roleValidationSchema } = require('../validations/roleValidation');
+const { roleValidationSchema, updateRoleSchema } = require('../validations/roleValidation');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
 
-router.post('/',authenticate,validateMiddleware(roleValidationSchema), roleController.createRole);
+router.post('/',authenticate,authorize({ roles: ['Admin'] }),validateMiddleware(roleValidationSchema), roleController.createRole);
 router.get('/',authenticate, roleController.getAllRoles);
 router.get('/:id',authenticate, roleController.getRoleById);
-router.put('/:roleId',validateMiddleware(roleValidationSchema), roleController.updateRole);
-router.delete('/:id', roleController.deleteRole);
+router.put('/:roleId',authenticate,authorize({ roles: ['Admin'] }),validateMiddleware(updateRoleSchema), roleController.updateRole);
+router.delete('/:id',authenticate,authorize({ roles: ['Admin'] }), roleController.deleteRole);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { search } = require('../controllers/searchController');
+const { authenticate } = require('../middleware/authMiddleware');
+
+// GET /api/V1/search?q=...&type=course,module,chapter,lesson,assignment,question&courseId=
+// results are limited to what the caller can see (see helper/search.js)
+router.get('/', authenticate, search);
+
+module.exports = router;
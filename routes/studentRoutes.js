@@ -1,39 +1,41 @@
 const express = require('express');
-const { createStudent, updateStudent, listStudents, deleteStudent, getStudentsByCourseId, listStudentsByTutor, getStudentDetailsWithSubmissions, changeStudentPassword, updateStudentProfile, getStudentsByCourseIdForDropdown, studentHome, studentPerformance, getStudentAttendance, checkEmail, verifyOtp, resetPassword, getStudentProfileForAdmin } = require('../controllers/studentController');
+const { createStudent, updateStudent, listStudents, deleteStudent, getStudentsByCourseId, listStudentsByTutor, getStudentDetailsWithSubmissions, changeStudentPassword, updateStudentProfile, getStudentsByCourseIdForDropdown, studentHome, studentPerformance, updateStudentAccommodations, getStudentAttendance, getStudentProfileForAdmin } = require('../controllers/studentController');
 const { authenticate } = require('../middleware/authMiddleware');
-const { addStudentSchema, updateStudentSchema } = require('../validations/studentValidation');
+const { authorize } = require('../middleware/authorize');
+const { checkOwnership } = require('../middleware/ownership');
+const { addStudentSchema, updateStudentSchema, accommodationsSchema } = require('../validations/studentValidation');
 const validateMiddleware = require('../utils/validate');
 const router = express.Router();
 
 // Create a new student
-router.post('/',authenticate,validateMiddleware(addStudentSchema), createStudent );
+router.post('/',authenticate,authorize({ permissions: ['Add Student'] }),validateMiddleware(addStudentSchema), createStudent );
 
 // Update student
-router.put('/:studentId',authenticate,validateMiddleware(updateStudentSchema), updateStudent);
+router.put('/:studentId',authenticate,authorize({ permissions: ['Edit Student'] }),validateMiddleware(updateStudentSchema), updateStudent);
 
 // Get list of students with pagination and optional search
-router.get('/',authenticate, listStudents );
+router.get('/',authenticate,authorize({ permissions: ['List Student'] }), listStudents );
 
 // Delete student
-router.delete('/:studentId',authenticate, deleteStudent);
+router.delete('/:studentId',authenticate,authorize({ permissions: ['Delete Student'] }), deleteStudent);
 
 // get students in the course
-router.get('/by-course/:courseId',authenticate, getStudentsByCourseId);
+router.get('/by-course/:courseId',authenticate,checkOwnership('course', 'courseId'), getStudentsByCourseId);
 
 // get students by course
-router.get('/by-course/dropdown/:courseId',authenticate,getStudentsByCourseIdForDropdown)
+router.get('/by-course/dropdown/:courseId',authenticate,checkOwnership('course', 'courseId'),getStudentsByCourseIdForDropdown)
 
 // list students for tutor
-router.get('/by-tutor/:tutorId',authenticate,listStudentsByTutor);
+router.get('/by-tutor/:tutorId',authenticate,checkOwnership('tutor', 'tutorId'),listStudentsByTutor);
 
 // student details with submissions
-router.get('/student-details/:studentId',authenticate,getStudentDetailsWithSubmissions);
+router.get('/student-details/:studentId',authenticate,checkOwnership('student', 'studentId'),getStudentDetailsWithSubmissions);
 
 // change password for student
-router.post('/change-password',authenticate,changeStudentPassword);
+router.post('/change-password',authenticate,authorize({ roles: ['Student'] }),changeStudentPassword);
 
 // profile update by student
-router.post('/profile',authenticate,validateMiddleware(updateStudentSchema),updateStudentProfile);
+router.post('/profile',authenticate,authorize({ roles: ['Student'] }),validateMiddleware(updateStudentSchema),updateStudentProfile);
 
 // student home
 router.get('/home',authenticate,studentHome)
@@ -44,16 +46,10 @@ router.get('/performance',authenticate,studentPerformance)
 // my attendance
 router.get('/my-attendance',authenticate,getStudentAttendance);
 
-// check email
-router.post('/check-email',checkEmail);
-
-// verify otp
-router.post('/verify-otp',verifyOtp)
-
-// reset password
-router.post('/reset-password',resetPassword);
+// standing accommodations (extra quiz time, extra days on assignments)
+router.put('/:studentId/accommodations',authenticate,authorize({ roles: ['Admin', 'Tutor'] }),checkOwnership('student', 'studentId'),validateMiddleware(accommodationsSchema),updateStudentAccommodations);
 
 // get student details for admin
-router.get('/student-profile/:studentId',authenticate,getStudentProfileForAdmin);
+router.get('/student-profile/:studentId',authenticate,checkOwnership('student', 'studentId'),getStudentProfileForAdmin);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getTrash, restoreItem } = require('../controllers/trashController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+
+// GET /api/V1/trash?type=course|module|chapter|lesson|assignment|quiz|bankQuestion|user
+router.get('/',authenticate,authorize({ roles: ['Admin'] }),getTrash);
+
+// POST /api/V1/trash/:type/:id/restore  (restores everything deleted with it)
+router.post('/:type/:id/restore',authenticate,authorize({ roles: ['Admin'] }),restoreItem);
+
+module.exports = router;
@@ -2,43 +2,36 @@ const express = require("express");
 const router = express.Router();
 const tutorController = require("../controllers/tutorController");
 const { authenticate } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const { checkOwnership } = require("../middleware/ownership");
 const validateMiddleware = require("../utils/validate");
 const { addTutorSchema, updateTutorSchema } = require("../validations/tutorValidation");
 
 // Create tutor
-router.post("/",authenticate,validateMiddleware(addTutorSchema), tutorController.createTutor);
+router.post("/",authenticate,authorize({ permissions: ["Add Tutor"] }),validateMiddleware(addTutorSchema), tutorController.createTutor);
 
 // List tutors with pagination & search
-router.get("/",authenticate, tutorController.listTutors);
+router.get("/",authenticate,authorize({ permissions: ["List Tutor"] }), tutorController.listTutors);
 
 // Update tutor
-router.put("/:tutorId",authenticate,validateMiddleware(updateTutorSchema), tutorController.updateTutor);
+router.put("/:tutorId",authenticate,authorize({ permissions: ["Edit Tutor"] }),validateMiddleware(updateTutorSchema), tutorController.updateTutor);
 
 // Delete tutor
-router.delete("/:tutorId",authenticate, tutorController.deleteTutor);
+router.delete("/:tutorId",authenticate,authorize({ permissions: ["Delete Tutor"] }), tutorController.deleteTutor);
 
 // Get tutors by courseId
 router.get("/course/:courseId",authenticate, tutorController.getTutorsByCourseId);
 
 // change password for tutor
-router.post('/change-password',authenticate,tutorController.changeTutorPassword);
+router.post('/change-password',authenticate,authorize({ roles: ['Tutor'] }),tutorController.changeTutorPassword);
 
 // tutor profile update
-router.post('/profile',authenticate,validateMiddleware(updateTutorSchema),tutorController.updateTutorProfile);
+router.post('/profile',authenticate,authorize({ roles: ['Tutor'] }),validateMiddleware(updateTutorSchema),tutorController.updateTutorProfile);
 
 // tutor home page api
 router.get('/home',authenticate,tutorController.tutorHome)
 
-// check email
-router.post('/check-email',tutorController.checkEmail);
-
-// verify otp
-router.post('/verify-otp',tutorController.verifyOtp)
-
-// reset password
-router.post('/reset-password',tutorController.resetPassword);
-
 // tutor profile for admin
-router.get('/tutor-profile/:tutorId',authenticate,tutorController.getTutorProfileForAdmin);
+router.get('/tutor-profile/:tutorId',authenticate,checkOwnership('tutor', 'tutorId'),tutorController.getTutorProfileForAdmin);
 
 module.exports = router;
@@ -2,15 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const validateMiddleware = require('../utils/validate');
-const { createUser, getUsers, getUserById, updateUser, changePassword, deleteUserCascade } = require('../controllers/userController');
+const { createUser, getUsers, getUserById, updateUser, changePassword, deleteUserCascade, unlockUser } = require('../controllers/userController');
 const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { resetUserTwoFactor } = require('../controllers/twoFactorController');
 const { registerSchema } = require('../validations/authValidation');
 
-router.post('/',authenticate, createUser);
-router.get('/',authenticate, getUsers);
+router.post('/',authenticate,authorize({ roles: ['Admin'] }), createUser);
+router.get('/',authenticate,authorize({ roles: ['Admin'] }), getUsers);
 router.get('/profile',authenticate,getUserById);
-router.put('/:userId',authenticate,updateUser);
+router.put('/:userId',authenticate,authorize({ roles: ['Admin'] }),updateUser);
 router.post('/change-password',authenticate,changePassword);
-router.delete('/:userId',authenticate,deleteUserCascade)
+router.delete('/:userId',authenticate,authorize({ roles: ['Admin'] }),deleteUserCascade)
+router.post('/:userId/unlock',authenticate,authorize({ roles: ['Admin'] }),unlockUser);
+router.delete('/:userId/2fa',authenticate,authorize({ roles: ['Admin'] }),resetUserTwoFactor);
 
 module.exports = router;
@@ -20,16 +20,31 @@ const tutorRoutes = require('./routes/tutorRoutes');
 const questionRoutes = require('./routes/questionAnswerRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const quizRoutes = require('./routes/quizRoutes');
+const questionBankRoutes = require('./routes/questionBankRoutes');
 const swaggerDocs = require('./docs/swagger');
 const cors = require('cors');
 const clc = require('cli-color');
 const morgan = require('morgan');
 const errorHandler = require('./middleware/errorHandler');
+const { requestContext } = require('./middleware/requestContext');
 const updateExpiredAssignments = require('./cron/updateExpiredAssignments');
+const purgeTrash = require('./cron/purgeTrash');
+const publishScheduledContent = require('./cron/publishScheduledContent');
+const closeExpiredQuizAttempts = require('./cron/closeExpiredQuizAttempts');
 connectDB();
 
 const app = express();
 
+// per-IP login throttling needs the real client address when running behind a proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 app.use(cors({origin: ["http://localhost:3000","https://lucent-tapioca-4ef19f.netlify.app"], 
     credentials: true, }));
 // Increase limit to 50mb or more, as needed
@@ -37,7 +52,12 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use('/uploads', express.static('uploads'));
 app.use(morgan("dev"));
+// lets the audit trail plugin see who is making a change
+app.use(requestContext);
 updateExpiredAssignments();
+purgeTrash();
+publishScheduledContent();
+closeExpiredQuizAttempts();
 
 app.use('/api/V1/auth', authRoutes);
 app.use('/api/V1/roles',roleRoutes);
@@ -55,6 +75,12 @@ app.use('/api/V1/questions',questionRoutes);
 app.use('/api/V1/students',studentRoutes);
 app.use('/api/V1/attendance',attendanceRoutes);
 app.use('/api/V1/notifications',notificationRoutes)
+app.use('/api/V1/invitations',invitationRoutes);
+app.use('/api/V1/audit-logs',auditLogRoutes);
+app.use('/api/V1/trash',trashRoutes);
+app.use('/api/V1/search',searchRoutes);
+app.use('/api/V1/quizzes',quizRoutes);
+app.use('/api/V1/question-bank',questionBankRoutes);
 // app.use('/api/V1/courses',courseRoutes);
 
 // swagger documentation 
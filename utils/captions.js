@@ -0,0 +1,50 @@
+// WebVTT / SubRip (SRT) caption parsing. Both are blocks separated by blank
+// lines; a cue block has a "start --> end" line followed by its text.
+
+const TIMESTAMP = "(?:\\d+:)?\\d{1,2}:\\d{2}[.,]\\d{1,3}";
+const CUE_TIMING = new RegExp(`^\\s*(${TIMESTAMP})\\s*-->\\s*(${TIMESTAMP})`);
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&nbsp;": " ", "&quot;": '"', "&#39;": "'" };
+
+// "01:02:03.500" / "02:03,5" -> seconds
+const toSeconds = (timestamp) => {
+  const [clock, fraction] = timestamp.split(/[.,]/);
+  const seconds = clock.split(":").map(Number).reduce((total, part) => total * 60 + part, 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+// voice/class/timestamp tags (<v Bob>, <i>, <00:01.000>) and entities out
+const cleanCueText = (lines) =>
+  lines
+    .join(" ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+
+const detectCaptionFormat = (text) => (/^\uFEFF?WEBVTT/.test(text) ? "vtt" : "srt");
+
+/**
+ * Parse a caption file into cues (times in seconds). Cue ids, cue settings
+ * and NOTE/STYLE/REGION blocks are dropped.
+ * @param {String|Buffer} input
+ * @returns {{start: Number, end: Number, text: String}[]}
+ */
+const parseCaptions = (input) => {
+  const text = String(input).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const cues = [];
+
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => CUE_TIMING.test(line));
+    if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const [, start, end] = lines[timingIndex].match(CUE_TIMING);
+    const cueText = cleanCueText(lines.slice(timingIndex + 1));
+    if (cueText) cues.push({ start: toSeconds(start), end: toSeconds(end), text: cueText });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+module.exports = { parseCaptions, detectCaptionFormat };
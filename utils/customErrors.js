@@ -114,3 +114,13 @@ export class EmptyRequestBodyError extends Error {
     this.name = "EmptyRequestBodyError";
   }
 }
+
+// Too Many Requests Error (429)
+export class TooManyRequestsError extends Error {
+  constructor(message, retryAfterSeconds) {
+    super(message);
+    this.status = 429;
+    this.name = "TooManyRequestsError";
+    this.retryAfter = retryAfterSeconds;
+  }
+}
@@ -8,7 +8,7 @@ const deleteFileFromS3 = async (fileUrl) => {
     });
     const urlParts = fileUrl.split("/");
     const bucket = process.env.AWS_BUCKET_NAME;
-    const key = urlParts.slice(3).join("/"); // Assuming the key starts after 3rd segment
+    const key = urlParts.slice(3).map(decodeURIComponent).join("/"); // Assuming the key starts after 3rd segment
 
     const params = { Bucket: bucket, Key: key };
 
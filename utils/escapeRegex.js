@@ -0,0 +1,4 @@
+// escape user input for use inside a RegExp / $regex
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = { escapeRegex };
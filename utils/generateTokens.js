@@ -1,15 +1,46 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 
-const generateAccessToken = (user) => {
-  return jwt.sign({ id: user._id}, process.env.JWT_SECRET, {
+// role is embedded so authorization doesn't need to look the user up per request;
+// pass the user with roleId populated to include the role name as well
+const generateAccessToken = (user, sessionId) => {
+  const role = user.roleId;
+  const payload = {
+    id: user._id,
+    sid: sessionId,
+    roleId: role?._id ?? role,
+    role: role?.role_name,
+  };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
   });
 };
 
-const generateRefreshToken = (user) => {
-  return jwt.sign({ id: user._id }, process.env.JWT_REFRESH_SECRET, {
+// jwtid makes every rotated refresh token unique, even within the same second
+const generateRefreshToken = (user, sessionId) => {
+  return jwt.sign({ id: user._id, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+    jwtid: uuidv4(),
   });
 };
 
-module.exports = { generateAccessToken, generateRefreshToken };
+// short-lived token for the second login step (purpose "2fa-challenge") or
+// for enrolling in 2FA before a first full login (purpose "2fa-setup").
+// authenticate() refuses any token that carries a purpose.
+const generateTwoFactorToken = (user, purpose, role) => {
+  return jwt.sign({ id: user._id, purpose, role }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRY || '10m',
+    jwtid: uuidv4(),
+  });
+};
+
+// activation link token for an invitation; expires together with the invitation
+const generateInviteToken = (invitation) => {
+  return jwt.sign(
+    { id: invitation._id, purpose: 'invite', exp: Math.floor(invitation.expiresAt.getTime() / 1000) },
+    process.env.JWT_SECRET,
+    { jwtid: uuidv4() }
+  );
+};
+
+module.exports = { generateAccessToken, generateRefreshToken, generateTwoFactorToken, generateInviteToken };
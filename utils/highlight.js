@@ -0,0 +1,58 @@
+const { escapeRegex } = require("./escapeRegex");
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// tags out (lesson bodies can be HTML), whitespace collapsed
+const toPlainText = (text) =>
+  String(text)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// rough English stem so "lessons" also marks "lesson", as MongoDB's text search matches both
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/i, "") : word);
+
+/**
+ * The words of a MongoDB $text query worth marking: quotes dropped, negated
+ * terms ("-word") left out
+ * @param {String} query
+ * @returns {String[]}
+ */
+const searchTerms = (query) =>
+  String(query)
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/[^\p{L}\p{N}]+/gu, ""))
+    .filter((word) => word.length > 1)
+    .map(stem);
+
+/**
+ * A short excerpt of `text` around the first matching term, HTML-escaped,
+ * with every match wrapped in <mark>
+ * @param {String} text
+ * @param {String[]} terms - from searchTerms()
+ * @param {{radius?: Number}} [options] - characters kept before the first match (twice that after it)
+ * @returns {String|null} null when no term occurs in the text
+ */
+const highlight = (text, terms, { radius = 60 } = {}) => {
+  if (!text || !terms.length) return null;
+  const plain = toPlainText(text);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])((?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*)`, "giu");
+
+  const first = plain.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - radius);
+  const end = Math.min(plain.length, first + radius * 2);
+  // split() with a capture group puts the matches at the odd indexes
+  const marked = plain
+    .slice(start, end)
+    .split(pattern)
+    .map((part, index) => (index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join("");
+
+  return `${start > 0 ? "…" : ""}${marked}${end < plain.length ? "…" : ""}`;
+};
+
+module.exports = { searchTerms, highlight };
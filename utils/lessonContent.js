@@ -0,0 +1,72 @@
+// Lesson content types; each keeps its own fields on the Lesson (models/Lesson.js)
+const CONTENT_TYPES = ["video", "audio", "document", "text", "embed", "scorm", "mixed"];
+
+// older names still found on saved lessons and in imports, and what they are now
+const LEGACY_CONTENT_TYPES = { pdf: "document", file: "document", link: "embed", html: "embed" };
+
+// types whose content lives at contentURL
+const URL_CONTENT_TYPES = ["video", "audio", "document", "embed", "scorm"];
+
+// what a block of a "mixed" lesson can be
+const BLOCK_TYPES = ["video", "audio", "document", "text", "embed"];
+
+// fields that only make sense for one type
+const TYPE_FIELDS = {
+  text: ["body", "bodyFormat"],
+  video: ["video"],
+  document: ["document"],
+  embed: ["embed"],
+  mixed: ["blocks"],
+};
+
+// everything that describes a lesson's content, for copying lessons around
+const LESSON_CONTENT_FIELDS = [
+  "contentType",
+  "contentURL",
+  "duration",
+  "body",
+  "bodyFormat",
+  "video",
+  "document",
+  "embed",
+  "blocks",
+  "attachments",
+];
+
+const normalizeContentType = (type) => LEGACY_CONTENT_TYPES[type] || type;
+
+/**
+ * Type-specific fields a lesson of `type` must not keep, e.g. the inline
+ * body of a text lesson that became a video
+ */
+const staleContentFields = (type) =>
+  Object.entries(TYPE_FIELDS)
+    .filter(([owner]) => owner !== normalizeContentType(type))
+    .flatMap(([, fields]) => fields);
+
+const pickLessonContent = (lesson) =>
+  Object.fromEntries(LESSON_CONTENT_FIELDS.filter((field) => lesson[field] !== undefined).map((field) => [field, lesson[field]]));
+
+/**
+ * Every URL a lesson's content points at, with the field it comes from
+ * @returns {{url: String, field: String}[]}
+ */
+const lessonContentUrls = (lesson) => [
+  { url: lesson.contentURL, field: "contentURL" },
+  ...(lesson.video?.captions || []).map((caption) => ({ url: caption.url, field: "video.captions.url" })),
+  ...(lesson.blocks || []).map((block) => ({ url: block.url, field: "blocks.url" })),
+  ...(lesson.attachments || []).map((attachment) => ({ url: attachment.url, field: "attachments.url" })),
+].filter(({ url }) => url);
+
+module.exports = {
+  CONTENT_TYPES,
+  LEGACY_CONTENT_TYPES,
+  URL_CONTENT_TYPES,
+  BLOCK_TYPES,
+  TYPE_FIELDS,
+  LESSON_CONTENT_FIELDS,
+  normalizeContentType,
+  staleContentFields,
+  pickLessonContent,
+  lessonContentUrls,
+};
@@ -0,0 +1,74 @@
+const nodemailer = require("nodemailer");
+const sendBrevoEmail = require("./sendBrevoEmail");
+
+// Every outgoing email goes through sendMail(). The transport is picked with
+// MAIL_TRANSPORT (brevo | smtp | memory) and can be swapped with setTransport(),
+// e.g. for a test run that inspects `outbox` instead of sending anything.
+
+const outbox = [];
+
+const transports = {
+  brevo: {
+    send: async ({ to, subject, html }) => sendBrevoEmail(to, subject, html),
+  },
+
+  smtp: {
+    client: null,
+    send: async function ({ to, subject, html, text }) {
+      if (!this.client) {
+        this.client = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === "true",
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+        });
+      }
+      return this.client.sendMail({
+        from: process.env.MAIL_FROM || process.env.SMTP_USER,
+        to,
+        subject,
+        html,
+        text,
+      });
+    },
+  },
+
+  memory: {
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+      return { messageId: `memory-${outbox.length}` };
+    },
+  },
+};
+
+let override = null;
+
+const currentTransport = () => {
+  if (override) return override;
+  const name = (process.env.MAIL_TRANSPORT || "brevo").toLowerCase();
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {{to: String, subject: String, html?: String, text?: String}} message
+ */
+const sendMail = async (message) => currentTransport().send(message);
+
+/**
+ * Replace the transport (any object with `send(message)`); pass null to go
+ * back to MAIL_TRANSPORT
+ */
+const setTransport = (transport) => {
+  override = transport;
+};
+
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = { sendMail, setTransport, outbox, clearOutbox };
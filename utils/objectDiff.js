@@ -0,0 +1,23 @@
+// plain JSON so ObjectIds / Dates compare and store the same way
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Top-level field changes between two plain objects
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {Set<String>} [ignored] - fields to skip
+ * @returns {Object} { field: { before, after } }, empty when nothing changed
+ */
+const diffObjects = (before, after, ignored = new Set()) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const key of keys) {
+    if (ignored.has(key)) continue;
+    const from = plain(before?.[key]);
+    const to = plain(after?.[key]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { before: from, after: to };
+  }
+  return changes;
+};
+
+module.exports = { diffObjects };
@@ -0,0 +1,345 @@
+// Question import from the plain-text formats other LMSs export. Every parser
+// returns one entry per question found, with the line it starts on and either
+// the question (quiz question fields, plus topics/difficulty when the format
+// carries them) or why it couldn't be read.
+//
+// CSV - header row, any column order:
+//   type,text,options,answer,points,negativePoints,topics,difficulty,explanation
+//   lists are separated by "|"; options of a choice question are answered by
+//   letter ("B", "A|C"), matching pairs are written "left -> right" in options,
+//   numeric answers are "value" or "value:tolerance", short answers list the
+//   accepted texts.
+// GIFT - Moodle's format: multiple choice (incl. weighted), true/false,
+//   short answer, numeric and matching questions; $CATEGORY sets the topic.
+// Aiken - a question line, lettered options, then "ANSWER: X".
+
+const QUESTION_FORMATS = ["csv", "gift", "aiken"];
+
+const LIST_SEPARATOR = "|";
+
+const letterIndex = (letter) => letter.trim().toUpperCase().charCodeAt(0) - 65;
+
+const splitList = (value) =>
+  String(value || "")
+    .split(LIST_SEPARATOR)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// blocks of non-blank lines, with the (1-based) line each one starts on
+const splitBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+  return blocks;
+};
+
+const normalizeNewlines = (text) => String(text).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+
+// ---------- Aiken ----------
+
+const AIKEN_OPTION = /^([A-Z])[.)]\s+(.+)$/;
+const AIKEN_ANSWER = /^ANSWER:\s*([A-Z])\s*$/i;
+
+const parseAiken = (input) =>
+  splitBlocks(normalizeNewlines(input)).map(({ line, lines }) => {
+    const trimmed = lines.map((l) => l.trim());
+    const answer = trimmed[trimmed.length - 1].match(AIKEN_ANSWER);
+    if (!answer) return { line, error: 'the last line must be "ANSWER: <letter>"' };
+
+    const firstOption = trimmed.findIndex((l) => AIKEN_OPTION.test(l));
+    if (firstOption < 1) return { line, error: "expected the question followed by lettered options (A. ..., B. ...)" };
+
+    const options = trimmed.slice(firstOption, -1).map((l) => l.match(AIKEN_OPTION));
+    if (options.some((option) => !option)) return { line, error: "every line between the question and ANSWER must be an option" };
+
+    const correct = answer[1].toUpperCase();
+    if (!options.some(([, letter]) => letter === correct)) return { line, error: `ANSWER ${correct} is not one of the options` };
+
+    return {
+      line,
+      question: {
+        type: "mcq_single",
+        text: trimmed.slice(0, firstOption).join(" "),
+        options: options.map(([, letter, text]) => ({ text, isCorrect: letter === correct })),
+      },
+    };
+  });
+
+// ---------- GIFT ----------
+
+// characters GIFT lets you escape with a backslash
+const unescapeGift = (text) => text.replace(/\\([~=#{}:])/g, "$1").replace(/\\n/g, "\n").trim();
+
+// index of the first unescaped `char` from `from`
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+// "=right#feedback ~wrong ~%50%half" -> [{ mark, weight, text }]
+const giftTokens = (body) => {
+  const tokens = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === "\\") {
+      if (current) current.raw += body.slice(i, i + 2);
+      i++;
+    } else if (body[i] === "=" || body[i] === "~") {
+      current = { mark: body[i], raw: "" };
+      tokens.push(current);
+    } else if (current) {
+      current.raw += body[i];
+    } else if (body[i].trim()) {
+      return null;
+    }
+  }
+  return tokens.map(({ mark, raw }) => {
+    const feedbackAt = findUnescaped(raw, "#");
+    let text = feedbackAt === -1 ? raw : raw.slice(0, feedbackAt);
+    let weight = null;
+    const weighted = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weighted) {
+      weight = Number(weighted[1]);
+      text = text.slice(weighted[0].length);
+    }
+    return { mark, weight, text: unescapeGift(text) };
+  });
+};
+
+const parseGiftNumeric = (body) => {
+  // "#=3.14:0.01 =3.1:0.1" takes the first (fully right) answer
+  const first = body.replace(/^#/, "").split(/(?<!\\)=/).map((part) => part.trim()).find(Boolean) || "";
+  const value = first.split(/(?<!\\)#/)[0].replace(/^%\d+%/, "").trim();
+  const range = value.match(/^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    return { numericAnswer: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+  const exact = value.match(/^(-?\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/);
+  return exact ? { numericAnswer: Number(exact[1]), tolerance: Number(exact[2] || 0) } : null;
+};
+
+const parseGiftAnswers = (rawBody) => {
+  // general feedback: "####text" at the end of the answers
+  const generalAt = rawBody.indexOf("####");
+  const explanation = generalAt === -1 ? undefined : unescapeGift(rawBody.slice(generalAt + 4));
+  const body = (generalAt === -1 ? rawBody : rawBody.slice(0, generalAt)).trim();
+  const withExplanation = (question) => (explanation ? { ...question, explanation } : question);
+
+  if (/^(T|TRUE|F|FALSE)\s*(#.*)?$/is.test(body)) {
+    return withExplanation({ type: "true_false", correctAnswer: /^T/i.test(body) });
+  }
+
+  if (body.startsWith("#")) {
+    const numeric = parseGiftNumeric(body);
+    return numeric ? withExplanation({ type: "numeric", ...numeric }) : { error: "unreadable numeric answer" };
+  }
+
+  const tokens = giftTokens(body);
+  if (!tokens || !tokens.length) return { error: "essay and description questions can't be imported" };
+
+  if (tokens.every((token) => token.mark === "=" && token.text.includes("->"))) {
+    const pairs = tokens.map((token) => {
+      const [left, right] = token.text.split("->").map((side) => side.trim());
+      return { left, right };
+    });
+    return withExplanation({ type: "matching", pairs });
+  }
+
+  if (tokens.every((token) => token.mark === "=")) {
+    return withExplanation({ type: "short_answer", acceptedAnswers: tokens.map((token) => token.text) });
+  }
+
+  if (tokens.some((token) => token.weight !== null)) {
+    return withExplanation({
+      type: "mcq_multi",
+      options: tokens.map((token) => ({ text: token.text, isCorrect: (token.weight ?? (token.mark === "=" ? 100 : 0)) > 0 })),
+    });
+  }
+
+  return withExplanation({
+    type: "mcq_single",
+    options: tokens.map((token) => ({ text: token.text, isCorrect: token.mark === "=" })),
+  });
+};
+
+const parseGift = (input) => {
+  const results = [];
+  let topic = null;
+  const text = normalizeNewlines(input)
+    .split("\n")
+    .map((line) => (/^\s*\/\//.test(line) ? "" : line))
+    .join("\n");
+
+  for (const { line, lines } of splitBlocks(text)) {
+    let block = lines.join("\n").trim();
+
+    const category = block.match(/^\$CATEGORY:\s*(.+)$/m);
+    if (category) {
+      topic = category[1].trim().split("/").pop().trim().toLowerCase() || null;
+      block = block.replace(category[0], "").trim();
+      if (!block) continue;
+    }
+
+    block = block.replace(/^::(.*?)::/s, "").trim().replace(/^\[(html|moodle|plain|markdown)\]/i, "").trim();
+
+    const open = findUnescaped(block, "{");
+    const close = open === -1 ? -1 : findUnescaped(block, "}", open);
+    if (open === -1 || close === -1) {
+      results.push({ line, error: "no {answers} found" });
+      continue;
+    }
+
+    const before = unescapeGift(block.slice(0, open));
+    const after = unescapeGift(block.slice(close + 1));
+    // "missing word" questions have text on both sides of the answers
+    const stem = after ? `${before} _____ ${after}` : before;
+    const parsed = parseGiftAnswers(block.slice(open + 1, close));
+    if (parsed.error) {
+      results.push({ line, error: parsed.error });
+      continue;
+    }
+
+    results.push({ line, question: { ...parsed, text: stem, ...(topic && { topics: [topic] }) } });
+  }
+
+  return results;
+};
+
+// ---------- CSV ----------
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && !field) {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter(({ cells }) => cells.some((cell) => cell.trim()));
+};
+
+const CSV_COLUMNS = ["type", "text", "options", "answer", "points", "negativepoints", "topics", "difficulty", "explanation"];
+
+const csvQuestion = (record) => {
+  const type = record.type.trim().toLowerCase();
+  const question = { type, text: record.text.trim() };
+  const answer = (record.answer || "").trim();
+
+  switch (type) {
+    case "mcq_single":
+    case "mcq_multi": {
+      const letters = splitList(answer).map(letterIndex);
+      question.options = splitList(record.options).map((text, index) => ({ text, isCorrect: letters.includes(index) }));
+      if (letters.some((index) => index < 0 || index >= question.options.length)) {
+        return { error: `answer "${answer}" doesn't name options by letter (A, B, ...)` };
+      }
+      break;
+    }
+    case "true_false":
+      if (!/^(true|false|t|f)$/i.test(answer)) return { error: "answer must be true or false" };
+      question.correctAnswer = /^t/i.test(answer);
+      break;
+    case "numeric": {
+      const match = answer.match(/^(-?\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/);
+      if (!match) return { error: 'answer must be "value" or "value:tolerance"' };
+      question.numericAnswer = Number(match[1]);
+      question.tolerance = Number(match[2] || 0);
+      break;
+    }
+    case "short_answer":
+      question.acceptedAnswers = splitList(answer);
+      break;
+    case "matching":
+      question.pairs = splitList(record.options).map((pair) => {
+        const [left, right = ""] = pair.split("->").map((side) => side.trim());
+        return { left, right };
+      });
+      break;
+    default:
+      return { error: `unknown type "${record.type}"` };
+  }
+
+  if (record.points?.trim()) question.points = Number(record.points);
+  if (record.negativepoints?.trim()) question.negativePoints = Number(record.negativepoints);
+  if (record.topics?.trim()) question.topics = splitList(record.topics);
+  if (record.difficulty?.trim()) question.difficulty = record.difficulty.trim().toLowerCase();
+  if (record.explanation?.trim()) question.explanation = record.explanation.trim();
+  return { question };
+};
+
+const parseCsv = (input) => {
+  const [header, ...rows] = parseCsvRows(normalizeNewlines(input));
+  if (!header) return [];
+
+  const columns = header.cells.map((cell) => cell.trim().toLowerCase());
+  const missing = ["type", "text"].filter((column) => !columns.includes(column));
+  if (missing.length) return [{ line: header.line, error: `the header row needs the column(s): ${missing.join(", ")}` }];
+  const unknown = columns.filter((column) => column && !CSV_COLUMNS.includes(column));
+  if (unknown.length) return [{ line: header.line, error: `unknown column(s): ${unknown.join(", ")}` }];
+
+  return rows.map(({ line, cells }) => {
+    const record = Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""]));
+    return { line, ...csvQuestion(record) };
+  });
+};
+
+const PARSERS = { csv: parseCsv, gift: parseGift, aiken: parseAiken };
+
+/**
+ * @param {'csv'|'gift'|'aiken'} format
+ * @param {String} text
+ * @returns {{line: Number, question?: Object, error?: String}[]}
+ */
+const parseQuestions = (format, text) => PARSERS[format](text);
+
+module.exports = {
+  QUESTION_FORMATS,
+  parseQuestions,
+};
@@ -0,0 +1,145 @@
+// Quiz question types and auto-grading. What a student answers, per type:
+//   mcq_single   - the _id of one option
+//   mcq_multi    - an array of option _ids
+//   true_false   - true / false
+//   numeric      - a number, right within `tolerance` of `numericAnswer`
+//   short_answer - text, compared with `acceptedAnswers`
+//   matching     - { <pair _id of a left item>: <pair _id of the right item chosen for it> }
+const QUESTION_TYPES = ["mcq_single", "mcq_multi", "true_false", "numeric", "short_answer", "matching"];
+
+// how hard a question-bank question is meant to be
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// attempt statuses that have been graded
+const FINISHED_ATTEMPT_STATUSES = ["submitted", "timed_out"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const ids = (items = []) => items.map((item) => String(item._id));
+
+const normalizeText = (text, caseSensitive) => {
+  const collapsed = String(text).trim().replace(/\s+/g, " ");
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const isBlank = (response) =>
+  response === undefined ||
+  response === null ||
+  (typeof response === "string" && !response.trim()) ||
+  (Array.isArray(response) && !response.length) ||
+  (typeof response === "object" && !Array.isArray(response) && !Object.keys(response).length);
+
+/**
+ * Why a response can't be an answer to the question, or null when it can.
+ * Blank responses are fine: they count as unanswered.
+ * @returns {String|null}
+ */
+const responseError = (question, response) => {
+  if (isBlank(response)) return null;
+  const optionIds = ids(question.options);
+  const pairIds = ids(question.pairs);
+
+  switch (question.type) {
+    case "mcq_single":
+      return optionIds.includes(String(response)) ? null : "must be the id of one of the options";
+    case "mcq_multi":
+      return Array.isArray(response) && response.every((id) => optionIds.includes(String(id)))
+        ? null
+        : "must be an array of option ids";
+    case "true_false":
+      return typeof response === "boolean" ? null : "must be true or false";
+    case "numeric":
+      return typeof response === "number" && Number.isFinite(response) ? null : "must be a number";
+    case "short_answer":
+      return typeof response === "string" && response.length <= 1000 ? null : "must be text of at most 1000 characters";
+    case "matching":
+      return typeof response === "object" &&
+        !Array.isArray(response) &&
+        Object.entries(response).every(([left, right]) => pairIds.includes(left) && pairIds.includes(String(right)))
+        ? null
+        : "must map pair ids to pair ids";
+    default:
+      return "belongs to an unknown question type";
+  }
+};
+
+// share of the question answered right, 0..1
+const correctFraction = (question, response) => {
+  switch (question.type) {
+    case "mcq_single":
+      return question.options.some((o) => o.isCorrect && String(o._id) === String(response)) ? 1 : 0;
+    case "mcq_multi": {
+      const chosen = new Set(response.map(String));
+      const correct = question.options.filter((o) => o.isCorrect).map((o) => String(o._id));
+      return chosen.size === correct.length && correct.every((id) => chosen.has(id)) ? 1 : 0;
+    }
+    case "true_false":
+      return response === question.correctAnswer ? 1 : 0;
+    case "numeric":
+      // a hair of slack so 3.15 is within 0.01 of 3.14 despite floating point
+      return Math.abs(response - question.numericAnswer) <= (question.tolerance || 0) + 1e-9 ? 1 : 0;
+    case "short_answer": {
+      const given = normalizeText(response, question.caseSensitive);
+      return question.acceptedAnswers.some((accepted) => normalizeText(accepted, question.caseSensitive) === given) ? 1 : 0;
+    }
+    case "matching": {
+      const matched = question.pairs.filter((pair) => String(response[String(pair._id)]) === String(pair._id));
+      return matched.length / question.pairs.length;
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Grade one answer. Matching questions earn a share of the points per
+ * correct pair; every other type is all or nothing. A wrong answer (nothing
+ * right at all) costs the question's negativePoints.
+ * @returns {{questionId, earned: Number, maxPoints: Number, outcome: 'correct'|'partial'|'incorrect'|'unanswered'}}
+ */
+const gradeQuestion = (question, response) => {
+  const maxPoints = question.points ?? 1;
+  const result = { questionId: question._id, maxPoints };
+  if (isBlank(response) || responseError(question, response)) {
+    return { ...result, earned: 0, outcome: "unanswered" };
+  }
+
+  const fraction = correctFraction(question, response);
+  if (fraction === 1) return { ...result, earned: maxPoints, outcome: "correct" };
+  if (fraction > 0) return { ...result, earned: round2(maxPoints * fraction), outcome: "partial" };
+  return { ...result, earned: -(question.negativePoints || 0), outcome: "incorrect" };
+};
+
+/**
+ * Grade a whole attempt. The total never drops below zero, however many
+ * negative marks there are.
+ * @param {Object[]} questions
+ * @param {{questionId, response}[]} answers
+ * @param {Number|null} passPercentage
+ * @returns {{results: Object[], score: Number, maxScore: Number, percentage: Number, passed: Boolean|null}}
+ */
+const gradeAttempt = (questions, answers, passPercentage = null) => {
+  const responses = new Map(answers.map((answer) => [String(answer.questionId), answer.response]));
+  const results = questions.map((question) => gradeQuestion(question, responses.get(String(question._id))));
+
+  const maxScore = round2(results.reduce((sum, result) => sum + result.maxPoints, 0));
+  const score = Math.max(0, round2(results.reduce((sum, result) => sum + result.earned, 0)));
+  const percentage = maxScore ? round2((score / maxScore) * 100) : 0;
+
+  return {
+    results,
+    score,
+    maxScore,
+    percentage,
+    passed: passPercentage === null || passPercentage === undefined ? null : percentage >= passPercentage,
+  };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  FINISHED_ATTEMPT_STATUSES,
+  responseError,
+  gradeQuestion,
+  gradeAttempt,
+};
@@ -0,0 +1,33 @@
+const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
+
+const bucketBaseUrl = () => `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/`;
+
+// whether a URL points into our own bucket (what the upload and pre-signed URL flows hand out)
+const isBucketUrl = (fileUrl) => typeof fileUrl === "string" && fileUrl.startsWith(bucketBaseUrl());
+
+/**
+ * Read a file from our bucket by its public URL
+ * @param {String} fileUrl
+ * @param {{maxBytes?: Number}} [options]
+ * @returns {Promise<Buffer>}
+ */
+const readFileFromS3 = async (fileUrl, { maxBytes = 5 * 1024 * 1024 } = {}) => {
+    if (!isBucketUrl(fileUrl)) throw new Error("Not a file in this application's storage");
+
+    const s3 = new S3Client({
+        region: process.env.AWS_REGION,
+        credentials: {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        },
+      });
+
+    const key = fileUrl.slice(bucketBaseUrl().length).split("?")[0].split("/").map(decodeURIComponent).join("/");
+    const response = await s3.send(new GetObjectCommand({ Bucket: process.env.AWS_BUCKET_NAME, Key: key }));
+    if (response.ContentLength > maxBytes) {
+        throw new Error(`File is larger than ${Math.round(maxBytes / 1024)} KB`);
+    }
+    return Buffer.from(await response.Body.transformToByteArray());
+};
+
+module.exports = { readFileFromS3, isBucketUrl };
@@ -0,0 +1,72 @@
+// Rubric grading of assignment submissions. A rubric is a list of criteria,
+// each with performance levels worth some points; a criterion is worth as
+// much as its best level and the rubric as much as all its criteria together.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const criterionMaxPoints = (criterion) => Math.max(0, ...(criterion.levels || []).map((level) => level.points));
+
+const rubricMaxPoints = (rubric = []) => round2(rubric.reduce((sum, criterion) => sum + criterionMaxPoints(criterion), 0));
+
+/**
+ * Score a submission against a rubric. Every criterion has to be scored
+ * once, by picking one of its levels (worth that level's points unless
+ * `points` says otherwise) or by giving points directly.
+ * @param {Object[]} rubric
+ * @param {{criterionId, levelId?, points?, comment?}[]} scores
+ * @returns {{rubricScores: Object[], total: Number, errors: String[]}}
+ */
+const scoreRubric = (rubric, scores) => {
+  const errors = [];
+  const byCriterion = new Map(scores.map((score) => [String(score.criterionId), score]));
+
+  scores
+    .filter((score) => !rubric.some((criterion) => String(criterion._id) === String(score.criterionId)))
+    .forEach((score) => errors.push(`${score.criterionId} is not a criterion of this assignment's rubric`));
+
+  const rubricScores = [];
+  for (const criterion of rubric) {
+    const score = byCriterion.get(String(criterion._id));
+    if (!score) {
+      errors.push(`"${criterion.title}" has not been scored`);
+      continue;
+    }
+
+    const maxPoints = criterionMaxPoints(criterion);
+    let level = null;
+    if (score.levelId) {
+      level = criterion.levels.find((l) => String(l._id) === String(score.levelId));
+      if (!level) {
+        errors.push(`${score.levelId} is not a level of "${criterion.title}"`);
+        continue;
+      }
+    }
+    const points = score.points ?? level?.points;
+    if (points === undefined || points === null) {
+      errors.push(`"${criterion.title}" needs a level or points`);
+      continue;
+    }
+    if (points < 0 || points > maxPoints) {
+      errors.push(`"${criterion.title}" can be given 0 to ${maxPoints} points, not ${points}`);
+      continue;
+    }
+
+    rubricScores.push({
+      criterionId: criterion._id,
+      criterion: criterion.title,
+      levelId: level?._id ?? null,
+      level: level?.title ?? null,
+      points,
+      maxPoints,
+      comment: score.comment || "",
+    });
+  }
+
+  return { rubricScores, total: round2(rubricScores.reduce((sum, score) => sum + score.points, 0)), errors };
+};
+
+module.exports = {
+  criterionMaxPoints,
+  rubricMaxPoints,
+  scoreRubric,
+};
@@ -34,6 +34,28 @@ const uploadBase64ToS3 = async (base64Data, folder = 'categories') => {
     };
     
 
+// raw bytes under a caller-chosen key; used for package assets whose relative paths must survive
+const uploadBufferToS3 = async (buffer, fileKey, contentType = 'application/octet-stream') => {
+    const s3 = new S3Client({
+        region: process.env.AWS_REGION,
+        credentials: {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        },
+      });
+
+      await s3.send(new PutObjectCommand({
+        Bucket: process.env.AWS_BUCKET_NAME,
+        Key: fileKey,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+
+      const encodedKey = fileKey.split('/').map(encodeURIComponent).join('/');
+      return `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${encodedKey}`;
+    };
+
 module.exports = {
     uploadBase64ToS3,
+    uploadBufferToS3,
 };
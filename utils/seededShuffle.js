@@ -0,0 +1,38 @@
+// mulberry32: small, fast and good enough to deal questions in a random order
+const randomFrom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// a number for a string, to derive per-question seeds from ids
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (const char of String(text)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Shuffle a copy of `items`; the same seed always gives the same order
+ * @param {Array} items
+ * @param {Number} seed
+ * @returns {Array}
+ */
+const seededShuffle = (items, seed) => {
+  const random = randomFrom(seed);
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+module.exports = { seededShuffle, hashString };
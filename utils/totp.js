@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps) - the variant every authenticator app supports
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+const hotp = (key, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a secret at a given time
+ */
+const generateTotp = (secret, time = Date.now()) => hotp(base32Decode(secret), currentStep(time));
+
+/**
+ * Check a code, allowing `window` steps of clock drift either way.
+ * Returns the matching time step (store it to refuse replays) or null.
+ * @param {String} secret - base32
+ * @param {String} code
+ * @param {{window?: Number, afterStep?: Number}} options - afterStep: last step already used
+ */
+const verifyTotp = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  if (!/^\d{6}$/.test(String(code || ''))) return null;
+  const key = base32Decode(secret);
+  const now = currentStep();
+
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolment; rendered as a QR code by the client
+ */
+const provisioningUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  provisioningUri,
+};
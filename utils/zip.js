@@ -0,0 +1,152 @@
+const zlib = require("zlib");
+
+// Minimal ZIP reader/writer (stored + deflate, no ZIP64, no encryption),
+// enough for course packages without pulling in an archive library.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+// CRC-32 (IEEE) by table; zlib.crc32 only exists from Node 20.15
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive
+ * @param {{name: String, data: Buffer|String}[]} entries
+ * @returns {Buffer}
+ */
+const createZip = (entries) => {
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, compressed);
+    centrals.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, end]);
+};
+
+const isZip = (buffer) => Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+
+/**
+ * Read every file of a ZIP archive into memory (directories are skipped)
+ * @param {Buffer} buffer
+ * @param {{maxSize?: Number}} [options] - maxSize: cap on the total uncompressed size
+ * @returns {{name: String, data: Buffer}[]}
+ */
+const readZip = (buffer, { maxSize = 200 * 1024 * 1024 } = {}) => {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error("Invalid ZIP archive: end of central directory not found");
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  let remaining = maxSize;
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (pointer + 46 > buffer.length || buffer.readUInt32LE(pointer) !== CENTRAL_HEADER) {
+      throw new Error("Invalid ZIP archive: corrupt central directory");
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const size = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString("utf8", pointer + 46, pointer + 46 + nameLength).replace(/\\/g, "/");
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (name.startsWith("/") || name.split("/").includes("..")) {
+      throw new Error(`Invalid ZIP archive: unsafe path "${name}"`);
+    }
+    if (size > remaining) throw new Error("ZIP archive is too large once extracted");
+    remaining -= size;
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`Invalid ZIP archive: corrupt entry "${name}"`);
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === STORED) data = Buffer.from(raw);
+    else if (method === DEFLATED) data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`Unsupported compression method ${method} for "${name}"`);
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+};
+
+module.exports = { createZip, readZip, isZip };
@@ -1,4 +1,5 @@
 const Joi = require("joi");
+const mongoose = require("mongoose");
 
 const base64Regex = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
 
@@ -38,28 +39,92 @@ const submitAssignmentSchema = Joi.object({
     }),
 });
 
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) return helpers.error("any.invalid");
+  return value;
+});
+
+// a mark out of the assignment's totalMarks, or a score per rubric criterion
+// (the mark is then their total); or send it back with changes requested
 const reviewAssignmentSchema = Joi.object({
+  outcome: Joi.string()
+    .valid("graded", "changes_requested")
+    .default("graded")
+    .messages({
+      "any.only": "Outcome must be one of graded, changes_requested.",
+    }),
+
   mark: Joi.number()
     .min(0)
-    .max(100)
-    .required()
     .messages({
       "number.base": "Mark must be a number.",
       "number.min": "Mark cannot be less than 0.",
-      "number.max": "Mark cannot be more than 100.",
-      "any.required": "Mark is required.",
     }),
 
+  criteria: Joi.array()
+    .items(
+      Joi.object({
+        criterionId: objectId.required().messages({
+          "any.required": "criterionId is required.",
+          "any.invalid": "criterionId must be a valid ObjectId.",
+        }),
+        levelId: objectId.messages({ "any.invalid": "levelId must be a valid ObjectId." }),
+        points: Joi.number().min(0).messages({ "number.min": "Points cannot be less than 0." }),
+        comment: Joi.string().trim().max(2000).allow(""),
+      })
+        .or("levelId", "points")
+        .messages({
+          "object.missing": "Pick a level or give points for each criterion.",
+        })
+    )
+    .unique("criterionId")
+    .max(30)
+    .messages({
+      "array.unique": "Each criterion can only be scored once.",
+    }),
+
+  // with changes requested: a new deadline for this student's resubmission
+  resubmitBy: Joi.date().greater("now").messages({
+    "date.greater": "resubmitBy must be in the future.",
+  }),
+
   comment: Joi.string()
     .allow("")
     .optional()
     .messages({
       "string.base": "Comment must be a string.",
     }),
+}).when(Joi.object({ outcome: Joi.valid("changes_requested").required() }).unknown(), {
+  then: Joi.object({
+    mark: Joi.forbidden(),
+    criteria: Joi.forbidden(),
+    comment: Joi.string().trim().invalid("").required(),
+  }).messages({
+    "any.unknown": "Changes requested are not graded; leave out mark and criteria.",
+    "any.required": "Say what needs to change in the comment.",
+    "any.invalid": "Say what needs to change in the comment.",
+    "string.empty": "Say what needs to change in the comment.",
+  }),
+  otherwise: Joi.object({ resubmitBy: Joi.forbidden() })
+    .or("mark", "criteria")
+    .messages({
+      "object.missing": "Mark is required, or a score for each rubric criterion.",
+      "any.unknown": "resubmitBy only goes with changes requested.",
+    }),
+});
+
+// a later deadline for one student; null takes the extension back
+const extensionSchema = Joi.object({
+  deadline: Joi.date().iso().allow(null).required().messages({
+    "date.base": "Deadline must be a valid ISO date.",
+    "any.required": "Deadline is required.",
+  }),
+  reason: Joi.string().trim().max(500).allow(""),
 });
 
 
 module.exports = {
   submitAssignmentSchema,
   reviewAssignmentSchema,
+  extensionSchema,
 };
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const { rubricMaxPoints } = require('../utils/rubricScoring');
 
 const objectIdValidator = (value, helpers) => {
   if (!mongoose.Types.ObjectId.isValid(value)) {
@@ -19,6 +20,61 @@ const fileSchema = Joi.object({
   }),
 });
 
+const rubricSchema = Joi.array()
+  .items(Joi.object({
+    // kept when editing, so reviews still line up with their criteria
+    _id: Joi.string().custom(objectIdValidator, 'ObjectId validation'),
+    title: Joi.string().trim().max(200).required().messages({
+      'any.required': 'Criterion title is required',
+    }),
+    description: Joi.string().trim().max(2000).allow(''),
+    levels: Joi.array()
+      .items(Joi.object({
+        _id: Joi.string().custom(objectIdValidator, 'ObjectId validation'),
+        title: Joi.string().trim().max(200).required().messages({
+          'any.required': 'Level title is required',
+        }),
+        description: Joi.string().trim().max(2000).allow(''),
+        points: Joi.number().min(0).required().messages({
+          'any.required': 'Level points are required',
+        }),
+      }))
+      .min(1)
+      .max(10)
+      .required()
+      .messages({
+        'array.min': 'A criterion needs at least one level',
+      }),
+  }))
+  .max(30);
+
+const totalMarksSchema = Joi.number().positive().messages({
+  'number.positive': 'Total marks must be more than 0',
+});
+
+const submissionPolicyFields = {
+  // 0 for no limit
+  maxAttempts: Joi.number().integer().min(0).max(20),
+  gracePeriodMinutes: Joi.number().integer().min(0).max(7 * 24 * 60),
+  latePolicy: Joi.object({
+    allowLate: Joi.boolean(),
+    penaltyPerDay: Joi.number().min(0).max(100),
+    maxPenalty: Joi.number().min(0).max(100),
+    cutoffDays: Joi.number().integer().min(0).max(365).allow(null),
+  }),
+};
+
+// without totalMarks a rubric sets it; with both, they have to agree
+const rubricFitsTotal = (value, helpers) => {
+  if (!value.rubric?.length) return value;
+  const rubricPoints = rubricMaxPoints(value.rubric);
+  if (value.totalMarks === undefined) return { ...value, totalMarks: rubricPoints };
+  if (value.totalMarks !== rubricPoints) {
+    return helpers.message(`The rubric is worth ${rubricPoints} points but totalMarks is ${value.totalMarks}`);
+  }
+  return value;
+};
+
 const createAssignmentSchema = Joi.object({
   title: Joi.string().trim().min(3).max(200).required().messages({
     'string.empty': 'Title is required',
@@ -69,8 +125,26 @@ const createAssignmentSchema = Joi.object({
       'any.only': 'Status must be one of Active, Closed',
     }),
 
-});
+  totalMarks: totalMarksSchema,
+
+  rubric: rubricSchema.default([]),
+
+  ...submissionPolicyFields,
+
+}).custom(rubricFitsTotal);
+
+// the update takes the same fields loosely; only grading and submission rules are checked here
+const updateAssignmentSchema = Joi.object({
+  totalMarks: totalMarksSchema,
+  rubric: rubricSchema,
+  ...submissionPolicyFields,
+})
+  .unknown(true)
+  .custom(rubricFitsTotal);
 
 module.exports = {
+  rubricSchema,
+  submissionPolicyFields,
   createAssignmentSchema,
+  updateAssignmentSchema,
 };
@@ -124,8 +124,103 @@ const refreshTokenSchema = Joi.object({
     }),
 });
 
+// =====================
+// Logout Schemas
+// =====================
+const logoutSchema = Joi.object({
+  refresh_token: Joi.string().optional(),
+});
+
+const logoutAllSchema = Joi.object({
+  userId: Joi.string()
+    .optional()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .messages({
+      'any.invalid': 'User ID must be a valid ObjectId',
+    }),
+});
+
+// =====================
+// Password Reset Schemas
+// =====================
+const passwordResetRequestSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Email must be a valid email address',
+      'string.empty': 'Email is required',
+      'any.required': 'Email is required',
+    }),
+});
+
+const passwordResetVerifySchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Email must be a valid email address',
+      'string.empty': 'Email is required',
+      'any.required': 'Email is required',
+    }),
+
+  otp: Joi.string()
+    .pattern(/^[0-9]{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'OTP must be 6 digits',
+      'string.empty': 'OTP is required',
+      'any.required': 'OTP is required',
+    }),
+});
+
+const passwordResetConfirmSchema = Joi.object({
+  resetToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Reset token is required',
+      'any.required': 'Reset token is required',
+    }),
+
+  newPassword: Joi.string()
+    .min(6)
+    .required()
+    .messages({
+      'string.empty': 'New password is required',
+      'string.min': 'New password must be at least 6 characters',
+      'any.required': 'New password is required',
+    }),
+});
+
+const acceptInviteSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Invitation token is required',
+      'any.required': 'Invitation token is required',
+    }),
+
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'any.required': 'Password is required',
+    }),
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
   refreshTokenSchema,
+  logoutSchema,
+  logoutAllSchema,
+  passwordResetRequestSchema,
+  passwordResetVerifySchema,
+  passwordResetConfirmSchema,
+  acceptInviteSchema,
 };
@@ -23,6 +23,13 @@ const createChapterSchema = Joi.object({
     'number.base': 'orderIndex must be a number',
     'number.integer': 'orderIndex must be an integer',
   }),
+  publishAt: Joi.date().iso().allow(null),
+  unpublishAt: Joi.date().iso().allow(null).when('publishAt', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('publishAt')),
+  }).messages({
+    'date.greater': 'unpublishAt must be after publishAt',
+  }),
 });
 
 module.exports = createChapterSchema;
\ No newline at end of file
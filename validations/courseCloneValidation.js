@@ -0,0 +1,25 @@
+const Joi = require("joi");
+
+const cloneCourseSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(100).required().messages({
+    "string.empty": "Title is required",
+    "string.min": "Title must be at least 3 characters",
+    "string.max": "Title cannot exceed 100 characters",
+    "any.required": "Title is required",
+  }),
+  description: Joi.string().allow(""),
+  // base64 data URI (uploaded like on create) or an already stored URL; defaults to the source's
+  thumbnail: Joi.string(),
+  includeAssignments: Joi.boolean().default(false),
+  // assignment deadlines are placed relative to this date
+  startDate: Joi.date().iso(),
+  asTemplate: Joi.boolean().default(false),
+});
+
+const courseTemplateSchema = Joi.object({
+  isTemplate: Joi.boolean().required().messages({
+    "any.required": "isTemplate is required",
+  }),
+});
+
+module.exports = { cloneCourseSchema, courseTemplateSchema };
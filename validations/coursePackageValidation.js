@@ -0,0 +1,125 @@
+const Joi = require('joi');
+const {
+  videoSchema,
+  documentSchema,
+  embedSchema,
+  blockSchema,
+  attachmentSchema,
+} = require('./lessonContentValidation');
+const { rubricSchema, submissionPolicyFields } = require('./assignmentValidation');
+
+// refs are the ids from the exporting environment; they only link records
+// inside the package and are replaced with new ids on import
+const ref = Joi.string().trim().max(64);
+
+const unlockSchema = Joi.object({
+  sequential: Joi.boolean().default(false),
+  prerequisites: Joi.array().items(ref).default([]),
+  minScore: Joi.object({
+    assignmentRef: ref.required(),
+    percent: Joi.number().min(0).max(100).required(),
+  }).allow(null),
+  releaseAfterDays: Joi.number().integer().min(0).allow(null),
+});
+
+const packageFileSchema = Joi.object({
+  name: Joi.string().allow('', null),
+  size: Joi.string().allow('', null),
+  fileUrl: Joi.string().allow('', null),
+});
+
+const coursePackageSchema = Joi.object({
+  format: Joi.string().valid('course-package').required(),
+  version: Joi.number().integer().valid(1).required().messages({
+    'any.only': 'Unsupported package version',
+  }),
+  exportedAt: Joi.date().iso(),
+  source: Joi.object({
+    courseId: Joi.string(),
+    publishedVersion: Joi.number().integer().min(0),
+  }),
+
+  course: Joi.object({
+    ref: ref.required(),
+    title: Joi.string().trim().min(3).max(100).required(),
+    description: Joi.string().allow('', null),
+    thumbnail: Joi.string().required(),
+    status: Joi.boolean().default(true),
+  }).required(),
+
+  modules: Joi.array().items(Joi.object({
+    ref: ref.required(),
+    title: Joi.string().trim().required(),
+    thumbnail: Joi.string().required(),
+    orderIndex: Joi.number().required(),
+    unlock: unlockSchema,
+  })).default([]),
+
+  chapters: Joi.array().items(Joi.object({
+    ref: ref.required(),
+    moduleRef: ref.required(),
+    title: Joi.string().trim().required(),
+    orderIndex: Joi.number().required(),
+    unlock: unlockSchema,
+  })).default([]),
+
+  lessons: Joi.array().items(Joi.object({
+    ref: ref.required(),
+    chapterRef: ref.required(),
+    title: Joi.string().trim().required(),
+    orderIndex: Joi.number().required(),
+    contentType: Joi.string().required(),
+    contentURL: Joi.string().allow(''),
+    duration: Joi.number().min(0).allow(null),
+    body: Joi.string().allow(''),
+    bodyFormat: Joi.string().valid('markdown', 'html'),
+    video: videoSchema,
+    document: documentSchema,
+    embed: embedSchema,
+    blocks: Joi.array().items(blockSchema),
+    attachments: Joi.array().items(attachmentSchema),
+    unlock: unlockSchema,
+  })).default([]),
+
+  assignments: Joi.array().items(Joi.object({
+    ref: ref.required(),
+    lessonRef: ref.required(),
+    title: Joi.string().trim().required(),
+    description: Joi.string().allow('', null),
+    deadline: Joi.date().iso().required(),
+    status: Joi.string().allow('', null),
+    totalMarks: Joi.number().min(0),
+    maxAttempts: submissionPolicyFields.maxAttempts,
+    gracePeriodMinutes: submissionPolicyFields.gracePeriodMinutes,
+    latePolicy: submissionPolicyFields.latePolicy,
+    rubric: rubricSchema.default([]),
+    files: Joi.array().items(packageFileSchema).default([]),
+  })).default([]),
+
+  files: Joi.array().items(Joi.object({
+    url: Joi.string().required(),
+    usedBy: Joi.array().items(Joi.object({
+      type: Joi.string().required(),
+      ref: ref.required(),
+      field: Joi.string().required(),
+    })).default([]),
+  })).default([]),
+});
+
+// options accepted in the query string next to the package
+const importOptionsSchema = Joi.object({
+  dryRun: Joi.boolean().truthy('1').falsy('0').default(false),
+  title: Joi.string().trim().min(3).max(100),
+}).unknown(true);
+
+// SCORM / Common Cartridge import: an uploaded file or one already in local storage
+const contentPackageImportSchema = Joi.object({
+  dryRun: Joi.boolean().truthy('1').falsy('0').default(false),
+  file: Joi.string().trim().max(255),
+}).unknown(true);
+
+module.exports = {
+  coursePackageSchema,
+  importOptionsSchema,
+  contentPackageImportSchema,
+};
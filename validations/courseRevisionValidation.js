@@ -0,0 +1,10 @@
+const Joi = require("joi");
+
+// publish and rollback both take an optional note for the revision history
+const revisionNoteSchema = Joi.object({
+  note: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Note cannot exceed 500 characters",
+  }),
+});
+
+module.exports = { revisionNoteSchema };
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const { lessonContentKeys } = require('./lessonContentValidation');
 
 const objectIdValidator = Joi.string().custom((value, helpers) => {
   if (!mongoose.Types.ObjectId.isValid(value)) {
@@ -20,19 +21,7 @@ const lessonSchema = Joi.object({
     'number.min': 'Order index must be at least 0',
     'any.required': 'Order index is required',
   }),
-  contentType: Joi.string().valid('video', 'pdf', 'audio', 'text').required().messages({
-    'any.only': 'Content type must be one of video, pdf, audio, or text',
-    'any.required': 'Content type is required',
-  }),
-  contentURL: Joi.string().uri().required().messages({
-    'string.uri': 'Content URL must be a valid URI',
-    'any.required': 'Content URL is required',
-  }),
-  duration: Joi.number().integer().min(1).required().messages({
-    'number.base': 'Duration must be a number',
-    'number.min': 'Duration must be at least 1 second',
-    'any.required': 'Duration is required',
-  }),
+  ...lessonContentKeys(),
 });
 
 const createLessonsSchema = Joi.object({
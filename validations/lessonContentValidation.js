@@ -0,0 +1,117 @@
+const Joi = require("joi");
+const {
+  CONTENT_TYPES,
+  URL_CONTENT_TYPES,
+  BLOCK_TYPES,
+  normalizeContentType,
+} = require("../utils/lessonContent");
+
+// One set of rules for a lesson's content, shared by lessonValidation
+// (create), createLessonValidation and updateLesson. Legacy type names
+// (pdf, file, link, html) are accepted and stored as the current type.
+
+const httpUrl = Joi.string().trim().pattern(/^https?:\/\/[^\s]+$/).messages({
+  "string.pattern.base": "{{#label}} must be a valid HTTP/HTTPS URL",
+});
+
+const bodyFormat = Joi.string().valid("markdown", "html").default("markdown");
+
+const contentType = Joi.string()
+  .trim()
+  .lowercase()
+  .custom((value, helpers) => {
+    const type = normalizeContentType(value);
+    return CONTENT_TYPES.includes(type) ? type : helpers.error("any.only");
+  })
+  .messages({
+    "any.only": `Content type must be one of ${CONTENT_TYPES.join(", ")}`,
+    "any.required": "Content type is required",
+  });
+
+const captionSchema = Joi.object({
+  language: Joi.string().trim().min(2).max(35).required(),
+  label: Joi.string().trim().max(100),
+  url: httpUrl.required(),
+  format: Joi.string().valid("vtt", "srt").default("vtt"),
+});
+
+const videoSchema = Joi.object({
+  chapters: Joi.array().items(Joi.object({
+    title: Joi.string().trim().required(),
+    startTime: Joi.number().min(0).required(),
+  })),
+  captions: Joi.array().items(captionSchema),
+});
+
+const documentSchema = Joi.object({
+  mimeType: Joi.string().trim().max(100),
+  pages: Joi.number().integer().min(1),
+});
+
+const embedSchema = Joi.object({
+  provider: Joi.string().trim().max(50),
+  aspectRatio: Joi.string().pattern(/^\d+:\d+$/).messages({
+    "string.pattern.base": "aspectRatio must look like 16:9",
+  }),
+});
+
+const attachmentSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  url: httpUrl.required(),
+  size: Joi.number().min(0),
+  mimeType: Joi.string().trim().max(100),
+});
+
+const blockSchema = Joi.object({
+  type: Joi.string().valid(...BLOCK_TYPES).required().messages({
+    "any.only": `Block type must be one of ${BLOCK_TYPES.join(", ")}`,
+  }),
+  title: Joi.string().trim().allow(""),
+  url: httpUrl.when("type", { is: "text", then: Joi.forbidden(), otherwise: Joi.required() }),
+  body: Joi.string().when("type", { is: "text", then: Joi.required(), otherwise: Joi.forbidden() }),
+  bodyFormat: Joi.when("type", { is: "text", then: bodyFormat, otherwise: Joi.forbidden() }),
+  duration: Joi.number().integer().min(1),
+});
+
+// a type-specific field is only allowed with its type (or when the type isn't being changed)
+const onlyFor = (type, schema) =>
+  Joi.when("contentType", { is: Joi.exist().not(type), then: Joi.forbidden(), otherwise: schema });
+
+/**
+ * Joi keys describing a lesson's content
+ * @param {{partial?: Boolean}} [options] - partial: updates, where contentType may be left out
+ */
+const lessonContentKeys = ({ partial = false } = {}) => ({
+  contentType: partial ? contentType : contentType.required(),
+  contentURL: httpUrl.when("contentType", {
+    is: Joi.valid(...URL_CONTENT_TYPES),
+    then: partial ? Joi.optional() : Joi.required(),
+  }).messages({ "any.required": "Content URL is required" }),
+  duration: Joi.number().integer().min(1).messages({
+    "number.base": "Duration must be a number (seconds)",
+  }),
+  // text lessons: inline markdown/html (a contentURL is still accepted for older clients)
+  body: onlyFor("text", Joi.string().when("contentURL", {
+    not: Joi.exist(),
+    then: Joi.when("contentType", { is: "text", then: partial ? Joi.optional() : Joi.required() }),
+  })).messages({ "any.required": "Text lessons need a body" }),
+  bodyFormat: onlyFor("text", Joi.string().valid("markdown", "html")),
+  video: onlyFor("video", videoSchema),
+  document: onlyFor("document", documentSchema),
+  embed: onlyFor("embed", embedSchema),
+  blocks: onlyFor("mixed", Joi.array().items(blockSchema).min(1).when("contentType", {
+    is: "mixed",
+    then: partial ? Joi.optional() : Joi.required(),
+  })),
+  attachments: Joi.array().items(attachmentSchema),
+});
+
+module.exports = {
+  lessonContentKeys,
+  contentType,
+  videoSchema,
+  documentSchema,
+  embedSchema,
+  blockSchema,
+  attachmentSchema,
+};
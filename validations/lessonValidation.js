@@ -1,5 +1,6 @@
 const Joi = require("joi");
 const mongoose = require("mongoose");
+const { lessonContentKeys } = require("./lessonContentValidation");
 
 const lessonValidationSchema = Joi.object({
   courseId: Joi.string()
@@ -45,19 +46,13 @@ const lessonValidationSchema = Joi.object({
           "number.base": "Order index must be a number",
           "any.required": "Order index is required",
         }),
-        contentType: Joi.string().valid("video", "file", "text").required().messages({
-          "any.only": "Content type must be one of video, file, text",
-          "any.required": "Content type is required",
-        }),
-        contentURL: Joi.string()
-        .pattern(/^https?:\/\/[^\s]+$/) 
-        .required()
-        .messages({
-          "string.pattern.base": "Content URL must be a valid HTTP/HTTPS URL",
-          "any.required": "Content URL is required",
-        }),
-        duration: Joi.number().integer().min(1).optional().messages({
-          "number.base": "Duration must be a number (seconds)"
+        ...lessonContentKeys(),
+        publishAt: Joi.date().iso().allow(null),
+        unpublishAt: Joi.date().iso().allow(null).when("publishAt", {
+          is: Joi.date().required(),
+          then: Joi.date().greater(Joi.ref("publishAt")),
+        }).messages({
+          "date.greater": "unpublishAt must be after publishAt",
         }),
       })
     )
@@ -29,6 +29,15 @@ const moduleValidationSchema = Joi.object({
     "number.base": "Order must be a number",
     "any.required": "Order is required",
   }),
+
+  // drip publication: students only see the module between these dates
+  publishAt: Joi.date().iso().allow(null),
+  unpublishAt: Joi.date().iso().allow(null).when("publishAt", {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref("publishAt")),
+  }).messages({
+    "date.greater": "unpublishAt must be after publishAt",
+  }),
 });
 
 module.exports = moduleValidationSchema;
@@ -0,0 +1,66 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const { QUESTION_TYPES, DIFFICULTIES } = require('../utils/quizGrading');
+const { QUESTION_FORMATS } = require('../utils/questionImport');
+const { questionSchema } = require('./quizValidation');
+
+const objectId = (name) =>
+  Joi.string()
+    .custom((value, helpers) => (mongoose.Types.ObjectId.isValid(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': `${name} must be a valid ObjectId`, 'any.required': `${name} is required` });
+
+const topics = Joi.array().items(Joi.string().trim().lowercase().max(100)).max(20);
+const difficulty = Joi.string().valid(...DIFFICULTIES);
+
+// a quiz question plus its tags
+const bankQuestionSchema = questionSchema.keys({
+  topics: topics.default([]),
+  difficulty: difficulty.default('medium'),
+});
+
+const createBankQuestionSchema = bankQuestionSchema.keys({
+  courseId: objectId('courseId').required(),
+  moduleId: objectId('moduleId').allow(null),
+});
+
+// partial: the controller checks the question as a whole once merged with what is saved
+const updateBankQuestionSchema = Joi.object({
+  moduleId: objectId('moduleId').allow(null),
+  topics,
+  difficulty,
+  courseId: Joi.forbidden().messages({ 'any.unknown': "A question can't be moved to another course" }),
+})
+  .unknown(true)
+  .min(1);
+
+const importQuestionsSchema = Joi.object({
+  courseId: objectId('courseId').required(),
+  format: Joi.string().valid(...QUESTION_FORMATS).required(),
+  text: Joi.string().max(1024 * 1024).required(),
+  // tags for every imported question, on top of the ones in the text
+  moduleId: objectId('moduleId').allow(null),
+  topics: topics.default([]),
+  difficulty,
+  // check the text without saving anything
+  dryRun: Joi.boolean().default(false),
+});
+
+// GET /question-bank?courseId=&moduleId=&topic=&difficulty=&type=&search=&page=&limit=
+const bankQuerySchema = Joi.object({
+  courseId: objectId('courseId').required(),
+  moduleId: objectId('moduleId'),
+  topic: Joi.string().trim().lowercase().max(100),
+  difficulty,
+  type: Joi.string().valid(...QUESTION_TYPES),
+  search: Joi.string().trim().max(200),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+}).unknown(true);
+
+module.exports = {
+  bankQuestionSchema,
+  createBankQuestionSchema,
+  updateBankQuestionSchema,
+  importQuestionsSchema,
+  bankQuerySchema,
+};
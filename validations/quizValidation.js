@@ -0,0 +1,123 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const { QUESTION_TYPES, DIFFICULTIES } = require('../utils/quizGrading');
+
+const objectId = (name) =>
+  Joi.string()
+    .custom((value, helpers) => (mongoose.Types.ObjectId.isValid(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': `${name} must be a valid ObjectId`, 'any.required': `${name} is required` });
+
+const MCQ = Joi.valid('mcq_single', 'mcq_multi');
+// fields only one kind of question may carry
+const onlyFor = (types, schema) => Joi.when('type', { is: types, then: schema.required(), otherwise: Joi.forbidden() });
+
+const questionSchema = Joi.object({
+  // kept when editing, so saved attempts still line up with the question
+  _id: objectId('question _id'),
+  type: Joi.string().valid(...QUESTION_TYPES).required(),
+  text: Joi.string().trim().max(2000).required(),
+  explanation: Joi.string().trim().max(2000).allow(''),
+  points: Joi.number().min(0).default(1),
+  negativePoints: Joi.number().min(0).default(0),
+  options: onlyFor(
+    MCQ,
+    Joi.array()
+      .items(Joi.object({
+        _id: objectId('option _id'),
+        text: Joi.string().trim().max(500).required(),
+        isCorrect: Joi.boolean().default(false),
+      }))
+      .min(2)
+      .max(10)
+  ),
+  correctAnswer: onlyFor('true_false', Joi.boolean()),
+  numericAnswer: onlyFor('numeric', Joi.number()),
+  tolerance: Joi.when('type', { is: 'numeric', then: Joi.number().min(0).default(0), otherwise: Joi.forbidden() }),
+  acceptedAnswers: onlyFor('short_answer', Joi.array().items(Joi.string().trim().max(500)).min(1).max(20)),
+  caseSensitive: Joi.when('type', { is: 'short_answer', then: Joi.boolean().default(false), otherwise: Joi.forbidden() }),
+  pairs: onlyFor(
+    'matching',
+    Joi.array()
+      .items(Joi.object({
+        _id: objectId('pair _id'),
+        left: Joi.string().trim().max(500).required(),
+        right: Joi.string().trim().max(500).required(),
+      }))
+      .min(2)
+      .max(20)
+  ),
+}).custom((question, helpers) => {
+  if (!question.options) return question;
+  const correct = question.options.filter((option) => option.isCorrect).length;
+  if (question.type === 'mcq_single' && correct !== 1) {
+    return helpers.message('A single-choice question needs exactly one correct option');
+  }
+  if (question.type === 'mcq_multi' && correct < 1) {
+    return helpers.message('A multiple-choice question needs at least one correct option');
+  }
+  return question;
+});
+
+// N random questions from the course's question bank, matching the tags given
+const drawSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(100).required(),
+  moduleId: objectId('moduleId').allow(null),
+  topic: Joi.string().trim().lowercase().max(100).allow(null),
+  difficulty: Joi.string().valid(...DIFFICULTIES).allow(null),
+  // overrides the points of the drawn questions
+  points: Joi.number().min(0).allow(null),
+});
+
+const quizFields = {
+  title: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(5000).allow(''),
+  questions: Joi.array().items(questionSchema).max(200),
+  draws: Joi.array().items(drawSchema).max(20),
+  timeLimit: Joi.number().integer().min(1).max(24 * 60).allow(null),
+  maxAttempts: Joi.number().integer().min(0).max(100),
+  shuffleQuestions: Joi.boolean(),
+  shuffleOptions: Joi.boolean(),
+  passPercentage: Joi.number().min(0).max(100).allow(null),
+  attemptScoring: Joi.string().valid('highest', 'latest', 'average'),
+  showAnswers: Joi.string().valid('after_submission', 'after_last_attempt', 'never'),
+  status: Joi.string().valid('draft', 'published', 'closed'),
+  availableFrom: Joi.date().allow(null),
+  availableUntil: Joi.date().allow(null).when('availableFrom', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('availableFrom')).messages({ 'date.greater': 'availableUntil must be after availableFrom' }),
+  }),
+};
+
+const createQuizSchema = Joi.object({
+  ...quizFields,
+  title: quizFields.title.required(),
+  lessonId: objectId('lessonId'),
+  chapterId: objectId('chapterId'),
+})
+  .xor('lessonId', 'chapterId')
+  .messages({
+    'object.missing': 'Attach the quiz to a lesson (lessonId) or a chapter (chapterId)',
+    'object.xor': 'A quiz belongs to either a lesson or a chapter, not both',
+  });
+
+// the lesson/chapter of a quiz can't be changed
+const updateQuizSchema = Joi.object(quizFields).min(1);
+
+const quizAnswersSchema = Joi.object({
+  answers: Joi.array()
+    .items(Joi.object({
+      questionId: objectId('questionId').required(),
+      // shape depends on the question type (utils/quizGrading.js)
+      response: Joi.any().allow(null),
+    }))
+    .unique('questionId')
+    .max(200)
+    .default([]),
+});
+
+module.exports = {
+  questionSchema,
+  createQuizSchema,
+  updateQuizSchema,
+  quizAnswersSchema,
+};
@@ -0,0 +1,32 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const objectIdValidator = (value, helpers) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+};
+
+const objectId = (name) =>
+  Joi.string().custom(objectIdValidator).messages({
+    'any.invalid': `${name} must be a valid ObjectId`,
+    'any.required': `${name} is required`,
+  });
+
+// { <parent>Id, <children>Ids: [...] } - the full list of children in their new order
+const reorderSchema = (parentField, idsField, label) =>
+  Joi.object({
+    [parentField]: objectId(parentField).required(),
+    [idsField]: Joi.array().items(objectId(label)).min(1).unique().required().messages({
+      'array.min': `${idsField} cannot be empty`,
+      'array.unique': `${idsField} contains the same ${label} twice`,
+      'any.required': `${idsField} is required`,
+    }),
+  });
+
+module.exports = {
+  reorderModulesSchema: reorderSchema('courseId', 'moduleIds', 'module'),
+  reorderChaptersSchema: reorderSchema('moduleId', 'chapterIds', 'chapter'),
+  reorderLessonsSchema: reorderSchema('chapterId', 'lessonIds', 'lesson'),
+};
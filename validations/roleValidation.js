@@ -3,7 +3,13 @@ const Joi = require('joi');
 
 const roleValidationSchema = Joi.object({
   role_name: Joi.string().required(),
-  permissions: Joi.array().items(Joi.string()).default([])
+  permissions: Joi.array().items(Joi.string()).default([]),
+  requireTwoFactor: Joi.boolean().default(false)
 });
 
-module.exports = { roleValidationSchema };
+// a role update without requireTwoFactor keeps the role's current setting
+const updateRoleSchema = roleValidationSchema.keys({
+  requireTwoFactor: Joi.boolean()
+});
+
+module.exports = { roleValidationSchema, updateRoleSchema };
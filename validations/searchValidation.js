@@ -0,0 +1,38 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const { SEARCH_TYPES, MAX_WINDOW } = require('../helper/search');
+
+const TYPES = Object.keys(SEARCH_TYPES);
+
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required().messages({
+    'any.required': 'q (the text to search for) is required',
+  }),
+  // comma separated: ?type=lesson,assignment
+  type: Joi.string()
+    .trim()
+    .custom((value, helpers) => {
+      const types = [...new Set(value.split(',').map((type) => type.trim()).filter(Boolean))];
+      const unknown = types.find((type) => !TYPES.includes(type));
+      if (unknown) return helpers.message(`type must be one or more of ${TYPES.join(', ')}`);
+      return types;
+    }),
+  courseId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) return helpers.error('any.invalid');
+    return value;
+  }).messages({ 'any.invalid': 'courseId must be a valid ObjectId' }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+})
+  .custom((value, helpers) => {
+    if (value.page * value.limit > MAX_WINDOW) {
+      return helpers.message(`Only the first ${MAX_WINDOW} results can be paged through; narrow the search instead`);
+    }
+    return value;
+  })
+  .unknown(true);
+
+module.exports = {
+  searchQuerySchema,
+};
@@ -17,10 +17,6 @@ export const addStudentSchema = Joi.object({
       "string.empty": "Phone number is required",
       "string.pattern.base": "Phone number must be exactly 10 digits",
     }),
-  password: Joi.string().min(6).required().messages({
-    "string.empty": "Password is required",
-    "string.min": "Password must be at least 6 characters",
-  }),
   courseId: Joi.string().required().messages({
     "string.empty": "Course is required",
   }),
@@ -76,3 +72,14 @@ export const updateStudentSchema = Joi.object({
     }),
   profile_image: Joi.string().optional().allow(null),
 });
+
+// Standing accommodations of a student
+export const accommodationsSchema = Joi.object({
+  quizExtraTimePercent: Joi.number().min(0).max(300).default(0).messages({
+    "number.max": "Quiz extra time can be at most 300%",
+  }),
+  assignmentExtraDays: Joi.number().integer().min(0).max(60).default(0).messages({
+    "number.max": "Assignments can be extended by at most 60 days",
+  }),
+  note: Joi.string().trim().max(1000).allow(""),
+});
@@ -0,0 +1,32 @@
+const Joi = require('joi');
+
+// BCP 47 style: en, pt-BR, zh-Hant
+const language = Joi.string().trim().pattern(/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/).messages({
+  'string.pattern.base': 'language must be a language code such as en or pt-BR',
+});
+
+// the publicUrl returned by POST /pre-signed-url after uploading a .vtt/.srt file
+const captionTrackSchema = Joi.object({
+  language: language.required(),
+  label: Joi.string().trim().max(100),
+  url: Joi.string().trim().uri({ scheme: ['https'] }).required().messages({
+    'any.required': 'url of the uploaded caption file is required',
+  }),
+});
+
+const transcriptQuerySchema = Joi.object({
+  language,
+}).unknown(true);
+
+const transcriptSearchSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required().messages({
+    'any.required': 'q (the phrase to look for) is required',
+  }),
+  language,
+}).unknown(true);
+
+module.exports = {
+  captionTrackSchema,
+  transcriptQuerySchema,
+  transcriptSearchSchema,
+};
@@ -18,10 +18,6 @@ export const addTutorSchema = Joi.object({
       "string.empty": "Phone number is required",
       "string.pattern.base": "Phone number must be exactly 10 digits",
     }),
-  password: Joi.string().min(6).required().messages({
-    "string.empty": "Password is required",
-    "string.min": "Password must be at least 6 characters",
-  }),
   courseIds: Joi.array().items(Joi.string().required()).min(1).required().messages({
     "array.min": "At least one course must be selected",
   }),
@@ -0,0 +1,53 @@
+// validations/twoFactorValidation.js
+const Joi = require('joi');
+
+const totpCode = Joi.string()
+  .pattern(/^[0-9]{6}$/)
+  .messages({
+    'string.pattern.base': 'Code must be 6 digits',
+    'string.empty': 'Code is required',
+    'any.required': 'Code is required',
+  });
+
+const loginTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'string.empty': 'Challenge token is required',
+    'any.required': 'Challenge token is required',
+  }),
+  code: totpCode,
+  backupCode: Joi.string().trim(),
+})
+  .xor('code', 'backupCode')
+  .messages({ 'object.missing': 'Either code or backupCode is required' });
+
+const setupTwoFactorSchema = Joi.object({
+  setupToken: Joi.string(),
+});
+
+const enableTwoFactorSchema = Joi.object({
+  code: totpCode.required(),
+  setupToken: Joi.string(),
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required',
+    'any.required': 'Password is required',
+  }),
+  code: totpCode,
+  backupCode: Joi.string().trim(),
+})
+  .xor('code', 'backupCode')
+  .messages({ 'object.missing': 'Either code or backupCode is required' });
+
+const backupCodesSchema = Joi.object({
+  code: totpCode.required(),
+});
+
+module.exports = {
+  loginTwoFactorSchema,
+  setupTwoFactorSchema,
+  enableTwoFactorSchema,
+  disableTwoFactorSchema,
+  backupCodesSchema,
+};
@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const objectIdValidator = (value, helpers) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+};
+
+const objectId = (name) =>
+  Joi.string().custom(objectIdValidator).messages({
+    'any.invalid': `${name} must be a valid ObjectId`,
+    'any.required': `${name} is required`,
+  });
+
+// { unlock: null } removes every rule from the item
+const unlockRulesSchema = Joi.object({
+  unlock: Joi.object({
+    sequential: Joi.boolean().default(false),
+    prerequisites: Joi.array().items(objectId('prerequisite')).unique().default([]).messages({
+      'array.unique': 'prerequisites contains the same item twice',
+    }),
+    minScore: Joi.object({
+      assignmentId: objectId('assignmentId'),
+      quizId: objectId('quizId'),
+      percent: Joi.number().min(0).max(100).required(),
+    })
+      .xor('assignmentId', 'quizId')
+      .messages({ 'object.missing': 'minScore needs an assignmentId or a quizId', 'object.xor': 'minScore takes an assignmentId or a quizId, not both' })
+      .allow(null),
+    releaseAfterDays: Joi.number().integer().min(0).allow(null),
+  })
+    .allow(null)
+    .required()
+    .messages({ 'any.required': 'unlock is required' }),
+});
+
+module.exports = { unlockRulesSchema };
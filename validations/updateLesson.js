@@ -1,6 +1,7 @@
 // validations/lessonValidation.js
 const Joi = require("joi");
 const mongoose = require("mongoose");
+const { lessonContentKeys } = require("./lessonContentValidation");
 
 const objectIdValidation = (value, helpers) => {
   if (!mongoose.Types.ObjectId.isValid(value)) {
@@ -16,9 +17,14 @@ const updateLessonBodySchema = Joi.object({
   }),
   title: Joi.string().optional(),
   orderIndex: Joi.number().integer().min(1).optional(),
-  contentType: Joi.string().valid("video", "file", "text").optional(),
-  contentURL: Joi.string().uri().optional(),
-  duration: Joi.number().integer().min(1).optional(),
+  ...lessonContentKeys({ partial: true }),
+  publishAt: Joi.date().iso().allow(null),
+  unpublishAt: Joi.date().iso().allow(null).when("publishAt", {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref("publishAt")),
+  }).messages({
+    "date.greater": "unpublishAt must be after publishAt",
+  }),
 });
 
 module.exports = { updateLessonBodySchema };